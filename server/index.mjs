@@ -0,0 +1,18 @@
+// Runs the race server: `npm run race-server`, or `PORT=9000 npm run race-server`.
+// Point the app at it with REACT_APP_RACE_SERVER_URL (see src/raceClient.js).
+import { register } from 'node:module';
+
+register('./loader.mjs', import.meta.url);
+
+const { DEFAULT_RACE_PORT } = await import('../src/race.js');
+const { startRaceServer } = await import('./raceServer.js');
+
+// PORT=0 picks a free port (see startRaceServer)
+const { PORT } = process.env;
+if (PORT !== undefined && !(/^\d+$/.test(PORT) && Number(PORT) <= 65535)) {
+  console.error(`PORT must be a port number from 0 to 65535, not "${PORT}".`);
+  process.exit(1);
+}
+
+const { port } = await startRaceServer({ port: PORT !== undefined ? Number(PORT) : DEFAULT_RACE_PORT });
+console.log(`Race server listening on ws://localhost:${port}`);
@@ -0,0 +1,25 @@
+// Lets Node run the app's modules unchanged: they are ES modules written for the bundler,
+// so they import each other without file extensions, import JSON, and live in a package
+// without "type": "module". Registered by index.mjs.
+
+const APP_DIRECTORIES = ['/src/', '/server/'].map(dir => new URL(`..${dir}`, import.meta.url).href);
+
+const isAppModule = (url) => APP_DIRECTORIES.some(dir => url.startsWith(dir));
+
+export const resolve = async (specifier, context, nextResolve) => {
+  const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+  if (isRelative && context.parentURL && isAppModule(context.parentURL) && !/\.[a-z]+$/i.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => {
+  if (!isAppModule(url)) return nextLoad(url, context);
+  if (url.endsWith('.json')) {
+    const { source } = await nextLoad(url, { ...context, format: 'json', importAttributes: { type: 'json' } });
+    return { format: 'module', source: `export default ${source};`, shortCircuit: true };
+  }
+  if (url.endsWith('.js')) return nextLoad(url, { ...context, format: 'module' });
+  return nextLoad(url, context);
+};
@@ -0,0 +1,157 @@
+import WebSocket from 'ws';
+import { decodePuzzleCode } from '../src/puzzleCode';
+import { generatePuzzle } from '../src/puzzle';
+import { getLanguage } from '../src/languages';
+import { createRandom, createSeed } from '../src/random';
+import {
+  DEFAULT_RACE_PORT,
+  RACE_ERRORS,
+  addRacePlayer,
+  claimRaceWord,
+  createRace,
+  createRoomCode,
+  getRaceView,
+  normalizeRoomCode,
+  removeRacePlayer,
+  startRace
+} from '../src/race';
+
+// --- Race Server ---
+// A small WebSocket server for race mode (see src/race.js for the races and the messages).
+// It keeps races in memory, so they last until the last player leaves or the server stops;
+// that is all a classroom needs, and it needs no hosted service. Start it with
+// `npm run race-server`.
+
+const MAX_MESSAGE_BYTES = 16 * 1024; // A claim on the biggest grid is well under this
+
+/**
+ * Starts a race server.
+ * @param {Object} [options] - Server options.
+ * @param {number} [options.port=DEFAULT_RACE_PORT] - Port to listen on (see race.js); 0 picks a free one.
+ * @param {function(): number} [options.now=Date.now] - Clock, in milliseconds.
+ * @returns {Promise<{port: number, close: function(): Promise<void>}>} Resolves once the server
+ *   is listening, with the port it listens on and a function that stops it.
+ */
+export const startRaceServer = ({ port = DEFAULT_RACE_PORT, now = Date.now } = {}) => new Promise((resolve, reject) => {
+  const server = new WebSocket.Server({ port, maxPayload: MAX_MESSAGE_BYTES });
+  const races = new Map(); // Room code -> race state
+  const sockets = new Map(); // Player ID -> socket
+  const random = createRandom(createSeed());
+  let nextPlayerId = 1;
+
+  const send = (socket, message) => {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  };
+
+  const broadcast = (race) => {
+    const view = getRaceView(race);
+    race.players.forEach(player => sockets.has(player.id) && send(sockets.get(player.id), { type: 'race', race: view }));
+  };
+
+  const createRoom = async (message) => {
+    let spec;
+    try {
+      spec = decodePuzzleCode(String(message.puzzleCode || ''));
+    } catch (e) {
+      return null;
+    }
+    const puzzle = await generatePuzzle(spec.words, getLanguage(spec.language), spec);
+    if (Object.keys(puzzle.hiddenWords).length === 0) return null;
+    let code;
+    do {
+      code = createRoomCode(random);
+    } while (races.has(code));
+    races.set(code, createRace(code, spec, puzzle));
+    return code;
+  };
+
+  const join = (socket, session, code, name) => {
+    const race = races.get(code);
+    if (!race) return send(socket, { type: 'error', reason: RACE_ERRORS.noRoom });
+    const result = addRacePlayer(race, session.playerId, name);
+    if (result.error) return send(socket, { type: 'error', reason: result.error });
+    races.set(code, result.race);
+    session.room = code;
+    send(socket, { type: 'joined', playerId: session.playerId, race: getRaceView(result.race) });
+    broadcast(result.race);
+  };
+
+  /**
+   * Applies a change to the player's race and tells everyone in it.
+   * @param {WebSocket} socket - The player's socket.
+   * @param {Object} session - The player's session.
+   * @param {function(Object): Object} change - Returns { race } or { error }, like the functions in race.js.
+   * @returns {Object|undefined} The change's result, when it succeeded.
+   */
+  const updateRace = (socket, session, change) => {
+    const race = races.get(session.room);
+    if (!race) return send(socket, { type: 'error', reason: RACE_ERRORS.noRoom });
+    const result = change(race);
+    if (result.error) return send(socket, { type: 'error', reason: result.error });
+    races.set(session.room, result.race);
+    if (result.race !== race) broadcast(result.race);
+    return result;
+  };
+
+  const handleMessage = async (socket, session, message) => {
+    if (message.type === 'create' && !session.room) {
+      const code = await createRoom(message);
+      if (!code) return send(socket, { type: 'error', reason: RACE_ERRORS.badPuzzle });
+      join(socket, session, code, message.name);
+    } else if (message.type === 'join' && !session.room) {
+      join(socket, session, normalizeRoomCode(message.room), message.name);
+    } else if (message.type === 'start' && session.room) {
+      updateRace(socket, session, race => startRace(race, session.playerId, now()));
+    } else if (message.type === 'claim' && session.room) {
+      const result = updateRace(socket, session, race => claimRaceWord(race, session.playerId, message.cells, now()));
+      if (result) send(socket, { type: 'claim-result', feedback: result.feedback });
+    } else {
+      send(socket, { type: 'error', reason: RACE_ERRORS.badMessage });
+    }
+  };
+
+  const handleClose = (session) => {
+    sockets.delete(session.playerId);
+    const race = races.get(session.room);
+    if (!race) return;
+    const next = removeRacePlayer(race, session.playerId);
+    // Forget a race once no one is left to see it
+    if (next.players.every(player => !sockets.has(player.id))) {
+      races.delete(session.room);
+    } else {
+      races.set(session.room, next);
+      broadcast(next);
+    }
+  };
+
+  server.on('connection', (socket) => {
+    const session = { playerId: `p${nextPlayerId++}`, room: null };
+    sockets.set(session.playerId, socket);
+    // Handle one message at a time, so a slow 'create' can't race a later message
+    let queue = Promise.resolve();
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (e) {
+        message = null;
+      }
+      queue = queue.then(() => (message && typeof message === 'object'
+        ? handleMessage(socket, session, message)
+        : send(socket, { type: 'error', reason: RACE_ERRORS.badMessage })
+      )).catch(error => console.error('Race server error:', error));
+    });
+    socket.on('close', () => {
+      queue = queue.then(() => handleClose(session));
+    });
+  });
+
+  server.on('error', reject);
+  server.on('listening', () => resolve({
+    port: server.address().port,
+    close: () => new Promise(done => {
+      server.clients.forEach(socket => socket.terminate());
+      server.close(() => done());
+    })
+  }));
+});
@@ -0,0 +1,96 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AD_CONSENT, getAdConfig, loadAdConsent, loadAdScript, requestAd, saveAdConsent } from './ads';
+
+// --- Ad Slot ---
+// The ad box and the consent banner that comes before it. App loads this component lazily
+// and not at all in the school build; see ads.js for how ads are configured.
+
+/**
+ * Shows the consent banner until the player chooses, then an ad if they agreed.
+ * @param {{t: function}} props - t: Translate function (see i18n.js).
+ * @returns {JSX.Element|null} The banner or ad box, or nothing when ads are off.
+ */
+const AdSlot = ({ t }) => {
+  const [config] = useState(getAdConfig); // Fixed at build time
+  const [consent, setConsent] = useState(loadAdConsent);
+  const [isAsking, setIsAsking] = useState(false); // Banner reopened to change an earlier choice
+  const [scriptStatus, setScriptStatus] = useState('idle'); // 'idle', 'ready' or 'failed'
+  const adRequestedRef = useRef(false);
+
+  // Fetch the ad script only once the player has agreed
+  useEffect(() => {
+    if (!config || consent !== AD_CONSENT.granted) return;
+    let cancelled = false;
+    loadAdScript(config.client).then(
+      () => !cancelled && setScriptStatus('ready'),
+      () => !cancelled && setScriptStatus('failed') // Usually an ad blocker; leave the box out
+    );
+    return () => { cancelled = true; };
+  }, [config, consent]);
+
+  // Fill the ad unit once. It stays mounted across puzzles, so a new puzzle or language
+  // doesn't request another ad into the same unit.
+  useEffect(() => {
+    if (scriptStatus !== 'ready' || adRequestedRef.current) return;
+    adRequestedRef.current = true;
+    if (!requestAd()) setScriptStatus('failed');
+  }, [scriptStatus]);
+
+  if (!config) return null;
+
+  const handleChoice = (choice) => {
+    saveAdConsent(choice);
+    setConsent(choice);
+    setIsAsking(false);
+  };
+
+  if (!consent || isAsking) {
+    return (
+      <section
+        aria-labelledby="ad-consent-text"
+        className="fixed bottom-0 inset-x-0 z-40 bg-gray-900 border-t-2 border-yellow-400 p-4 flex flex-col sm:flex-row items-center justify-center gap-4"
+      >
+        <p id="ad-consent-text" className="text-sm text-gray-200 max-w-2xl">{t('ad.consentText')}</p>
+        <div className="flex gap-2 flex-shrink-0">
+          <button
+            onClick={() => handleChoice(AD_CONSENT.granted)}
+            className="px-4 py-2 bg-yellow-500 text-purple-900 font-bold rounded-full shadow-md hover:bg-yellow-400 transition-all duration-300 ease-in-out"
+          >
+            {t('ad.accept')}
+          </button>
+          <button
+            onClick={() => handleChoice(AD_CONSENT.denied)}
+            className="px-4 py-2 bg-blue-500 text-white font-semibold rounded-full shadow-md hover:bg-blue-400 transition-all duration-300 ease-in-out"
+          >
+            {t('ad.decline')}
+          </button>
+        </div>
+      </section>
+    );
+  }
+
+  const choicesButton = (
+    <button onClick={() => setIsAsking(true)} className="text-xs text-gray-400 underline hover:text-gray-200">
+      {t('ad.choices')}
+    </button>
+  );
+
+  if (consent === AD_CONSENT.denied || scriptStatus === 'failed') {
+    return <div className="my-8 text-center">{choicesButton}</div>;
+  }
+
+  return (
+    <div className="my-8 w-full max-w-lg bg-gray-800 p-4 rounded-lg shadow-md text-center">
+      <p className="text-gray-300 mb-2 text-sm">{t('ad.label')}</p>
+      <ins
+        className="adsbygoogle"
+        style={{ display: 'block', width: '100%', height: '300px' }}
+        data-ad-client={config.client}
+        data-ad-slot={config.slot}
+      />
+      <div className="mt-2">{choicesButton}</div>
+    </div>
+  );
+};
+
+export default AdSlot;
@@ -0,0 +1,70 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import AdSlot from './AdSlot';
+import { AD_CONSENT, ADSENSE_SCRIPT_URL, loadAdConsent, saveAdConsent } from './ads';
+import { createTranslator } from './i18n';
+
+const t = createTranslator('en');
+
+let appendChild;
+
+// Scripts added to the page from the ad network
+const findAdScripts = () => appendChild.mock.calls.map(([node]) => node).filter(node => (node.src || '').startsWith(ADSENSE_SCRIPT_URL));
+
+beforeEach(() => {
+  window.localStorage.clear();
+  appendChild = jest.spyOn(document.head, 'appendChild');
+  process.env.REACT_APP_ADSENSE_CLIENT = 'ca-pub-1234567890123456';
+  process.env.REACT_APP_ADSENSE_SLOT = '9876543210';
+});
+
+afterEach(() => {
+  delete process.env.REACT_APP_ADSENSE_CLIENT;
+  delete process.env.REACT_APP_ADSENSE_SLOT;
+  delete process.env.REACT_APP_BUILD_TARGET;
+  delete window.adsbygoogle;
+  appendChild.mockRestore();
+});
+
+test('shows nothing when ads are not configured or in the school build', () => {
+  process.env.REACT_APP_BUILD_TARGET = 'school';
+  const { container } = render(<AdSlot t={t} />);
+  expect(container).toBeEmptyDOMElement();
+});
+
+test('asks first, and loads nothing when the player declines', () => {
+  render(<AdSlot t={t} />);
+  expect(screen.getByText(/Nothing is loaded from Google until you agree/)).toBeInTheDocument();
+  expect(findAdScripts()).toHaveLength(0);
+
+  fireEvent.click(screen.getByRole('button', { name: 'No Thanks' }));
+  expect(loadAdConsent()).toBe(AD_CONSENT.denied);
+  expect(screen.queryByText('Advertisement')).not.toBeInTheDocument();
+  expect(findAdScripts()).toHaveLength(0);
+
+  // The choice can be changed later
+  fireEvent.click(screen.getByRole('button', { name: 'Ad choices' }));
+  expect(screen.getByRole('button', { name: 'Allow Ads' })).toBeInTheDocument();
+});
+
+test('leaves the ad out when the ad script is blocked', async () => {
+  render(<AdSlot t={t} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Allow Ads' }));
+  expect(screen.getByText('Advertisement')).toBeInTheDocument();
+  expect(findAdScripts()).toHaveLength(1);
+
+  fireEvent.error(findAdScripts()[0]);
+  await waitFor(() => expect(screen.queryByText('Advertisement')).not.toBeInTheDocument());
+  expect(screen.getByRole('button', { name: 'Ad choices' })).toBeInTheDocument();
+});
+
+test('shows one ad once the player has agreed', async () => {
+  saveAdConsent(AD_CONSENT.granted);
+  const { rerender } = render(<AdSlot t={t} />);
+  expect(screen.queryByRole('button', { name: 'Allow Ads' })).not.toBeInTheDocument();
+
+  fireEvent.load(findAdScripts()[0]);
+  await waitFor(() => expect(window.adsbygoogle).toHaveLength(1));
+  rerender(<AdSlot t={createTranslator('ha')} />); // A new interface language keeps the same ad
+  expect(screen.getByText('Talla')).toBeInTheDocument();
+  expect(window.adsbygoogle).toHaveLength(1);
+});
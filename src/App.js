@@ -1,641 +1,1018 @@
-import React, { useState, useEffect, useRef } from 'react';
-
-// --- Configuration ---
-const GRID_SIZE = 15; // Grid will be GRID_SIZE x GRID_SIZE
-const HAUSA_ALPHABET_CHARS = 'abcdefghijklmnopqrstuwyzɓɗƙ'; // Simplified, single-character Hausa alphabet for random fill
-
-// Sample word lists for different languages.
-// In a real application, these would be much larger and loaded from external JSON files or an API.
-const WORD_LISTS = {
-  'Hausa': [
-    'abinchi', 'asibiti', 'kwakwa', 'gida', 'ɗaki', 'ƙafa',
-    'ɓarawo', 'shago', 'tsalle', 'mutum', 'ingarma', 'kifi',
-    'ruwa', 'rana', 'wuta', 'iska', 'ido', 'kunne',
-    'baki', 'hannu', 'zaɓi', 'karfe', 'gora', 'ciki', 'daji',
-    'fari', 'hoto', 'jira', 'kala', 'kusa', 'lemu', 'lura',
-    'mota', 'nono', 'rafi', 'sabo', 'taro', 'uku', 'yara', 'zane'
-  ],
-  'English': [
-    'apple', 'banana', 'orange', 'grape', 'kiwi', 'mango',
-    'pear', 'plum', 'lemon', 'peach', 'berry', 'melon',
-    'fruit', 'sweet', 'juice', 'seeds', 'tree', 'plant'
-  ],
-  'Yoruba': [
-    'ilu', 'omo', 'owo', 'ile', 'esin', 'oja',
-    'ogun', 'iya', 'baba', 'eja', 'oògùn', 'òkúta',
-    'òfin', 'irin', 'orí', 'ẹranko', 'òjò', 'ìyàwó',
-    'olùkọ́', 'ẹni', 'igi', 'ilé', 'ọkọ', 'ẹran'
-  ],
-  'Igbo': [
-    'mmiri', 'aka', 'ụkwụ', 'isi', 'anya', 'ọnụ',
-    'nwoke', 'nwanyị', 'ezi', 'ọdụ', 'mkpụrụ', 'osisi',
-    'akwa', 'ego', 'ude', 'ụlọ', 'akwụkwọ', 'ụmụaka',
-    'ala', 'azu', 'oke', 'ututu', 'eziokwu'
-  ]
-};
+import React, { Suspense, lazy, useState, useEffect, useMemo, useRef } from 'react';
+import { DEFAULT_LANGUAGE, getLanguage } from './languages';
+import { ALL_CATEGORIES, describePackProblem } from './languagePacks';
+import { createSeed } from './random';
+import { PUZZLE_URL_PARAM, encodePuzzleCode, decodePuzzleCode } from './puzzleCode';
+import { CUSTOM_DIFFICULTY, DEFAULT_DIFFICULTY, DIFFICULTY_PRESETS, DIRECTIONS, normalizeCustomSettings } from './difficulty';
+import { addHiddenMessage, createPuzzleSpec, getDifficultySettings, removeHiddenMessage, withGridShape } from './puzzle';
+import { HINT_LEVELS, hasHiddenMessage, isComplete } from './gameEngine';
+import { clearSavedGame, loadSavedGame } from './savedGame';
+import { MESSAGE_BONUS_POINTS, POINTS_PER_HINT, calculateScore, formatDuration } from './scoring';
+import { applyServiceWorkerUpdate, onServiceWorkerUpdate } from './serviceWorkerRegistration';
+import { CUSTOM_LIST_PACK_ID } from './wordList';
+import { STUDY_MODES, canPlayPronunciation, getWordCards, hasClue, playPronunciation } from './vocabulary';
+import { UI_LANGUAGES, createTranslator, languageName, loadUiLanguage, message, saveUiLanguage } from './i18n';
+import { getColouredClaims } from './race';
+import { getMessageWordLengths } from './hiddenMessage';
+import { CUSTOM_SHAPE, DEFAULT_SHAPE, SHAPE_IDS, isCustomShape } from './shapes';
+import { getReviewWords, loadProgress } from './progress';
+import { readItem, writeItem } from './storage';
+import { useLanguagePacks } from './useLanguagePacks';
+import { usePuzzleGeneration } from './usePuzzleGeneration';
+import { useGameTimer } from './useGameTimer';
+import { useSavedGame } from './useSavedGame';
+import { useLearnerProgress } from './useLearnerProgress';
+import { useRace } from './useRace';
+import { SELECTION_MODES, describeCellPosition, useSelection } from './useSelection';
+import { useDailyPuzzle } from './useDailyPuzzle';
+import { useResults } from './useResults';
+import Grid, { FOUND_COLOUR } from './Grid';
+import CustomSettingsPanel from './CustomSettingsPanel';
+import WorksheetPanel from './WorksheetPanel';
+import ResultsDialog from './ResultsDialog';
+import RaceRoom from './RaceRoom';
+import RaceDialog from './RaceDialog';
+import WordListBuilder from './WordListBuilder';
+import ShapeDialog from './ShapeDialog';
+import InstructionsDialog from './InstructionsDialog';
+import ProgressDialog from './ProgressDialog';
+
+// Ads are optional (see ads.js). The school build compares equal here at build time, so the
+// ad component and the code behind it are left out of its bundle entirely.
+const AdSlot = process.env.REACT_APP_BUILD_TARGET === 'school' ? null : lazy(() => import('./AdSlot'));
 
+// --- Helper Functions (Pure JavaScript/Utility Functions) ---
 
-// Directions for placing words: (row_change, col_change)
-// These cover all 8 standard straight directions in a square grid.
-const DIRECTIONS = [
-  { name: "horizontal_right", dr: 0, dc: 1 },    // Right
-  { name: "vertical_down", dr: 1, dc: 0 },       // Down
-  { name: "diagonal_down_right", dr: 1, dc: 1 }, // Down-Right
-  { name: "diagonal_up_left", dr: -1, dc: -1 },  // Up-Left (Backward diagonal)
-  { name: "horizontal_left", dr: 0, dc: -1 },    // Left (Backward horizontal)
-  { name: "vertical_up", dr: -1, dc: 0 },        // Up (Backward vertical)
-  { name: "diagonal_down_left", dr: 1, dc: -1 }, // Down-Left
-  { name: "diagonal_up_right", dr: -1, dc: 1 }   // Up-Right
-];
+const HINT_FLASH_MS = 2000; // How long a hinted word flashes
 
-// --- Helper Functions (Pure JavaScript/Utility Functions) ---
+const STUDY_MODE_KEY = 'wordSearch.studyMode';
 
 /**
- * Checks if a word can be placed at a given position and direction without conflicts.
- * @param {string} word - The word to place.
- * @param {number} row - Starting row.
- * @param {number} col - Starting column.
- * @param {number} dr - Row change per character.
- * @param {number} dc - Column change per character.
- * @param {Array<Array<string>>} currentGrid - The current state of the grid.
- * @returns {boolean} True if the word can be placed, false otherwise.
+ * Reads the player's preferred study mode (see vocabulary.js), remembered on this device.
+ * @returns {string} One of STUDY_MODES; play unless another was chosen.
  */
-const canPlaceWord = (word, row, col, dr, dc, currentGrid) => {
-  const n = word.length;
-  for (let i = 0; i < n; i++) {
-    const r = row + i * dr;
-    const c = col + i * dc;
-
-    // Check bounds
-    if (r < 0 || r >= GRID_SIZE || c < 0 || c >= GRID_SIZE) {
-      return false;
-    }
-    // Check for conflicts with existing letters (unless it's the same letter)
-    if (currentGrid[r][c] !== ' ' && currentGrid[r][c] !== word[i]) {
-      return false;
-    }
-  }
-  return true;
+const loadStudyMode = () => {
+  const mode = readItem(STUDY_MODE_KEY);
+  return Object.values(STUDY_MODES).includes(mode) ? mode : STUDY_MODES.play;
 };
 
 /**
- * Places a word onto the grid.
- * @param {string} word - The word to place.
- * @param {number} row - Starting row.
- * @param {number} col - Starting column.
- * @param {number} dr - Row change per character.
- * @param {number} dc - Column change per character.
- * @param {Array<Array<string>>} currentGrid - The grid to modify.
- * @returns {Array<Array<string>>} The updated grid.
+ * Reads and removes the shared puzzle code from the page URL, if there is one.
+ * The parameter is removed so that a later reload starts a fresh puzzle.
+ * @returns {string|null} The puzzle code, or null.
  */
-const placeWord = (word, row, col, dr, dc, currentGrid) => {
-  const newGrid = currentGrid.map(arr => [...arr]); // Deep copy to avoid direct mutation
-  for (let i = 0; i < word.length; i++) {
-    const r = row + i * dr;
-    const c = col + i * dc;
-    newGrid[r][c] = word[i];
+const takePuzzleCodeFromUrl = () => {
+  const url = new URL(window.location.href);
+  const code = url.searchParams.get(PUZZLE_URL_PARAM);
+  if (code) {
+    url.searchParams.delete(PUZZLE_URL_PARAM);
+    window.history.replaceState(null, '', url.toString());
   }
-  return newGrid;
+  return code;
 };
 
 /**
- * Generates the word search puzzle grid.
- * @param {Array<string>} words - List of words to hide.
- * @returns {{grid: Array<Array<string>>, hiddenWords: Object}} Generated grid and hidden word locations.
+ * Describes the first puzzle to offer: the default language's pack at the default difficulty,
+ * bringing back the learner's words that are due for review.
+ * @param {Array<Object>} packs - The loaded language packs.
+ * @param {Object} progress - The learner's progress (see progress.js).
+ * @returns {Object|null} A puzzle spec, or null if no packs loaded.
  */
-const generatePuzzle = (words) => {
-  let grid = Array.from({ length: GRID_SIZE }, () => Array(GRID_SIZE).fill(' '));
-  const hiddenWordLocations = {}; // Stores word: array of {r, c} for each letter
-  // Filter out words that are too long for the grid, then sort by length (longest first)
-  const wordsToHide = [...words]
-    .filter(word => word.length <= GRID_SIZE)
-    .sort((a, b) => b.length - a.length);
-
-  let placedCount = 0;
-  wordsToHide.forEach(word => {
-    let placed = false;
-    let attempts = 0;
-    const maxAttempts = GRID_SIZE * GRID_SIZE * DIRECTIONS.length * 2; // Prevent infinite loops
-
-    while (!placed && attempts < maxAttempts) {
-      attempts++;
-      const startRow = Math.floor(Math.random() * GRID_SIZE);
-      const startCol = Math.floor(Math.random() * GRID_SIZE);
-      const direction = DIRECTIONS[Math.floor(Math.random() * DIRECTIONS.length)];
-
-      if (canPlaceWord(word, startRow, startCol, direction.dr, direction.dc, grid)) {
-        grid = placeWord(word, startRow, startCol, direction.dr, direction.dc, grid);
-        placedCount++;
-        // Store precise locations of each letter for validation
-        // FIX: Ensure hiddenWordLocations[word] is initialized as an array before pushing
-        hiddenWordLocations[word] = []; 
-        for (let i = 0; i < word.length; i++) {
-          hiddenWordLocations[word].push({ r: startRow + i * direction.dr, c: startCol + i * direction.dc });
-        }
-        
-        placed = true;
-      }
-    }
-  });
+const createDefaultSpec = (packs, progress) => {
+  const defaultPack = packs.find(pack => pack.language === DEFAULT_LANGUAGE) || packs[0];
+  return defaultPack
+    ? createPuzzleSpec(defaultPack, ALL_CATEGORIES, false, DEFAULT_DIFFICULTY, {
+      ...DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY],
+      reviewWords: getReviewWords(progress, defaultPack.language)
+    })
+    : null;
+};
 
-  console.log(`Successfully placed ${placedCount} out of ${wordsToHide.length} words.`);
+/**
+ * Words a graded hint (see requestHint in gameEngine.js).
+ * @param {{word: string, level: number, start: {r: number, c: number}, direction: (string|null)}} hint - The hint feedback.
+ * @returns {{id: string, values: Object}} The message to show (see i18n.js).
+ */
+const describeHint = ({ word, level, start, direction }) => {
+  const values = { word: word.toUpperCase(), position: describeCellPosition(start) };
+  if (level === HINT_LEVELS.firstLetter) return message('hint.firstLetter', values);
+  if (level === HINT_LEVELS.direction && DIRECTIONS.some(d => d.name === direction)) {
+    return message('hint.direction', { ...values, direction: message(`hintDirection.${direction}`) });
+  }
+  return message('hint.wholeWord', values);
+};
 
-  // Fill remaining empty spaces with random Hausa alphabet letters
-  const currentAlphabet = HAUSA_ALPHABET_CHARS; 
+// Message id per engine feedback type, for those without values
+const FEEDBACK_MESSAGES = {
+  'completed': 'feedback.completed',
+  'too-short': 'feedback.tooShort',
+  'not-straight': 'feedback.notStraight',
+  'strayed': 'feedback.strayed',
+  'not-a-word': 'feedback.notAWord',
+  'no-hints': 'feedback.noHints',
+  'all-found': 'feedback.allFound',
+  'message-wrong': 'feedback.messageWrong',
+  'message-revealed': 'feedback.messageRevealed'
+};
 
-  for (let r = 0; r < GRID_SIZE; r++) {
-    for (let c = 0; c < GRID_SIZE; c++) {
-      if (grid[r][c] === ' ') {
-        grid[r][c] = currentAlphabet[Math.floor(Math.random() * currentAlphabet.length)];
-      }
-    }
+/**
+ * Words the game engine's feedback (see gameEngine.js) for the message line.
+ * @param {{type: string, word: (string|undefined)}} feedback - The game state's feedback.
+ * @param {Object} spec - The puzzle spec of the game.
+ * @returns {{id: string, values: Object}} The message to show (see i18n.js).
+ */
+const describeFeedback = (feedback, spec) => {
+  const language = languageName(spec.language);
+  switch (feedback.type) {
+    case 'resumed': return message('feedback.resumed', { language });
+    case 'found': return message('feedback.found', { word: feedback.word.toUpperCase() });
+    case 'hint': return describeHint(feedback);
+    case 'message-solved': return message('feedback.messageSolved', { points: MESSAGE_BONUS_POINTS });
+    default:
+      if (FEEDBACK_MESSAGES[feedback.type]) return message(FEEDBACK_MESSAGES[feedback.type]);
+      return spec.words.length > 0 ? message('feedback.ready', { language }) : message('feedback.noWords');
   }
-
-  return { grid, hiddenWords: hiddenWordLocations };
 };
 
+const NO_GRID = []; // Before the first puzzle is ready; one array, so effects don't rerun
+const NO_CELLS = []; // No cells flashing or spelling the message; one array, so lookups aren't rebuilt
+const NO_WORDS = new Set(); // Nothing found before the first puzzle is ready
+
 // --- React Component ---
+// App wires the game's state to the views: the engine's game comes from usePuzzleGeneration
+// (or the race from useRace), and each part of the screen keeps its own state in a hook or
+// component of its own.
 
 export default function App() {
-  const [selectedLanguage, setSelectedLanguage] = useState('Hausa');
-  const [foundWords, setFoundWords] = useState(new Set()); 
-  const [grid, setGrid] = useState([]);
-  const [wordsToFind, setWordsToFind] = useState([]);
-  const [selectedCells, setSelectedCells] = useState([]);
-  const [isMouseDown, setIsMouseDown] = useState(false); // Used for both mouse and touch
-  const [hiddenWordLocations, setHiddenWordLocations] = useState({});
-  const [currentMessage, setCurrentMessage] = useState('');
-  const [hintsAvailable, setHintsAvailable] = useState(3); // Number of hints
-  const [flashingCells, setFlashingCells] = useState([]); // Cells to flash for hint
+  const [puzzleCodeInput, setPuzzleCodeInput] = useState(''); // Code or link typed into "Load Puzzle"
+  const [customSettings, setCustomSettings] = useState(DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY]); // Edited in the Custom panel
+  const [studyMode, setStudyMode] = useState(loadStudyMode); // Plain words, learn with word cards, or clues
+  const [revealedWord, setRevealedWord] = useState(null); // Found word whose card is shown in learn and clue modes
+  const [currentMessage, setCurrentMessage] = useState(() => message('status.loadingPacks')); // Message descriptor (see i18n.js), worded when shown
   const [showInstructions, setShowInstructions] = useState(false); // State for instructions modal
+  const [showProgress, setShowProgress] = useState(false); // Progress dashboard
+  const [showShapeDialog, setShowShapeDialog] = useState(false); // Loading a shape of the player's own
+  const [wordListStart, setWordListStart] = useState(null); // The word list builder's first fields while it is open
+  const [resumableGame, setResumableGame] = useState(null); // Saved game offered when the page loads
+  const [messageGuess, setMessageGuess] = useState(''); // The player's reading of the hidden message
+  const [playerName, setPlayerName] = useState(''); // For the leaderboard and races
+  const [appUpdate, setAppUpdate] = useState(null); // Service worker registration with a new version waiting
+  const [uiLanguage, setUiLanguage] = useState(loadUiLanguage); // Language of the interface, not the puzzle
+
+  // Seed, language, size and words of the current puzzle, and the game of grid, words and
+  // progress played on it (see gameEngine.js)
+  const { puzzleSpec, setPuzzleSpec, game, dispatch, resumeGame } = usePuzzleGeneration({
+    onNewPuzzle: (resuming) => {
+      setRevealedWord(null);
+      setMessageGuess('');
+      selection.resetSelection();
+      if (!resuming) setCurrentMessage(message('status.building'));
+    },
+    onBuildFailed: () => setCurrentMessage(message('status.buildFailed'))
+  });
+
+  const { languagePacks, packErrors } = useLanguagePacks((packs) => {
+    // A shared link rebuilds the exact puzzle it was made from
+    const sharedCode = takePuzzleCodeFromUrl();
+    if (sharedCode) {
+      try {
+        setPuzzleSpec(decodePuzzleCode(sharedCode));
+        return;
+      } catch (e) {
+        // A broken or out-of-date link starts the game as usual
+      }
+    }
+
+    // Otherwise offer to carry on with an unfinished game before starting a new one
+    const savedGame = loadSavedGame();
+    if (savedGame) {
+      setResumableGame(savedGame);
+      setCurrentMessage(null);
+      return;
+    }
 
-  const gameStateRef = useRef({
-    grid: [],
-    hiddenWordLocations: {},
-    wordsToFind: [],
-    foundWords: new Set()
+    // Or start with the default language's pack when there is one
+    const defaultSpec = createDefaultSpec(packs, loadProgress());
+    if (defaultSpec) {
+      setPuzzleSpec(defaultSpec);
+    } else {
+      setCurrentMessage(message('status.noPacks'));
+    }
+  });
+
+  // The race the player is in, if any: its grid and words stand in for the game's
+  const {
+    race, racePlayerId, raceDraft, setRaceDraft, openRaceDialog, closeRaceDialog, hostRace, joinRace, startRace, claimCells, leaveRace
+  } = useRace({
+    onNotice: setCurrentMessage,
+    onClaimRejected: (feedback) => setCurrentMessage(message(FEEDBACK_MESSAGES[feedback.type] || 'feedback.notAWord')),
+    onJoined: () => selection.resetSelection()
   });
 
-  // Ref to the grid element to calculate cell positions for touch events
-  const gridRef = useRef(null);
+  const learnerProgress = useLearnerProgress(game); // Each word's box and next review; see progress.js
+  useSavedGame(game);
+
+  const t = useMemo(() => createTranslator(uiLanguage), [uiLanguage]);
+
+  const selectedPack = puzzleSpec ? languagePacks.find(pack => pack.id === puzzleSpec.packId) || null : null;
+  const selectedLanguage = puzzleSpec ? puzzleSpec.language : DEFAULT_LANGUAGE;
+  const useDigraphCells = puzzleSpec ? puzzleSpec.digraphCells : false; // Keep digraphs like 'sh' or 'gb' in one cell
+  const useHiddenMessage = puzzleSpec ? Boolean(puzzleSpec.message) : false; // Spell a saying in the leftover cells
+  const gridShape = puzzleSpec && puzzleSpec.shape ? puzzleSpec.shape : DEFAULT_SHAPE; // Draw the grid in a circle, a heart...
+  const difficultyId = puzzleSpec ? puzzleSpec.difficultyId : DEFAULT_DIFFICULTY;
+  // In a race the grid and words come from the race server, and the player's own game waits
+  const isRacing = Boolean(race);
+  const grid = isRacing ? race.grid : game ? game.grid : NO_GRID;
+  const wordsToFind = isRacing ? race.words : game ? game.wordsToFind : [];
+  // Claimed words, rebuilt only when the race changes, so the word list and grid aren't redrawn on every render
+  const raceFoundWords = useMemo(() => (race ? new Set(race.claims.map(claim => claim.word)) : null), [race]);
+  const foundWords = isRacing ? raceFoundWords : game ? game.foundWords : NO_WORDS;
+  const unplacedWords = game && !isRacing ? game.unplacedWords : [];
+  const hintsAvailable = game && !isRacing ? game.hintsAvailable : 0;
+  // Derived from the game and pack only, so a drag across the grid (which re-renders on every
+  // pointer move) doesn't recount the score or rebuild the word cards
+  const score = useMemo(() => (game ? calculateScore(game) : null), [game]);
+  const flashingCells = game && !isRacing && game.activeHint ? game.activeHint.cells : NO_CELLS; // Cells to flash for hint
+  // The hidden message's cells light up once it has been read or shown
+  const messageCells = game && !isRacing && game.messageStatus ? game.messageCells : NO_CELLS;
+  // Found words as capsules to draw on the grid; in a race, claims in their finder's colour
+  const foundCapsules = useMemo(() => (race
+    ? getColouredClaims(race)
+    : game ? [...game.foundWords].map(word => ({ word, cells: game.hiddenWords[word] || [], colour: FOUND_COLOUR })) : []
+  ), [race, game]);
+  const wordCards = useMemo(() => getWordCards(selectedPack), [selectedPack]); // Gloss, picture and audio per word, when the pack has them
+  const isStudying = studyMode !== STUDY_MODES.play;
+  const revealedCard = revealedWord ? { word: revealedWord, ...wordCards[revealedWord] } : null;
+  const isWordListPuzzle = Boolean(puzzleSpec) && puzzleSpec.packId === CUSTOM_LIST_PACK_ID;
+
+  // Selecting words on the grid, checked by the game engine or, in a race, the race server
+  const selection = useSelection({
+    grid,
+    directions: isRacing ? race.directions : game ? game.spec.directions : [],
+    isPaused: flashingCells.length > 0,
+    onSubmit: (cells) => (isRacing ? claimCells(cells) : dispatch({ type: 'select', cells })),
+    onNotice: setCurrentMessage
+  });
 
-  useEffect(() => {
-    // Update ref whenever state changes
-    gameStateRef.current = { grid, hiddenWordLocations, wordsToFind, foundWords };
-  }, [grid, hiddenWordLocations, wordsToFind, foundWords]);
+  const results = useResults(game); // The results screen and its leaderboard
+  const daily = useDailyPuzzle({
+    game,
+    languagePacks,
+    t,
+    onStart: (spec) => {
+      results.setShowResults(false);
+      setPuzzleSpec(spec);
+    },
+    onNotice: setCurrentMessage
+  });
 
+  // The hidden message's answer box, focused from the results screen
+  const messageInputRef = useRef(null);
 
-  // --- Game Initialization / Language Change ---
+  // Put the engine's feedback into words whenever it changes
+  const feedback = game ? game.feedback : null;
+  const gameSpec = game ? game.spec : null;
   useEffect(() => {
-    // Reset game state when language changes
-    setFoundWords(new Set());
-    setSelectedCells([]);
-    setIsMouseDown(false);
-    setHintsAvailable(3); // Reset hints for new game
-    setFlashingCells([]); // Clear any flashing cells
-
-    const wordsForSelectedLanguage = WORD_LISTS[selectedLanguage] || WORD_LISTS['Hausa']; // Fallback
-    
-    const { grid: newGrid, hiddenWords: newHiddenWordLocations } = generatePuzzle(wordsForSelectedLanguage);
-    
-    setGrid(newGrid);
-    setWordsToFind(Object.keys(newHiddenWordLocations).sort());
-    setHiddenWordLocations(newHiddenWordLocations);
-    setCurrentMessage(`Find all the hidden ${selectedLanguage} words!`);
-  }, [selectedLanguage]); // Regenerate puzzle when language changes
-
-  // --- User Interaction Logic (Unified for Mouse & Touch) ---
+    if (feedback) setCurrentMessage(describeFeedback(feedback, gameSpec));
+  }, [feedback, gameSpec]);
 
-  /**
-   * Starts selection on a cell.
-   * @param {number} r - Row index.
-   * @param {number} c - Column index.
-   */
-  const startSelection = (r, c) => {
-    if (flashingCells.length > 0) return; 
-    setIsMouseDown(true);
-    setSelectedCells([{ r, c }]);
+  // In learn and clue modes, show each word's card as it is found and say it
+  useEffect(() => {
+    if (!isStudying || !feedback || (feedback.type !== 'found' && feedback.type !== 'completed')) return;
+    setRevealedWord(feedback.word);
+    const pack = languagePacks.find(p => p.id === gameSpec.packId) || null;
+    playPronunciation(feedback.word, getWordCards(pack)[feedback.word], gameSpec.language);
+  }, [feedback, gameSpec, languagePacks, isStudying]);
+
+  // Count playing time while there are words left to find
+  const isPlaying = Boolean(game) && !isRacing && !isComplete(game);
+  useGameTimer(dispatch, isPlaying, gameSpec);
+
+  // Stop flashing a hint after a delay
+  const activeHint = game ? game.activeHint : null;
+  useEffect(() => {
+    if (!activeHint) return;
+    const timer = setTimeout(() => dispatch({ type: 'clearHint' }), HINT_FLASH_MS);
+    return () => clearTimeout(timer);
+  }, [activeHint, dispatch]);
+
+  // --- Resuming and Restarting ---
+  const handleResumeGame = () => {
+    resumeGame(resumableGame);
+    setResumableGame(null);
   };
 
-  /**
-   * Adds a cell to the current selection.
-   * @param {number} r - Row index.
-   * @param {number} c - Column index.
-   */
-  const addCellToSelection = (r, c) => {
-    if (!isMouseDown) return;
-
-    const newCell = { r, c };
-    const isCellAlreadySelected = selectedCells.some(
-      cell => cell.r === newCell.r && cell.c === newCell.c
-    );
-    if (!isCellAlreadySelected) {
-      setSelectedCells(prev => [...prev, newCell]);
-    }
+  const handleDiscardSavedGame = () => {
+    clearSavedGame();
+    setResumableGame(null);
+    const defaultSpec = createDefaultSpec(languagePacks, learnerProgress);
+    if (defaultSpec) setPuzzleSpec(defaultSpec);
   };
 
   /**
-   * Ends selection and triggers word validation.
+   * Creates a new puzzle from a pack with the current cell mode and grid shape, hiding a
+   * saying in it too if the current puzzle has one. Words due for review come back first.
+   * @param {Object} pack - The language pack.
+   * @param {string} categoryId - Category to draw words from.
+   * @param {string} newDifficultyId - Difficulty preset, or CUSTOM_DIFFICULTY.
+   * @param {Object} settings - Grid size, word count and directions.
+   * @param {string|Object} [shape=gridShape] - The grid's shape (see shapes.js).
+   * @returns {Object} The puzzle spec.
    */
-  const endSelection = () => {
-    setIsMouseDown(false);
-    if (selectedCells.length > 1) {
-      validateSelection();
-    }
-    setSelectedCells([]);
-  };
-
-  // --- Mouse Handlers ---
-  const handleMouseDown = (r, c) => startSelection(r, c);
-  const handleMouseEnter = (r, c) => addCellToSelection(r, c);
-  const handleMouseUp = () => endSelection();
-  const handleMouseLeaveGrid = () => isMouseDown && endSelection(); // End selection if mouse leaves grid area
-
-  // --- Touch Handlers ---
-  const handleTouchStart = (e, r, c) => {
-    // ONLY prevent default if starting a new selection on the grid
-    // This allows taps on other elements to register naturally
-    if (flashingCells.length === 0) { // Only prevent if we intend to start a grid interaction
-      e.preventDefault(); 
-    }
-    startSelection(r, c);
+  const createPackSpec = (pack, categoryId, newDifficultyId, settings, shape = gridShape) => {
+    const reviewWords = getReviewWords(learnerProgress, pack.language);
+    const spec = createPuzzleSpec(pack, categoryId, useDigraphCells, newDifficultyId, { ...settings, shape, reviewWords });
+    return useHiddenMessage ? addHiddenMessage(spec, pack) : spec;
   };
 
-  const handleTouchMove = (e) => {
-    if (!isMouseDown) return;
-    e.preventDefault(); // ALWAYS prevent default browser scrolling while dragging on the grid
-
-    const touch = e.touches[0];
-    // Use the gridRef to calculate the position relative to the grid
-    if (gridRef.current) {
-        const gridRect = gridRef.current.getBoundingClientRect();
-        const cellSize = gridRect.width / GRID_SIZE; // Assuming square cells
-
-        // Calculate row/col based on touch position relative to grid
-        const col = Math.floor((touch.clientX - gridRect.left) / cellSize);
-        const row = Math.floor((touch.clientY - gridRect.top) / cellSize);
-
-        // Ensure calculated row/col are within grid bounds
-        if (row >= 0 && row < GRID_SIZE && col >= 0 && col < GRID_SIZE) {
-            const lastCell = selectedCells[selectedCells.length - 1];
-            if (!lastCell || row !== lastCell.r || col !== lastCell.c) {
-                addCellToSelection(row, col);
-            }
-        }
+  const handleRestart = () => {
+    results.setShowResults(false);
+    // A fresh puzzle with the same pack, category, difficulty and cell mode
+    if (selectedPack) {
+      const settings = getDifficultySettings(difficultyId, customSettings);
+      setPuzzleSpec(createPackSpec(selectedPack, puzzleSpec.categoryId, difficultyId, settings));
+    } else if (puzzleSpec) {
+      // Shared puzzles can use a pack this copy doesn't have; reshuffle the same words instead
+      setPuzzleSpec({ ...puzzleSpec, seed: createSeed() });
     }
   };
 
-  const handleTouchEnd = (e) => {
-    // Only prevent default if we were in the middle of a grid selection
-    if (isMouseDown) { // Check if a selection was active
-        e.preventDefault(); 
-    }
-    endSelection();
-  };
+  // --- Race Mode ---
+  // The race itself is kept by useRace; the player's own game waits until they leave.
 
-  /**
-   * Validates the currently selected cells against the hidden words.
-   */
-  const validateSelection = () => {
-    const { grid, hiddenWordLocations, wordsToFind, foundWords } = gameStateRef.current;
-    if (selectedCells.length === 0) return;
+  const handleOpenRaceDialog = () => openRaceDialog(playerName);
 
-    const startCell = selectedCells[0];
-    const endCell = selectedCells[selectedCells.length - 1];
-    const len = selectedCells.length;
+  const handleHostRace = () => {
+    setPlayerName(raceDraft.name); // Also offered for the leaderboard
+    hostRace(encodePuzzleCode(puzzleSpec));
+  };
 
-    let pathCells = []; // This will hold the "ideal" straight path
-    let selectedWord = '';
+  const handleJoinRace = () => {
+    setPlayerName(raceDraft.name);
+    joinRace();
+  };
 
-    // Determine the ideal path and reconstruct the word from it
-    if (len === 1) { // A single cell cannot form a word
-      setCurrentMessage("Please select at least two letters to form a word!");
-      return;
-    } else {
-        const dr_total = endCell.r - startCell.r;
-        const dc_total = endCell.c - startCell.c;
-
-        let isStraight = false;
-
-        // Horizontal, Vertical, or 45-degree Diagonal
-        if (dr_total === 0 || dc_total === 0 || Math.abs(dr_total) === Math.abs(dc_total)) {
-            // Calculate step size (e.g., 1 or -1)
-            const stepR = dr_total === 0 ? 0 : dr_total / Math.abs(dr_total);
-            const stepC = dc_total === 0 ? 0 : dc_total / Math.abs(dc_total);
-            
-            // Reconstruct the ideal straight path
-            for (let i = 0; i < len; i++) {
-                const r = startCell.r + i * stepR;
-                const c = startCell.c + i * stepC;
-                pathCells.push({ r, c });
-            }
-            isStraight = true;
-        }
-
-        if (!isStraight) {
-            setCurrentMessage("Selection must be in a straight line (horizontal, vertical, or 45-degree diagonal)!");
-            return;
-        }
-
-        // Now, verify that all cells in the actual `selectedCells` array are precisely on this `pathCells`
-        const pathSet = new Set(pathCells.map(cell => `${cell.r},${cell.c}`));
-        const actualSelectedSet = new Set(selectedCells.map(cell => `${cell.r},${cell.c}`));
-
-        if (pathSet.size !== actualSelectedSet.size || ![...actualSelectedSet].every(cellStr => pathSet.has(cellStr))) {
-            setCurrentMessage("Your selection strayed from a precise straight line. Try again!");
-            return;
-        }
-
-        // If it's a valid straight line, reconstruct the word from pathCells (correct order)
-        for (const cell of pathCells) {
-            selectedWord += grid[cell.r][cell.c];
-        }
-        selectedWord = selectedWord.toLowerCase();
-    }
+  const handleLeaveRace = () => {
+    leaveRace();
+    selection.resetSelection();
+    setCurrentMessage(game ? describeFeedback({ type: 'ready' }, game.spec) : null);
+  };
 
+  // --- Custom Word Lists ---
+
+  const handleOpenWordListBuilder = () => {
+    // Start from the current list when editing one, otherwise from the current settings
+    setWordListStart({
+      name: '',
+      language: selectedLanguage,
+      text: isWordListPuzzle ? puzzleSpec.words.join('\n') : '',
+      difficultyId,
+      digraphCells: useDigraphCells
+    });
+  };
 
-    let foundMatch = false;
+  const handleCreateWordListPuzzle = (spec) => {
+    setPuzzleSpec(spec);
+    setWordListStart(null);
+    results.setShowResults(false);
+  };
 
-    // Check against hidden words
-    for (const word of wordsToFind) {
-      const hiddenLocs = hiddenWordLocations[word];
-      if (!hiddenLocs) continue;
+  // --- App Updates ---
+  useEffect(() => onServiceWorkerUpdate(setAppUpdate), []);
 
-      let actualHiddenWord = '';
-      // It's crucial that `actualHiddenWord` is reconstructed in a consistent order
-      // to match how `selectedWord` is constructed (from start to end of drag).
-      // The `hiddenLocs` already store the word's cells in placement order.
-      for (const loc of hiddenLocs) {
-        actualHiddenWord += grid[loc.r][loc.c];
-      }
-      actualHiddenWord = actualHiddenWord.toLowerCase();
-      
-      const hiddenSet = new Set(hiddenLocs.map(c => `${c.r},${c.c}`));
-      const selectedSet = new Set(selectedCells.map(c => `${c.r},${c.c}`)); // Use original selected cells for this check
-
-      const isExactMatchByCells = selectedSet.size === hiddenSet.size && 
-                                  [...selectedSet].every(cellStr => hiddenSet.has(cellStr));
-
-      // Check both forward and reverse of the selected word
-      if (isExactMatchByCells && (selectedWord === actualHiddenWord || selectedWord === actualHiddenWord.split('').reverse().join('')) && !foundWords.has(word)) {
-        setFoundWords(prev => new Set(prev).add(word));
-        setCurrentMessage(`'${word.toUpperCase()}' found! Great job!`);
-        foundMatch = true;
-        break;
-      }
+  // --- Puzzle Selection and Sharing ---
+  const handlePackChange = (packId) => {
+    const pack = languagePacks.find(p => p.id === packId);
+    if (pack) {
+      const settings = getDifficultySettings(difficultyId, customSettings);
+      setPuzzleSpec(createPackSpec(pack, ALL_CATEGORIES, difficultyId, settings));
     }
+  };
 
-    if (!foundMatch && selectedCells.length > 1) {
-      setCurrentMessage("Not a hidden word, or already found. Try again!");
+  const handleCategoryChange = (categoryId) => {
+    if (selectedPack) {
+      const settings = getDifficultySettings(difficultyId, customSettings);
+      setPuzzleSpec(createPackSpec(selectedPack, categoryId, difficultyId, settings));
     }
   };
 
+  const handleDifficultyChange = (newDifficultyId) => {
+    if (selectedPack) {
+      const settings = getDifficultySettings(newDifficultyId, customSettings);
+      setPuzzleSpec(createPackSpec(selectedPack, puzzleSpec.categoryId, newDifficultyId, settings));
+    }
+  };
 
-  /**
-   * Helper to determine if a cell is currently part of the active selection.
-   * @param {number} r - Row index.
-   * @param {number} c - Column index.
-   * @returns {boolean} True if selected, false otherwise.
-   */
-  const isCellSelected = (r, c) => {
-    return selectedCells.some(cell => cell.r === r && cell.c === c);
+  const handleShapeChange = (shape) => {
+    if (selectedPack) {
+      // New words, as some may not fit the shape
+      const settings = getDifficultySettings(difficultyId, customSettings);
+      setPuzzleSpec(createPackSpec(selectedPack, puzzleSpec.categoryId, difficultyId, settings, shape));
+    } else if (puzzleSpec) {
+      // Own word lists and shared puzzles keep their words
+      setPuzzleSpec(prev => withGridShape(prev, shape));
+    }
   };
 
-  /**
-   * Helper to determine if a cell is part of a word that has been found.
-   * @param {number} r - Row index.
-   * @param {number} c - Column index.
-   * @returns {boolean} True if part of a found word, false otherwise.
-   */
-  const isCellFound = (r, c) => {
-    for (const word of foundWords) {
-      const locations = hiddenWordLocations[word];
-      if (locations && locations.some(loc => loc.r === r && loc.c === c)) {
-        return true;
-      }
+  const handleApplyCustomSettings = () => {
+    const settings = normalizeCustomSettings(customSettings);
+    setCustomSettings(settings); // Show the clamped values back to the player
+    if (selectedPack) {
+      setPuzzleSpec(createPackSpec(selectedPack, puzzleSpec.categoryId, CUSTOM_DIFFICULTY, settings));
     }
-    return false;
   };
 
-  /**
-   * Helper to determine if a cell is currently flashing for a hint.
-   * @param {number} r - Row index.
-   * @param {number} c - Column index.
-   * @returns {boolean} True if flashing, false otherwise.
-   */
-  const isCellFlashing = (r, c) => {
-    return flashingCells.some(cell => cell.r === r && cell.c === c);
+  const handleUiLanguageChange = (code) => {
+    setUiLanguage(code);
+    saveUiLanguage(code);
   };
 
-  // Check for game completion
-  useEffect(() => {
-    if (wordsToFind.length > 0 && foundWords.size === wordsToFind.length) {
-      setCurrentMessage("Congratulations! You found all the words!");
-    }
-  }, [foundWords, wordsToFind]);
+  const handleStudyModeChange = (mode) => {
+    setStudyMode(mode);
+    writeItem(STUDY_MODE_KEY, mode); // If refused, it is still used for this visit
+  };
 
-  // --- Hint Logic ---
-  const handleGetHint = () => {
-    if (hintsAvailable <= 0) {
-      setCurrentMessage("No hints left! Keep searching!");
-      return;
-    }
+  const handleDigraphCellsChange = (digraphCells) => {
+    // Keep the same seed and words so only the cell mode changes
+    setPuzzleSpec(prev => ({ ...prev, digraphCells }));
+  };
 
-    const unfoundWords = wordsToFind.filter(word => !foundWords.has(word));
-    if (unfoundWords.length === 0) {
-      setCurrentMessage("All words already found! No need for hints!");
+  const handleHiddenMessageChange = (enabled) => {
+    if (!enabled) {
+      setPuzzleSpec(prev => removeHiddenMessage(prev));
       return;
     }
-
-    const wordToHint = unfoundWords[Math.floor(Math.random() * unfoundWords.length)];
-    const locations = hiddenWordLocations[wordToHint];
-
-    if (locations) {
-      setFlashingCells(locations); // Start flashing
-      setCurrentMessage(`Hint: The word '${wordToHint.toUpperCase()}' is flashing!`);
-
-      // Stop flashing after a delay
-      setTimeout(() => {
-        setFlashingCells([]);
-        setHintsAvailable(prev => prev - 1);
-        // Reset message if it was only a hint message
-        if (currentMessage.includes("Hint:")) {
-             setCurrentMessage(`Find all the hidden ${selectedLanguage} words!`);
-        }
-      }, 2000); // Flash for 2 seconds
+    // Same seed and words, with a saying in the leftover cells if one fits
+    const spec = addHiddenMessage(puzzleSpec, selectedPack);
+    if (spec.message) {
+      setPuzzleSpec(spec);
     } else {
-      setCurrentMessage("Hmm, couldn't find a hint for some reason. Try again!");
+      setCurrentMessage(message('status.noHiddenMessage'));
     }
   };
 
-  // --- AdSense Ad Unit Rendering (Important: Placeholder IDs) ---
-  useEffect(() => {
-    // Check if AdSense script is loaded and if adsbygoogle array exists
-    if (window.adsbygoogle && typeof window.adsbygoogle.push === 'function') {
-      try {
-        // Push the ad unit to load
-        (window.adsbygoogle = window.adsbygoogle || []).push({});
-      } catch (e) {
-        console.error("AdSense push error:", e);
-      }
-    } else {
-      console.warn("AdSense script not yet loaded or window.adsbygoogle is not available.");
-      // You might want to retry loading ads after a short delay
-      // or ensure the main AdSense script in index.html is loaded first.
+  const handleFindMessage = () => {
+    results.setShowResults(false);
+    if (messageInputRef.current) messageInputRef.current.focus();
+  };
+
+  const handleGuessMessage = (event) => {
+    event.preventDefault();
+    dispatch({ type: 'guessMessage', text: messageGuess });
+  };
+
+  const handleSharePuzzle = async () => {
+    const url = new URL(window.location.href);
+    url.searchParams.set(PUZZLE_URL_PARAM, encodePuzzleCode(puzzleSpec));
+    try {
+      await navigator.clipboard.writeText(url.toString());
+      setCurrentMessage(message('status.linkCopied'));
+    } catch (e) {
+      // Clipboard access can be blocked; show the link so it can be copied by hand
+      setCurrentMessage(message('status.shareLink', { url: url.toString() }));
     }
-  }, [selectedLanguage]); // Reload ad on language change (new game)
+  };
 
+  const handleLoadPuzzleCode = () => {
+    try {
+      setPuzzleSpec(decodePuzzleCode(puzzleCodeInput));
+      setPuzzleCodeInput('');
+    } catch (e) {
+      setCurrentMessage(message(`puzzleCode.${e.reason || 'invalid'}`));
+    }
+  };
+
+  // --- Hint Logic ---
+  // Without a word, the engine carries on with the word already being hinted, or picks one
+  const handleGetHint = (word) => dispatch({ type: 'hint', roll: Math.random(), word });
+
+  // Screen readers and hyphenation follow the interface language
+  useEffect(() => {
+    document.documentElement.lang = uiLanguage;
+  }, [uiLanguage]);
   return (
     <div
       // Set min-h-screen to ensure it takes full viewport height.
       // Removed overflow-hidden from here to allow natural scrolling if content is too tall.
       className="min-h-screen bg-gradient-to-br from-purple-800 to-indigo-900 text-white font-inter flex flex-col items-center p-4"
-      onMouseLeave={handleMouseLeaveGrid} // Mouse leave is fine here
-      // Removed onTouchCancel and onTouchEnd from the root div
     >
       <h1 className="text-5xl font-bold mb-6 text-yellow-300 drop-shadow-lg text-center">
-        {selectedLanguage} Word Search
+        {t('app.title', { language: languageName(selectedLanguage) })}
       </h1>
-      <p className="text-xl mb-6 text-gray-200 text-center px-4">{currentMessage}</p>
+      {/* Announced by screen readers whenever it changes */}
+      <p role="status" aria-live="polite" aria-atomic="true" className="text-xl mb-6 text-gray-200 text-center px-4">{currentMessage && t(currentMessage.id, currentMessage.values)}</p>
+
+      {/* Clock and Score */}
+      {game && !isRacing && (
+        <div className="mb-6 flex flex-wrap justify-center gap-6 text-lg font-semibold">
+          <span>{t('stats.time')} <span className="text-yellow-300 tabular-nums">{formatDuration(game.elapsedMs)}</span></span>
+          <span>{t('stats.score')} <span className="text-yellow-300 tabular-nums">{score.total}</span></span>
+          <span>{t('stats.found')} <span className="text-yellow-300">{foundWords.size} / {wordsToFind.length}</span></span>
+          {game.spec.daily && daily.dailyStreak && (
+            <span>{t('stats.daily', { date: game.spec.daily })} <span className="text-yellow-300">{t('daily.streak', { count: daily.dailyStreak.current })}</span></span>
+          )}
+        </div>
+      )}
+
+      {/* Race Room and Scoreboard, and the final ranking once it's over */}
+      {race && <RaceRoom race={race} playerId={racePlayerId} onStart={startRace} onLeave={handleLeaveRace} t={t} />}
+
+      {/* New Version Prompt */}
+      {appUpdate && (
+        <div role="alert" className="mb-6 w-full max-w-2xl bg-blue-900 border-2 border-blue-400 rounded-lg p-4 flex flex-col sm:flex-row items-center justify-between gap-4">
+          <p>{t('update.available')}</p>
+          <div className="flex gap-2 flex-shrink-0">
+            <button
+              onClick={() => applyServiceWorkerUpdate(appUpdate)}
+              className="px-4 py-2 bg-yellow-500 text-purple-900 font-bold rounded-full shadow-md hover:bg-yellow-400 transition-all duration-300 ease-in-out"
+            >
+              {t('update.now')}
+            </button>
+            <button
+              onClick={() => setAppUpdate(null)}
+              className="px-4 py-2 bg-blue-500 text-white font-semibold rounded-full shadow-md hover:bg-blue-400 transition-all duration-300 ease-in-out"
+            >
+              {t('update.later')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Word packs that failed to load or validate */}
+      {packErrors.length > 0 && (
+        <div role="alert" className="mb-6 w-full max-w-2xl bg-red-900 border-2 border-red-400 rounded-lg p-4 text-left text-sm">
+          <p className="font-semibold mb-2">{t('packErrors.title')}</p>
+          <ul className="list-disc list-inside space-y-1">
+            {packErrors.flatMap(error => (error.problems ? error.problems.map(problem => describePackProblem(problem, t)) : [error.message]).map((problem, i) => (
+              <li key={`${error.source}-${i}`}>{error.source ? `${error.source}: ` : ''}{problem}</li>
+            )))}
+          </ul>
+        </div>
+      )}
 
       {/* Language Selector and How to Play Button */}
-      <div className="mb-8 flex flex-col sm:flex-row items-center space-y-4 sm:space-y-0 sm:space-x-4">
-        <label htmlFor="language-select" className="text-lg font-semibold">Select Language:</label>
+      <div className="mb-8 flex flex-col sm:flex-row sm:flex-wrap justify-center items-center gap-4">
+        <label htmlFor="language-select" className="text-lg font-semibold">{t('controls.language')}</label>
         <select
           id="language-select"
-          value={selectedLanguage}
-          onChange={(e) => setSelectedLanguage(e.target.value)}
+          value={puzzleSpec ? puzzleSpec.packId : ''}
+          onChange={(e) => handlePackChange(e.target.value)}
+          disabled={languagePacks.length === 0}
+          className="p-2 rounded-md bg-purple-700 border-2 border-yellow-400 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500 cursor-pointer"
+        >
+          {languagePacks.map(pack => (
+            <option key={pack.id} value={pack.id}>{pack.name}</option>
+          ))}
+          {isWordListPuzzle && <option value={CUSTOM_LIST_PACK_ID}>{t('controls.ownWordList', { language: languageName(selectedLanguage) })}</option>}
+        </select>
+        {selectedPack && (
+          <>
+            <label htmlFor="category-select" className="text-lg font-semibold">{t('controls.category')}</label>
+            <select
+              id="category-select"
+              value={puzzleSpec.categoryId}
+              onChange={(e) => handleCategoryChange(e.target.value)}
+              className="p-2 rounded-md bg-purple-700 border-2 border-yellow-400 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500 cursor-pointer"
+            >
+              <option value={ALL_CATEGORIES}>{t('controls.allCategories')}</option>
+              {selectedPack.categories.map(category => (
+                <option key={category.id} value={category.id}>{category.name}</option>
+              ))}
+            </select>
+          </>
+        )}
+        {selectedPack && (
+          <>
+            <label htmlFor="difficulty-select" className="text-lg font-semibold">{t('controls.difficulty')}</label>
+            <select
+              id="difficulty-select"
+              value={difficultyId}
+              onChange={(e) => handleDifficultyChange(e.target.value)}
+              className="p-2 rounded-md bg-purple-700 border-2 border-yellow-400 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500 cursor-pointer"
+            >
+              {Object.keys(DIFFICULTY_PRESETS).map(id => (
+                <option key={id} value={id}>{t(`difficulty.${id}`)}</option>
+              ))}
+              <option value={CUSTOM_DIFFICULTY}>{t('difficulty.custom')}</option>
+            </select>
+          </>
+        )}
+        {puzzleSpec && (
+          <>
+            <label htmlFor="shape-select" className="text-lg font-semibold">{t('controls.shape')}</label>
+            <select
+              id="shape-select"
+              value={isCustomShape(gridShape) ? CUSTOM_SHAPE : gridShape}
+              onChange={(e) => (e.target.value === CUSTOM_SHAPE ? setShowShapeDialog(true) : handleShapeChange(e.target.value))}
+              className="p-2 rounded-md bg-purple-700 border-2 border-yellow-400 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500 cursor-pointer"
+            >
+              {SHAPE_IDS.map(id => (
+                <option key={id} value={id}>{t(`shape.${id}`)}</option>
+              ))}
+              <option value={CUSTOM_SHAPE}>{t('shape.custom')}</option>
+            </select>
+            {isCustomShape(gridShape) && (
+              <button
+                onClick={() => setShowShapeDialog(true)}
+                className="px-3 py-1 bg-purple-600 text-white rounded-full hover:bg-purple-500 transition-all duration-300 ease-in-out"
+              >
+                {t('controls.editShape')}
+              </button>
+            )}
+          </>
+        )}
+        {getLanguage(selectedLanguage).digraphs.length > 0 && (
+          <label className="flex items-center space-x-2 text-lg cursor-pointer">
+            <input
+              type="checkbox"
+              checked={useDigraphCells}
+              onChange={(e) => handleDigraphCellsChange(e.target.checked)}
+              className="w-5 h-5 accent-yellow-400 cursor-pointer"
+            />
+            <span>{t('controls.digraphCells', { digraphs: getLanguage(selectedLanguage).digraphs.join(', ') })}</span>
+          </label>
+        )}
+        {selectedPack && selectedPack.phrases.length > 0 && (
+          <label className="flex items-center space-x-2 text-lg cursor-pointer">
+            <input
+              type="checkbox"
+              checked={useHiddenMessage}
+              onChange={(e) => handleHiddenMessageChange(e.target.checked)}
+              className="w-5 h-5 accent-yellow-400 cursor-pointer"
+            />
+            <span>{t('controls.hiddenMessage')}</span>
+          </label>
+        )}
+        <label htmlFor="selection-mode-select" className="text-lg font-semibold">{t('controls.selectBy')}</label>
+        <select
+          id="selection-mode-select"
+          value={selection.selectionMode}
+          onChange={(e) => selection.changeSelectionMode(e.target.value)}
+          className="p-2 rounded-md bg-purple-700 border-2 border-yellow-400 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500 cursor-pointer"
+        >
+          <option value={SELECTION_MODES.drag}>{t('controls.selectByDrag')}</option>
+          <option value={SELECTION_MODES.tap}>{t('controls.selectByTap')}</option>
+        </select>
+        <label htmlFor="study-mode-select" className="text-lg font-semibold">{t('controls.studyMode')}</label>
+        <select
+          id="study-mode-select"
+          value={studyMode}
+          onChange={(e) => handleStudyModeChange(e.target.value)}
           className="p-2 rounded-md bg-purple-700 border-2 border-yellow-400 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500 cursor-pointer"
         >
-          {Object.keys(WORD_LISTS).map(lang => (
-            <option key={lang} value={lang}>{lang}</option>
+          <option value={STUDY_MODES.play}>{t('controls.studyPlay')}</option>
+          <option value={STUDY_MODES.learn}>{t('controls.studyLearn')}</option>
+          <option value={STUDY_MODES.clues}>{t('controls.studyClues')}</option>
+        </select>
+        <label htmlFor="ui-language-select" className="text-lg font-semibold">{t('controls.uiLanguage')}</label>
+        <select
+          id="ui-language-select"
+          value={uiLanguage}
+          onChange={(e) => handleUiLanguageChange(e.target.value)}
+          className="p-2 rounded-md bg-purple-700 border-2 border-yellow-400 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500 cursor-pointer"
+        >
+          {Object.entries(UI_LANGUAGES).map(([code, name]) => (
+            <option key={code} value={code} lang={code}>{name}</option>
           ))}
         </select>
         <button
           onClick={() => setShowInstructions(true)}
           className="px-4 py-2 bg-blue-500 text-white font-semibold rounded-full shadow-md hover:bg-blue-400 transition-all duration-300 ease-in-out transform hover:scale-105"
         >
-          How to Play
+          {t('controls.howToPlay')}
+        </button>
+        <button
+          onClick={handleOpenWordListBuilder}
+          className="px-4 py-2 bg-green-600 text-white font-semibold rounded-full shadow-md hover:bg-green-500 transition-all duration-300 ease-in-out transform hover:scale-105"
+        >
+          {t(isWordListPuzzle ? 'controls.editWordList' : 'controls.useOwnWords')}
+        </button>
+        <button
+          onClick={() => daily.playDaily(selectedLanguage)}
+          className="px-4 py-2 bg-orange-500 text-white font-semibold rounded-full shadow-md hover:bg-orange-400 transition-all duration-300 ease-in-out transform hover:scale-105"
+        >
+          {t('controls.daily')}
+        </button>
+        <button
+          onClick={() => setShowProgress(true)}
+          className="px-4 py-2 bg-teal-600 text-white font-semibold rounded-full shadow-md hover:bg-teal-500 transition-all duration-300 ease-in-out transform hover:scale-105"
+        >
+          {t('controls.progress')}
+        </button>
+        <button
+          onClick={handleOpenRaceDialog}
+          disabled={isRacing}
+          className="px-4 py-2 bg-pink-600 text-white font-semibold rounded-full shadow-md hover:bg-pink-500 transition-all duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t('controls.race')}
         </button>
       </div>
 
+      {/* Custom Difficulty Settings */}
+      {difficultyId === CUSTOM_DIFFICULTY && (
+        <CustomSettingsPanel settings={customSettings} onChange={setCustomSettings} onApply={handleApplyCustomSettings} t={t} />
+      )}
+
       <div className="flex flex-col lg:flex-row items-start lg:items-stretch gap-8 w-full max-w-6xl overflow-auto p-2"> {/* Added overflow-auto for content within this div */}
         {/* Word Search Grid */}
-        <div
-          ref={gridRef} // Assign ref to the grid container
-          className="flex-shrink-0 bg-purple-700 border-4 border-yellow-400 rounded-xl shadow-2xl overflow-hidden p-2 flex-grow-0
-                     mx-auto lg:mx-0 word-search-grid-container" /* Center grid on small screens, added touch-action class */
-          onMouseUp={handleMouseUp}
-          onTouchMove={handleTouchMove} /* Added touch move handler to grid container */
-          onTouchEnd={handleTouchEnd}   /* Moved touch end handler to grid container */
-          onTouchCancel={handleTouchEnd} /* Moved touch cancel handler to grid container */
-        >
-          {grid.map((row, rowIndex) => (
-            <div key={rowIndex} className="flex">
-              {row.map((char, colIndex) => (
-                <div
-                  key={`${rowIndex}-${colIndex}`}
-                  data-row={rowIndex} /* Added for touch event lookup */
-                  data-col={colIndex} /* Added for touch event lookup */
-                  className={`
-                    w-8 h-8 md:w-10 md:h-10 lg:w-12 lg:h-12 flex items-center justify-center
-                    text-lg md:text-xl lg:text-2xl font-bold cursor-pointer select-none
-                    border border-purple-600
-                    ${isCellFound(rowIndex, colIndex) ? 'bg-green-500 text-white animate-pulse' : ''}
-                    ${isCellSelected(rowIndex, colIndex) && !isCellFound(rowIndex, colIndex) && !isCellFlashing(rowIndex, colIndex) ? 'bg-blue-400 text-white' : ''}
-                    ${isCellFlashing(rowIndex, colIndex) ? 'bg-yellow-300 text-purple-900 animate-pulse-hint' : ''}
-                    ${!isCellSelected(rowIndex, colIndex) && !isCellFound(rowIndex, colIndex) && !isCellFlashing(rowIndex, colIndex) ? 'hover:bg-purple-500' : ''}
-                    rounded-sm
-                  `}
-                  onMouseDown={() => handleMouseDown(rowIndex, colIndex)}
-                  onMouseEnter={() => handleMouseEnter(rowIndex, colIndex)}
-                  onTouchStart={(e) => handleTouchStart(e, rowIndex, colIndex)} /* Added touch start */
-                  // onTouchMove and onTouchEnd are handled by the parent grid container (gridRef)
-                >
-                  {char.toUpperCase()}
-                </div>
-              ))}
-            </div>
-          ))}
-        </div>
+        <Grid
+          grid={grid}
+          selection={selection}
+          foundCapsules={foundCapsules}
+          flashingCells={flashingCells}
+          messageCells={messageCells}
+          t={t}
+        />
 
         {/* Words to Find List */}
         <div className="flex-grow bg-purple-700 border-4 border-yellow-400 rounded-xl shadow-2xl p-6 lg:w-1/3 w-full">
-          <h2 className="text-3xl font-semibold mb-4 text-yellow-300">Words to Find:</h2>
+          <h2 className="text-3xl font-semibold mb-4 text-yellow-300">{t(studyMode === STUDY_MODES.clues ? 'words.cluesHeading' : 'words.heading')}</h2>
+          {/* Card of the word just found, in learn and clue modes */}
+          {isStudying && revealedCard && (
+            <figure aria-live="polite" className="mb-4 flex items-center gap-4 bg-purple-800 border-2 border-green-400 rounded-lg p-3">
+              {revealedCard.image && <img src={revealedCard.image} alt="" className="w-16 h-16 flex-shrink-0" />}
+              <figcaption className="flex-grow">
+                <span className="block text-2xl font-bold text-green-300">{revealedCard.word.toUpperCase()}</span>
+                {revealedCard.gloss && <span className="block text-gray-200">{revealedCard.gloss}</span>}
+              </figcaption>
+              {canPlayPronunciation(revealedCard, selectedLanguage) && (
+                <button
+                  onClick={() => playPronunciation(revealedCard.word, revealedCard, selectedLanguage)}
+                  aria-label={t('words.hear', { word: revealedCard.word.toUpperCase() })}
+                  className="px-3 py-2 bg-blue-500 text-white rounded-full shadow-md hover:bg-blue-400 transition-all duration-300 ease-in-out"
+                >
+                  <span aria-hidden="true">🔊</span>
+                </button>
+              )}
+            </figure>
+          )}
           <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-2 xl:grid-cols-3 gap-y-2 text-lg">
-            {wordsToFind.map((word) => (
-              <p
-                key={word}
-                className={`
-                  ${foundWords.has(word) ? 'line-through text-gray-400' : 'text-white'}
-                  transition-all duration-300 ease-in-out transform hover:scale-105
-                `}
-              >
-                {word.toUpperCase()}
-              </p>
-            ))}
+            {wordsToFind.map((word) => {
+              const card = wordCards[word];
+              const isFound = foundWords.has(word);
+              // Clue mode shows the meaning or picture until the word is found
+              const showClue = studyMode === STUDY_MODES.clues && !isFound && hasClue(card);
+              return (
+                <div key={word} className="flex items-start gap-1 transition-all duration-300 ease-in-out transform hover:scale-105">
+                  <p className="min-w-0">
+                    {showClue ? (
+                      <span className="flex items-center gap-2 italic">
+                        {card.image && <img src={card.image} alt={card.gloss ? '' : t('words.pictureClue')} className="w-8 h-8 flex-shrink-0" />}
+                        {card.gloss}
+                      </span>
+                    ) : (
+                      <span className={isFound ? 'line-through text-gray-400' : 'text-white'}>{word.toUpperCase()}</span>
+                    )}
+                    {isStudying && isFound && card && card.gloss && (
+                      <span className="block text-sm text-gray-300">{card.gloss}</span>
+                    )}
+                  </p>
+                  {/* Pick this word for the next hint */}
+                  {!isFound && !isRacing && (
+                    <button
+                      onClick={() => handleGetHint(word)}
+                      disabled={hintsAvailable <= 0}
+                      aria-label={showClue
+                        ? t('words.hintForClue', { clue: card.gloss || t('words.picture') })
+                        : t('words.hintFor', { word: word.toUpperCase() })}
+                      title={t('words.hintTitle')}
+                      className="flex-shrink-0 px-1 text-sm rounded-full opacity-70 hover:opacity-100 disabled:opacity-30 disabled:cursor-not-allowed"
+                    >
+                      <span aria-hidden="true">💡</span>
+                    </button>
+                  )}
+                </div>
+              );
+            })}
           </div>
-          {/* Hint Button */}
-          <button
-            onClick={handleGetHint}
-            disabled={hintsAvailable <= 0 || foundWords.size === wordsToFind.length}
-            className="mt-6 px-6 py-3 bg-blue-500 text-white font-bold rounded-full shadow-lg hover:bg-blue-400 transition-all duration-300 ease-in-out transform hover:scale-105 active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed w-full"
-          >
-            Get Hint ({hintsAvailable} left)
-          </button>
+          {/* Words the generator couldn't fit */}
+          {unplacedWords.length > 0 && (
+            <div className="mt-4 text-sm text-yellow-200">
+              <p className="font-semibold">{t('words.leftOut')}</p>
+              <ul className="list-disc list-inside">
+                {unplacedWords.map(({ word, reason }) => (
+                  <li key={word}>{word.toUpperCase()}: {t(`placementFailure.${reason}`)}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {/* Bonus round: read the saying in the leftover letters */}
+          {game && !isRacing && hasHiddenMessage(game) && isComplete(game) && (
+            <section aria-labelledby="message-title" className="mt-6 p-4 rounded-lg bg-purple-900 border-2 border-yellow-400 text-left">
+              <h3 id="message-title" className="text-xl font-semibold text-yellow-300 mb-2">{t('message.title')}</h3>
+              {game.messageStatus ? (
+                <>
+                  <p lang={getLanguage(game.spec.language).code} className="text-2xl font-bold">{game.spec.message.text}</p>
+                  {game.spec.message.translation && (
+                    <p className="mt-1 text-gray-200">
+                      <span className="sr-only">{t('message.translation')} </span>
+                      <span className="italic">{game.spec.message.translation}</span>
+                    </p>
+                  )}
+                </>
+              ) : (
+                <form onSubmit={handleGuessMessage} className="space-y-3">
+                  <p className="text-sm text-gray-200">{t('message.intro', { language: languageName(game.spec.language) })}</p>
+                  <p className="font-mono text-lg tracking-widest">
+                    <span aria-hidden="true">
+                      {getMessageWordLengths(game.spec.message.text).map(length => '_'.repeat(length)).join('  ')}
+                    </span>
+                    <span className="sr-only">
+                      {t('message.pattern', { counts: getMessageWordLengths(game.spec.message.text).join(', ') })}
+                    </span>
+                  </p>
+                  <div className="flex space-x-2">
+                    <label htmlFor="message-guess-input" className="sr-only">{t('message.guessLabel')}</label>
+                    <input
+                      id="message-guess-input"
+                      ref={messageInputRef}
+                      type="text"
+                      lang={getLanguage(game.spec.language).code}
+                      value={messageGuess}
+                      onChange={(e) => setMessageGuess(e.target.value)}
+                      placeholder={t('message.guessLabel')}
+                      autoComplete="off"
+                      className="flex-grow min-w-0 p-2 rounded-md bg-purple-800 border-2 border-yellow-400 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                    />
+                    <button
+                      type="submit"
+                      disabled={messageGuess.trim() === ''}
+                      className="px-4 py-2 bg-green-600 text-white font-semibold rounded-full shadow-md hover:bg-green-500 transition-all duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {t('message.check')}
+                    </button>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => dispatch({ type: 'revealMessage' })}
+                    className="text-sm text-yellow-200 underline hover:text-yellow-300"
+                  >
+                    {t('message.reveal')}
+                  </button>
+                </form>
+              )}
+            </section>
+          )}
+          {/* A race has no hints, and its puzzle is the host's to share */}
+          {!isRacing && (
+            <>
+            {/* Hint Button */}
+            <button
+              onClick={() => handleGetHint()}
+              disabled={!game || hintsAvailable <= 0 || isComplete(game)}
+              className="mt-6 px-6 py-3 bg-blue-500 text-white font-bold rounded-full shadow-lg hover:bg-blue-400 transition-all duration-300 ease-in-out transform hover:scale-105 active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed w-full"
+            >
+              {t('hint.button', { count: hintsAvailable, points: POINTS_PER_HINT })}
+            </button>
+
+            {/* Share / Load Puzzle */}
+            <div className="mt-6 space-y-3">
+              <button
+                onClick={handleSharePuzzle}
+                disabled={!puzzleSpec}
+                className="px-6 py-2 bg-green-600 text-white font-semibold rounded-full shadow-md hover:bg-green-500 transition-all duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed w-full"
+              >
+                {t('share.button')}
+              </button>
+              <div className="flex space-x-2">
+                <label htmlFor="puzzle-code-input" className="sr-only">{t('share.codeLabel')}</label>
+                <input
+                  id="puzzle-code-input"
+                  type="text"
+                  value={puzzleCodeInput}
+                  onChange={(e) => setPuzzleCodeInput(e.target.value)}
+                  placeholder={t('share.codePlaceholder')}
+                  className="flex-grow min-w-0 p-2 rounded-md bg-purple-800 border-2 border-yellow-400 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                />
+                <button
+                  onClick={handleLoadPuzzleCode}
+                  disabled={puzzleCodeInput.trim() === ''}
+                  className="px-4 py-2 bg-blue-500 text-white font-semibold rounded-full shadow-md hover:bg-blue-400 transition-all duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {t('share.load')}
+                </button>
+              </div>
+            </div>
+
+            {/* Printable Worksheets */}
+            <WorksheetPanel game={game} languagePacks={languagePacks} customSettings={customSettings} onNotice={setCurrentMessage} t={t} />
+            </>
+          )}
         </div>
       </div>
       
-      {/* Google AdSense Display Ad Unit */}
-      {/* IMPORTANT: Replace 'data-ad-slot="XXXXXXXXXX"' with your actual AdSense ad unit slot ID */}
-      <div className="my-8 w-full max-w-lg bg-gray-800 p-4 rounded-lg shadow-md text-center">
-        <p className="text-gray-300 mb-2 text-sm">Advertisement</p>
-        <ins className="adsbygoogle"
-            style={{ display: 'block', width: '100%', height: '300px' }} // Adjust size as needed
-            data-ad-client="ca-pub-XXXXXXXXXXXXXXXX" // Your publisher ID (from index.html)
-            data-ad-slot="XXXXXXXXXX"></ins> {/* Your specific ad unit slot ID */}
-      </div>
+      {/* Ad, after the player's consent; never in the school build */}
+      {AdSlot && (
+        <Suspense fallback={null}>
+          <AdSlot t={t} />
+        </Suspense>
+      )}
 
       {/* Restart Button */}
-      <button 
-        onClick={() => window.location.reload()} 
-        className="mt-8 px-6 py-3 bg-yellow-500 text-purple-900 font-bold rounded-full shadow-lg hover:bg-yellow-400 transition-all duration-300 ease-in-out transform hover:scale-105 active:scale-95"
+      <button
+        onClick={handleRestart}
+        disabled={!puzzleSpec}
+        className="mt-8 px-6 py-3 bg-yellow-500 text-purple-900 font-bold rounded-full shadow-lg hover:bg-yellow-400 transition-all duration-300 ease-in-out transform hover:scale-105 active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed"
       >
-        Restart Game
+        {t('restart')}
       </button>
 
       {/* Copyright Notice */}
       <footer className="mt-8 text-center text-gray-400 text-sm">
-        Copyright &copy; {new Date().getFullYear()} IconView Tech Ent. All rights reserved.
+        {t('footer.copyright', { year: new Date().getFullYear() })}
       </footer>
 
-      {/* Instructions Modal */}
-      {showInstructions && (
-        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
-          <div className="bg-purple-800 border-4 border-yellow-400 rounded-xl shadow-2xl p-6 max-w-lg w-full max-h-[90vh] overflow-y-auto text-center relative"> {/* MODIFIED: p-6, max-h-[90vh], overflow-y-auto */}
-            <button
-              onClick={() => setShowInstructions(false)}
-              className="absolute top-4 right-4 text-white text-3xl font-bold hover:text-yellow-300 transition-colors"
-            >
-              &times;
-            </button>
-            <h2 className="text-4xl font-bold mb-6 text-yellow-300">How to Play</h2>
-            <div className="text-left text-base text-gray-200 space-y-4"> {/* MODIFIED: text-base for instructions content */}
-              <p>Welcome to the {selectedLanguage} Word Search game! Your goal is to find all the hidden words in the grid.</p>
-              <ol className="list-decimal list-inside space-y-2">
-                <li>**Select Language:** Choose your preferred language from the dropdown.</li>
-                <li>**Find Words:** Look for the words listed on the right side of the screen within the letter grid.</li>
-                <li>**Highlight:** To select a word, click and hold your mouse (or tap and drag your finger) on the first letter, then drag it in a **straight line** (horizontally, vertically, or diagonally) to the last letter of the word. Release the mouse button or lift your finger to confirm your selection.</li>
-                <li>**Validation:** If your selection matches a hidden word, it will be marked as found, and the cells will turn green.</li>
-                <li>**Hints:** If you get stuck, use the "Get Hint" button. It will temporarily flash an unfound word on the grid. You have a limited number of hints!</li>
-                <li>**Completion:** The game is completed when all words in the list are found.</li>
-              </ol>
-              <p className="mt-4 text-center">Have fun and improve your vocabulary!</p>
+      {/* Results Screen */}
+      {results.showResults && game && (
+        <ResultsDialog
+          game={game}
+          score={score}
+          results={results}
+          daily={daily}
+          playerName={playerName}
+          onPlayerNameChange={setPlayerName}
+          onFindMessage={handleFindMessage}
+          onRestart={handleRestart}
+          t={t}
+        />
+      )}
+
+      {/* Resume Saved Game Prompt */}
+      {resumableGame && (
+        <div role="dialog" aria-modal="true" aria-labelledby="resume-title" className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+          <div className="bg-purple-800 border-4 border-yellow-400 rounded-xl shadow-2xl p-6 max-w-md w-full text-center">
+            <h2 id="resume-title" className="text-3xl font-bold mb-4 text-yellow-300">{t('resume.title')}</h2>
+            <p className="text-lg text-gray-200 mb-6">
+              {t('resume.text', {
+                language: languageName(resumableGame.spec.language),
+                found: resumableGame.foundWords.size,
+                count: resumableGame.wordsToFind.length
+              })}
+            </p>
+            <div className="flex flex-col sm:flex-row gap-4 justify-center">
+              <button
+                onClick={handleResumeGame}
+                className="px-6 py-3 bg-yellow-500 text-purple-900 font-bold rounded-full shadow-lg hover:bg-yellow-400 transition-all duration-300 ease-in-out"
+              >
+                {t('resume.resume')}
+              </button>
+              <button
+                onClick={handleDiscardSavedGame}
+                className="px-6 py-3 bg-blue-500 text-white font-bold rounded-full shadow-lg hover:bg-blue-400 transition-all duration-300 ease-in-out"
+              >
+                {t('resume.new')}
+              </button>
             </div>
           </div>
         </div>
       )}
 
+      {/* Host or Join a Race */}
+      {raceDraft && (
+        <RaceDialog
+          raceDraft={raceDraft}
+          onDraftChange={setRaceDraft}
+          canHost={Boolean(puzzleSpec)}
+          onHost={handleHostRace}
+          onJoin={handleJoinRace}
+          onClose={closeRaceDialog}
+          t={t}
+        />
+      )}
+
+      {/* Custom Shape */}
+      {showShapeDialog && (
+        <ShapeDialog
+          t={t}
+          shape={isCustomShape(gridShape) ? gridShape : null}
+          onApply={(shape) => {
+            setShowShapeDialog(false);
+            handleShapeChange(shape);
+          }}
+          onClose={() => setShowShapeDialog(false)}
+        />
+      )}
+
+      {/* Custom Word List Builder */}
+      {wordListStart && (
+        <WordListBuilder
+          initialDraft={wordListStart}
+          customSettings={customSettings}
+          shape={gridShape}
+          onCreate={handleCreateWordListPuzzle}
+          onClose={() => setWordListStart(null)}
+          t={t}
+        />
+      )}
+
+      {/* Instructions Modal */}
+      {showInstructions && <InstructionsDialog language={selectedLanguage} onClose={() => setShowInstructions(false)} t={t} />}
+
+      {/* Progress Dashboard */}
+      {showProgress && (
+        <ProgressDialog progress={learnerProgress} languagePacks={languagePacks} onClose={() => setShowProgress(false)} t={t} />
+      )}
+
       {/* Custom CSS for flashing hint (needs to be in index.css for actual build) */}
       <style>
         {`
@@ -656,6 +1033,11 @@ export default function App() {
           .animate-pulse-hint {
             animation: pulse-hint 1s ease-in-out infinite;
           }
+          @media (prefers-reduced-motion: reduce) {
+            .animate-pulse, .animate-pulse-hint {
+              animation: none;
+            }
+          }
         `}
       </style>
     </div>
@@ -1,8 +1,482 @@
-import { render, screen } from '@testing-library/react';
+import fs from 'fs';
+import path from 'path';
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
 import App from './App';
+import { applySelection, createGame } from './gameEngine';
+import { SAVED_GAME_KEY, saveGame } from './savedGame';
+import { getDateKey } from './dates';
+import { addRacePlayer, claimRaceWord, createRace, getRaceView, startRace } from './race';
 
-test('renders learn react link', () => {
+const PACKS_DIR = path.join(__dirname, '..', 'public', 'packs');
+
+beforeEach(() => {
+  window.localStorage.clear();
+  // Serve the shipped packs the way the dev server would
+  global.fetch = jest.fn(async (url) => {
+    const file = path.join(PACKS_DIR, url.split('/').pop());
+    return fs.existsSync(file)
+      ? { ok: true, status: 200, json: async () => JSON.parse(fs.readFileSync(file, 'utf8')) }
+      : { ok: false, status: 404 };
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('builds a Hausa puzzle from the shipped packs', async () => {
+  render(<App />);
+  expect(screen.getByRole('heading', { name: 'Hausa Word Search' })).toBeInTheDocument();
+  expect(await screen.findByText('Find all the hidden Hausa words!', {}, { timeout: 5000 })).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Words to Find:' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /Get Hint \(3 left/ })).toBeEnabled();
+});
+
+// A tiny saved Yoruba game with 'ilé' across the top (already found) and 'owó' across the middle
+const saveYorubaGame = (specChanges = {}) => saveGame(applySelection(createGame(
+  { seed: 1, language: 'Yoruba', words: ['ilé', 'owó'], packId: 'yoruba-core', categoryId: 'all', difficultyId: 'easy', digraphCells: false, ...specChanges },
+  {
+    grid: [['i', 'l', 'é'], ['o', 'w', 'ó'], ['a', 'b', 'd']],
+    hiddenWords: {
+      'ilé': [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }],
+      'owó': [{ r: 1, c: 0 }, { r: 1, c: 1 }, { r: 1, c: 2 }]
+    }
+  }
+), [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }]));
+
+const resumeYorubaGame = async (specChanges) => {
+  saveYorubaGame(specChanges);
+  render(<App />);
+  expect(await screen.findByText(/unfinished Yoruba puzzle/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Resume Puzzle' }));
+  await screen.findByText('Welcome back! Carry on finding the hidden Yoruba words.');
+};
+
+test('offers to resume a saved game and restores it', async () => {
+  await resumeYorubaGame();
+  expect(screen.getByText('ILÉ')).toHaveClass('line-through');
+  expect(screen.getByText('OWÓ')).not.toHaveClass('line-through');
+});
+
+test('saves the game when the page is hidden, not on every tick of the clock', async () => {
+  await resumeYorubaGame();
+  const setItem = jest.spyOn(Storage.prototype, 'setItem');
+  const savedGameWrites = () => setItem.mock.calls.filter(([key]) => key === SAVED_GAME_KEY);
+  try {
+    await act(() => new Promise(resolve => setTimeout(resolve, 1100)));
+    expect(savedGameWrites()).toHaveLength(0);
+
+    fireEvent(window, new Event('pagehide'));
+    expect(savedGameWrites()).toHaveLength(1);
+    expect(JSON.parse(savedGameWrites()[0][1]).game.elapsedMs).toBeGreaterThan(0);
+  } finally {
+    setItem.mockRestore();
+  }
+});
+
+test('plays with the keyboard and announces the result', async () => {
+  await resumeYorubaGame();
+  const grid = screen.getByRole('grid');
+  const firstCell = screen.getByRole('gridcell', { name: 'I, row 1, column 1, found' });
+  expect(firstCell).toHaveAttribute('tabindex', '0');
+
+  firstCell.focus();
+  fireEvent.keyDown(grid, { key: 'ArrowDown' });
+  const start = screen.getByRole('gridcell', { name: 'O, row 2, column 1' });
+  expect(start).toHaveFocus();
+
+  fireEvent.keyDown(grid, { key: 'Enter' });
+  expect(screen.getByRole('status')).toHaveTextContent('First letter marked at row 2, column 1.');
+  fireEvent.keyDown(grid, { key: 'End' });
+  expect(screen.getByRole('gridcell', { name: 'W, row 2, column 2' })).toHaveAttribute('aria-selected', 'true');
+  fireEvent.keyDown(grid, { key: ' ' });
+
+  expect(screen.getByRole('status')).toHaveTextContent('Congratulations! You found all the words!');
+});
+
+test('draws found words and the selection as capsules across their cells', async () => {
+  await resumeYorubaGame();
+  const grid = screen.getByRole('grid');
+  expect(screen.getByTestId('found-ilé')).toHaveAttribute('x2', '2.5');
+  expect(screen.queryByTestId('selection')).not.toBeInTheDocument();
+
+  screen.getByRole('gridcell', { name: /^I, row 1, column 1/ }).focus();
+  fireEvent.keyDown(grid, { key: 'ArrowDown' });
+  fireEvent.keyDown(grid, { key: 'Enter' });
+  expect(screen.getByTestId('selection')).toHaveAttribute('x2', '0.5');
+  fireEvent.keyDown(grid, { key: 'End' });
+  expect(screen.getByTestId('selection')).toHaveAttribute('x2', '2.5');
+  expect(screen.getByTestId('selection')).toHaveAttribute('y2', '1.5');
+
+  fireEvent.keyDown(grid, { key: 'Enter' });
+  expect(screen.getByTestId('found-owó')).toHaveAttribute('y1', '1.5');
+  expect(screen.queryByTestId('selection')).not.toBeInTheDocument();
+});
+
+test('selects a word by tapping its first and last letter', async () => {
+  await resumeYorubaGame();
+  fireEvent.change(screen.getByLabelText('Select words by:'), { target: { value: 'tap' } });
+
+  fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'Ó, row 2, column 3' }), { button: 0 });
+  expect(screen.getByRole('status')).toHaveTextContent('First letter marked at row 2, column 3. Now tap the last letter.');
+  fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'O, row 2, column 1' }), { button: 0 });
+
+  expect(screen.getByRole('status')).toHaveTextContent('Congratulations! You found all the words!');
+  expect(window.localStorage.getItem('wordSearch.selectionMode')).toBe('tap');
+});
+
+test('brings back words due for review and shows mastery per category', async () => {
+  const due = { box: 0, due: '2026-01-01', plays: 1, hinted: 0, missed: 1, lastPlayed: '2026-01-01' };
+  window.localStorage.setItem('wordSearch.progress', JSON.stringify({
+    version: 1,
+    languages: { Hausa: { ruwa: due, kifi: due, gida: due, iska: due } }
+  }));
+  render(<App />);
+  await screen.findByText('Find all the hidden Hausa words!', {}, { timeout: 5000 });
+  ['RUWA', 'KIFI', 'GIDA', 'ISKA'].forEach(word => expect(screen.getByText(word)).toBeInTheDocument());
+
+  fireEvent.click(screen.getByRole('button', { name: 'My Progress' }));
+  const dashboard = screen.getByRole('dialog', { name: 'My Progress' });
+  const hausa = within(dashboard).getByRole('region', { name: 'Hausa' });
+  expect(hausa).toHaveTextContent('0 of 72 words mastered, 4 due for practice');
+  const food = within(hausa).getByRole('row', { name: /Food and drink/ });
+  expect(within(food).getByText('2 of 6')).toBeInTheDocument();
+  expect(within(dashboard).queryByRole('region', { name: 'Yoruba' })).not.toBeInTheDocument();
+  fireEvent.click(within(dashboard).getByRole('button', { name: 'Close progress' }));
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('records how each word went when a puzzle is finished', async () => {
+  await resumeYorubaGame();
+  fireEvent.click(screen.getByRole('button', { name: 'My Progress' }));
+  expect(screen.getByText(/Nothing yet/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Close progress' }));
+
+  fireEvent.change(screen.getByLabelText('Select words by:'), { target: { value: 'tap' } });
+  fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'O, row 2, column 1' }), { button: 0 });
+  fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'Ó, row 2, column 3' }), { button: 0 });
+  expect(screen.getByRole('status')).toHaveTextContent('Congratulations! You found all the words!');
+
+  fireEvent.click(screen.getByRole('button', { name: 'My Progress' }));
+  const yoruba = screen.getByRole('region', { name: 'Yoruba' });
+  expect(yoruba).toHaveTextContent('0 of 54 words mastered, 0 due for practice');
+  expect(within(within(yoruba).getByRole('row', { name: /Town and society/ })).getByText('1 of 8')).toBeInTheDocument();
+});
+
+test('says each word as its card is shown in learn mode, and again on request', async () => {
+  // No clips in the shipped packs, so the device's Yoruba voice says the word
+  window.speechSynthesis = { getVoices: () => [{ lang: 'yo-NG' }], cancel: jest.fn(), speak: jest.fn() };
+  window.SpeechSynthesisUtterance = function SpeechSynthesisUtterance(text) { this.text = text; };
+  await resumeYorubaGame();
+  fireEvent.change(screen.getByLabelText('Word list:'), { target: { value: 'learn' } });
+  fireEvent.change(screen.getByLabelText('Select words by:'), { target: { value: 'tap' } });
+  fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'O, row 2, column 1' }), { button: 0 });
+  fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'Ó, row 2, column 3' }), { button: 0 });
+  expect(window.speechSynthesis.speak).toHaveBeenCalledWith(expect.objectContaining({ text: 'owó' }));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Hear OWÓ' }));
+  expect(window.speechSynthesis.speak).toHaveBeenCalledTimes(2);
+  delete window.speechSynthesis;
+  delete window.SpeechSynthesisUtterance;
+});
+
+test('builds a puzzle from a pasted word list', async () => {
+  render(<App />);
+  await screen.findByText('Find all the hidden Hausa words!', {}, { timeout: 5000 });
+  fireEvent.click(screen.getByRole('button', { name: 'Use Your Own Words' }));
+
+  fireEvent.change(screen.getByLabelText(/^Words/), { target: { value: 'Ido\nido, kunne\nquiz' } });
+  expect(screen.getByText('2 words are ready to hide.')).toBeInTheDocument();
+  expect(screen.getByText(/ido: Listed more than once/)).toBeInTheDocument();
+  expect(screen.getByText('quiz: Uses letters outside the Hausa alphabet: q.')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Make Puzzle' }));
+  expect(await screen.findByText('Find all the hidden Hausa words!', {}, { timeout: 5000 })).toBeInTheDocument();
+  expect(screen.getByText('IDO')).toBeInTheDocument();
+  expect(screen.getByText('KUNNE')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Edit Word List' })).toBeInTheDocument();
+});
+
+test('clue mode shows meanings until each word is found, then its card', async () => {
+  window.localStorage.setItem('wordSearch.studyMode', 'clues');
+  // 'ojú' (eye) across the top and 'etí' (ear) across the middle, from the Yoruba pack
+  saveGame(createGame(
+    { seed: 1, language: 'Yoruba', words: ['ojú', 'etí'], packId: 'yoruba-core', categoryId: 'body', difficultyId: 'easy', digraphCells: false },
+    {
+      grid: [['o', 'j', 'ú'], ['e', 't', 'í'], ['a', 'b', 'd']],
+      hiddenWords: {
+        'ojú': [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }],
+        'etí': [{ r: 1, c: 0 }, { r: 1, c: 1 }, { r: 1, c: 2 }]
+      }
+    }
+  ));
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Resume Puzzle' }));
+  await screen.findByText('Welcome back! Carry on finding the hidden Yoruba words.');
+
+  expect(screen.getByRole('heading', { name: 'Clues:' })).toBeInTheDocument();
+  expect(screen.getByText('eye')).toBeInTheDocument();
+  expect(screen.getByText('ear')).toBeInTheDocument();
+  expect(screen.queryByText('OJÚ')).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Select words by:'), { target: { value: 'tap' } });
+  fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'O, row 1, column 1' }), { button: 0 });
+  fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'Ú, row 1, column 3' }), { button: 0 });
+
+  expect(screen.getByRole('status')).toHaveTextContent("'OJÚ' found!");
+  // Revealed in the list and on the card
+  expect(screen.getAllByText('OJÚ')).toHaveLength(2);
+  expect(screen.getAllByText('eye')).toHaveLength(2);
+});
+
+test('hints build up on the word the player picks', async () => {
+  await resumeYorubaGame();
+  fireEvent.click(screen.getByRole('button', { name: 'Hint for OWÓ' }));
+  expect(screen.getByRole('status')).toHaveTextContent("Hint: 'OWÓ' starts at the flashing letter, row 2, column 1.");
+  expect(screen.getByRole('gridcell', { name: 'O, row 2, column 1, hint' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /Get Hint/ }));
+  expect(screen.getByRole('status')).toHaveTextContent("Hint: 'OWÓ' starts at row 2, column 1 and runs right.");
+  expect(screen.getByRole('gridcell', { name: 'W, row 2, column 2, hint' })).toBeInTheDocument();
+  expect(screen.getByRole('gridcell', { name: 'Ó, row 2, column 3' })).toBeInTheDocument();
+});
+
+test('starts today\'s daily puzzle for the language', async () => {
+  render(<App />);
+  await screen.findByText('Find all the hidden Hausa words!', {}, { timeout: 5000 });
+  fireEvent.click(screen.getByRole('button', { name: 'Daily Puzzle' }));
+  expect(await screen.findByText('Find all the hidden Hausa words!', {}, { timeout: 5000 })).toBeInTheDocument();
+  expect(screen.getByText(`Daily ${getDateKey()}:`)).toBeInTheDocument();
+  expect(screen.getByText('🔥 0-day streak')).toBeInTheDocument();
+});
+
+test('finishing a daily puzzle counts towards the streak and shares the result', async () => {
+  const today = getDateKey();
+  window.localStorage.setItem('wordSearch.daily', JSON.stringify({
+    version: 1,
+    streaks: { Yoruba: { lastDate: getDateKey(new Date(Date.now() - 24 * 60 * 60 * 1000)), current: 2, best: 2 } }
+  }));
+  const writeText = jest.fn(() => Promise.resolve());
+  Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+
+  await resumeYorubaGame({ daily: today });
+  fireEvent.change(screen.getByLabelText('Select words by:'), { target: { value: 'tap' } });
+  fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'O, row 2, column 1' }), { button: 0 });
+  fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'Ó, row 2, column 3' }), { button: 0 });
+
+  const results = screen.getByRole('dialog');
+  expect(results).toHaveTextContent(`Daily puzzle for ${today}: 🔥 3-day streak (best 3)`);
+  fireEvent.click(screen.getByRole('button', { name: 'Share Result' }));
+  expect(await screen.findByText('Result copied! Paste it into a message to share it.')).toBeInTheDocument();
+  expect(writeText).toHaveBeenCalledWith(expect.stringContaining(`Yoruba Word Search · Daily ${today}\n🟩🟩\n`));
+  expect(writeText.mock.calls[0][0]).not.toMatch(/owó|ilé/i);
+  delete navigator.clipboard;
+});
+
+test('reads the hidden message in the leftover letters for a bonus', async () => {
+  // 'ilé' (found) and 'owó' across the top rows, and the saying 'Ìwà' across the bottom
+  saveGame(applySelection(createGame(
+    { seed: 1, language: 'Yoruba', words: ['ilé', 'owó'], packId: 'yoruba-core', categoryId: 'all', difficultyId: 'easy',
+      digraphCells: false, rows: 3, cols: 3, directions: ['horizontal_right'], message: { text: 'Ìwà', translation: 'Character' } },
+    {
+      grid: [['i', 'l', 'é'], ['o', 'w', 'ó'], ['ì', 'w', 'à']],
+      hiddenWords: {
+        'ilé': [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }],
+        'owó': [{ r: 1, c: 0 }, { r: 1, c: 1 }, { r: 1, c: 2 }]
+      },
+      messageCells: [{ r: 2, c: 0 }, { r: 2, c: 1 }, { r: 2, c: 2 }]
+    }
+  ), [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }]));
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Resume Puzzle' }));
+  await screen.findByText('Welcome back! Carry on finding the hidden Yoruba words.');
+  expect(screen.getByRole('checkbox', { name: 'Hidden message' })).toBeChecked();
+  expect(screen.queryByRole('heading', { name: 'Hidden Message' })).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Select words by:'), { target: { value: 'tap' } });
+  fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'O, row 2, column 1' }), { button: 0 });
+  fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'Ó, row 2, column 3' }), { button: 0 });
+  fireEvent.click(within(screen.getByRole('dialog', { name: 'Puzzle Complete!' })).getByRole('button', { name: 'Read the Hidden Message' }));
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+
+  const answer = screen.getByRole('textbox', { name: 'The hidden message' });
+  expect(answer).toHaveFocus();
+  expect(screen.getByText('Letters in each word: 3')).toBeInTheDocument();
+  fireEvent.change(answer, { target: { value: 'iwo' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Check' }));
+  expect(screen.getByRole('status')).toHaveTextContent('Not quite.');
+
+  fireEvent.change(answer, { target: { value: 'IWA' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Check' }));
+  expect(screen.getByRole('status')).toHaveTextContent('Well read! That\'s the hidden message: +50 points.');
+  expect(screen.getByRole('dialog', { name: 'Puzzle Complete!' })).toHaveTextContent('Hidden message+50');
+  expect(screen.getByText('Ìwà')).toBeInTheDocument();
+  expect(screen.getByText('Character')).toBeInTheDocument();
+  expect(screen.getByRole('gridcell', { name: 'Ì, row 3, column 1, hidden message' })).toBeInTheDocument();
+});
+
+test('plays a shaped grid, skipping the gaps, and builds puzzles in other shapes', async () => {
+  // A diamond: 'owó' across the middle, with the corners outside the shape
+  saveGame(createGame(
+    { seed: 1, language: 'Yoruba', words: ['owó'], packId: 'yoruba-core', categoryId: 'all', difficultyId: 'easy',
+      digraphCells: false, rows: 3, cols: 3, directions: ['horizontal_right'], shape: 'diamond' },
+    {
+      grid: [['', 'x', ''], ['o', 'w', 'ó'], ['', 'y', '']],
+      hiddenWords: { 'owó': [{ r: 1, c: 0 }, { r: 1, c: 1 }, { r: 1, c: 2 }] }
+    }
+  ));
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Resume Puzzle' }));
+  await screen.findByText('Welcome back! Carry on finding the hidden Yoruba words.');
+  expect(screen.getByLabelText('Shape:')).toHaveValue('diamond');
+  expect(screen.getAllByRole('gridcell')).toHaveLength(5);
+
+  // The cursor starts on the first cell in the shape and steps over the gaps
+  const grid = screen.getByRole('grid');
+  expect(screen.getByRole('gridcell', { name: 'X, row 1, column 2' })).toHaveAttribute('tabindex', '0');
+  screen.getByRole('gridcell', { name: 'X, row 1, column 2' }).focus();
+  fireEvent.keyDown(grid, { key: 'ArrowLeft' });
+  expect(screen.getByRole('gridcell', { name: 'X, row 1, column 2' })).toHaveFocus();
+  fireEvent.keyDown(grid, { key: 'ArrowDown' });
+  fireEvent.keyDown(grid, { key: 'Home' });
+  expect(screen.getByRole('gridcell', { name: 'O, row 2, column 1' })).toHaveFocus();
+  fireEvent.keyDown(grid, { key: 'Enter' });
+  fireEvent.keyDown(grid, { key: 'End' });
+  fireEvent.keyDown(grid, { key: 'Enter' });
+  expect(screen.getByRole('status')).toHaveTextContent('Congratulations! You found all the words!');
+
+  fireEvent.change(screen.getByLabelText('Shape:'), { target: { value: 'circle' } });
+  await screen.findByText('Find all the hidden Yoruba words!', {}, { timeout: 5000 });
+  expect(screen.getByLabelText('Shape:')).toHaveValue('circle');
+  await waitFor(() => expect(screen.getAllByRole('gridcell').length).toBeGreaterThan(40));
+  expect(screen.getAllByRole('gridcell').length).toBeLessThan(80);
+});
+
+test('draws the grid in a shape the player loads, checking it as it is typed', async () => {
+  render(<App />);
+  await screen.findByText('Find all the hidden Hausa words!', {}, { timeout: 5000 });
+  const cellCount = screen.getAllByRole('gridcell').length;
+
+  fireEvent.change(screen.getByLabelText('Shape:'), { target: { value: 'custom' } });
+  const dialog = screen.getByRole('dialog', { name: 'Your Own Shape' });
+  const useShape = within(dialog).getByRole('button', { name: 'Use This Shape' });
+  expect(useShape).toBeDisabled();
+  fireEvent.change(within(dialog).getByLabelText('Shape'), { target: { value: '.#.\n#x#' } });
+  expect(within(dialog).getByRole('alert')).toHaveTextContent('Use only # (in the shape), . and spaces (outside it).');
+
+  fireEvent.change(within(dialog).getByLabelText('Drawn as'), { target: { value: 'path' } });
+  fireEvent.change(within(dialog).getByLabelText('Shape'), { target: { value: 'M 0 0 C 1 1 2 2 3 0 Z' } });
+  expect(within(dialog).getByRole('alert')).toHaveTextContent('Only straight lines can be used');
+  fireEvent.change(within(dialog).getByLabelText('Shape'), { target: { value: 'M 0 0 L 10 0 L 5 8 Z' } });
+  expect(within(dialog).queryByRole('alert')).not.toBeInTheDocument();
+  expect(within(dialog).getByRole('img', { name: 'Preview of the shape' })).toBeInTheDocument();
+  fireEvent.click(useShape);
+
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(screen.getByLabelText('Shape:')).toHaveValue('custom');
+  await waitFor(() => expect(screen.getAllByRole('gridcell').length).toBeLessThan(cellCount * 0.7));
+
+  // Editing starts from the shape in use
+  fireEvent.click(screen.getByRole('button', { name: 'Edit Shape' }));
+  expect(within(screen.getByRole('dialog')).getByLabelText('Shape')).toHaveValue('M 0 0 L 10 0 L 5 8 Z');
+});
+
+test('shows the interface in another language without changing the puzzle', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByText('Find all the hidden Hausa words!', {}, { timeout: 5000 });
+  fireEvent.change(screen.getByLabelText('Interface language:'), { target: { value: 'ha' } });
+
+  expect(screen.getByRole('heading', { name: 'Neman Kalmomin Hausa' })).toBeInTheDocument();
+  expect(document.documentElement.lang).toBe('ha');
+  expect(window.localStorage.getItem('wordSearch.uiLanguage')).toBe('ha');
+  expect(screen.getByText('Nemo dukkan kalmomin Hausa da aka ɓoye!')).toBeInTheDocument(); // Reworded, same puzzle
+  expect(screen.getByLabelText('Zaɓi Harshe:')).toHaveValue('hausa-core');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Yadda Ake Wasa' }));
+  const instructions = screen.getByRole('dialog');
+  expect(instructions).not.toHaveTextContent('**');
+  expect(within(instructions).getByText('Zaɓi Harshe:', { selector: 'strong' })).toBeInTheDocument();
+});
+
+// A race server connection the test answers by hand
+class FakeRaceSocket {
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeRaceSocket.last = this;
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {}
+}
+
+test('races another player on the same grid', async () => {
+  const realWebSocket = window.WebSocket;
+  window.WebSocket = FakeRaceSocket;
+  try {
+    await resumeYorubaGame({ rows: 3, cols: 3, directions: ['horizontal_right'] });
+    fireEvent.click(screen.getByRole('button', { name: 'Race Friends' }));
+    const dialog = screen.getByRole('dialog');
+    fireEvent.change(within(dialog).getByLabelText('Your name'), { target: { value: 'Ada' } });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Host a Race on This Puzzle' }));
+    expect(dialog).toHaveTextContent('Connecting to the race server...');
+
+    const socket = FakeRaceSocket.last;
+    const receive = (msg) => act(() => socket.onmessage({ data: JSON.stringify(msg) }));
+    act(() => socket.onopen());
+    expect(socket.sent).toEqual([{ type: 'create', name: 'Ada', puzzleCode: expect.any(String) }]);
+
+    // The server's side of the race, with both words still to find
+    let race = createRace('KQXD', { language: 'Yoruba', words: ['ilé', 'owó'] }, {
+      grid: [['i', 'l', 'é'], ['o', 'w', 'ó'], ['a', 'b', 'd']],
+      hiddenWords: {
+        'ilé': [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }],
+        'owó': [{ r: 1, c: 0 }, { r: 1, c: 1 }, { r: 1, c: 2 }]
+      }
+    });
+    race = addRacePlayer(race, 'p1', 'Ada').race;
+    receive({ type: 'joined', playerId: 'p1', race: getRaceView(race) });
+    expect(screen.getByRole('status')).toHaveTextContent('Tell everyone the room code KQXD');
+    race = addRacePlayer(race, 'p2', '').race;
+    receive({ type: 'race', race: getRaceView(race) });
+    // A player who gave no name goes by their number
+    expect(screen.getByText(/Player 2/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start Race' }));
+    expect(socket.sent[1]).toEqual({ type: 'start' });
+    race = startRace(race, 'p1', 1000).race;
+    receive({ type: 'race', race: getRaceView(race) });
+    expect(screen.getByRole('status')).toHaveTextContent('Go! Find the hidden Yoruba words before anyone else!');
+    expect(screen.queryByRole('button', { name: /Get Hint/ })).not.toBeInTheDocument();
+
+    // Player 2 gets there first
+    race = claimRaceWord(race, 'p2', [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }], 2000).race;
+    receive({ type: 'race', race: getRaceView(race) });
+    expect(screen.getByRole('status')).toHaveTextContent("Player 2 found 'ILÉ'!");
+    expect(screen.getByRole('gridcell', { name: 'L, row 1, column 2, found' })).toBeInTheDocument();
+    expect(screen.getByTestId('found-ilé')).toHaveAttribute('stroke', race.players[1].colour);
+
+    // The player's selection goes to the server to be checked
+    fireEvent.change(screen.getByLabelText('Select words by:'), { target: { value: 'tap' } });
+    fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'O, row 2, column 1' }), { button: 0 });
+    fireEvent.pointerDown(screen.getByRole('gridcell', { name: 'Ó, row 2, column 3' }), { button: 0 });
+    const claim = socket.sent[2];
+    expect(claim).toEqual({ type: 'claim', cells: [{ r: 1, c: 0 }, { r: 1, c: 1 }, { r: 1, c: 2 }] });
+    race = claimRaceWord(race, 'p1', claim.cells, 3000).race;
+    receive({ type: 'claim-result', feedback: { type: 'completed', word: 'owó' } });
+    receive({ type: 'race', race: getRaceView(race) });
+
+    const results = screen.getByRole('dialog', { name: 'Race Over!' });
+    expect(within(results).getAllByRole('listitem').map(item => item.textContent)).toEqual([
+      '1. Player 21 word, 30 points',
+      '2. Ada (you)1 word, 30 points' // Level on points, but Player 2 got there first
+    ]);
+    fireEvent.click(within(results).getByRole('button', { name: 'Leave Race' }));
+    expect(screen.getByText('OWÓ')).not.toHaveClass('line-through'); // The player's own game is back
+  } finally {
+    window.WebSocket = realWebSocket;
+  }
 });
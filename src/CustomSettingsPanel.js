@@ -0,0 +1,81 @@
+import React from 'react';
+import { DIRECTIONS, MAX_GRID_SIZE, MAX_HINTS, MAX_WORD_COUNT, MIN_GRID_SIZE } from './difficulty';
+
+// --- Custom Difficulty ---
+// The grid size, word count and lengths, hints and directions of the custom difficulty.
+// Values are clamped (see normalizeCustomSettings) only when they are applied, so a field
+// can be cleared while it is retyped.
+
+// Number fields: setting, label, lowest and highest value
+const NUMBER_FIELDS = [
+  ['rows', 'custom.rows', MIN_GRID_SIZE, MAX_GRID_SIZE],
+  ['cols', 'custom.cols', MIN_GRID_SIZE, MAX_GRID_SIZE],
+  ['wordCount', 'custom.words', 1, MAX_WORD_COUNT],
+  ['minWordLength', 'custom.minLength', 2, MAX_GRID_SIZE],
+  ['maxWordLength', 'custom.maxLength', 2, MAX_GRID_SIZE],
+  ['hints', 'custom.hints', 0, MAX_HINTS]
+];
+
+/**
+ * The custom difficulty panel.
+ * @param {{settings: Object, onChange: function, onApply: function, t: function}} props -
+ *   settings: The settings as edited; onChange: Called with an update function for them, as
+ *   a state setter is; onApply: Builds a puzzle with them; t: Translate function (see i18n.js).
+ * @returns {JSX.Element} The panel.
+ */
+const CustomSettingsPanel = ({ settings, onChange, onApply, t }) => {
+  const handleFieldChange = (field, value) => {
+    onChange(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleDirectionToggle = (name, enabled) => {
+    onChange(prev => ({
+      ...prev,
+      directions: enabled ? [...prev.directions, name] : prev.directions.filter(d => d !== name)
+    }));
+  };
+
+  return (
+    <div className="mb-8 w-full max-w-2xl bg-purple-700 border-2 border-yellow-400 rounded-xl p-4">
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+        {NUMBER_FIELDS.map(([field, labelId, min, max]) => (
+          <label key={field} className="flex flex-col text-sm font-semibold">
+            {t(labelId)}
+            <input
+              type="number"
+              min={min}
+              max={max}
+              value={settings[field]}
+              onChange={(e) => handleFieldChange(field, e.target.value)}
+              className="mt-1 p-2 rounded-md bg-purple-800 border-2 border-yellow-400 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+            />
+          </label>
+        ))}
+      </div>
+      <fieldset className="mt-4">
+        <legend className="text-sm font-semibold mb-2">{t('custom.directions')}</legend>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+          {DIRECTIONS.map(direction => (
+            <label key={direction.name} className="flex items-center space-x-2 text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                checked={settings.directions.includes(direction.name)}
+                onChange={(e) => handleDirectionToggle(direction.name, e.target.checked)}
+                className="w-4 h-4 accent-yellow-400 cursor-pointer"
+              />
+              <span>{t(`direction.${direction.name}`)}</span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+      <button
+        onClick={onApply}
+        className="mt-4 px-6 py-2 bg-yellow-500 text-purple-900 font-bold rounded-full shadow-md hover:bg-yellow-400 transition-all duration-300 ease-in-out w-full"
+      >
+        {t('custom.apply')}
+      </button>
+    </div>
+  );
+};
+
+export default CustomSettingsPanel;
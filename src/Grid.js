@@ -0,0 +1,158 @@
+import React, { useMemo } from 'react';
+import { cellKey } from './gameEngine';
+import { MASKED_CELL } from './shapes';
+import { describeCellPosition } from './useSelection';
+
+// --- Grid ---
+// A drag on a 30x30 grid changes the selection many times a second, so the grid redraws as
+// little as it can: cells are memoized and get plain values (their states are looked up in
+// Sets), and found words and the selection are drawn as one capsule each on an SVG layer
+// behind the letters instead of by restyling every cell they cover.
+
+// Capsule colours: Tailwind's green-500 and blue-400
+export const FOUND_COLOUR = '#22c55e';
+const SELECTION_COLOUR = '#60a5fa';
+
+/**
+ * Draws words on the grid as rounded capsules, from the centre of their first cell to the
+ * centre of their last, in grid units (one unit per cell).
+ * @param {{rows: number, cols: number, words: Array<Object>, selection: Array<Object>}} props -
+ *   rows and cols: the grid's size; words: found words as { word, cells, colour }; selection:
+ *   the cells being selected.
+ * @returns {JSX.Element} The SVG layer.
+ */
+const WordCapsules = React.memo(function WordCapsules({ rows, cols, words, selection }) {
+  const capsule = (cells, colour, testId) => (
+    <line
+      key={testId}
+      data-testid={testId}
+      x1={cells[0].c + 0.5}
+      y1={cells[0].r + 0.5}
+      x2={cells[cells.length - 1].c + 0.5}
+      y2={cells[cells.length - 1].r + 0.5}
+      stroke={colour}
+      strokeWidth="0.8"
+      strokeLinecap="round"
+    />
+  );
+  return (
+    <svg aria-hidden="true" viewBox={`0 0 ${Math.max(cols, 1)} ${Math.max(rows, 1)}`} className="absolute inset-0 w-full h-full pointer-events-none">
+      {words.filter(({ cells }) => cells.length > 0).map(({ word, cells, colour }) => capsule(cells, colour, `found-${word}`))}
+      {selection.length > 0 && capsule(selection, SELECTION_COLOUR, 'selection')}
+    </svg>
+  );
+});
+
+/**
+ * One letter of the grid, redrawn only when its own state changes. Its pointer, key and focus
+ * events are handled by the grid.
+ * @param {Object} props - r and c: the cell's position; char: its letter(s); style: its size;
+ *   isCursor: it holds the roving focus; isAnchor: it is the marked first letter; isSelected,
+ *   isFound, isInMessage and isFlashing: its state; t: Translate function.
+ * @returns {JSX.Element} The cell.
+ */
+const GridCell = React.memo(function GridCell({ r, c, char, style, isCursor, isAnchor, isSelected, isFound, isInMessage, isFlashing, t }) {
+  // Hinted cells are announced as well as outlined, so hints never rely on colour alone
+  const states = [
+    isAnchor && 'cell.firstMarked',
+    isFound && 'cell.found',
+    isInMessage && 'cell.message',
+    isFlashing && 'cell.hint'
+  ].filter(Boolean).map(id => t(id));
+  const position = describeCellPosition({ r, c });
+  return (
+    <div
+      role="gridcell"
+      tabIndex={isCursor ? 0 : -1} /* Roving focus: one tab stop for the whole grid */
+      aria-selected={isSelected}
+      aria-label={[char.toUpperCase(), t(position.id, position.values), ...states].join(', ')}
+      data-row={r} /* Used to find the cell under a pointer */
+      data-col={c}
+      style={style}
+      className={`
+        flex items-center justify-center
+        font-bold cursor-pointer select-none
+        border border-purple-600
+        focus:outline-none focus:ring-4 focus:ring-inset focus:ring-white
+        ${isFlashing ? 'bg-yellow-300 text-purple-900 animate-pulse-hint outline-dashed outline-4 -outline-offset-4 outline-purple-900'
+          : isSelected || isFound ? 'text-white' /* On a capsule */
+          : isInMessage ? 'bg-yellow-400 text-purple-900'
+          : 'hover:bg-purple-500'}
+        rounded-sm
+      `}
+    >
+      {char.toUpperCase()}
+    </div>
+  );
+});
+
+/**
+ * The letter grid, with found words, the selection, hints and the hidden message marked.
+ * @param {Object} props
+ * @param {Array<Array<string>>} props.grid - The letters (MASKED_CELL outside the grid's shape).
+ * @param {Object} props.selection - The grid's selection (see useSelection).
+ * @param {Array<Object>} props.foundCapsules - Found words as { word, cells, colour }.
+ * @param {Array<{r: number, c: number}>} props.flashingCells - Cells of the hint being shown.
+ * @param {Array<{r: number, c: number}>} props.messageCells - Cells spelling the hidden message, once read.
+ * @param {function} props.t - Translate function (see i18n.js).
+ * @returns {JSX.Element} The grid.
+ */
+const Grid = ({ grid, selection, foundCapsules, flashingCells, messageCells, t }) => {
+  const { gridRef, selectedCells, cursor, selectionAnchor, gridHandlers } = selection;
+  const rows = grid.length;
+  const cols = grid.length > 0 ? grid[0].length : 0;
+
+  // Cell states as Sets of cell keys (see cellKey), built once per change rather than searched per cell
+  const foundCellKeys = useMemo(() => new Set(foundCapsules.flatMap(({ cells }) => cells.map(cellKey))), [foundCapsules]);
+  const selectedCellKeys = useMemo(() => new Set(selectedCells.map(cellKey)), [selectedCells]);
+  const flashingCellKeys = useMemo(() => new Set(flashingCells.map(cellKey)), [flashingCells]);
+  const messageCellKeys = useMemo(() => new Set(messageCells.map(cellKey)), [messageCells]);
+
+  // Cells shrink to fit wide grids on small screens, up to 3rem on large ones
+  const cellStyle = useMemo(() => {
+    const cellSize = `min(3rem, calc((100vw - 5rem) / ${Math.max(cols, 1)}))`;
+    return { width: cellSize, height: cellSize, fontSize: `calc(${cellSize} * 0.55)` };
+  }, [cols]);
+
+  return (
+    <div
+      className="flex-shrink-0 bg-purple-700 border-4 border-yellow-400 rounded-xl shadow-2xl overflow-hidden p-2 flex-grow-0
+                 mx-auto lg:mx-0 word-search-grid-container" /* Center grid on small screens, added touch-action class */
+    >
+      <div
+        ref={gridRef} /* Assign ref to the rows only, so padding doesn't skew touch hit-testing */
+        role="grid"
+        aria-label={t('grid.label', { rows, cols })}
+        className="relative"
+        {...gridHandlers}
+      >
+        <WordCapsules rows={rows} cols={cols} words={foundCapsules} selection={selectedCells} />
+        {grid.map((row, rowIndex) => (
+          <div key={rowIndex} role="row" className="relative flex"> {/* Positioned, to sit above the capsules */}
+            {row.map((char, colIndex) => (char === MASKED_CELL ? (
+              // Outside the grid's shape: a gap that holds the layout, with nothing to read or touch
+              <div key={`${rowIndex}-${colIndex}`} aria-hidden="true" style={cellStyle} />
+            ) : (
+              <GridCell
+                key={`${rowIndex}-${colIndex}`}
+                r={rowIndex}
+                c={colIndex}
+                char={char}
+                style={cellStyle}
+                isCursor={cursor.r === rowIndex && cursor.c === colIndex}
+                isAnchor={Boolean(selectionAnchor) && selectionAnchor.r === rowIndex && selectionAnchor.c === colIndex}
+                isSelected={selectedCellKeys.has(`${rowIndex},${colIndex}`)}
+                isFound={foundCellKeys.has(`${rowIndex},${colIndex}`)}
+                isInMessage={messageCellKeys.has(`${rowIndex},${colIndex}`)}
+                isFlashing={flashingCellKeys.has(`${rowIndex},${colIndex}`)}
+                t={t}
+              />
+            )))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Grid;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { languageName, splitEmphasis } from './i18n';
+import { MESSAGE_BONUS_POINTS, POINTS_PER_CELL, POINTS_PER_HINT } from './scoring';
+
+// --- How to Play ---
+
+// Items of the instructions, in order (see howToPlay.* in the catalogues)
+const HOW_TO_PLAY_ITEMS = [
+  'language', 'interfaceLanguage', 'digraphs', 'difficulty', 'shape', 'find', 'highlight', 'keyboard', 'validation', 'hints',
+  'study', 'ownWords', 'daily', 'share', 'race', 'completion', 'message', 'scoring', 'printing', 'offline', 'saving',
+  'progress'
+];
+
+/**
+ * Shows translated text with its **bold** spans in bold.
+ * @param {{text: string}} props - The text.
+ * @returns {Array} The text's parts as React children.
+ */
+const RichText = ({ text }) => splitEmphasis(text).map((part, i) => (
+  part.strong ? <strong key={i}>{part.text}</strong> : <React.Fragment key={i}>{part.text}</React.Fragment>
+));
+
+/**
+ * The instructions.
+ * @param {{language: string, onClose: function, t: function}} props - language: The puzzle
+ *   language, named in the text; onClose: Closes the dialog; t: Translate function (see i18n.js).
+ * @returns {JSX.Element} The dialog.
+ */
+const InstructionsDialog = ({ language, onClose, t }) => (
+  <div role="dialog" aria-modal="true" aria-labelledby="instructions-title" className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+    <div className="bg-purple-800 border-4 border-yellow-400 rounded-xl shadow-2xl p-6 max-w-lg w-full max-h-[90vh] overflow-y-auto text-center relative">
+      <button
+        onClick={onClose}
+        aria-label={t('howToPlay.close')}
+        className="absolute top-4 right-4 text-white text-3xl font-bold hover:text-yellow-300 transition-colors"
+      >
+        &times;
+      </button>
+      <h2 id="instructions-title" className="text-4xl font-bold mb-6 text-yellow-300">{t('howToPlay.title')}</h2>
+      <div className="text-left text-base text-gray-200 space-y-4">
+        <p>{t('howToPlay.intro', { language: languageName(language) })}</p>
+        <ol className="list-decimal list-inside space-y-2">
+          {HOW_TO_PLAY_ITEMS.map(item => (
+            <li key={item}>
+              <RichText text={t(`howToPlay.${item}`, {
+                language: languageName(language),
+                pointsPerCell: POINTS_PER_CELL,
+                pointsPerHint: POINTS_PER_HINT,
+                messagePoints: MESSAGE_BONUS_POINTS
+              })} />
+            </li>
+          ))}
+        </ol>
+        <p className="mt-4 text-center">{t('howToPlay.outro')}</p>
+      </div>
+    </div>
+  </div>
+);
+
+export default InstructionsDialog;
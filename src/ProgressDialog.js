@@ -0,0 +1,83 @@
+import React, { useMemo } from 'react';
+import { languageName } from './i18n';
+import { getPackMastery } from './progress';
+
+// --- Progress Dashboard ---
+// How many words of each category the learner has practised and mastered, and how many are
+// due for review, for each language they have played (see progress.js).
+
+/**
+ * The progress dashboard.
+ * @param {{progress: Object, languagePacks: Array<Object>, onClose: function, t: function}} props -
+ *   progress: The learner's progress (see loadProgress); languagePacks: The loaded language
+ *   packs, whose categories are summed up; onClose: Closes the dialog; t: Translate function.
+ * @returns {JSX.Element} The dialog.
+ */
+const ProgressDialog = ({ progress, languagePacks, onClose, t }) => {
+  // Mastery per category, for each language the learner has played
+  const languages = useMemo(() => Object.keys(progress)
+    .filter(language => languagePacks.some(pack => pack.language === language))
+    .map(language => ({
+      language,
+      categories: languagePacks
+        .filter(pack => pack.language === language)
+        .flatMap(pack => getPackMastery(progress, pack).map(category => ({ ...category, key: `${pack.id}:${category.id}` })))
+    })), [progress, languagePacks]);
+
+  return (
+    <div role="dialog" aria-modal="true" aria-labelledby="progress-title" className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-purple-800 border-4 border-yellow-400 rounded-xl shadow-2xl p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto relative">
+        <button
+          onClick={onClose}
+          aria-label={t('progress.close')}
+          className="absolute top-4 right-4 text-white text-3xl font-bold hover:text-yellow-300 transition-colors"
+        >
+          &times;
+        </button>
+        <h2 id="progress-title" className="text-4xl font-bold mb-4 text-yellow-300 text-center">{t('progress.title')}</h2>
+        <p className="text-base text-gray-200 mb-4">{t('progress.intro')}</p>
+        {languages.length === 0 ? (
+          <p className="text-lg text-center">{t('progress.empty')}</p>
+        ) : languages.map(({ language, categories }) => {
+          const sum = (field) => categories.reduce((total, category) => total + category[field], 0);
+          const name = languageName(language);
+          return (
+            <section key={language} aria-labelledby={`progress-${language}`} className="mb-6">
+              <h3 id={`progress-${language}`} className="text-2xl font-semibold text-yellow-300">{t(name.id, name.values)}</h3>
+              <p className="mb-2">{t('progress.summary', { mastered: sum('mastered'), count: sum('total'), due: sum('due') })}</p>
+              <table className="w-full text-left text-base">
+                <thead>
+                  <tr className="border-b-2 border-yellow-400">
+                    <th scope="col">{t('progress.category')}</th>
+                    <th scope="col" className="text-right">{t('progress.practised')}</th>
+                    <th scope="col" className="w-1/3 pl-4">{t('progress.mastered')}</th>
+                    <th scope="col" className="text-right">{t('progress.due')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {categories.map(category => (
+                    <tr key={category.key}>
+                      <th scope="row" className="font-normal">{category.name}</th>
+                      <td className="text-right tabular-nums">{t('progress.ofTotal', { count: category.practised, total: category.total })}</td>
+                      <td className="pl-4">
+                        <span className="flex items-center gap-2">
+                          <span aria-hidden="true" className="flex-grow h-2 bg-purple-900 rounded-full overflow-hidden">
+                            <span className="block h-full bg-green-400" style={{ width: `${(100 * category.mastered) / Math.max(category.total, 1)}%` }} />
+                          </span>
+                          <span className="tabular-nums">{category.mastered}</span>
+                        </span>
+                      </td>
+                      <td className="text-right tabular-nums">{category.due}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ProgressDialog;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { MAX_RACE_NAME_LENGTH, ROOM_CODE_LENGTH, normalizeRoomCode } from './race';
+
+// --- Race Dialog ---
+// Where a player names themselves and hosts a race on the current puzzle, or joins one by
+// its room code. The connection behind it is kept by useRace.
+
+/**
+ * The dialog for hosting or joining a race.
+ * @param {Object} props
+ * @param {{name: string, room: string, notice: (Object|null), isConnecting: boolean}} props.raceDraft -
+ *   The dialog's fields (see useRace).
+ * @param {function} props.onDraftChange - Called with the fields as they are edited.
+ * @param {boolean} props.canHost - There is a puzzle to race on.
+ * @param {function} props.onHost - Hosts a race.
+ * @param {function} props.onJoin - Joins the race in the room typed.
+ * @param {function} props.onClose - Closes the dialog.
+ * @param {function} props.t - Translate function (see i18n.js).
+ * @returns {JSX.Element} The dialog.
+ */
+const RaceDialog = ({ raceDraft, onDraftChange, canHost, onHost, onJoin, onClose, t }) => (
+  <div role="dialog" aria-modal="true" aria-labelledby="race-title" className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+    <div className="bg-purple-800 border-4 border-yellow-400 rounded-xl shadow-2xl p-6 max-w-md w-full relative">
+      <button
+        onClick={onClose}
+        aria-label={t('race.close')}
+        className="absolute top-4 right-4 text-white text-3xl font-bold hover:text-yellow-300 transition-colors"
+      >
+        &times;
+      </button>
+      <h2 id="race-title" className="text-3xl font-bold mb-4 text-yellow-300 text-center">{t('race.title')}</h2>
+      <p className="text-gray-200 mb-4">{t('race.intro')}</p>
+      <label className="flex flex-col text-sm font-semibold mb-4">
+        {t('race.name')}
+        <input
+          type="text"
+          value={raceDraft.name}
+          maxLength={MAX_RACE_NAME_LENGTH}
+          onChange={(e) => onDraftChange({ ...raceDraft, name: e.target.value })}
+          className="mt-1 p-2 rounded-md bg-purple-700 border-2 border-yellow-400 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+        />
+      </label>
+      <button
+        onClick={onHost}
+        disabled={!canHost || raceDraft.isConnecting}
+        className="px-6 py-3 bg-yellow-500 text-purple-900 font-bold rounded-full shadow-lg hover:bg-yellow-400 transition-all duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed w-full"
+      >
+        {t('race.host')}
+      </button>
+      <div className="flex space-x-2 mt-4">
+        <label htmlFor="race-room-input" className="sr-only">{t('race.room')}</label>
+        <input
+          id="race-room-input"
+          type="text"
+          value={raceDraft.room}
+          maxLength={ROOM_CODE_LENGTH}
+          onChange={(e) => onDraftChange({ ...raceDraft, room: e.target.value })}
+          placeholder={t('race.room')}
+          className="flex-grow min-w-0 p-2 rounded-md bg-purple-700 border-2 border-yellow-400 text-white uppercase placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+        />
+        <button
+          onClick={onJoin}
+          disabled={normalizeRoomCode(raceDraft.room).length !== ROOM_CODE_LENGTH || raceDraft.isConnecting}
+          className="px-4 py-2 bg-blue-500 text-white font-semibold rounded-full shadow-md hover:bg-blue-400 transition-all duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t('race.join')}
+        </button>
+      </div>
+      <p role="status" className="mt-4 text-sm text-yellow-200">{raceDraft.notice && t(raceDraft.notice.id, raceDraft.notice.values)}</p>
+    </div>
+  </div>
+);
+
+export default RaceDialog;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { RACE_STATUS, getRacePlayerName } from './race';
+
+// --- Race Room ---
+// The race the player is in: its room code, the host's start button and the scoreboard
+// while it goes on, and the final ranking once every word is claimed.
+
+/**
+ * Lists a race's players by rank, each with their colour, words and points.
+ * @param {{players: Array<Object>, playerId: string, t: function}} props - players: Ranked
+ *   players of a race view (see race.js); playerId: the player's own ID; t: Translate function.
+ * @returns {JSX.Element} The list.
+ */
+const RaceScoreboard = ({ players, playerId, t }) => (
+  <ol className="space-y-1">
+    {players.map(player => (
+      <li key={player.id} className={`flex justify-between gap-4 ${player.id === playerId ? 'text-yellow-300 font-semibold' : ''}`}>
+        <span className="flex items-center gap-2">
+          <span aria-hidden="true" className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: player.colour }} />
+          {player.rank}. {getRacePlayerName(player, t)}{player.id === playerId && ` ${t('race.you')}`}
+        </span>
+        <span className="tabular-nums">{t('race.playerScore', { count: player.words, score: player.score })}</span>
+      </li>
+    ))}
+  </ol>
+);
+
+/**
+ * The race room, and the final ranking over it once the race is over.
+ * @param {{race: Object, playerId: string, onStart: function, onLeave: function, t: function}} props -
+ *   race: The race view (see race.js); playerId: the player's own ID; onStart: Starts the
+ *   race (offered to the host in the lobby); onLeave: Leaves the race; t: Translate function.
+ * @returns {JSX.Element} The room.
+ */
+const RaceRoom = ({ race, playerId, onStart, onLeave, t }) => (
+  <>
+    <section aria-labelledby="race-room-title" className="mb-6 w-full max-w-2xl bg-purple-700 border-2 border-pink-400 rounded-xl p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 id="race-room-title" className="text-2xl font-semibold text-yellow-300">{t('race.roomCode', { code: race.code })}</h2>
+        <div className="flex gap-2">
+          {race.status === RACE_STATUS.lobby && race.hostId === playerId && (
+            <button
+              onClick={onStart}
+              className="px-4 py-2 bg-yellow-500 text-purple-900 font-bold rounded-full shadow-md hover:bg-yellow-400 transition-all duration-300 ease-in-out"
+            >
+              {t('race.start')}
+            </button>
+          )}
+          <button
+            onClick={onLeave}
+            className="px-4 py-2 bg-gray-600 text-white font-semibold rounded-full shadow-md hover:bg-gray-500 transition-all duration-300 ease-in-out"
+          >
+            {t('race.leave')}
+          </button>
+        </div>
+      </div>
+      <h3 className="text-lg font-semibold mb-1">{t('race.scoreboard')}</h3>
+      <RaceScoreboard players={race.players} playerId={playerId} t={t} />
+    </section>
+
+    {/* Final Race Ranking */}
+    {race.status === RACE_STATUS.finished && (
+      <div role="dialog" aria-modal="true" aria-labelledby="race-over-title" className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+        <div className="bg-purple-800 border-4 border-yellow-400 rounded-xl shadow-2xl p-6 max-w-md w-full text-center">
+          <h2 id="race-over-title" className="text-3xl font-bold mb-4 text-yellow-300">{t('race.overTitle')}</h2>
+          <div className="mb-6 text-left">
+            <RaceScoreboard players={race.players} playerId={playerId} t={t} />
+          </div>
+          <button
+            onClick={onLeave}
+            className="px-6 py-3 bg-yellow-500 text-purple-900 font-bold rounded-full shadow-lg hover:bg-yellow-400 transition-all duration-300 ease-in-out"
+          >
+            {t('race.leave')}
+          </button>
+        </div>
+      </div>
+    )}
+  </>
+);
+
+export default RaceRoom;
@@ -0,0 +1,139 @@
+import React from 'react';
+import { hasHiddenMessage } from './gameEngine';
+import { difficultyName, languageName } from './i18n';
+import { MAX_NAME_LENGTH, isHighScore } from './leaderboard';
+import { MESSAGE_BONUS_POINTS, formatDuration } from './scoring';
+
+// --- Results Dialog ---
+// Shown when the last word is found: the score and how it was made up, the daily streak,
+// the way on to the hidden message, and the top scores, with a box to add the player's.
+
+/**
+ * The results screen.
+ * @param {Object} props
+ * @param {Object} props.game - The finished game (see gameEngine.js).
+ * @param {Object} props.score - Its score (see calculateScore in scoring.js).
+ * @param {Object} props.results - The results screen's state (see useResults).
+ * @param {Object} props.daily - The daily puzzle's state (see useDailyPuzzle).
+ * @param {string} props.playerName - The name to save the score under, as last typed.
+ * @param {function} props.onPlayerNameChange - Called with the name as it is typed.
+ * @param {function} props.onFindMessage - Closes the screen to read the hidden message.
+ * @param {function} props.onRestart - Starts a new puzzle.
+ * @param {function} props.t - Translate function (see i18n.js).
+ * @returns {JSX.Element} The dialog.
+ */
+const ResultsDialog = ({ game, score, results, daily, playerName, onPlayerNameChange, onFindMessage, onRestart, t }) => {
+  const { leaderboard, leaderboardRank, saveScore, setShowResults } = results;
+  const { dailyStreak, shareNotice, shareDailyResult } = daily;
+
+  return (
+    <div role="dialog" aria-modal="true" aria-labelledby="results-title" className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-purple-800 border-4 border-yellow-400 rounded-xl shadow-2xl p-6 max-w-lg w-full max-h-[90vh] overflow-y-auto text-center relative">
+        <button
+          onClick={() => setShowResults(false)}
+          aria-label={t('results.close')}
+          className="absolute top-4 right-4 text-white text-3xl font-bold hover:text-yellow-300 transition-colors"
+        >
+          &times;
+        </button>
+        <h2 id="results-title" className="text-4xl font-bold mb-4 text-yellow-300">{t('results.title')}</h2>
+        <p className="text-lg text-gray-200 mb-4">
+          {t('results.summary', {
+            language: languageName(game.spec.language),
+            difficulty: difficultyName(game.spec.difficultyId),
+            count: game.wordsToFind.length,
+            time: formatDuration(game.elapsedMs)
+          })}
+        </p>
+        <table className="w-full mb-4 text-left text-base">
+          <tbody>
+            <tr><td>{t('results.wordsFound')}</td><td className="text-right tabular-nums">{score.wordPoints}</td></tr>
+            <tr><td>{t('results.timeBonus')}</td><td className="text-right tabular-nums">+{score.timeBonus}</td></tr>
+            <tr><td>{t('results.hintsUsed', { count: game.hintsUsed })}</td><td className="text-right tabular-nums">-{score.hintPenalty}</td></tr>
+            {hasHiddenMessage(game) && (
+              <tr><td>{t('results.messageBonus')}</td><td className="text-right tabular-nums">+{score.messageBonus}</td></tr>
+            )}
+            <tr className="font-bold text-yellow-300 text-xl border-t-2 border-yellow-400">
+              <td>{t('results.score')}</td><td className="text-right tabular-nums">{score.total}</td>
+            </tr>
+          </tbody>
+        </table>
+
+        {hasHiddenMessage(game) && !game.messageStatus && (
+          <div className="mb-6">
+            <p className="text-lg mb-2">{t('results.messageNext', { points: MESSAGE_BONUS_POINTS })}</p>
+            <button
+              onClick={onFindMessage}
+              className="px-6 py-2 bg-blue-500 text-white font-semibold rounded-full shadow-md hover:bg-blue-400 transition-all duration-300 ease-in-out"
+            >
+              {t('results.findMessage')}
+            </button>
+          </div>
+        )}
+
+        {game.spec.daily && dailyStreak && (
+          <div className="mb-6">
+            <p className="text-lg mb-2">
+              {t('results.daily', { date: game.spec.daily })}{' '}
+              <span className="text-yellow-300 font-bold">{t('daily.streak', { count: dailyStreak.current })}</span>{' '}
+              {t('results.dailyBest', { count: dailyStreak.best })}
+            </p>
+            <button
+              onClick={shareDailyResult}
+              className="px-6 py-2 bg-orange-500 text-white font-semibold rounded-full shadow-md hover:bg-orange-400 transition-all duration-300 ease-in-out"
+            >
+              {t('daily.share')}
+            </button>
+            {shareNotice && (
+              <p role="status" className="mt-2 text-sm text-gray-200 whitespace-pre-line">{t(shareNotice.id, shareNotice.values)}</p>
+            )}
+          </div>
+        )}
+
+        {leaderboardRank === null && isHighScore(leaderboard, score.total) && (
+          <div className="flex space-x-2 mb-4">
+            <label htmlFor="player-name-input" className="sr-only">{t('results.yourName')}</label>
+            <input
+              id="player-name-input"
+              type="text"
+              value={playerName}
+              maxLength={MAX_NAME_LENGTH}
+              onChange={(e) => onPlayerNameChange(e.target.value)}
+              placeholder={t('results.yourName')}
+              className="flex-grow min-w-0 p-2 rounded-md bg-purple-900 border-2 border-yellow-400 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+            />
+            <button
+              onClick={() => saveScore({ name: playerName, defaultName: t('results.defaultName'), score: score.total })}
+              className="px-4 py-2 bg-green-600 text-white font-semibold rounded-full shadow-md hover:bg-green-500 transition-all duration-300 ease-in-out"
+            >
+              {t('results.saveScore')}
+            </button>
+          </div>
+        )}
+
+        <h3 className="text-2xl font-semibold mb-2 text-yellow-300">{t('results.topScores')}</h3>
+        {leaderboard.length > 0 ? (
+          <ol className="text-left text-base space-y-1 mb-6">
+            {leaderboard.map((entry, i) => (
+              <li key={entry.date} className={`flex justify-between px-2 rounded ${i === leaderboardRank ? 'bg-yellow-500 text-purple-900 font-bold' : ''}`}>
+                <span>{i + 1}. {entry.name}</span>
+                <span className="tabular-nums">{entry.score} ({formatDuration(entry.elapsedMs)})</span>
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <p className="text-gray-300 mb-6">{t('results.noScores')}</p>
+        )}
+
+        <button
+          onClick={onRestart}
+          className="px-6 py-3 bg-yellow-500 text-purple-900 font-bold rounded-full shadow-lg hover:bg-yellow-400 transition-all duration-300 ease-in-out w-full"
+        >
+          {t('results.playAgain')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ResultsDialog;
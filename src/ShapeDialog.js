@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from 'react';
+import { MAX_SHAPE_SOURCE_LENGTH, SHAPE_FORMATS, ShapeError, getShapeMask, readShapeFile } from './shapes';
+
+// --- Shape Dialog ---
+// Lets a teacher draw the grid in a shape of their own: a text drawing or an SVG path typed
+// in, or loaded from a file. The shape is checked as it is typed and previewed on a small
+// grid; see shapes.js for the formats.
+
+const PREVIEW_SIZE = 12;
+
+/**
+ * Words why a shape can't be read.
+ * @param {Error} error - Usually a ShapeError.
+ * @param {function} t - Translate function (see i18n.js).
+ * @returns {string} The reason, in the interface language.
+ */
+const describeShapeError = (error, t) => t(
+  error instanceof ShapeError ? `shapeError.${error.reason}` : 'shapeError.other',
+  { max: MAX_SHAPE_SOURCE_LENGTH }
+);
+
+/**
+ * The dialog for loading a shape.
+ * @param {{t: function, shape: ?{format: string, source: string}, onApply: function, onClose: function}} props -
+ *   t: Translate function (see i18n.js); shape: The loaded shape in use, if any, to start
+ *   from; onApply: Called with the checked {format, source} shape; onClose: Closes the dialog.
+ * @returns {JSX.Element} The dialog.
+ */
+const ShapeDialog = ({ t, shape, onApply, onClose }) => {
+  const [draft, setDraft] = useState(() => shape || { format: SHAPE_FORMATS.text, source: '' });
+  const [notice, setNotice] = useState(null); // The file just loaded, or why it couldn't be
+
+  // Check the shape as it is typed; a blank box isn't an error yet
+  const check = useMemo(() => {
+    if (draft.source.trim() === '') return { mask: null, error: null };
+    try {
+      return { mask: getShapeMask(draft, PREVIEW_SIZE, PREVIEW_SIZE), error: null };
+    } catch (e) {
+      return { mask: null, error: e };
+    }
+  }, [draft]);
+
+  const handleUpload = async (file) => {
+    if (!file) return;
+    let content;
+    try {
+      content = await file.text();
+    } catch (e) {
+      setNotice(t('shapeDialog.readFailed', { file: file.name }));
+      return;
+    }
+    try {
+      setDraft(readShapeFile(file.name, content));
+      setNotice(t('shapeDialog.loadedFile', { file: file.name }));
+    } catch (e) {
+      setNotice(`${file.name}: ${describeShapeError(e, t)}`);
+    }
+  };
+
+  return (
+    <div role="dialog" aria-modal="true" aria-labelledby="shape-title" className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-purple-800 border-4 border-yellow-400 rounded-xl shadow-2xl p-6 max-w-lg w-full max-h-[90vh] overflow-y-auto relative">
+        <button
+          onClick={onClose}
+          aria-label={t('shapeDialog.close')}
+          className="absolute top-4 right-4 text-white text-3xl font-bold hover:text-yellow-300 transition-colors"
+        >
+          &times;
+        </button>
+        <h2 id="shape-title" className="text-3xl font-bold mb-2 text-yellow-300 text-center">{t('shapeDialog.title')}</h2>
+        <p className="text-sm mb-4">{t('shapeDialog.intro')}</p>
+        <label className="flex flex-col text-sm font-semibold mb-4">
+          {t('shapeDialog.format')}
+          <select
+            value={draft.format}
+            onChange={(e) => setDraft(prev => ({ ...prev, format: e.target.value }))}
+            className="mt-1 p-2 rounded-md bg-purple-700 border-2 border-yellow-400 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500 cursor-pointer"
+          >
+            {Object.values(SHAPE_FORMATS).map(format => (
+              <option key={format} value={format}>{t(`shapeFormat.${format}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label htmlFor="shape-source" className="block text-sm font-semibold mb-1">
+          {t('shapeDialog.source')}
+        </label>
+        <textarea
+          id="shape-source"
+          value={draft.source}
+          onChange={(e) => setDraft(prev => ({ ...prev, source: e.target.value }))}
+          rows={8}
+          placeholder={draft.format === SHAPE_FORMATS.text ? '..#..\n.###.\n#####' : 'M 0 0 L 10 0 L 5 8 Z'}
+          className="w-full p-2 rounded-md bg-purple-900 border-2 border-yellow-400 text-white font-mono placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+        />
+        <label className="block text-sm font-semibold mt-2">
+          {t('shapeDialog.upload')}
+          <input
+            type="file"
+            accept=".svg,.txt,image/svg+xml,text/plain"
+            onChange={(e) => handleUpload(e.target.files[0])}
+            className="block mt-1 text-sm text-gray-200"
+          />
+        </label>
+        {notice && <p className="mt-2 text-sm text-yellow-200" role="status">{notice}</p>}
+
+        {check.error && (
+          <p className="mt-4 text-sm text-red-300" role="alert">{describeShapeError(check.error, t)}</p>
+        )}
+        {check.mask && (
+          <div
+            role="img"
+            aria-label={t('shapeDialog.preview')}
+            className="mt-4 mx-auto grid gap-px w-32"
+            style={{ gridTemplateColumns: `repeat(${PREVIEW_SIZE}, minmax(0, 1fr))` }}
+          >
+            {check.mask.flat().map((open, i) => (
+              <div key={i} className={`aspect-square ${open ? 'bg-yellow-400' : 'bg-purple-900'}`} />
+            ))}
+          </div>
+        )}
+
+        <div className="flex justify-center mt-6">
+          <button
+            onClick={() => onApply(draft)}
+            disabled={!check.mask}
+            className="px-6 py-2 bg-green-600 text-white font-semibold rounded-full shadow-md hover:bg-green-500 transition-all duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t('shapeDialog.use')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShapeDialog;
@@ -0,0 +1,230 @@
+import React, { useMemo, useState } from 'react';
+import { CUSTOM_DIFFICULTY, DIFFICULTY_PRESETS, normalizeCustomSettings } from './difficulty';
+import { difficultyName, languageName, message } from './i18n';
+import { LANGUAGES, getLanguage } from './languages';
+import { createWordListSpec, getDifficultySettings } from './puzzle';
+import {
+  MAX_LIST_NAME_LENGTH,
+  checkWordList,
+  deleteWordList,
+  describeWordListProblem,
+  getSavedWordLists,
+  saveWordList,
+  splitWordList
+} from './wordList';
+
+// --- Custom Word List Builder ---
+// A teacher types, pastes or uploads their own words, sees which ones can't be used and
+// why as they go (see wordList.js), and makes a puzzle of the rest. Lists can be saved on
+// this device and opened again.
+
+/**
+ * The word list builder dialog.
+ * @param {Object} props
+ * @param {{name: string, language: string, text: string, difficultyId: string, digraphCells: boolean}} props.initialDraft -
+ *   The fields to start from: the list being played when editing one, otherwise the current settings.
+ * @param {Object} props.customSettings - The custom difficulty settings, for the custom grid option.
+ * @param {string|Object} props.shape - The grid's shape (see shapes.js); words must fit inside it.
+ * @param {function} props.onCreate - Called with the spec of a puzzle made from the list.
+ * @param {function} props.onClose - Closes the dialog.
+ * @param {function} props.t - Translate function (see i18n.js).
+ * @returns {JSX.Element} The dialog.
+ */
+const WordListBuilder = ({ initialDraft, customSettings, shape, onCreate, onClose, t }) => {
+  const [draft, setDraft] = useState(initialDraft);
+  const [savedWordLists, setSavedWordLists] = useState(getSavedWordLists);
+  const [notice, setNotice] = useState(null); // Result of saving or uploading a list
+
+  const settings = useMemo(() => getDifficultySettings(draft.difficultyId, customSettings), [draft.difficultyId, customSettings]);
+  const check = useMemo(
+    () => checkWordList(draft.text, draft.language, { ...settings, digraphCells: draft.digraphCells, shape }),
+    [draft.text, draft.language, draft.digraphCells, settings, shape]
+  );
+  const digraphs = getLanguage(draft.language).digraphs;
+
+  const handleChange = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleUpload = async (file) => {
+    if (!file) return;
+    try {
+      const content = await file.text();
+      // Spreadsheets export CSV with the meanings in later columns; keep the first
+      const text = /\.csv$/i.test(file.name) ? splitWordList(content, { csv: true }).join('\n') : content;
+      setDraft(prev => ({ ...prev, text }));
+      setNotice(message('wordList.loadedFile', { file: file.name }));
+    } catch (e) {
+      setNotice(message('wordList.readFailed', { file: file.name }));
+    }
+  };
+
+  const handleSave = () => {
+    const defaultName = t('wordList.defaultName', { language: languageName(draft.language) });
+    const lists = saveWordList({ ...draft, defaultName });
+    if (lists) {
+      setSavedWordLists(lists);
+      setNotice(message('wordList.saved'));
+    } else {
+      setNotice(message('wordList.saveFailed'));
+    }
+  };
+
+  const handleOpenSaved = (list) => {
+    setDraft(prev => ({ ...prev, name: list.name, language: list.language, text: list.text }));
+    setNotice(message('wordList.loadedList', { name: list.name }));
+  };
+
+  const handleCreate = () => {
+    onCreate(createWordListSpec(draft.language, check.words, draft.digraphCells, draft.difficultyId, { ...settings, shape }));
+  };
+
+  return (
+    <div role="dialog" aria-modal="true" aria-labelledby="word-list-title" className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-purple-800 border-4 border-yellow-400 rounded-xl shadow-2xl p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto relative">
+        <button
+          onClick={onClose}
+          aria-label={t('wordList.close')}
+          className="absolute top-4 right-4 text-white text-3xl font-bold hover:text-yellow-300 transition-colors"
+        >
+          &times;
+        </button>
+        <h2 id="word-list-title" className="text-3xl font-bold mb-4 text-yellow-300 text-center">{t('wordList.title')}</h2>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+          <label className="flex flex-col text-sm font-semibold">
+            {t('wordList.language')}
+            <select
+              value={draft.language}
+              onChange={(e) => handleChange('language', e.target.value)}
+              className="mt-1 p-2 rounded-md bg-purple-700 border-2 border-yellow-400 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500 cursor-pointer"
+            >
+              {Object.keys(LANGUAGES).map(name => (
+                <option key={name} value={name}>{t(`language.${name}`)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col text-sm font-semibold">
+            {t('wordList.grid')}
+            <select
+              value={draft.difficultyId}
+              onChange={(e) => handleChange('difficultyId', e.target.value)}
+              className="mt-1 p-2 rounded-md bg-purple-700 border-2 border-yellow-400 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500 cursor-pointer"
+            >
+              {Object.entries(DIFFICULTY_PRESETS).map(([id, preset]) => (
+                <option key={id} value={id}>
+                  {t('wordList.gridOption', { difficulty: difficultyName(id), rows: preset.rows, cols: preset.cols })}
+                </option>
+              ))}
+              <option value={CUSTOM_DIFFICULTY}>{t('wordList.customOption', normalizeCustomSettings(customSettings))}</option>
+            </select>
+          </label>
+        </div>
+        {digraphs.length > 0 && (
+          <label className="flex items-center space-x-2 text-sm mb-4 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={draft.digraphCells}
+              onChange={(e) => handleChange('digraphCells', e.target.checked)}
+              className="w-4 h-4 accent-yellow-400 cursor-pointer"
+            />
+            <span>{t('controls.digraphCells', { digraphs: digraphs.join(', ') })}</span>
+          </label>
+        )}
+        <label htmlFor="word-list-text" className="block text-sm font-semibold mb-1">
+          {t('wordList.words')}
+        </label>
+        <textarea
+          id="word-list-text"
+          value={draft.text}
+          onChange={(e) => handleChange('text', e.target.value)}
+          rows={8}
+          placeholder={'ido\nkunne\nhannu = hand'}
+          className="w-full p-2 rounded-md bg-purple-900 border-2 border-yellow-400 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+        />
+        <label className="block text-sm font-semibold mt-2">
+          {t('wordList.upload')}
+          <input
+            type="file"
+            accept=".txt,.csv,text/plain,text/csv"
+            onChange={(e) => handleUpload(e.target.files[0])}
+            className="block mt-1 text-sm text-gray-200"
+          />
+        </label>
+
+        {/* Validation report */}
+        <div className="mt-4 text-sm">
+          <p className="font-semibold">
+            {t('wordList.ready', { count: check.words.length })}
+          </p>
+          {check.problems.length > 0 && (
+            <ul className="mt-2 space-y-1">
+              {check.problems.map((problem, i) => (
+                <li key={i} className={problem.type === 'duplicate' ? 'text-yellow-200' : 'text-red-300'}>
+                  {problem.entry}: {describeWordListProblem(problem, draft.language, t)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <button
+          onClick={handleCreate}
+          disabled={check.words.length === 0}
+          className="mt-4 px-6 py-3 bg-yellow-500 text-purple-900 font-bold rounded-full shadow-lg hover:bg-yellow-400 transition-all duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed w-full"
+        >
+          {t('wordList.make')}
+        </button>
+
+        {/* Saved lists */}
+        <div className="mt-6 border-t-2 border-purple-500 pt-4">
+          <div className="flex space-x-2">
+            <label htmlFor="word-list-name" className="sr-only">{t('wordList.name')}</label>
+            <input
+              id="word-list-name"
+              type="text"
+              value={draft.name}
+              maxLength={MAX_LIST_NAME_LENGTH}
+              onChange={(e) => handleChange('name', e.target.value)}
+              placeholder={t('wordList.namePlaceholder')}
+              className="flex-grow min-w-0 p-2 rounded-md bg-purple-900 border-2 border-yellow-400 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+            />
+            <button
+              onClick={handleSave}
+              disabled={draft.text.trim() === ''}
+              className="px-4 py-2 bg-green-600 text-white font-semibold rounded-full shadow-md hover:bg-green-500 transition-all duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t('wordList.save')}
+            </button>
+          </div>
+          <p role="status" className="mt-2 text-sm text-gray-200">{notice && t(notice.id, notice.values)}</p>
+          {savedWordLists.length > 0 && (
+            <ul className="mt-2 space-y-2 text-sm">
+              {savedWordLists.map(list => (
+                <li key={list.id} className="flex items-center justify-between gap-2">
+                  <span>{t('wordList.savedList', { name: list.name, language: languageName(list.language) })}</span>
+                  <span className="flex gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => handleOpenSaved(list)}
+                      className="px-3 py-1 bg-blue-500 text-white rounded-full hover:bg-blue-400 transition-all duration-300 ease-in-out"
+                    >
+                      {t('wordList.open')}
+                    </button>
+                    <button
+                      onClick={() => setSavedWordLists(deleteWordList(list.id))}
+                      aria-label={t('wordList.deleteLabel', { name: list.name })}
+                      className="px-3 py-1 bg-red-600 text-white rounded-full hover:bg-red-500 transition-all duration-300 ease-in-out"
+                    >
+                      {t('wordList.delete')}
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WordListBuilder;
@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { getLanguage } from './languages';
+import { getPackWords } from './languagePacks';
+import { createPuzzleBatch, generatePuzzle, getDifficultySettings } from './puzzle';
+import { CUSTOM_LIST_PACK_ID } from './wordList';
+import { difficultyName, languageName, message } from './i18n';
+import { createPrintDocument, createWorksheetSvg, downloadFile, printDocument } from './worksheet';
+
+// --- Printable Worksheets ---
+// Prints the puzzle being played, or a set of new puzzles like it, with answer keys for the
+// teacher; or downloads a page as SVG. See worksheet.js for the pages themselves.
+
+const MAX_WORKSHEET_BATCH = 30;
+
+/**
+ * Describes a puzzle for a worksheet's subtitle: pack, category and difficulty.
+ * @param {Object} spec - The puzzle spec.
+ * @param {Object|null} pack - The spec's language pack, if loaded.
+ * @param {function} t - Translate function (see i18n.js).
+ * @returns {string} E.g. 'Hausa — Core vocabulary · Body parts · Medium'.
+ */
+const describePuzzle = (spec, pack, t) => {
+  const category = pack && pack.categories.find(c => c.id === spec.categoryId);
+  const difficulty = difficultyName(spec.difficultyId);
+  return [
+    pack ? pack.name : t(`language.${spec.language}`),
+    category ? category.name : t(spec.packId === CUSTOM_LIST_PACK_ID ? 'puzzle.ownWordList' : 'controls.allCategories'),
+    t(difficulty.id)
+  ].join(' · ');
+};
+
+/**
+ * The worksheet controls under the word list.
+ * @param {Object} props
+ * @param {Object|null} props.game - The game being played (see gameEngine.js); its puzzle is printed.
+ * @param {Array<Object>} props.languagePacks - The loaded language packs, for glosses and names.
+ * @param {Object} props.customSettings - The custom difficulty settings, for a set of custom puzzles.
+ * @param {function} props.onNotice - Called with a message descriptor (see i18n.js) for the
+ *   message line while a set is built.
+ * @param {function} props.t - Translate function (see i18n.js).
+ * @returns {JSX.Element} The panel.
+ */
+const WorksheetPanel = ({ game, languagePacks, customSettings, onNotice, t }) => {
+  const [includeGlosses, setIncludeGlosses] = useState(true); // Print glosses next to the words
+  const [worksheetCount, setWorksheetCount] = useState(5); // Puzzles in a printed batch
+  const [isPrintingBatch, setIsPrintingBatch] = useState(false);
+
+  const findPack = (spec) => languagePacks.find(p => p.id === spec.packId) || null;
+
+  /**
+   * Renders a puzzle's worksheet page and, optionally, its answer key page.
+   * @param {Object} spec - The puzzle spec.
+   * @param {{grid: Array<Array<string>>, hiddenWords: Object}} puzzle - The generated puzzle.
+   * @param {string} [label] - Added to the subtitle, e.g. 'Puzzle 2 of 5'.
+   * @returns {{page: string, answerKey: string}} SVG markup for both pages.
+   */
+  const renderWorksheetPages = (spec, { grid, hiddenWords }, label) => {
+    const pack = findPack(spec);
+    const glosses = includeGlosses && pack
+      ? Object.fromEntries(getPackWords(pack).filter(entry => entry.gloss).map(entry => [entry.word, entry.gloss]))
+      : {};
+    const worksheet = {
+      grid,
+      hiddenWords,
+      title: t('app.title', { language: languageName(spec.language) }),
+      subtitle: [describePuzzle(spec, pack, t), label].filter(Boolean).join(' · ')
+    };
+    const labels = {
+      answerKey: t('worksheet.answerKey'),
+      name: t('worksheet.name'),
+      date: t('worksheet.date'),
+      wordsToFind: t('worksheet.wordsToFind')
+    };
+    return {
+      page: createWorksheetSvg(worksheet, { glosses, labels }),
+      answerKey: createWorksheetSvg(worksheet, { glosses, labels, answerKey: true })
+    };
+  };
+
+  const handleDownloadWorksheet = (answerKey) => {
+    const pages = renderWorksheetPages(game.spec, game);
+    const fileName = `word-search-${game.spec.language.toLowerCase()}-${game.spec.seed}${answerKey ? '-answers' : ''}.svg`;
+    downloadFile(fileName, answerKey ? pages.answerKey : pages.page, 'image/svg+xml');
+  };
+
+  const handlePrintWorksheet = () => {
+    const { page, answerKey } = renderWorksheetPages(game.spec, game);
+    printDocument(createPrintDocument(t('app.title', { language: languageName(game.spec.language) }), [page, answerKey]));
+  };
+
+  const handlePrintBatch = async () => {
+    const count = Math.min(MAX_WORKSHEET_BATCH, Math.max(1, Math.round(Number(worksheetCount)) || 1));
+    setIsPrintingBatch(true);
+    onNotice(message('status.buildingWorksheets', { count }));
+    try {
+      const settings = getDifficultySettings(game.spec.difficultyId, customSettings);
+      const specs = createPuzzleBatch(game.spec, count, findPack(game.spec), settings);
+      const pages = [];
+      for (const [i, spec] of specs.entries()) {
+        const puzzle = i === 0 ? game : await generatePuzzle(spec.words, getLanguage(spec.language), spec);
+        pages.push(renderWorksheetPages(spec, puzzle, t('worksheet.puzzleOf', { index: i + 1, count })));
+      }
+      // All the puzzles first, then the answer keys, so the keys can be kept back
+      printDocument(createPrintDocument(
+        t('worksheet.setTitle', { language: languageName(game.spec.language) }),
+        [...pages.map(p => p.page), ...pages.map(p => p.answerKey)]
+      ));
+      onNotice(message('status.worksheetsReady', { count }));
+    } catch (e) {
+      onNotice(message('status.worksheetsFailed'));
+    } finally {
+      setIsPrintingBatch(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 space-y-3 border-t-2 border-purple-500 pt-4">
+      <h3 className="text-xl font-semibold text-yellow-300">{t('print.heading')}</h3>
+      <label className="flex items-center space-x-2 text-sm cursor-pointer">
+        <input
+          type="checkbox"
+          checked={includeGlosses}
+          onChange={(e) => setIncludeGlosses(e.target.checked)}
+          className="w-4 h-4 accent-yellow-400 cursor-pointer"
+        />
+        <span>{t('print.glosses')}</span>
+      </label>
+      <button
+        onClick={handlePrintWorksheet}
+        disabled={!game}
+        className="px-6 py-2 bg-green-600 text-white font-semibold rounded-full shadow-md hover:bg-green-500 transition-all duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed w-full"
+      >
+        {t('print.pdf')}
+      </button>
+      <div className="flex space-x-2">
+        <button
+          onClick={() => handleDownloadWorksheet(false)}
+          disabled={!game}
+          className="flex-1 px-4 py-2 bg-blue-500 text-white font-semibold rounded-full shadow-md hover:bg-blue-400 transition-all duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t('print.puzzleSvg')}
+        </button>
+        <button
+          onClick={() => handleDownloadWorksheet(true)}
+          disabled={!game}
+          className="flex-1 px-4 py-2 bg-blue-500 text-white font-semibold rounded-full shadow-md hover:bg-blue-400 transition-all duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t('print.answerKeySvg')}
+        </button>
+      </div>
+      <div className="flex space-x-2 items-center">
+        <label htmlFor="worksheet-count-input" className="text-sm font-semibold">{t('print.count')}</label>
+        <input
+          id="worksheet-count-input"
+          type="number"
+          min={1}
+          max={MAX_WORKSHEET_BATCH}
+          value={worksheetCount}
+          onChange={(e) => setWorksheetCount(e.target.value)}
+          className="w-20 p-2 rounded-md bg-purple-800 border-2 border-yellow-400 text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+        />
+        <button
+          onClick={handlePrintBatch}
+          disabled={!game || isPrintingBatch}
+          className="flex-grow px-4 py-2 bg-green-600 text-white font-semibold rounded-full shadow-md hover:bg-green-500 transition-all duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t(isPrintingBatch ? 'print.building' : 'print.set')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WorksheetPanel;
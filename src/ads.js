@@ -0,0 +1,111 @@
+import { getStorage, readItem, writeItem } from './storage';
+
+// --- Advertising ---
+// Ads are optional. A build shows them only when it is given an AdSense publisher ID and
+// ad slot through environment variables (e.g. in .env.production.local):
+//
+//   REACT_APP_ADSENSE_CLIENT=ca-pub-1234567890123456
+//   REACT_APP_ADSENSE_SLOT=1234567890
+//
+// The school build (`npm run build:school`, which sets REACT_APP_BUILD_TARGET=school) leaves
+// ads out altogether: App doesn't even bundle the ad component (see AdSlot.js).
+//
+// Nothing is fetched from the ad network until the player agrees in the consent banner.
+// The choice is remembered on this device:
+//
+//   { "version": 1, "choice": "granted" | "denied", "date": "2026-10-19T08:00:00.000Z" }
+//
+// Ad blockers are expected: a script that fails to load just leaves the ad box out.
+
+export const AD_CONSENT_VERSION = 1;
+export const AD_CONSENT_KEY = 'wordSearch.adConsent';
+export const AD_CONSENT = { granted: 'granted', denied: 'denied' };
+export const SCHOOL_BUILD_TARGET = 'school';
+export const ADSENSE_SCRIPT_URL = 'https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js';
+
+const CLIENT_PATTERN = /^ca-pub-\d+$/;
+const SLOT_PATTERN = /^\d+$/;
+
+const scriptLoads = new WeakMap(); // Document -> promise of its ad script, so it is only added once
+
+/**
+ * Reads the ad settings the app was built with.
+ * @param {Object} [env=process.env] - Build-time environment variables.
+ * @returns {{client: string, slot: string}|null} The AdSense publisher ID and ad slot, or null
+ *   when ads are off: the school build, or a build without a valid ID and slot.
+ */
+export const getAdConfig = (env = process.env) => {
+  if (env.REACT_APP_BUILD_TARGET === SCHOOL_BUILD_TARGET) return null;
+  const client = (env.REACT_APP_ADSENSE_CLIENT || '').trim();
+  const slot = (env.REACT_APP_ADSENSE_SLOT || '').trim();
+  return CLIENT_PATTERN.test(client) && SLOT_PATTERN.test(slot) ? { client, slot } : null;
+};
+
+/**
+ * Reads the player's answer to the consent banner.
+ * @param {Storage} [storage=window.localStorage] - Where the choice is kept.
+ * @returns {string|null} A value of AD_CONSENT, or null if the player hasn't chosen yet.
+ */
+export const loadAdConsent = (storage = getStorage()) => {
+  try {
+    const data = JSON.parse(readItem(AD_CONSENT_KEY, storage));
+    if (data && data.version === AD_CONSENT_VERSION && Object.values(AD_CONSENT).includes(data.choice)) {
+      return data.choice;
+    }
+  } catch (e) {
+    // Missing, corrupt or unreadable; ask again
+  }
+  return null;
+};
+
+/**
+ * Remembers the player's answer to the consent banner.
+ * @param {string} choice - A value of AD_CONSENT.
+ * @param {Storage} [storage=window.localStorage] - Where the choice is kept.
+ * @returns {boolean} Whether it was saved; if not, the banner comes back next visit.
+ */
+export const saveAdConsent = (choice, storage = getStorage()) => writeItem(AD_CONSENT_KEY, JSON.stringify({
+  version: AD_CONSENT_VERSION,
+  choice,
+  date: new Date().toISOString()
+}), storage);
+
+/**
+ * Adds the AdSense script to the page, once. Only call this after the player has agreed.
+ * @param {string} client - The AdSense publisher ID.
+ * @param {Document} [doc=document] - The page.
+ * @returns {Promise<void>} Resolves once the script has loaded; rejects if it is blocked or
+ *   fails, after which a later call tries again.
+ */
+export const loadAdScript = (client, doc = document) => {
+  if (!scriptLoads.has(doc)) {
+    scriptLoads.set(doc, new Promise((resolve, reject) => {
+      const script = doc.createElement('script');
+      script.async = true;
+      script.crossOrigin = 'anonymous';
+      script.src = `${ADSENSE_SCRIPT_URL}?client=${encodeURIComponent(client)}`;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        script.remove();
+        scriptLoads.delete(doc);
+        reject(new Error('The ad script could not be loaded'));
+      };
+      doc.head.appendChild(script);
+    }));
+  }
+  return scriptLoads.get(doc);
+};
+
+/**
+ * Asks AdSense to fill the ad units added to the page since the last request.
+ * @param {Window} [win=window] - The page's window.
+ * @returns {boolean} Whether the request was made; blockers can stub adsbygoogle to throw.
+ */
+export const requestAd = (win = window) => {
+  try {
+    (win.adsbygoogle = win.adsbygoogle || []).push({});
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
@@ -0,0 +1,81 @@
+import {
+  AD_CONSENT,
+  AD_CONSENT_KEY,
+  ADSENSE_SCRIPT_URL,
+  getAdConfig,
+  loadAdConsent,
+  loadAdScript,
+  requestAd,
+  saveAdConsent
+} from './ads';
+
+const env = { REACT_APP_ADSENSE_CLIENT: 'ca-pub-1234567890123456', REACT_APP_ADSENSE_SLOT: '9876543210' };
+
+beforeEach(() => window.localStorage.clear());
+
+test('reads the ad settings from the build environment', () => {
+  expect(getAdConfig(env)).toEqual({ client: 'ca-pub-1234567890123456', slot: '9876543210' });
+  expect(getAdConfig({ ...env, REACT_APP_ADSENSE_SLOT: ' 9876543210\n' })).toEqual({ client: 'ca-pub-1234567890123456', slot: '9876543210' });
+});
+
+test('turns ads off without a valid publisher ID and slot, or in the school build', () => {
+  expect(getAdConfig({})).toBeNull();
+  expect(getAdConfig({ ...env, REACT_APP_ADSENSE_CLIENT: 'ca-pub-XXXXXXXXXXXXXXXX' })).toBeNull();
+  expect(getAdConfig({ ...env, REACT_APP_ADSENSE_SLOT: '' })).toBeNull();
+  expect(getAdConfig({ ...env, REACT_APP_BUILD_TARGET: 'school' })).toBeNull();
+});
+
+test('remembers the consent choice', () => {
+  expect(loadAdConsent()).toBeNull();
+  expect(saveAdConsent(AD_CONSENT.denied)).toBe(true);
+  expect(loadAdConsent()).toBe(AD_CONSENT.denied);
+  expect(JSON.parse(window.localStorage.getItem(AD_CONSENT_KEY))).toMatchObject({ version: 1, choice: 'denied' });
+});
+
+test('asks again when the choice is unreadable', () => {
+  window.localStorage.setItem(AD_CONSENT_KEY, '{"version":1,"choice":"maybe"}');
+  expect(loadAdConsent()).toBeNull();
+  window.localStorage.setItem(AD_CONSENT_KEY, 'not json');
+  expect(loadAdConsent()).toBeNull();
+  expect(loadAdConsent(null)).toBeNull();
+  expect(saveAdConsent(AD_CONSENT.granted, null)).toBe(false);
+});
+
+// A page that records the scripts added to it
+const createFakeDocument = () => {
+  const added = [];
+  return {
+    added,
+    createElement: () => {
+      const script = { remove: () => added.splice(added.indexOf(script), 1) };
+      return script;
+    },
+    head: { appendChild: (script) => added.push(script) }
+  };
+};
+
+test('adds the ad script once', async () => {
+  const doc = createFakeDocument();
+  const load = loadAdScript('ca-pub-1', doc);
+  expect(loadAdScript('ca-pub-1', doc)).toBe(load);
+  expect(doc.added).toEqual([expect.objectContaining({ async: true, src: `${ADSENSE_SCRIPT_URL}?client=ca-pub-1` })]);
+  doc.added[0].onload();
+  await expect(load).resolves.toBeUndefined();
+});
+
+test('a blocked ad script fails, and can be tried again', async () => {
+  const doc = createFakeDocument();
+  const load = loadAdScript('ca-pub-1', doc);
+  doc.added[0].onerror();
+  await expect(load).rejects.toThrow('could not be loaded');
+  expect(doc.added).toHaveLength(0);
+  expect(loadAdScript('ca-pub-1', doc)).not.toBe(load);
+  expect(doc.added).toHaveLength(1);
+});
+
+test('requests an ad, unless the ad queue has been broken', () => {
+  const win = {};
+  expect(requestAd(win)).toBe(true);
+  expect(win.adsbygoogle).toEqual([{}]);
+  expect(requestAd({ adsbygoogle: { push: () => { throw new Error('blocked'); } } })).toBe(false);
+});
@@ -0,0 +1,133 @@
+import { daysBetween, getDateKey } from './dates';
+import { ALL_CATEGORIES } from './languagePacks';
+import { DIFFICULTY_PRESETS } from './difficulty';
+import { HINT_LEVELS } from './gameEngine';
+import { DEFAULT_UI_LANGUAGE, createTranslator, languageName } from './i18n';
+import { createPuzzleSpec } from './puzzle';
+import { formatDuration } from './scoring';
+import { getStorage, readItem, writeItem } from './storage';
+
+// --- Daily Puzzle ---
+// Everyone playing a language gets the same puzzle each calendar day: the seed comes
+// from the date and the language, and the words from the language's pack, at a fixed
+// difficulty. Streaks are kept on this device in localStorage, one per language:
+//
+//   { "version": 1, "streaks": { "Hausa": { "lastDate": "2026-10-19", "current": 4, "best": 9 } } }
+
+export const DAILY_VERSION = 1;
+export const DAILY_KEY = 'wordSearch.daily';
+export const DAILY_DIFFICULTY = 'medium';
+
+/**
+ * Derives the puzzle seed for a day and language (32-bit FNV-1a hash of both).
+ * @param {string} dateKey - The day, from getDateKey.
+ * @param {string} language - Language name.
+ * @returns {number} A 32-bit unsigned integer seed.
+ */
+export const getDailySeed = (dateKey, language) => {
+  let hash = 0x811c9dc5;
+  for (const char of `${dateKey}:${language}`) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Picks the pack a language's daily puzzle draws from. When a language has several packs,
+ * the one with the first id is used, so every copy of the game agrees.
+ * @param {Array<Object>} packs - The loaded language packs.
+ * @param {string} language - Language name.
+ * @returns {Object|null} The pack, or null if the language has none.
+ */
+export const findDailyPack = (packs, language) =>
+  packs.filter(pack => pack.language === language).sort((a, b) => a.id.localeCompare(b.id))[0] || null;
+
+/**
+ * Describes a day's puzzle for a language.
+ * @param {Object} pack - The language's daily pack (see findDailyPack).
+ * @param {string} dateKey - The day, from getDateKey.
+ * @returns {Object} A puzzle spec, marked with `daily: dateKey`.
+ */
+export const createDailySpec = (pack, dateKey) => ({
+  ...createPuzzleSpec(pack, ALL_CATEGORIES, false, DAILY_DIFFICULTY, DIFFICULTY_PRESETS[DAILY_DIFFICULTY], getDailySeed(dateKey, pack.language)),
+  daily: dateKey
+});
+
+const readStreaks = (storage) => {
+  try {
+    const data = JSON.parse(readItem(DAILY_KEY, storage));
+    if (data && data.version === DAILY_VERSION && data.streaks && typeof data.streaks === 'object') {
+      return data.streaks;
+    }
+  } catch (e) {
+    // Missing or corrupt; start over
+  }
+  return {};
+};
+
+const isStreak = (streak) => streak && typeof streak.lastDate === 'string'
+  && Number.isInteger(streak.current) && Number.isInteger(streak.best);
+
+/**
+ * Reads a language's daily streak as it stands on a given day.
+ * @param {string} language - Language name.
+ * @param {string} [todayKey=getDateKey()] - The current day.
+ * @param {Storage} [storage=window.localStorage] - Where streaks are kept.
+ * @returns {{current: number, best: number, completedToday: boolean}} Days in a row up to today
+ *   (or yesterday, while today's puzzle is still to play), the longest run, and whether today's is done.
+ */
+export const getDailyStreak = (language, todayKey = getDateKey(), storage = getStorage()) => {
+  const streak = storage ? readStreaks(storage)[language] : null;
+  if (!isStreak(streak)) return { current: 0, best: 0, completedToday: false };
+  const daysSince = daysBetween(streak.lastDate, todayKey);
+  return {
+    current: daysSince <= 1 ? streak.current : 0,
+    best: streak.best,
+    completedToday: daysSince === 0
+  };
+};
+
+/**
+ * Records a finished daily puzzle. Finishing the same day again (or an older day's puzzle
+ * resumed late) doesn't change the streak.
+ * @param {string} language - Language name.
+ * @param {string} dateKey - The day of the puzzle that was finished.
+ * @param {Storage} [storage=window.localStorage] - Where streaks are kept.
+ * @returns {{current: number, best: number, completedToday: boolean}} The streak as of that day.
+ */
+export const recordDailyResult = (language, dateKey, storage = getStorage()) => {
+  if (!storage) return { current: 1, best: 1, completedToday: true };
+  const streaks = readStreaks(storage);
+  const previous = isStreak(streaks[language]) ? streaks[language] : null;
+  if (!previous || daysBetween(previous.lastDate, dateKey) > 0) {
+    const current = previous && daysBetween(previous.lastDate, dateKey) === 1 ? previous.current + 1 : 1;
+    streaks[language] = { lastDate: dateKey, current, best: Math.max(current, previous ? previous.best : 0) };
+    // If storage refuses, the streak just isn't kept
+    writeItem(DAILY_KEY, JSON.stringify({ version: DAILY_VERSION, streaks }), storage);
+  }
+  return getDailyStreak(language, dateKey, storage);
+};
+
+/**
+ * Writes a spoiler-free summary of a finished daily puzzle for pasting into a chat: one
+ * square per word (green found unaided, yellow after a hint, red after the whole word was
+ * shown), the time, hints and streak, but none of the words.
+ * @param {Object} game - The finished game state (its spec has `daily`).
+ * @param {{current: number}} streak - The streak after recording it.
+ * @param {function} [t] - Translate function from createTranslator (default: English).
+ * @returns {string} The summary text.
+ */
+export const createDailyResultText = (game, streak, t = createTranslator(DEFAULT_UI_LANGUAGE)) => {
+  const squares = game.wordsToFind.map(word => {
+    const level = game.hintLevels[word] || 0;
+    if (level === 0) return '🟩';
+    return level >= HINT_LEVELS.wholeWord ? '🟥' : '🟨';
+  }).join('');
+  return [
+    t('daily.resultTitle', { language: languageName(game.spec.language), date: game.spec.daily }),
+    squares,
+    `⏱️ ${formatDuration(game.elapsedMs)} · 💡 ${t('daily.resultHints', { count: game.hintsUsed })}`,
+    streak.current > 1 ? t('daily.streak', { count: streak.current }) : null
+  ].filter(Boolean).join('\n');
+};
@@ -0,0 +1,80 @@
+import { createGame } from './gameEngine';
+import {
+  DAILY_KEY,
+  createDailyResultText,
+  createDailySpec,
+  findDailyPack,
+  getDailySeed,
+  getDailyStreak,
+  recordDailyResult
+} from './daily';
+
+const pack = {
+  id: 'hausa-core',
+  language: 'Hausa',
+  categories: [{
+    id: 'body',
+    name: 'Body',
+    words: ['ido', 'kunne', 'hannu', 'ƙafa', 'baki', 'hanci', 'wuya', 'gashi', 'haƙori', 'harshe'].map(word => ({ word }))
+  }]
+};
+
+beforeEach(() => window.localStorage.clear());
+
+test('gives everyone the same puzzle for a language on the same day', () => {
+  expect(createDailySpec(pack, '2026-10-19')).toEqual(createDailySpec(pack, '2026-10-19'));
+  expect(createDailySpec(pack, '2026-10-19')).toMatchObject({ daily: '2026-10-19', difficultyId: 'medium', packId: 'hausa-core' });
+  expect(getDailySeed('2026-10-20', 'Hausa')).not.toBe(getDailySeed('2026-10-19', 'Hausa'));
+  expect(getDailySeed('2026-10-19', 'Igbo')).not.toBe(getDailySeed('2026-10-19', 'Hausa'));
+});
+
+test('picks the same pack whatever order packs load in', () => {
+  const extra = { ...pack, id: 'hausa-market' };
+  const igbo = { ...pack, id: 'igbo-core', language: 'Igbo' };
+  expect(findDailyPack([extra, igbo, pack], 'Hausa')).toBe(pack);
+  expect(findDailyPack([igbo], 'Hausa')).toBeNull();
+});
+
+test('counts days in a row, and starts over after a missed day', () => {
+  expect(getDailyStreak('Hausa', '2026-10-19')).toEqual({ current: 0, best: 0, completedToday: false });
+  expect(recordDailyResult('Hausa', '2026-10-19')).toEqual({ current: 1, best: 1, completedToday: true });
+  expect(recordDailyResult('Hausa', '2026-10-19')).toEqual({ current: 1, best: 1, completedToday: true });
+  recordDailyResult('Hausa', '2026-10-20');
+  expect(recordDailyResult('Hausa', '2026-10-21')).toEqual({ current: 3, best: 3, completedToday: true });
+
+  // Still alive the next day until it's played, and an old puzzle finished late doesn't count
+  expect(getDailyStreak('Hausa', '2026-10-22')).toEqual({ current: 3, best: 3, completedToday: false });
+  expect(recordDailyResult('Hausa', '2026-10-18').current).toBe(3);
+  expect(getDailyStreak('Hausa', '2026-10-23').current).toBe(0);
+  expect(recordDailyResult('Hausa', '2026-10-24')).toEqual({ current: 1, best: 3, completedToday: true });
+
+  // Across a month end, and kept apart per language
+  recordDailyResult('Igbo', '2026-10-31');
+  expect(recordDailyResult('Igbo', '2026-11-01').current).toBe(2);
+  expect(getDailyStreak('Hausa', '2026-10-24').current).toBe(1);
+});
+
+test('ignores corrupt streaks', () => {
+  window.localStorage.setItem(DAILY_KEY, '{not json');
+  expect(getDailyStreak('Hausa', '2026-10-19').current).toBe(0);
+  expect(recordDailyResult('Hausa', '2026-10-19').current).toBe(1);
+});
+
+test('shares a result without giving away the words', () => {
+  const spec = createDailySpec(pack, '2026-10-19');
+  const puzzle = {
+    grid: [['i', 'd', 'o'], ['b', 'a', 'k'], ['x', 'x', 'x']],
+    hiddenWords: { ido: [{ r: 0, c: 0 }], baki: [{ r: 1, c: 0 }], kunne: [{ r: 2, c: 0 }] },
+    unplacedWords: []
+  };
+  const game = {
+    ...createGame(spec, puzzle, spec.hints),
+    hintLevels: { baki: 1, kunne: 3 },
+    hintsUsed: 4,
+    elapsedMs: 125000
+  };
+  const text = createDailyResultText(game, { current: 5 });
+  expect(text).toBe('Hausa Word Search · Daily 2026-10-19\n🟨🟩🟥\n⏱️ 2:05 · 💡 4 hints\n🔥 5-day streak');
+  expect(createDailyResultText({ ...game, hintsUsed: 1 }, { current: 1 })).not.toMatch(/streak/);
+  for (const word of Object.keys(puzzle.hiddenWords)) expect(text).not.toContain(word);
+});
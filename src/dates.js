@@ -0,0 +1,39 @@
+// --- Calendar Days ---
+// Days are named by date keys ('YYYY-MM-DD') in the player's own time zone, so they change
+// at local midnight. Daily puzzles and streaks (see daily.js) and review schedules (see
+// progress.js) count in them.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Names a calendar day in the player's own time zone.
+ * @param {Date} [date=new Date()] - Any time on the day.
+ * @returns {string} The day as 'YYYY-MM-DD'.
+ */
+export const getDateKey = (date = new Date()) =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+
+/**
+ * Counts the whole days from one day to another.
+ * @param {string} fromKey - The first day, from getDateKey.
+ * @param {string} toKey - The second day, from getDateKey.
+ * @returns {number} The days between them; negative if toKey comes first.
+ */
+export const daysBetween = (fromKey, toKey) => {
+  const toUtc = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(toKey) - toUtc(fromKey)) / DAY_MS);
+};
+
+/**
+ * Finds the day a number of days after another.
+ * @param {string} dateKey - The day, from getDateKey.
+ * @param {number} days - Days to add.
+ * @returns {string} The later day as 'YYYY-MM-DD'.
+ */
+export const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return getDateKey(new Date(year, month - 1, day + days));
+};
@@ -0,0 +1,15 @@
+import { addDays, daysBetween, getDateKey } from './dates';
+
+test('names days in local time', () => {
+  expect(getDateKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+  expect(getDateKey(new Date(2026, 11, 31, 0, 1))).toBe('2026-12-31');
+});
+
+test('counts and adds whole days across months and years', () => {
+  expect(daysBetween('2026-10-19', '2026-10-20')).toBe(1);
+  expect(daysBetween('2026-12-31', '2027-01-02')).toBe(2);
+  expect(daysBetween('2026-03-01', '2026-02-28')).toBe(-1);
+  expect(addDays('2026-10-19', 0)).toBe('2026-10-19');
+  expect(addDays('2026-12-30', 3)).toBe('2027-01-02');
+  expect(addDays('2028-02-28', 1)).toBe('2028-02-29');
+});
@@ -0,0 +1,103 @@
+// --- Directions and Difficulty Presets ---
+
+// Directions for placing words: (row_change, col_change)
+// These cover all 8 standard straight directions in a grid.
+export const DIRECTIONS = [
+  { name: "horizontal_right", dr: 0, dc: 1 },
+  { name: "vertical_down", dr: 1, dc: 0 },
+  { name: "diagonal_down_right", dr: 1, dc: 1 },
+  { name: "diagonal_up_left", dr: -1, dc: -1 },  // Backward diagonal
+  { name: "horizontal_left", dr: 0, dc: -1 },    // Backward horizontal
+  { name: "vertical_up", dr: -1, dc: 0 },        // Backward vertical
+  { name: "diagonal_down_left", dr: 1, dc: -1 },
+  { name: "diagonal_up_right", dr: -1, dc: 1 }
+];
+
+export const ALL_DIRECTION_NAMES = DIRECTIONS.map(direction => direction.name);
+
+export const MIN_GRID_SIZE = 5;
+export const MAX_GRID_SIZE = 30;
+export const MAX_WORD_COUNT = 60;
+export const MAX_HINTS = 10;
+
+// Each preset sets the grid dimensions (rows x cols, not necessarily square),
+// the directions words may run in, how many words are hidden, the word lengths
+// (counted in grid cells) that are allowed, and how many hints the player gets.
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    rows: 8,
+    cols: 10,
+    directions: ['horizontal_right', 'vertical_down'],
+    wordCount: 6,
+    minWordLength: 3,
+    maxWordLength: 6,
+    hints: 5
+  },
+  medium: {
+    rows: 12,
+    cols: 12,
+    directions: ['horizontal_right', 'vertical_down', 'diagonal_down_right', 'diagonal_up_right'],
+    wordCount: 10,
+    minWordLength: 3,
+    maxWordLength: 8,
+    hints: 3
+  },
+  hard: {
+    rows: 15,
+    cols: 15,
+    directions: ALL_DIRECTION_NAMES,
+    wordCount: 16,
+    minWordLength: 3,
+    maxWordLength: 15,
+    hints: 2
+  }
+};
+
+export const CUSTOM_DIFFICULTY = 'custom';
+export const DEFAULT_DIFFICULTY = 'medium';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, Math.round(Number(value) || min)));
+
+/**
+ * Brings user-entered custom settings into the supported ranges.
+ * Unknown direction names are dropped; an empty direction list falls back to left-to-right.
+ * @param {Object} settings - Custom settings in the same shape as a preset.
+ * @returns {Object} The cleaned-up settings.
+ */
+export const normalizeCustomSettings = (settings) => {
+  const rows = clamp(settings.rows, MIN_GRID_SIZE, MAX_GRID_SIZE);
+  const cols = clamp(settings.cols, MIN_GRID_SIZE, MAX_GRID_SIZE);
+  const minWordLength = clamp(settings.minWordLength, 2, Math.max(rows, cols));
+  const maxWordLength = clamp(settings.maxWordLength, minWordLength, Math.max(rows, cols));
+  const directions = ALL_DIRECTION_NAMES.filter(name => settings.directions.includes(name));
+  return {
+    rows,
+    cols,
+    directions: directions.length > 0 ? directions : ['horizontal_right'],
+    wordCount: clamp(settings.wordCount, 1, MAX_WORD_COUNT),
+    minWordLength,
+    maxWordLength,
+    hints: clamp(settings.hints, 0, MAX_HINTS)
+  };
+};
+
+/**
+ * Looks up direction objects by name, keeping the order of DIRECTIONS.
+ * @param {Array<string>} names - Direction names.
+ * @returns {Array<Object>} The matching directions.
+ */
+export const getDirections = (names) => DIRECTIONS.filter(direction => names.includes(direction.name));
+
+/**
+ * Finds the longest word (in cells) that fits a grid in at least one of the given directions.
+ * @param {number} rows - Number of grid rows.
+ * @param {number} cols - Number of grid columns.
+ * @param {Array<string>} directionNames - Allowed direction names.
+ * @returns {number} The maximum word length.
+ */
+export const getMaxWordLength = (rows, cols, directionNames) =>
+  Math.max(0, ...getDirections(directionNames).map(({ dr, dc }) => {
+    if (dr === 0) return cols;
+    if (dc === 0) return rows;
+    return Math.min(rows, cols);
+  }));
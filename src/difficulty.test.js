@@ -0,0 +1,22 @@
+import { ALL_DIRECTION_NAMES, getMaxWordLength, normalizeCustomSettings } from './difficulty';
+
+test('word length limit follows the allowed directions on non-square grids', () => {
+  expect(getMaxWordLength(8, 12, ['horizontal_right'])).toBe(12);
+  expect(getMaxWordLength(8, 12, ['vertical_down'])).toBe(8);
+  expect(getMaxWordLength(8, 12, ['diagonal_down_right'])).toBe(8);
+  expect(getMaxWordLength(8, 12, ALL_DIRECTION_NAMES)).toBe(12);
+});
+
+test('custom settings are clamped into supported ranges', () => {
+  expect(normalizeCustomSettings({
+    rows: '3', cols: 45, directions: [], wordCount: 0, minWordLength: 9, maxWordLength: 4, hints: 12
+  })).toEqual({
+    rows: 5,
+    cols: 30,
+    directions: ['horizontal_right'],
+    wordCount: 1,
+    minWordLength: 9,
+    maxWordLength: 9,
+    hints: 10
+  });
+});
@@ -0,0 +1,416 @@
+import { normalizeWord } from './graphemes';
+import { ALL_DIRECTION_NAMES, DIRECTIONS, getDirections } from './difficulty';
+import { isMessageMatch } from './hiddenMessage';
+
+// --- Game Engine ---
+// Everything that happens in a game once the grid exists: checking selections,
+// tracking found words, hints and completion. The state is a plain object and every
+// function returns a new state, so the engine runs the same in React (via
+// gameReducer), in tests, or anywhere else. It never produces UI text; instead each
+// state carries `feedback` describing what the last action did, and the view decides
+// how to word it.
+
+export const DEFAULT_HINTS = 3;
+
+// Hints are graded: each hint on the same word shows more of it
+export const HINT_LEVELS = { firstLetter: 1, direction: 2, wholeWord: 3 };
+const MAX_HINT_LEVEL = HINT_LEVELS.wholeWord;
+
+/**
+ * Feedback types set by the engine:
+ * - 'ready': a new game started (or a hint finished), nothing to report.
+ * - 'resumed': a saved game was restored.
+ * - 'found': `word` was found. 'completed': `word` was found and it was the last one.
+ * - 'too-short': fewer than two cells were selected.
+ * - 'not-straight': the selection isn't horizontal, vertical or a 45-degree diagonal.
+ * - 'strayed': the selection wandered off the straight line between its ends.
+ * - 'not-a-word': a straight line that isn't an unfound hidden word.
+ * - 'hint': a hint on `word` at `level` (see HINT_LEVELS) is being shown; `start` is its first cell
+ *   and `direction` the name of the direction it runs in. 'no-hints': none left. 'all-found': nothing left to hint.
+ * - 'message-solved': the hidden message was read correctly. 'message-wrong': it wasn't.
+ *   'message-revealed': the player asked to see it.
+ */
+
+// What became of a puzzle's hidden message (see hiddenMessage.js)
+export const MESSAGE_STATUS = { solved: 'solved', revealed: 'revealed' };
+
+/**
+ * Names a cell, e.g. to look cells up in a Set.
+ * @param {{r: number, c: number}} cell - The cell.
+ * @returns {string} Its key, 'r,c'.
+ */
+export const cellKey = ({ r, c }) => `${r},${c}`;
+
+/**
+ * Creates the state for a new game from a generated puzzle.
+ * @param {Object} spec - The puzzle spec the grid was generated from.
+ * @param {{grid: Array<Array<string>>, hiddenWords: Object, alternateLocations: (Object|undefined),
+ *          unplacedWords: (Array|undefined), messageCells: (Array|null|undefined)}} puzzle - The result of generatePuzzle.
+ * @param {number} [hints=DEFAULT_HINTS] - Number of hints the player may use.
+ * @returns {Object} The game state.
+ */
+export const createGame = (spec, { grid, hiddenWords, alternateLocations = {}, unplacedWords = [], messageCells = null }, hints = DEFAULT_HINTS) => ({
+  spec,
+  grid,
+  hiddenWords,
+  alternateLocations,
+  unplacedWords,
+  messageCells, // Cells spelling spec.message, in reading order
+  messageStatus: null, // A value of MESSAGE_STATUS once the message is read or shown
+  wordsToFind: Object.keys(hiddenWords).sort(),
+  foundWords: new Set(),
+  foundTimes: {}, // When each word was found, in playing time (ms)
+  hintsAvailable: hints,
+  hintsUsed: 0,
+  hintLevels: {}, // How much of each word hints have shown so far (see HINT_LEVELS)
+  activeHint: null, // { word, level, cells } while a hint is being shown
+  elapsedMs: 0, // Time spent playing; the view reports it with addElapsedTime
+  feedback: { type: 'ready' }
+});
+
+/**
+ * Whether every hidden word has been found.
+ * @param {Object} state - The game state.
+ * @returns {boolean} True when the game is complete.
+ */
+export const isComplete = (state) =>
+  state.wordsToFind.length > 0 && state.foundWords.size === state.wordsToFind.length;
+
+/**
+ * Whether the game has a hidden message to read once every word is found.
+ * @param {Object} state - The game state.
+ * @returns {boolean} True if the spec has a message and the grid spells it.
+ */
+export const hasHiddenMessage = (state) => Boolean(state.spec.message && state.messageCells);
+
+/**
+ * Works out the straight line a selection describes.
+ * The line runs from the first to the last selected cell and must be horizontal, vertical
+ * or a 45-degree diagonal, and every selected cell must lie on it.
+ * @param {Array<{r: number, c: number}>} selectedCells - Cells in the order they were selected.
+ * @returns {{path: Array<{r: number, c: number}>}|{error: string}} The cells of the line, in order,
+ *   or an error feedback type ('too-short', 'not-straight' or 'strayed').
+ */
+export const getSelectionPath = (selectedCells) => {
+  const len = selectedCells.length;
+  if (len < 2) return { error: 'too-short' }; // A single cell cannot form a word
+
+  const startCell = selectedCells[0];
+  const endCell = selectedCells[len - 1];
+  const drTotal = endCell.r - startCell.r;
+  const dcTotal = endCell.c - startCell.c;
+
+  // Horizontal, Vertical, or 45-degree Diagonal
+  if (!(drTotal === 0 || dcTotal === 0 || Math.abs(drTotal) === Math.abs(dcTotal))) {
+    return { error: 'not-straight' };
+  }
+
+  // Reconstruct the ideal straight path, one step (e.g. 1 or -1) at a time
+  const stepR = Math.sign(drTotal);
+  const stepC = Math.sign(dcTotal);
+  const path = [];
+  for (let i = 0; i < len; i++) {
+    path.push({ r: startCell.r + i * stepR, c: startCell.c + i * stepC });
+  }
+
+  // Verify that the selected cells are precisely the cells on this path
+  const pathSet = new Set(path.map(cellKey));
+  const selectedSet = new Set(selectedCells.map(cellKey));
+  if (pathSet.size !== selectedSet.size || ![...selectedSet].every(key => pathSet.has(key))) {
+    return { error: 'strayed' };
+  }
+  return { path };
+};
+
+/**
+ * Lists the cells on the straight line between two cells, for selecting by endpoints
+ * (e.g. with the keyboard) rather than by dragging.
+ * @param {{r: number, c: number}} start - The first cell.
+ * @param {{r: number, c: number}} end - The last cell.
+ * @returns {Array<{r: number, c: number}>|null} The cells from start to end, or null if they aren't
+ *   on a horizontal, vertical or 45-degree diagonal line.
+ */
+export const getLineCells = (start, end) => {
+  const drTotal = end.r - start.r;
+  const dcTotal = end.c - start.c;
+  if (!(drTotal === 0 || dcTotal === 0 || Math.abs(drTotal) === Math.abs(dcTotal))) return null;
+  const length = Math.max(Math.abs(drTotal), Math.abs(dcTotal)) + 1;
+  return Array.from({ length }, (_, i) => ({ r: start.r + i * Math.sign(drTotal), c: start.c + i * Math.sign(dcTotal) }));
+};
+
+/**
+ * Snaps a drag to the nearest straight line, so a wobbly finger still selects a clean word.
+ * The line starts at the start cell and follows whichever direction is closest to the angle
+ * of the pointer; its length is how far the pointer has travelled along that direction.
+ * Only the puzzle's directions and their reverses are considered, since a word can be
+ * selected from either end. The line stops at the edge of the grid, and in a shaped grid at
+ * the last cell in play, so it never runs into or across the gaps.
+ * @param {{r: number, c: number}} start - The cell where the drag started.
+ * @param {{r: number, c: number}} point - The pointer position in cell units (the centre of cell
+ *   (r, c) is at r + 0.5, c + 0.5).
+ * @param {Object} grid - The grid's shape.
+ * @param {number} grid.rows - Number of grid rows.
+ * @param {number} grid.cols - Number of grid columns.
+ * @param {Array<string>} [grid.directions=ALL_DIRECTION_NAMES] - The puzzle's direction names.
+ * @param {Array<Array<boolean>>|null} [grid.mask=null] - Which cells are in play, for a shaped
+ *   grid (see shapes.js); null when they all are.
+ * @returns {Array<{r: number, c: number}>} The snapped selection, starting with the start cell.
+ */
+export const snapSelection = (start, point, { rows, cols, directions = ALL_DIRECTION_NAMES, mask = null }) => {
+  const dy = point.r - (start.r + 0.5);
+  const dx = point.c - (start.c + 0.5);
+  const distance = Math.hypot(dx, dy);
+  if (distance < 0.5) return [start]; // Still inside the start cell
+
+  let best = null;
+  for (const { dr, dc } of getDirections(directions)) {
+    for (const [stepR, stepC] of [[dr, dc], [-dr, -dc]]) {
+      const stepLength = Math.hypot(stepR, stepC);
+      const along = (dy * stepR + dx * stepC) / stepLength; // Distance travelled in this direction
+      if (!best || along > best.along) best = { stepR, stepC, stepLength, along };
+    }
+  }
+
+  const { stepR, stepC, stepLength, along } = best;
+  const isInPlay = (step) => {
+    const r = start.r + step * stepR;
+    const c = start.c + step * stepC;
+    return r >= 0 && r < rows && c >= 0 && c < cols && (!mask || mask[r][c]);
+  };
+  const wantedSteps = Math.round(along / stepLength);
+  let steps = 0;
+  while (steps < wantedSteps && isInPlay(steps + 1)) steps++;
+  return getLineCells(start, { r: start.r + steps * stepR, c: start.c + steps * stepC });
+};
+
+/**
+ * Whether two selections cover the same straight line, so a pointer move that stays within
+ * a cell needn't redraw the grid.
+ * @param {Array<{r: number, c: number}>} a - A selection, e.g. from snapSelection.
+ * @param {Array<{r: number, c: number}>} b - Another one.
+ * @returns {boolean} True if both have the same length, start and end.
+ */
+export const isSameSelection = (a, b) => a.length === b.length
+  && (a.length === 0 || (cellKey(a[0]) === cellKey(b[0]) && cellKey(a[a.length - 1]) === cellKey(b[b.length - 1])));
+
+/**
+ * Checks a finished selection against the hidden words.
+ * A word matches when the selection covers exactly the cells where it was hidden (or one of
+ * its unavoidable repeats), read in either direction.
+ * @param {Object} state - The game state.
+ * @param {Array<{r: number, c: number}>} selectedCells - Cells in the order they were selected.
+ * @returns {Object} The new game state.
+ */
+export const applySelection = (state, selectedCells) => {
+  const { path, error } = getSelectionPath(selectedCells);
+  if (error) return { ...state, feedback: { type: error } };
+
+  // Read the line cell by cell, never code unit by code unit, so combining tone marks stay attached
+  const cellValues = path.map(({ r, c }) => state.grid[r][c]);
+  const selectedWord = normalizeWord(cellValues.join(''));
+  const reversedSelectedWord = normalizeWord([...cellValues].reverse().join(''));
+  const selectedSet = new Set(path.map(cellKey));
+
+  for (const word of state.wordsToFind) {
+    if (state.foundWords.has(word) || !state.hiddenWords[word]) continue;
+
+    for (const hiddenLocs of [state.hiddenWords[word], ...(state.alternateLocations[word] || [])]) {
+      const hiddenWord = normalizeWord(hiddenLocs.map(({ r, c }) => state.grid[r][c]).join(''));
+      const isExactMatchByCells = hiddenLocs.length === selectedSet.size
+        && hiddenLocs.every(cell => selectedSet.has(cellKey(cell)));
+
+      if (isExactMatchByCells && (selectedWord === hiddenWord || reversedSelectedWord === hiddenWord)) {
+        const foundWords = new Set(state.foundWords).add(word);
+        const next = {
+          ...state,
+          // Found at a repeat: from now on highlight the copy the player actually found
+          hiddenWords: hiddenLocs === state.hiddenWords[word] ? state.hiddenWords : { ...state.hiddenWords, [word]: hiddenLocs },
+          foundWords,
+          foundTimes: { ...state.foundTimes, [word]: state.elapsedMs }
+        };
+        return { ...next, feedback: { type: isComplete(next) ? 'completed' : 'found', word } };
+      }
+    }
+  }
+
+  return { ...state, feedback: { type: 'not-a-word' } };
+};
+
+/**
+ * Names the direction a word runs in on the grid.
+ * @param {Array<{r: number, c: number}>} cells - The word's cells, in reading order.
+ * @returns {string|null} A direction name (see DIRECTIONS), or null for a single cell.
+ */
+const getWordDirection = ([first, second]) => {
+  if (!second) return null;
+  const direction = DIRECTIONS.find(({ dr, dc }) => dr === second.r - first.r && dc === second.c - first.c);
+  return direction ? direction.name : null;
+};
+
+/**
+ * Chooses the word a hint is spent on when the player doesn't pick one: the word hints have
+ * already shown most of (so successive hints build up one word), otherwise a random one that
+ * hasn't been hinted yet, otherwise any unfound word.
+ * @param {Object} state - The game state.
+ * @param {Array<string>} unfoundWords - The words not found yet, in list order.
+ * @param {number} roll - A number in [0, 1) for the random choice.
+ * @returns {string} The word.
+ */
+const chooseHintWord = (state, unfoundWords, roll) => {
+  const levelOf = (word) => state.hintLevels[word] || 0;
+  const inProgress = unfoundWords.filter(word => levelOf(word) > 0 && levelOf(word) < MAX_HINT_LEVEL);
+  if (inProgress.length > 0) {
+    return inProgress.reduce((best, word) => (levelOf(word) > levelOf(best) ? word : best));
+  }
+  const unhinted = unfoundWords.filter(word => levelOf(word) === 0);
+  const candidates = unhinted.length > 0 ? unhinted : unfoundWords;
+  return candidates[Math.floor(roll * candidates.length)];
+};
+
+/**
+ * Spends a hint. The first hint on a word flashes its first letter, the second its first two
+ * letters (showing the direction), and the third the whole word. The view shows `activeHint`
+ * until it calls clearHint.
+ * @param {Object} state - The game state.
+ * @param {number} [roll=Math.random()] - A number in [0, 1) that picks the word; pass it in to stay pure.
+ * @param {string} [word] - The word the player wants a hint for; chosen automatically when
+ *   missing or already found.
+ * @returns {Object} The new game state.
+ */
+export const requestHint = (state, roll = Math.random(), word = null) => {
+  if (state.hintsAvailable <= 0) return { ...state, feedback: { type: 'no-hints' } };
+
+  const unfoundWords = state.wordsToFind.filter(w => !state.foundWords.has(w));
+  if (unfoundWords.length === 0) return { ...state, feedback: { type: 'all-found' } };
+
+  const hintWord = unfoundWords.includes(word) ? word : chooseHintWord(state, unfoundWords, roll);
+  const level = Math.min(MAX_HINT_LEVEL, (state.hintLevels[hintWord] || 0) + 1);
+  const cells = state.hiddenWords[hintWord];
+  return {
+    ...state,
+    hintsAvailable: state.hintsAvailable - 1,
+    hintsUsed: state.hintsUsed + 1,
+    hintLevels: { ...state.hintLevels, [hintWord]: level },
+    activeHint: { word: hintWord, level, cells: level === MAX_HINT_LEVEL ? cells : cells.slice(0, level) },
+    feedback: { type: 'hint', word: hintWord, level, start: cells[0], direction: getWordDirection(cells) }
+  };
+};
+
+/**
+ * Stops showing the current hint.
+ * @param {Object} state - The game state.
+ * @returns {Object} The new game state.
+ */
+export const clearHint = (state) => ({
+  ...state,
+  activeHint: null,
+  // Only reset the feedback if nothing else has happened since the hint
+  feedback: state.feedback.type === 'hint' ? { type: 'ready' } : state.feedback
+});
+
+/**
+ * Checks the player's reading of the hidden message. It only counts once every word is
+ * found, when the leftover letters are the only ones not highlighted.
+ * @param {Object} state - The game state.
+ * @param {string} guess - What the player typed.
+ * @returns {Object} The new game state (the same object when there's nothing to guess).
+ */
+export const guessMessage = (state, guess) => {
+  if (!hasHiddenMessage(state) || !isComplete(state) || state.messageStatus) return state;
+  return isMessageMatch(guess, state.spec.message.text)
+    ? { ...state, messageStatus: MESSAGE_STATUS.solved, feedback: { type: 'message-solved' } }
+    : { ...state, feedback: { type: 'message-wrong' } };
+};
+
+/**
+ * Shows the hidden message to a player who gives up on it; it earns no bonus.
+ * @param {Object} state - The game state.
+ * @returns {Object} The new game state (the same object when there's nothing to show).
+ */
+export const revealMessage = (state) => {
+  if (!hasHiddenMessage(state) || !isComplete(state) || state.messageStatus) return state;
+  return { ...state, messageStatus: MESSAGE_STATUS.revealed, feedback: { type: 'message-revealed' } };
+};
+
+/**
+ * Adds playing time to the game. Time stops counting once every word is found.
+ * @param {Object} state - The game state.
+ * @param {number} ms - Milliseconds played since the last call.
+ * @returns {Object} The new game state (the same object when nothing changed).
+ */
+export const addElapsedTime = (state, ms) =>
+  (isComplete(state) || !(ms > 0) ? state : { ...state, elapsedMs: state.elapsedMs + ms });
+
+/**
+ * Converts a game state to plain JSON-safe data.
+ * @param {Object} state - The game state.
+ * @returns {Object} Serializable data; restore it with deserializeGame.
+ */
+export const serializeGame = (state) => ({
+  spec: state.spec,
+  grid: state.grid,
+  hiddenWords: state.hiddenWords,
+  alternateLocations: state.alternateLocations,
+  unplacedWords: state.unplacedWords,
+  foundWords: [...state.foundWords],
+  foundTimes: state.foundTimes,
+  hintsAvailable: state.hintsAvailable,
+  hintsUsed: state.hintsUsed,
+  hintLevels: state.hintLevels,
+  elapsedMs: state.elapsedMs,
+  messageCells: state.messageCells,
+  messageStatus: state.messageStatus
+});
+
+/**
+ * Rebuilds a game state from serializeGame's output.
+ * @param {Object} data - Serialized game data.
+ * @returns {Object} The game state.
+ */
+export const deserializeGame = (data) => ({
+  ...createGame(data.spec, data, data.hintsAvailable),
+  foundWords: new Set(data.foundWords),
+  foundTimes: data.foundTimes || {},
+  hintsUsed: data.hintsUsed || 0,
+  hintLevels: data.hintLevels || {},
+  elapsedMs: data.elapsedMs || 0,
+  messageStatus: data.messageStatus || null,
+  feedback: { type: 'resumed' }
+});
+
+/**
+ * Reducer driving a game in React's useReducer. The state is null until a game starts.
+ * Actions:
+ * - { type: 'start', game }: replace the state with a new game (from createGame or deserializeGame).
+ * - { type: 'select', cells }: apply a finished selection.
+ * - { type: 'hint', roll, word }: spend a hint; `roll` is a random number in [0, 1), and `word`
+ *   (optional) the word the player picked.
+ * - { type: 'clearHint' }: stop showing the current hint.
+ * - { type: 'tick', ms }: add `ms` milliseconds of playing time.
+ * - { type: 'guessMessage', text }: check a reading of the hidden message.
+ * - { type: 'revealMessage' }: show the hidden message.
+ * @param {Object|null} state - The game state.
+ * @param {Object} action - The action.
+ * @returns {Object|null} The new game state.
+ */
+export const gameReducer = (state, action) => {
+  if (action.type === 'start') return action.game;
+  if (!state) return state;
+
+  switch (action.type) {
+    case 'select':
+      return applySelection(state, action.cells);
+    case 'hint':
+      return requestHint(state, action.roll, action.word);
+    case 'clearHint':
+      return clearHint(state);
+    case 'tick':
+      return addElapsedTime(state, action.ms);
+    case 'guessMessage':
+      return guessMessage(state, action.text);
+    case 'revealMessage':
+      return revealMessage(state);
+    default:
+      throw new Error(`Unknown game action: ${action.type}`);
+  }
+};
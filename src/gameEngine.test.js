@@ -0,0 +1,251 @@
+import {
+  MESSAGE_STATUS,
+  applySelection,
+  clearHint,
+  createGame,
+  deserializeGame,
+  gameReducer,
+  getLineCells,
+  guessMessage,
+  hasHiddenMessage,
+  isComplete,
+  isSameSelection,
+  requestHint,
+  revealMessage,
+  serializeGame,
+  snapSelection
+} from './gameEngine';
+
+const toGrid = (rows) => rows.map(row => row.split(''));
+const line = (r, c, dr, dc, length) => Array.from({ length }, (_, i) => ({ r: r + i * dr, c: c + i * dc }));
+
+// 'ido' across the top, 'kai' down the last column, 'uku' down the first column
+const makeGame = () => createGame({ language: 'Hausa', words: ['ido', 'kai', 'uku'] }, {
+  grid: toGrid([
+    'uidok',
+    'kxyza',
+    'uxwvi'
+  ]),
+  hiddenWords: {
+    ido: line(0, 1, 0, 1, 3),
+    kai: line(0, 4, 1, 0, 3),
+    uku: line(0, 0, 1, 0, 3)
+  },
+  alternateLocations: {},
+  unplacedWords: []
+});
+
+test('starts with every placed word to find, sorted', () => {
+  const game = makeGame();
+  expect(game.wordsToFind).toEqual(['ido', 'kai', 'uku']);
+  expect(game.foundWords.size).toBe(0);
+  expect(game.feedback).toEqual({ type: 'ready' });
+  expect(isComplete(game)).toBe(false);
+});
+
+test('rejects selections that are too short or not straight', () => {
+  const game = makeGame();
+  expect(applySelection(game, [{ r: 0, c: 1 }]).feedback.type).toBe('too-short');
+  expect(applySelection(game, [{ r: 0, c: 0 }, { r: 1, c: 2 }]).feedback.type).toBe('not-straight');
+  // Ends line up diagonally, but the middle cell is off the diagonal
+  expect(applySelection(game, [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 2, c: 2 }]).feedback.type).toBe('strayed');
+});
+
+test('lists the cells between two ends of a straight line', () => {
+  expect(getLineCells({ r: 2, c: 0 }, { r: 0, c: 2 })).toEqual([{ r: 2, c: 0 }, { r: 1, c: 1 }, { r: 0, c: 2 }]);
+  expect(getLineCells({ r: 1, c: 3 }, { r: 1, c: 3 })).toEqual([{ r: 1, c: 3 }]);
+  expect(getLineCells({ r: 0, c: 0 }, { r: 1, c: 2 })).toBeNull();
+});
+
+test('finds a word selected in either direction', () => {
+  const forwards = applySelection(makeGame(), line(0, 1, 0, 1, 3));
+  expect(forwards.feedback).toEqual({ type: 'found', word: 'ido' });
+  expect(forwards.foundWords.has('ido')).toBe(true);
+
+  const backwards = applySelection(makeGame(), line(2, 4, -1, 0, 3));
+  expect(backwards.feedback).toEqual({ type: 'found', word: 'kai' });
+});
+
+test('notes when each word was found', () => {
+  let game = applySelection({ ...makeGame(), elapsedMs: 5000 }, line(0, 1, 0, 1, 3));
+  game = applySelection({ ...game, elapsedMs: 12000 }, line(2, 4, -1, 0, 3));
+  expect(game.foundTimes).toEqual({ ido: 5000, kai: 12000 });
+});
+
+test('does not count a word twice or a line that is not a hidden word', () => {
+  const found = applySelection(makeGame(), line(0, 1, 0, 1, 3));
+  expect(applySelection(found, line(0, 1, 0, 1, 3)).feedback.type).toBe('not-a-word');
+  expect(applySelection(found, line(1, 1, 0, 1, 3)).feedback.type).toBe('not-a-word');
+  // Right letters, wrong cells: a prefix of 'ido' plus a neighbour
+  expect(applySelection(makeGame(), line(0, 0, 0, 1, 3)).feedback.type).toBe('not-a-word');
+});
+
+test('credits a word found at an unavoidable repeat and highlights that copy', () => {
+  // The second row repeats 'ido', and generation reported the repeat as an alternate location
+  const grid = toGrid([
+    'uidok',
+    'kidoa',
+    'uxwvi'
+  ]);
+  const withRepeat = { ...makeGame(), grid, alternateLocations: { ido: [line(1, 1, 0, 1, 3)] } };
+
+  const found = applySelection(withRepeat, line(1, 3, 0, -1, 3));
+  expect(found.feedback).toEqual({ type: 'found', word: 'ido' });
+  expect(found.hiddenWords.ido).toEqual(line(1, 1, 0, 1, 3));
+});
+
+test('completes the game when the last word is found', () => {
+  let game = makeGame();
+  game = applySelection(game, line(0, 1, 0, 1, 3));
+  game = applySelection(game, line(0, 4, 1, 0, 3));
+  expect(isComplete(game)).toBe(false);
+  game = applySelection(game, line(0, 0, 1, 0, 3));
+  expect(game.feedback).toEqual({ type: 'completed', word: 'uku' });
+  expect(isComplete(game)).toBe(true);
+});
+
+// The same game with 'xyzxwv' hidden in its leftover cells
+const makeMessageGame = () => createGame({ language: 'Hausa', words: ['ido', 'kai', 'uku'], message: { text: 'xyz xwv' } }, {
+  ...makeGame(),
+  messageCells: [...line(1, 1, 0, 1, 3), ...line(2, 1, 0, 1, 3)]
+});
+
+const finish = (game) => [line(0, 1, 0, 1, 3), line(0, 4, 1, 0, 3), line(0, 0, 1, 0, 3)].reduce(applySelection, game);
+
+test('the hidden message is read once every word is found', () => {
+  expect(hasHiddenMessage(makeGame())).toBe(false);
+  let game = makeMessageGame();
+  expect(hasHiddenMessage(game)).toBe(true);
+  expect(guessMessage(game, 'xyz xwv')).toBe(game);
+
+  game = finish(game);
+  const wrong = guessMessage(game, 'xyz');
+  expect(wrong.feedback).toEqual({ type: 'message-wrong' });
+  expect(wrong.messageStatus).toBeNull();
+  const solved = guessMessage(wrong, 'XYZ-XWV');
+  expect(solved).toMatchObject({ messageStatus: MESSAGE_STATUS.solved, feedback: { type: 'message-solved' } });
+  expect(guessMessage(solved, 'xyz xwv')).toBe(solved);
+  expect(revealMessage(solved)).toBe(solved);
+});
+
+test('a player can give up on the hidden message and see it', () => {
+  const unfinished = makeMessageGame();
+  expect(revealMessage(unfinished)).toBe(unfinished);
+  const game = gameReducer(finish(makeMessageGame()), { type: 'revealMessage' });
+  expect(game).toMatchObject({ messageStatus: MESSAGE_STATUS.revealed, feedback: { type: 'message-revealed' } });
+  expect(gameReducer(game, { type: 'guessMessage', text: 'xyz xwv' })).toBe(game);
+});
+
+test('graded hints show the first letter, then the direction, then the whole word', () => {
+  let game = applySelection(makeGame(), line(0, 1, 0, 1, 3));
+  game = requestHint(game, 0);
+  expect(game.feedback).toEqual({ type: 'hint', word: 'kai', level: 1, start: { r: 0, c: 4 }, direction: 'vertical_down' });
+  expect(game.activeHint).toEqual({ word: 'kai', level: 1, cells: line(0, 4, 1, 0, 1) });
+  expect(game.hintsAvailable).toBe(2);
+
+  game = clearHint(game);
+  expect(game.activeHint).toBeNull();
+  expect(game.feedback).toEqual({ type: 'ready' });
+
+  // Further hints carry on with the same word, whatever the roll
+  game = requestHint(game, 0.99);
+  expect(game.activeHint).toEqual({ word: 'kai', level: 2, cells: line(0, 4, 1, 0, 2) });
+  game = requestHint(game, 0.99);
+  expect(game.activeHint).toEqual({ word: 'kai', level: 3, cells: line(0, 4, 1, 0, 3) });
+  expect(game.hintsUsed).toBe(3);
+  expect(requestHint(game, 0).feedback.type).toBe('no-hints');
+});
+
+test('hints go to the word the player picks', () => {
+  let game = requestHint(makeGame(), 0, 'uku');
+  expect(game.activeHint).toEqual({ word: 'uku', level: 1, cells: [{ r: 0, c: 0 }] });
+  game = requestHint(game, 0, 'ido');
+  expect(game.hintLevels).toEqual({ uku: 1, ido: 1 });
+  // A found word can't be picked; the hint goes to the word in progress instead
+  game = requestHint(applySelection(game, line(0, 1, 0, 1, 3)), 0, 'ido');
+  expect(game.activeHint.word).toBe('uku');
+  expect(game.hintLevels.uku).toBe(2);
+});
+
+test('clearing a hint keeps newer feedback', () => {
+  const game = applySelection(requestHint(makeGame(), 0), line(0, 1, 0, 1, 3));
+  expect(clearHint(game).feedback).toEqual({ type: 'found', word: 'ido' });
+});
+
+test('round-trips through JSON', () => {
+  const game = { ...requestHint(applySelection(makeGame(), line(0, 1, 0, 1, 3)), 0), elapsedMs: 42000 };
+  const restored = deserializeGame(JSON.parse(JSON.stringify(serializeGame(game))));
+  expect(restored.foundWords).toEqual(new Set(['ido']));
+  expect(restored.foundTimes).toEqual({ ido: 0 });
+  expect(restored.hintsAvailable).toBe(2);
+  expect(restored.hintLevels).toEqual({ kai: 1 });
+  expect(restored.grid).toEqual(game.grid);
+  expect(restored.hiddenWords).toEqual(game.hiddenWords);
+  expect(restored.activeHint).toBeNull();
+  expect(restored.elapsedMs).toBe(42000);
+  expect(restored.feedback).toEqual({ type: 'resumed' });
+
+  const solved = guessMessage(finish(makeMessageGame()), 'xyz xwv');
+  const restoredMessage = deserializeGame(JSON.parse(JSON.stringify(serializeGame(solved))));
+  expect(restoredMessage.messageCells).toEqual(solved.messageCells);
+  expect(restoredMessage.messageStatus).toBe(MESSAGE_STATUS.solved);
+});
+
+test('reducer starts games and applies actions', () => {
+  expect(gameReducer(null, { type: 'select', cells: [] })).toBeNull();
+  let state = gameReducer(null, { type: 'start', game: makeGame() });
+  state = gameReducer(state, { type: 'select', cells: line(0, 1, 0, 1, 3) });
+  state = gameReducer(state, { type: 'hint', roll: 0 });
+  expect(state.activeHint.word).toBe('kai');
+  state = gameReducer(state, { type: 'clearHint' });
+  expect(state.activeHint).toBeNull();
+  expect(() => gameReducer(state, { type: 'bogus' })).toThrow('Unknown game action');
+});
+
+test('counts playing time until the game is complete', () => {
+  let game = gameReducer(makeGame(), { type: 'tick', ms: 1500 });
+  expect(game.elapsedMs).toBe(1500);
+  game = [line(0, 1, 0, 1, 3), line(0, 4, 1, 0, 3), line(0, 0, 1, 0, 3)].reduce(applySelection, game);
+  expect(gameReducer(game, { type: 'tick', ms: 1000 })).toBe(game);
+});
+
+test('snaps a wobbly drag to the nearest allowed straight line', () => {
+  const shape = { rows: 5, cols: 5 };
+  const start = { r: 0, c: 0 };
+  // Mostly diagonal, drifting a little to the right
+  expect(snapSelection(start, { r: 2.4, c: 2.9 }, shape)).toEqual(getLineCells(start, { r: 2, c: 2 }));
+  // Mostly rightwards, a little low
+  expect(snapSelection(start, { r: 0.9, c: 3.6 }, shape)).toEqual(getLineCells(start, { r: 0, c: 3 }));
+  // Still inside the start cell
+  expect(snapSelection(start, { r: 0.7, c: 0.6 }, shape)).toEqual([start]);
+  // Past the edge of the grid
+  expect(snapSelection(start, { r: 0.5, c: 9 }, shape)).toEqual(getLineCells(start, { r: 0, c: 4 }));
+});
+
+test('snaps only to the puzzle directions and their reverses', () => {
+  const shape = { rows: 5, cols: 5, directions: ['horizontal_right', 'vertical_down'] };
+  // A diagonal drag isn't allowed here, so it snaps to the closer of down and right
+  expect(snapSelection({ r: 0, c: 0 }, { r: 3.5, c: 2.5 }, shape)).toEqual(getLineCells({ r: 0, c: 0 }, { r: 3, c: 0 }));
+  // Reverses are fine: words can be selected from their last letter
+  expect(snapSelection({ r: 2, c: 4 }, { r: 2.5, c: 1.5 }, shape)).toEqual(getLineCells({ r: 2, c: 4 }, { r: 2, c: 1 }));
+});
+
+test('stops at the last cell in play in a shaped grid', () => {
+  // A ring: the centre cell is a gap
+  const shape = { rows: 3, cols: 3, mask: [[true, true, true], [true, false, true], [true, true, true]] };
+  expect(snapSelection({ r: 0, c: 0 }, { r: 0.5, c: 2.5 }, shape)).toEqual(getLineCells({ r: 0, c: 0 }, { r: 0, c: 2 }));
+  // Across the gap: the line can't reach into it or jump over it
+  expect(snapSelection({ r: 0, c: 0 }, { r: 2.5, c: 2.5 }, shape)).toEqual([{ r: 0, c: 0 }]);
+  expect(snapSelection({ r: 1, c: 0 }, { r: 1.5, c: 2.5 }, shape)).toEqual([{ r: 1, c: 0 }]);
+});
+
+test('tells when a drag still covers the same line', () => {
+  const start = { r: 1, c: 1 };
+  const shape = { rows: 5, cols: 5 };
+  const selection = snapSelection(start, { r: 1.5, c: 3.4 }, shape);
+  expect(isSameSelection(selection, snapSelection(start, { r: 1.8, c: 3.7 }, shape))).toBe(true);
+  expect(isSameSelection(selection, snapSelection(start, { r: 1.5, c: 4.6 }, shape))).toBe(false);
+  expect(isSameSelection(selection, snapSelection(start, { r: 3.5, c: 3.5 }, shape))).toBe(false);
+  expect(isSameSelection([], [])).toBe(true);
+  expect(isSameSelection([start], [])).toBe(false);
+});
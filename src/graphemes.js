@@ -0,0 +1,56 @@
+// --- Grapheme Utilities ---
+// Grid cells hold user-perceived characters (graphemes), not UTF-16 code units,
+// so tone-marked letters such as 'ọ́' or 'ù' always stay together in one cell.
+
+const graphemeSegmenter =
+  typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function'
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+// Fallback for browsers without Intl.Segmenter: a base character plus any combining marks.
+const GRAPHEME_FALLBACK_REGEX = /\P{M}\p{M}*/gu;
+
+/**
+ * Normalizes a word for comparison and grid placement (NFC, lower case).
+ * @param {string} word - The word to normalize.
+ * @returns {string} The normalized word.
+ */
+export const normalizeWord = (word) => word.normalize('NFC').toLowerCase();
+
+/**
+ * Splits text into graphemes.
+ * @param {string} text - The text to split.
+ * @returns {Array<string>} One entry per grapheme.
+ */
+export const splitGraphemes = (text) => {
+  const normalized = text.normalize('NFC');
+  if (graphemeSegmenter) {
+    return Array.from(graphemeSegmenter.segment(normalized), ({ segment }) => segment);
+  }
+  return normalized.match(GRAPHEME_FALLBACK_REGEX) || [];
+};
+
+/**
+ * Splits a word into the cells it occupies on the grid.
+ * When digraphs are given (e.g. Hausa 'sh', Yoruba 'gb'), each one is kept in a single cell.
+ * @param {string} word - The word to split.
+ * @param {Array<string>} [digraphs=[]] - Letter pairs that should share one cell.
+ * @returns {Array<string>} The normalized cell values, in reading order.
+ */
+export const toCells = (word, digraphs = []) => {
+  const graphemes = splitGraphemes(normalizeWord(word));
+  if (digraphs.length === 0) return graphemes;
+
+  const digraphSet = new Set(digraphs.map(normalizeWord));
+  const cells = [];
+  for (let i = 0; i < graphemes.length; i++) {
+    const pair = i + 1 < graphemes.length ? graphemes[i] + graphemes[i + 1] : null;
+    if (pair && digraphSet.has(pair)) {
+      cells.push(pair);
+      i++; // Skip the second letter of the digraph
+    } else {
+      cells.push(graphemes[i]);
+    }
+  }
+  return cells;
+};
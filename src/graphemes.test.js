@@ -0,0 +1,19 @@
+import { normalizeWord, splitGraphemes, toCells } from './graphemes';
+
+test('keeps tone-marked Yoruba and Igbo letters in a single grapheme', () => {
+  expect(splitGraphemes('oògùn')).toEqual(['o', 'ò', 'g', 'ù', 'n']);
+  expect(splitGraphemes('olùkọ́')).toEqual(['o', 'l', 'ù', 'k', 'ọ́']);
+  expect(splitGraphemes('ụkwụ')).toEqual(['ụ', 'k', 'w', 'ụ']);
+});
+
+test('normalizes decomposed input to the same cells as precomposed input', () => {
+  const decomposed = 'o\u0300jo\u0300'; // 'òjò' typed with combining grave accents
+  expect(normalizeWord(decomposed)).toBe('òjò');
+  expect(toCells(decomposed)).toEqual(toCells('òjò'));
+});
+
+test('merges configured digraphs into one cell', () => {
+  expect(toCells('tsalle', ['sh', 'ts'])).toEqual(['ts', 'a', 'l', 'l', 'e']);
+  expect(toCells('shago', ['sh', 'ts'])).toEqual(['sh', 'a', 'g', 'o']);
+  expect(toCells('shago')).toEqual(['s', 'h', 'a', 'g', 'o']);
+});
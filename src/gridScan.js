@@ -0,0 +1,114 @@
+import { DIRECTIONS } from './difficulty';
+import { randomInt } from './random';
+
+// --- Grid Scanning ---
+// After filler is added, a hidden word can turn up a second time by chance, and filler
+// can spell words from a language's blocklist. These helpers find such occurrences in
+// all eight directions (players can select any straight line, whatever directions the
+// puzzle used) and redraw filler until they are gone.
+
+const MAX_CLEANUP_PASSES = 50;
+
+const cellKey = ({ r, c }) => `${r},${c}`;
+
+const sameCells = (a, b) => {
+  if (a.length !== b.length) return false;
+  const keys = new Set(a.map(cellKey));
+  return b.every(cell => keys.has(cellKey(cell)));
+};
+
+/**
+ * Finds every place a word appears in the grid, in any of the eight directions.
+ * A palindrome read backwards over the same cells counts only once.
+ * @param {Array<Array<string>>} grid - The filled grid.
+ * @param {Array<string>} cells - The word, split into grid cells.
+ * @returns {Array<Array<{r: number, c: number}>>} The cells of each occurrence, in reading order.
+ */
+export const findOccurrences = (grid, cells) => {
+  const rows = grid.length;
+  const cols = rows > 0 ? grid[0].length : 0;
+  const n = cells.length;
+  const occurrences = [];
+  if (n === 0) return occurrences;
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (grid[r][c] !== cells[0]) continue;
+      for (const { dr, dc } of DIRECTIONS) {
+        const endR = r + (n - 1) * dr;
+        const endC = c + (n - 1) * dc;
+        if (endR < 0 || endR >= rows || endC < 0 || endC >= cols) continue;
+        let matches = true;
+        for (let i = 1; i < n && matches; i++) {
+          matches = grid[r + i * dr][c + i * dc] === cells[i];
+        }
+        if (!matches) continue;
+        const locations = cells.map((cell, i) => ({ r: r + i * dr, c: c + i * dc }));
+        if (!occurrences.some(existing => sameCells(existing, locations))) {
+          occurrences.push(locations);
+        }
+      }
+    }
+  }
+  return occurrences;
+};
+
+/**
+ * Redraws filler letters until no hidden word appears anywhere except where it was
+ * placed, and no blocklisted word appears at all. Only filler cells are ever changed.
+ *
+ * Some repeats can't be removed because they are made entirely of other words' letters
+ * (e.g. 'uku' inside a longer placed word). Those are returned as alternate locations,
+ * so a player who finds one is still credited.
+ *
+ * @param {Array<Array<string>>} grid - The filled grid; modified in place.
+ * @param {Object} options - Clean-up options.
+ * @param {Array<{word: string, cells: Array<string>}>} options.hiddenWords - Placed words and their cells.
+ * @param {Object} options.locations - Where each hidden word was placed (word -> cells).
+ * @param {Array<Array<string>>} options.blockedWords - Blocklisted words, split into cells.
+ * @param {Set<string>} options.fillerCells - Keys ('r,c') of the cells holding filler.
+ * @param {function(): string} options.pickFillerLetter - Draws a replacement filler letter.
+ * @param {function(): number} options.random - Seeded generator for choosing which cell to redraw.
+ * @returns {Object} Alternate locations per word (word -> array of cell arrays) for repeats that remain.
+ */
+export const removeUnintendedOccurrences = (grid, {
+  hiddenWords,
+  locations,
+  blockedWords,
+  fillerCells,
+  pickFillerLetter,
+  random
+}) => {
+  const findUnintended = () => [
+    ...hiddenWords.flatMap(({ word, cells }) => findOccurrences(grid, cells)
+      .filter(occurrence => !sameCells(occurrence, locations[word]))
+      .map(occurrence => ({ word, occurrence }))),
+    ...blockedWords.flatMap(cells => findOccurrences(grid, cells)
+      .map(occurrence => ({ word: null, occurrence })))
+  ];
+
+  let unintended = findUnintended();
+  for (let pass = 0; pass < MAX_CLEANUP_PASSES && unintended.length > 0; pass++) {
+    let changed = false;
+    for (const { occurrence } of unintended) {
+      const fillerInOccurrence = occurrence.filter(cell => fillerCells.has(cellKey(cell)));
+      if (fillerInOccurrence.length === 0) continue; // Made only of placed letters
+      const { r, c } = fillerInOccurrence[randomInt(random, fillerInOccurrence.length)];
+      const previous = grid[r][c];
+      // A few draws are enough to get a different letter; frequent letters may repeat
+      for (let tries = 0; tries < 10 && grid[r][c] === previous; tries++) {
+        grid[r][c] = pickFillerLetter();
+      }
+      changed = changed || grid[r][c] !== previous;
+    }
+    if (!changed) break;
+    unintended = findUnintended();
+  }
+
+  const alternateLocations = {};
+  unintended.forEach(({ word, occurrence }) => {
+    if (word === null) return;
+    alternateLocations[word] = [...(alternateLocations[word] || []), occurrence];
+  });
+  return alternateLocations;
+};
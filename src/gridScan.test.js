@@ -0,0 +1,57 @@
+import { createRandom } from './random';
+import { findOccurrences, removeUnintendedOccurrences } from './gridScan';
+
+const toGrid = (rows) => rows.map(row => row.split(''));
+
+test('finds a word in every direction, counting palindromes once', () => {
+  const grid = toGrid([
+    'uxxx',
+    'kkxd',
+    'uxux'
+  ]);
+  // 'uku' runs down the first column and diagonally up-left from the bottom; each is read
+  // both ways, but only counted once
+  expect(findOccurrences(grid, ['u', 'k', 'u'])).toEqual([
+    [{ r: 0, c: 0 }, { r: 1, c: 0 }, { r: 2, c: 0 }],
+    [{ r: 0, c: 0 }, { r: 1, c: 1 }, { r: 2, c: 2 }]
+  ]);
+  expect(findOccurrences(grid, ['d', 'u'])).toEqual([[{ r: 1, c: 3 }, { r: 2, c: 2 }]]);
+});
+
+test('redraws filler that repeats a hidden word or spells a blocked word', () => {
+  // 'ido' is hidden on the top row; the filler below repeats it and spells 'bad'
+  const grid = toGrid([
+    'ido',
+    'ido',
+    'bad'
+  ]);
+  const fillerCells = new Set(['1,0', '1,1', '1,2', '2,0', '2,1', '2,2']);
+  const alternates = removeUnintendedOccurrences(grid, {
+    hiddenWords: [{ word: 'ido', cells: ['i', 'd', 'o'] }],
+    locations: { ido: [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }] },
+    blockedWords: [['b', 'a', 'd']],
+    fillerCells,
+    pickFillerLetter: (() => { const letters = 'xyzw'; let i = 0; return () => letters[i++ % letters.length]; })(),
+    random: createRandom(4)
+  });
+
+  expect(alternates).toEqual({});
+  expect(grid[0].join('')).toBe('ido');
+  expect(findOccurrences(grid, ['i', 'd', 'o'])).toHaveLength(1);
+  expect(findOccurrences(grid, ['b', 'a', 'd'])).toHaveLength(0);
+});
+
+test('reports repeats made only of placed letters as alternate locations', () => {
+  // 'uku' sits inside the placed word 'ukuku' twice; no filler can change that
+  const grid = toGrid(['ukuku']);
+  const placed = [0, 1, 2, 3, 4].map(c => ({ r: 0, c }));
+  const alternates = removeUnintendedOccurrences(grid, {
+    hiddenWords: [{ word: 'ukuku', cells: 'ukuku'.split('') }, { word: 'uku', cells: ['u', 'k', 'u'] }],
+    locations: { ukuku: placed, uku: placed.slice(0, 3) },
+    blockedWords: [],
+    fillerCells: new Set(),
+    pickFillerLetter: () => 'x',
+    random: createRandom(1)
+  });
+  expect(alternates).toEqual({ uku: [placed.slice(2, 5)] });
+});
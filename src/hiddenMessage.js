@@ -0,0 +1,50 @@
+import { normalizeWord, toCells } from './graphemes';
+
+// --- Hidden Messages ---
+// A puzzle can hide a saying, such as a Hausa karin magana, in the cells no word uses:
+// generatePuzzle writes its letters into the leftover cells in reading order (row by row
+// from the top left) instead of random filler. Grids usually have more leftover cells than
+// a saying needs; the rest get ordinary filler, so the player is told how many letters
+// each word has. Once every word is found the player types the saying in for a bonus
+// (see guessMessage in gameEngine.js).
+//
+// Sayings ship in language packs as `phrases` (see languagePacks.js). A puzzle spec carries
+// the chosen one as `message: { text, translation }`, so a shared puzzle keeps it.
+
+/**
+ * Splits a saying into its words, letters only: spaces, punctuation, hyphens and
+ * apostrophes are not written into the grid.
+ * @param {string} text - The saying.
+ * @returns {Array<string>} Its words, normalized like grid cells.
+ */
+export const getMessageWords = (text) => normalizeWord(text).split(/[^\p{L}\p{M}]+/u).filter(Boolean);
+
+/**
+ * Lists the cells a saying fills, in reading order.
+ * @param {string} text - The saying.
+ * @param {Array<string>} [digraphs=[]] - Letter pairs that share one cell (see toCells).
+ * @returns {Array<string>} The cell values.
+ */
+export const getMessageCells = (text, digraphs = []) => getMessageWords(text).flatMap(word => toCells(word, digraphs));
+
+/**
+ * Counts the letters of each word of a saying, for the blanks the player fills in.
+ * @param {string} text - The saying.
+ * @returns {Array<number>} Letters per word.
+ */
+export const getMessageWordLengths = (text) => getMessageWords(text).map(word => toCells(word).length);
+
+// Letters without accents or tone marks, which not every keyboard can type
+const toPlainLetters = (text) => getMessageWords(text).join('').normalize('NFD').replace(/\p{M}/gu, '');
+
+/**
+ * Whether the player's answer is the saying. Case, spacing, punctuation, accents and tone
+ * marks don't matter; the letters and their order do.
+ * @param {string} guess - What the player typed.
+ * @param {string} text - The saying.
+ * @returns {boolean} True if they match.
+ */
+export const isMessageMatch = (guess, text) => {
+  const letters = toPlainLetters(guess);
+  return letters !== '' && letters === toPlainLetters(text);
+};
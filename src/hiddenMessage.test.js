@@ -0,0 +1,23 @@
+import { getMessageCells, getMessageWordLengths, getMessageWords, isMessageMatch } from './hiddenMessage';
+
+test('splits a saying into its words, letters only', () => {
+  expect(getMessageWords('Sannu, sannu ba ta hana zuwa!')).toEqual(['sannu', 'sannu', 'ba', 'ta', 'hana', 'zuwa']);
+  expect(getMessageWords("Onye aghana nwanne ya")).toEqual(['onye', 'aghana', 'nwanne', 'ya']);
+  expect(getMessageWords(' ... ')).toEqual([]);
+});
+
+test('lists the cells a saying fills, keeping tone marks and digraphs together', () => {
+  expect(getMessageCells('Ìwà lẹwà')).toEqual(['ì', 'w', 'à', 'l', 'ẹ', 'w', 'à']);
+  expect(getMessageCells('Egbe bere', ['gb'])).toEqual(['e', 'gb', 'e', 'b', 'e', 'r', 'e']);
+  expect(getMessageWordLengths('Ìwà lẹwà')).toEqual([3, 4]);
+});
+
+test('accepts a reading without case, punctuation, spacing or tone marks', () => {
+  const text = 'Ọ̀rọ̀ pẹ̀lẹ́ ni yọ obì nínú àpò';
+  expect(isMessageMatch(text, text)).toBe(true);
+  expect(isMessageMatch('oro pele ni yo obi ninu apo', text)).toBe(true);
+  expect(isMessageMatch('ORO-PELE NI YO OBI NINUAPO.', text)).toBe(true);
+  expect(isMessageMatch('oro pele ni yo obi ninu', text)).toBe(false);
+  expect(isMessageMatch('apo ninu obi yo ni pele oro', text)).toBe(false);
+  expect(isMessageMatch('', '')).toBe(false);
+});
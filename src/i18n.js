@@ -0,0 +1,124 @@
+import en from './locales/en.json';
+import ha from './locales/ha.json';
+import yo from './locales/yo.json';
+import ig from './locales/ig.json';
+import { DIFFICULTY_PRESETS } from './difficulty';
+import { readItem, writeItem } from './storage';
+
+// --- Interface Language ---
+// Every piece of interface text lives in a message catalogue, one per interface language,
+// in src/locales. The interface language is the player's choice and separate from the
+// puzzle language: a Hausa speaker can play in Hausa, or a teacher can set English words
+// with the buttons and help in Yoruba.
+//
+// Catalogues are flat JSON objects from message id to text. Text can contain:
+//
+// - {name} placeholders, filled in from the values passed with the message.
+// - **bold** spans, for text shown with splitEmphasis (such as the instructions).
+// - Plural forms: instead of a string, an object with a form per CLDR plural category
+//   ("zero", "one", "two", "few", "many", "other"), chosen by the `count` value using the
+//   language's plural rules. "other" is required, and used when a form is missing.
+//
+// Messages missing from a catalogue fall back to English. The chosen language is
+// remembered on this device.
+
+export const UI_LANGUAGES = {
+  en: 'English',
+  ha: 'Hausa',
+  yo: 'Yorùbá',
+  ig: 'Igbo'
+}; // Code -> name in that language, for the language menu
+
+export const DEFAULT_UI_LANGUAGE = 'en';
+export const UI_LANGUAGE_KEY = 'wordSearch.uiLanguage';
+
+const CATALOGUES = { en, ha, yo, ig };
+
+/**
+ * Creates a message descriptor: a message id and its values, to be worded later in the
+ * interface language (so it is reworded when the language changes). Values can be
+ * descriptors themselves, e.g. a language name.
+ * @param {string} id - The message id.
+ * @param {Object} [values] - Values for the message's placeholders.
+ * @returns {{id: string, values: Object}} The descriptor.
+ */
+export const message = (id, values = {}) => ({ id, values });
+
+/**
+ * Creates a descriptor for a puzzle language's name, worded in the interface language.
+ * @param {string} name - A key of LANGUAGES.
+ * @returns {{id: string, values: Object}} The descriptor.
+ */
+export const languageName = (name) => message(`language.${name}`);
+
+/**
+ * Creates a descriptor for a difficulty's name, worded in the interface language.
+ * @param {string} difficultyId - A key of DIFFICULTY_PRESETS, or CUSTOM_DIFFICULTY.
+ * @returns {{id: string, values: Object}} The descriptor.
+ */
+export const difficultyName = (difficultyId) =>
+  message(DIFFICULTY_PRESETS[difficultyId] ? `difficulty.${difficultyId}` : 'difficulty.custom');
+
+/**
+ * Picks the interface language the device asks for, when there is a catalogue for it.
+ * @param {Array<string>} [preferred=navigator.languages] - BCP 47 tags, most preferred first.
+ * @returns {string} A key of UI_LANGUAGES.
+ */
+export const detectUiLanguage = (preferred = typeof navigator !== 'undefined' ? navigator.languages || [] : []) => {
+  const code = preferred.map(tag => tag.toLowerCase().split(/[-_]/)[0]).find(tag => UI_LANGUAGES[tag]);
+  return code || DEFAULT_UI_LANGUAGE;
+};
+
+/**
+ * Reads the interface language chosen on this device, or the device's own language.
+ * @returns {string} A key of UI_LANGUAGES.
+ */
+export const loadUiLanguage = () => {
+  const code = readItem(UI_LANGUAGE_KEY);
+  return UI_LANGUAGES[code] ? code : detectUiLanguage();
+};
+
+/**
+ * Remembers the interface language on this device.
+ * @param {string} code - A key of UI_LANGUAGES.
+ */
+export const saveUiLanguage = (code) => {
+  writeItem(UI_LANGUAGE_KEY, code); // If refused, it is still used for this visit
+};
+
+/**
+ * Creates the translate function for an interface language.
+ * @param {string} code - A key of UI_LANGUAGES; unknown codes get English.
+ * @returns {function(string, Object=): string} t(id, values): the message worded in the language,
+ *   with its placeholders filled in. Unknown ids come back as the id itself.
+ */
+export const createTranslator = (code) => {
+  const catalogue = CATALOGUES[code] || CATALOGUES[DEFAULT_UI_LANGUAGE];
+  const pluralRules = new Intl.PluralRules(UI_LANGUAGES[code] ? code : DEFAULT_UI_LANGUAGE);
+
+  const t = (id, values = {}) => {
+    let text = id in catalogue ? catalogue[id] : en[id];
+    if (text === undefined) return id;
+    if (typeof text === 'object') {
+      // Fall back to the English forms if this catalogue lacks a usable one
+      const forms = text.other !== undefined ? text : en[id];
+      text = forms[pluralRules.select(values.count)] ?? forms.other;
+    }
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = values[name];
+      if (value === undefined || value === null) return placeholder;
+      return typeof value === 'object' ? t(value.id, value.values) : String(value);
+    });
+  };
+  return t;
+};
+
+/**
+ * Splits text with **bold** spans into plain and bold parts, for display.
+ * @param {string} text - Translated text.
+ * @returns {Array<{text: string, strong: boolean}>} The parts in order, without empty ones.
+ */
+export const splitEmphasis = (text) =>
+  text.split('**')
+    .map((part, i) => ({ text: part, strong: i % 2 === 1 }))
+    .filter(part => part.text !== '');
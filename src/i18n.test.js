@@ -0,0 +1,100 @@
+import en from './locales/en.json';
+import ha from './locales/ha.json';
+import yo from './locales/yo.json';
+import ig from './locales/ig.json';
+import {
+  DEFAULT_UI_LANGUAGE,
+  UI_LANGUAGES,
+  UI_LANGUAGE_KEY,
+  createTranslator,
+  detectUiLanguage,
+  difficultyName,
+  languageName,
+  loadUiLanguage,
+  message,
+  saveUiLanguage,
+  splitEmphasis
+} from './i18n';
+
+beforeEach(() => window.localStorage.clear());
+
+/**
+ * Lists the placeholders a catalogue entry uses, across all its plural forms.
+ * @param {string|Object} text - The entry.
+ * @returns {Array<string>} Placeholder names, sorted and without repeats.
+ */
+const placeholdersOf = (text) => {
+  const forms = typeof text === 'object' ? Object.values(text) : [text];
+  return [...new Set(forms.flatMap(form => [...form.matchAll(/\{(\w+)\}/g)].map(match => match[1])))].sort();
+};
+
+test.each([['ha', ha], ['yo', yo], ['ig', ig]])('the %s catalogue has every message, with the same placeholders', (code, catalogue) => {
+  expect(Object.keys(catalogue).sort()).toEqual(Object.keys(en).sort());
+  for (const id of Object.keys(en)) {
+    expect([id, placeholdersOf(catalogue[id])]).toEqual([id, placeholdersOf(en[id])]);
+  }
+  const pluralIds = Object.keys(catalogue).filter(id => typeof catalogue[id] === 'object');
+  for (const id of pluralIds) {
+    expect([id, typeof catalogue[id].other]).toEqual([id, 'string']);
+  }
+});
+
+test('every interface language has a catalogue', () => {
+  for (const code of Object.keys(UI_LANGUAGES)) {
+    expect(createTranslator(code)('app.title', { language: 'Igbo' })).not.toBe('app.title');
+  }
+});
+
+test('fills in placeholders, including other messages', () => {
+  const t = createTranslator('en');
+  expect(t('feedback.found', { word: 'IDO' })).toBe("'IDO' found! Great job!");
+  expect(t('feedback.ready', { language: languageName('Yoruba') })).toBe('Find all the hidden Yoruba words!');
+  expect(t('status.firstMarked', {
+    position: message('cell.position', { row: 2, col: 3 }),
+    instruction: message('status.lastLetterTap')
+  })).toBe('First letter marked at row 2, column 3. Now tap the last letter.');
+  expect(t('feedback.found')).toBe("'{word}' found! Great job!");
+});
+
+test('words the interface in the chosen language', () => {
+  expect(createTranslator('ha')('app.title', { language: languageName('Hausa') })).toBe('Neman Kalmomin Hausa');
+  expect(createTranslator('en')('wordList.gridOption', { difficulty: difficultyName('easy'), rows: 8, cols: 8 }))
+    .toBe('Easy (8 × 8)');
+  expect(difficultyName('something-new')).toEqual(message('difficulty.custom'));
+});
+
+test('picks plural forms by the language\'s rules', () => {
+  const t = createTranslator('en');
+  expect(t('wordList.ready', { count: 1 })).toBe('1 word is ready to hide.');
+  expect(t('wordList.ready', { count: 2 })).toBe('2 words are ready to hide.');
+  expect(t('wordList.ready', { count: 0 })).toBe('0 words are ready to hide.');
+});
+
+test('falls back to English, then to the message id', () => {
+  expect(createTranslator('fr')('controls.daily')).toBe('Daily Puzzle');
+  expect(createTranslator('ha')('no.such.message')).toBe('no.such.message');
+});
+
+test('splits out bold spans', () => {
+  expect(splitEmphasis('**Find Words:** Look in the grid, in a **straight line**.')).toEqual([
+    { text: 'Find Words:', strong: true },
+    { text: ' Look in the grid, in a ', strong: false },
+    { text: 'straight line', strong: true },
+    { text: '.', strong: false }
+  ]);
+  expect(splitEmphasis('No markup')).toEqual([{ text: 'No markup', strong: false }]);
+});
+
+test('detects the device language when there is a catalogue for it', () => {
+  expect(detectUiLanguage(['yo-NG', 'en-GB'])).toBe('yo');
+  expect(detectUiLanguage(['fr-FR', 'ig'])).toBe('ig');
+  expect(detectUiLanguage(['fr-FR'])).toBe(DEFAULT_UI_LANGUAGE);
+  expect(detectUiLanguage([])).toBe(DEFAULT_UI_LANGUAGE);
+});
+
+test('remembers the chosen language', () => {
+  saveUiLanguage('ha');
+  expect(loadUiLanguage()).toBe('ha');
+  window.localStorage.setItem(UI_LANGUAGE_KEY, 'xx');
+  expect(UI_LANGUAGES[loadUiLanguage()]).toBeDefined();
+});
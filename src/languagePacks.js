@@ -0,0 +1,264 @@
+import { normalizeWord, toCells } from './graphemes';
+import { LANGUAGES, getAlphabet } from './languages';
+import { getMessageWords } from './hiddenMessage';
+import { DEFAULT_UI_LANGUAGE, createTranslator, languageName, message } from './i18n';
+
+// --- Language Packs ---
+// Word lists ship as JSON files in `public/packs/`, so words can be added without a
+// code release. `index.json` lists the pack files; each pack looks like:
+//
+//   {
+//     "schemaVersion": 1,
+//     "id": "hausa-core",
+//     "name": "Hausa — Core vocabulary",
+//     "language": "Hausa",                      // Must be a key of LANGUAGES
+//     "categories": [
+//       { "id": "body", "name": "Body parts",
+//         "words": [{ "word": "ido", "gloss": "eye",
+//                     "audio": "media/audio/hausa/ido.mp3", "image": "media/images/eye.svg" }] }
+//     ]
+//   }
+//
+// "gloss" (the English meaning), "audio" (a pronunciation clip) and "image" (a picture of
+// the word) are optional. Media paths are relative to `public/packs/`, or full URLs.
+//
+// A pack may also list sayings for hidden messages (see hiddenMessage.js), each with an
+// optional English translation:
+//
+//     "phrases": [{ "text": "Komai nisan dare gari zai waye",
+//                   "translation": "However long the night, the day will dawn." }]
+
+export const PACK_SCHEMA_VERSION = 1;
+export const PACKS_BASE_URL = `${process.env.PUBLIC_URL || ''}/packs`;
+export const ALL_CATEGORIES = 'all';
+
+/**
+ * Words a pack problem for its author.
+ * @param {{id: string, values: Object}} problem - A message descriptor from LanguagePackError.
+ * @param {function} [t] - Translate function from createTranslator (default: English).
+ * @returns {string} E.g. "categories[1].name must be a non-empty string."
+ */
+export const describePackProblem = (problem, t = createTranslator(DEFAULT_UI_LANGUAGE)) => t(problem.id, problem.values);
+
+/**
+ * Error thrown when a language pack cannot be fetched or fails validation.
+ * `problems` lists every issue found, so a content author can fix them in one pass. Each is
+ * a message descriptor (see i18n.js), worded in the interface language by describePackProblem;
+ * the error's own message is in English.
+ */
+export class LanguagePackError extends Error {
+  constructor(source, problems) {
+    super(`Language pack '${source}' is invalid:\n- ${problems.map(problem => describePackProblem(problem)).join('\n- ')}`);
+    this.name = 'LanguagePackError';
+    this.source = source;
+    this.problems = problems;
+  }
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Media paths in a pack are relative to the packs directory unless they are full URLs
+const resolveMediaUrl = (mediaPath) =>
+  /^([a-z][a-z0-9+.-]*:|\/)/i.test(mediaPath) ? mediaPath : `${PACKS_BASE_URL}/${mediaPath}`;
+
+/**
+ * Validates raw pack data and returns a normalized copy.
+ * Words are NFC-normalized and lower-cased the same way as grid cells, and media paths
+ * are turned into URLs.
+ * @param {*} data - Parsed JSON of the pack.
+ * @param {string} [source='pack'] - File name or label used in error messages.
+ * @returns {Object} The validated pack.
+ * @throws {LanguagePackError} If the pack does not match the format.
+ */
+export const validateLanguagePack = (data, source = 'pack') => {
+  const problems = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new LanguagePackError(source, [message('packProblem.notObject')]);
+  }
+  if (data.schemaVersion !== PACK_SCHEMA_VERSION) {
+    problems.push(message('packProblem.schemaVersion', { expected: PACK_SCHEMA_VERSION, found: JSON.stringify(data.schemaVersion) }));
+  }
+  if (!isNonEmptyString(data.id)) problems.push(message('packProblem.requiredString', { field: '"id"' }));
+  if (!isNonEmptyString(data.name)) problems.push(message('packProblem.requiredString', { field: '"name"' }));
+
+  const language = LANGUAGES[data.language];
+  if (!language) {
+    problems.push(message('packProblem.language', { languages: Object.keys(LANGUAGES).join(', '), found: JSON.stringify(data.language) }));
+  }
+
+  if (!Array.isArray(data.categories) || data.categories.length === 0) {
+    problems.push(message('packProblem.nonEmptyArray', { field: '"categories"' }));
+    throw new LanguagePackError(source, problems);
+  }
+
+  const alphabet = language ? new Set(getAlphabet(language, true)) : null;
+  const categoryIds = new Set();
+  const categories = data.categories.map((category, ci) => {
+    const where = `categories[${ci}]`;
+    if (!category || typeof category !== 'object') {
+      problems.push(message('packProblem.object', { field: where }));
+      return null;
+    }
+    if (!isNonEmptyString(category.id)) {
+      problems.push(message('packProblem.requiredString', { field: `${where}.id` }));
+    } else if (category.id === ALL_CATEGORIES || categoryIds.has(category.id)) {
+      problems.push(message('packProblem.categoryId', { field: `${where}.id`, id: category.id }));
+    }
+    categoryIds.add(category.id);
+    if (!isNonEmptyString(category.name)) problems.push(message('packProblem.requiredString', { field: `${where}.name` }));
+    if (!Array.isArray(category.words) || category.words.length === 0) {
+      problems.push(message('packProblem.nonEmptyArray', { field: `${where}.words` }));
+      return null;
+    }
+
+    const seenWords = new Set();
+    const words = category.words.map((entry, wi) => {
+      const wordWhere = `${where}.words[${wi}]`;
+      if (!entry || !isNonEmptyString(entry.word)) {
+        problems.push(message('packProblem.requiredString', { field: `${wordWhere}.word` }));
+        return null;
+      }
+      if (entry.gloss !== undefined && typeof entry.gloss !== 'string') {
+        problems.push(message('packProblem.optionalString', { field: `${wordWhere}.gloss` }));
+      }
+      for (const field of ['audio', 'image']) {
+        if (entry[field] !== undefined && !isNonEmptyString(entry[field])) {
+          problems.push(message('packProblem.optionalPath', { field: `${wordWhere}.${field}` }));
+        }
+      }
+      const word = normalizeWord(entry.word.trim());
+      if (seenWords.has(word)) {
+        problems.push(message('packProblem.duplicateWord', { field: wordWhere, word }));
+      }
+      seenWords.add(word);
+      if (alphabet) {
+        const unknownLetters = toCells(word).filter(letter => !alphabet.has(letter));
+        if (unknownLetters.length > 0) {
+          problems.push(message('packProblem.alphabet', {
+            field: wordWhere, text: word, language: languageName(data.language), letters: unknownLetters.join(', ')
+          }));
+        }
+      }
+      return {
+        word,
+        gloss: entry.gloss,
+        audio: isNonEmptyString(entry.audio) ? resolveMediaUrl(entry.audio) : undefined,
+        image: isNonEmptyString(entry.image) ? resolveMediaUrl(entry.image) : undefined
+      };
+    });
+
+    return { id: category.id, name: category.name, words };
+  });
+
+  let phrases = [];
+  if (data.phrases !== undefined && !Array.isArray(data.phrases)) {
+    problems.push(message('packProblem.optionalArray', { field: '"phrases"' }));
+  } else if (data.phrases) {
+    phrases = data.phrases.map((phrase, pi) => {
+      const where = `phrases[${pi}]`;
+      if (!phrase || !isNonEmptyString(phrase.text) || getMessageWords(phrase.text).length === 0) {
+        problems.push(message('packProblem.phraseText', { field: `${where}.text` }));
+        return null;
+      }
+      if (phrase.translation !== undefined && typeof phrase.translation !== 'string') {
+        problems.push(message('packProblem.optionalString', { field: `${where}.translation` }));
+      }
+      if (alphabet) {
+        const unknownLetters = getMessageWords(phrase.text).flatMap(word => toCells(word)).filter(letter => !alphabet.has(letter));
+        if (unknownLetters.length > 0) {
+          problems.push(message('packProblem.alphabet', {
+            field: where, text: phrase.text, language: languageName(data.language), letters: [...new Set(unknownLetters)].join(', ')
+          }));
+        }
+      }
+      return { text: phrase.text.trim().normalize('NFC'), translation: phrase.translation || undefined };
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new LanguagePackError(source, problems);
+  }
+
+  return { id: data.id, name: data.name, language: data.language, categories, phrases };
+};
+
+/**
+ * Fetches and parses a JSON file from the packs directory.
+ * @param {string} file - File name relative to PACKS_BASE_URL.
+ * @returns {Promise<*>} The parsed JSON.
+ * @throws {LanguagePackError} If the request fails or the body is not JSON.
+ */
+const fetchPackJson = async (file) => {
+  let response;
+  try {
+    response = await fetch(`${PACKS_BASE_URL}/${file}`);
+  } catch (e) {
+    throw new LanguagePackError(file, [message('packProblem.fetchFailed', { reason: e.message })]);
+  }
+  if (!response.ok) {
+    throw new LanguagePackError(file, [message('packProblem.httpStatus', { status: response.status })]);
+  }
+  try {
+    return await response.json();
+  } catch (e) {
+    throw new LanguagePackError(file, [message('packProblem.notJson', { reason: e.message })]);
+  }
+};
+
+/**
+ * Loads every pack listed in `index.json`.
+ * A broken pack does not prevent the others from loading; its error is returned instead.
+ * @returns {Promise<{packs: Array<Object>, errors: Array<LanguagePackError>}>} Loaded packs and load errors.
+ */
+export const loadLanguagePacks = async () => {
+  let index;
+  try {
+    index = await fetchPackJson('index.json');
+  } catch (e) {
+    return { packs: [], errors: [e] };
+  }
+  if (!index || !Array.isArray(index.packs)) {
+    return { packs: [], errors: [new LanguagePackError('index.json', [message('packProblem.indexPacks')])] };
+  }
+
+  const results = await Promise.allSettled(
+    index.packs.map(async (file) => validateLanguagePack(await fetchPackJson(file), file))
+  );
+  const packs = [];
+  const errors = [];
+  const packIds = new Set();
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      errors.push(result.reason instanceof LanguagePackError
+        ? result.reason
+        : new LanguagePackError(index.packs[i], [message('packProblem.other', { reason: String(result.reason) })]));
+    } else if (packIds.has(result.value.id)) {
+      errors.push(new LanguagePackError(index.packs[i], [message('packProblem.duplicatePack', { id: result.value.id })]));
+    } else {
+      packIds.add(result.value.id);
+      packs.push(result.value);
+    }
+  });
+  return { packs, errors };
+};
+
+/**
+ * Collects the words of a pack, either from one category or from all of them.
+ * @param {Object} pack - A validated language pack.
+ * @param {string} [categoryId=ALL_CATEGORIES] - Category id, or ALL_CATEGORIES.
+ * @returns {Array<{word: string, gloss: (string|undefined), audio: (string|undefined),
+ *   image: (string|undefined)}>} Word entries, without duplicates.
+ */
+export const getPackWords = (pack, categoryId = ALL_CATEGORIES) => {
+  const categories = categoryId === ALL_CATEGORIES
+    ? pack.categories
+    : pack.categories.filter(category => category.id === categoryId);
+  const entries = new Map();
+  for (const category of categories) {
+    for (const entry of category.words) {
+      if (!entries.has(entry.word)) entries.set(entry.word, entry);
+    }
+  }
+  return [...entries.values()];
+};
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  ALL_CATEGORIES,
+  LanguagePackError,
+  describePackProblem,
+  getPackWords,
+  loadLanguagePacks,
+  validateLanguagePack
+} from './languagePacks';
+import { createTranslator } from './i18n';
+
+const PACKS_DIR = path.join(__dirname, '..', 'public', 'packs');
+const readPack = (file) => JSON.parse(fs.readFileSync(path.join(PACKS_DIR, file), 'utf8'));
+
+const makePack = (overrides = {}) => ({
+  schemaVersion: 1,
+  id: 'test',
+  name: 'Test pack',
+  language: 'Hausa',
+  categories: [
+    { id: 'body', name: 'Body parts', words: [{ word: 'Ido', gloss: 'eye' }, { word: 'kunne' }] },
+    { id: 'food', name: 'Food', words: [{ word: 'kifi', gloss: 'fish' }, { word: 'ido' }] }
+  ],
+  ...overrides
+});
+
+test('every shipped pack passes validation', () => {
+  const { packs } = readPack('index.json');
+  expect(packs.length).toBeGreaterThan(0);
+  for (const file of packs) {
+    expect(() => validateLanguagePack(readPack(file), file)).not.toThrow();
+  }
+});
+
+test('normalizes words and collects them by category', () => {
+  const pack = validateLanguagePack(makePack());
+  expect(getPackWords(pack, 'body')).toEqual([{ word: 'ido', gloss: 'eye' }, { word: 'kunne', gloss: undefined }]);
+  expect(getPackWords(pack, ALL_CATEGORIES).map(entry => entry.word)).toEqual(['ido', 'kunne', 'kifi']);
+});
+
+test('turns media paths into URLs', () => {
+  const pack = validateLanguagePack(makePack({
+    categories: [{
+      id: 'body',
+      name: 'Body parts',
+      words: [
+        { word: 'ido', gloss: 'eye', audio: 'media/audio/hausa/ido.mp3', image: 'media/images/eye.svg' },
+        { word: 'kunne', image: 'https://example.org/ear.png' }
+      ]
+    }]
+  }));
+  const [ido, kunne] = getPackWords(pack);
+  expect(ido).toEqual({ word: 'ido', gloss: 'eye', audio: '/packs/media/audio/hausa/ido.mp3', image: '/packs/media/images/eye.svg' });
+  expect(kunne.image).toBe('https://example.org/ear.png');
+  expect(kunne.audio).toBeUndefined();
+
+  expect(() => validateLanguagePack(makePack({
+    categories: [{ id: 'body', name: 'Body parts', words: [{ word: 'ido', audio: 3 }] }]
+  }))).toThrow('categories[0].words[0].audio must be a non-empty path or URL when present.');
+});
+
+test('reports every problem in an invalid pack', () => {
+  const badPack = makePack({
+    language: 'Hausa',
+    categories: [
+      { id: 'body', name: 'Body parts', words: [{ word: 'ido' }, { word: 'IDO' }, { word: 'vote' }] },
+      { id: 'body', name: '', words: [] }
+    ]
+  });
+  let error;
+  try {
+    validateLanguagePack(badPack, 'bad.json');
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(LanguagePackError);
+  expect(error.source).toBe('bad.json');
+  expect(error.problems.map(problem => describePackProblem(problem))).toEqual([
+    "categories[0].words[1] 'ido' appears more than once in this category.",
+    "categories[0].words[2] 'vote' uses letters outside the Hausa alphabet: v.",
+    "categories[1].id 'body' is reserved or used more than once.",
+    'categories[1].name must be a non-empty string.',
+    'categories[1].words must be a non-empty array.'
+  ]);
+  expect(describePackProblem(error.problems[3], createTranslator('ha'))).toBe('Dole categories[1].name ya zama rubutu mara komai ba.');
+});
+
+test('checks and tidies the sayings for hidden messages', () => {
+  expect(validateLanguagePack(makePack()).phrases).toEqual([]);
+  const pack = validateLanguagePack(makePack({
+    phrases: [{ text: ' Hannu ɗaya ba ya ɗaukar jinka ', translation: 'One hand cannot lift a roof.' }, { text: 'Ido' }]
+  }));
+  expect(pack.phrases).toEqual([
+    { text: 'Hannu ɗaya ba ya ɗaukar jinka', translation: 'One hand cannot lift a roof.' },
+    { text: 'Ido', translation: undefined }
+  ]);
+
+  let error;
+  try {
+    validateLanguagePack(makePack({ phrases: [{ text: '!?' }, { text: 'Vote', translation: 3 }] }), 'bad.json');
+  } catch (e) {
+    error = e;
+  }
+  expect(error.problems.map(problem => describePackProblem(problem))).toEqual([
+    'phrases[0].text must be a string with letters in it.',
+    'phrases[1].translation must be a string when present.',
+    "phrases[1] 'Vote' uses letters outside the Hausa alphabet: v."
+  ]);
+  expect(() => validateLanguagePack(makePack({ phrases: 'Ido' }))).toThrow('"phrases" must be an array when present.');
+});
+
+test('rejects packs for unknown languages', () => {
+  expect(() => validateLanguagePack(makePack({ language: 'Swahili' }))).toThrow(/"language" must be one of/);
+});
+
+test('loads the good packs and reports the broken ones', async () => {
+  const files = {
+    'index.json': { packs: ['good.json', 'broken.json', 'missing.json'] },
+    'good.json': makePack(),
+    'broken.json': makePack({ schemaVersion: 2 })
+  };
+  global.fetch = jest.fn(async (url) => {
+    const file = url.split('/').pop();
+    return file in files
+      ? { ok: true, status: 200, json: async () => files[file] }
+      : { ok: false, status: 404 };
+  });
+
+  const { packs, errors } = await loadLanguagePacks();
+  delete global.fetch;
+
+  expect(packs.map(pack => pack.id)).toEqual(['test']);
+  expect(errors.map(error => error.source)).toEqual(['broken.json', 'missing.json']);
+  expect(errors[1].problems.map(problem => describePackProblem(problem))).toEqual(['Could not be fetched: HTTP 404.']);
+});
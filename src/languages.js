@@ -0,0 +1,108 @@
+import { normalizeWord, splitGraphemes } from './graphemes';
+
+// --- Language Definitions ---
+// Each language carries its own alphabet, digraphs and letter frequencies.
+// Word lists are not defined here; they ship as language packs (see languagePacks.js).
+// Frequencies are relative weights (roughly percentages of running text) used to
+// draw filler letters, so hidden words blend into the grid instead of standing out.
+// Multi-letter keys are digraphs; they are only drawn when digraph cells are enabled.
+// `blocklist` holds offensive words that random filler must never spell out.
+// `code` is the BCP 47 language tag, used to pick a text-to-speech voice.
+// To add a language, add a definition here and ship a language pack for it.
+
+export const LANGUAGES = {
+  'Hausa': {
+    code: 'ha',
+    digraphs: ['sh', 'ts', 'ky', 'kw', 'gw', 'ƙw', 'ƙy'],
+    letterFrequencies: {
+      a: 21.0, b: 2.6, ɓ: 0.8, c: 1.5, d: 3.4, ɗ: 1.0, e: 3.6, f: 1.5, g: 2.5,
+      h: 2.0, i: 7.0, j: 1.1, k: 6.0, ƙ: 1.2, l: 1.6, m: 3.5, n: 7.5, o: 3.5,
+      r: 5.0, s: 4.0, t: 3.0, u: 6.5, w: 3.0, y: 3.5, ƴ: 0.3, z: 1.5,
+      sh: 1.2, ts: 0.8, ky: 0.4, kw: 0.5, gw: 0.3, ƙw: 0.2, ƙy: 0.1
+    },
+    blocklist: ['shege', 'wawa', 'jaki', 'karuwa', 'dakiki']
+  },
+  'English': {
+    code: 'en',
+    digraphs: [],
+    letterFrequencies: {
+      a: 8.2, b: 1.5, c: 2.8, d: 4.3, e: 12.7, f: 2.2, g: 2.0, h: 6.1, i: 7.0,
+      j: 0.15, k: 0.77, l: 4.0, m: 2.4, n: 6.7, o: 7.5, p: 1.9, q: 0.1, r: 6.0,
+      s: 6.3, t: 9.1, u: 2.8, v: 0.98, w: 2.4, x: 0.15, y: 2.0, z: 0.07
+    },
+    blocklist: ['arse', 'ass', 'crap', 'cunt', 'dick', 'fuck', 'piss', 'shit', 'slut', 'twat']
+  },
+  'Yoruba': {
+    code: 'yo',
+    digraphs: ['gb'],
+    // Tone-marked vowels are listed separately so filler carries the same
+    // accents as the hidden words.
+    letterFrequencies: {
+      a: 6.0, à: 2.0, á: 2.0, b: 3.0, d: 2.5, e: 3.0, è: 1.0, é: 1.0,
+      ẹ: 2.5, ẹ̀: 1.0, ẹ́: 1.0, f: 1.5, g: 1.0, h: 0.5, i: 6.0, ì: 2.0, í: 2.0,
+      j: 2.0, k: 3.5, l: 4.0, m: 2.5, n: 4.0, o: 5.0, ò: 2.0, ó: 2.0,
+      ọ: 3.5, ọ̀: 1.5, ọ́: 1.5, p: 0.8, r: 2.5, s: 1.5, ṣ: 2.0, t: 2.0,
+      u: 1.5, ù: 0.8, ú: 0.8, w: 2.0, y: 2.5,
+      gb: 1.2
+    },
+    blocklist: ['were', 'òdè', 'olòdo', 'aṣẹ́wó', 'ashawo', 'oloriburuku']
+  },
+  'Igbo': {
+    code: 'ig',
+    digraphs: ['ch', 'gb', 'gh', 'gw', 'kp', 'kw', 'nw', 'ny', 'sh'],
+    letterFrequencies: {
+      a: 10.0, b: 2.0, d: 2.0, e: 5.5, f: 1.0, g: 2.0, h: 1.5, i: 6.0, ị: 3.0,
+      j: 0.8, k: 4.5, l: 2.5, m: 4.0, n: 6.5, ṅ: 0.5, o: 6.0, ọ: 3.5, p: 2.0,
+      r: 3.5, s: 2.0, t: 1.5, u: 4.5, ụ: 4.0, v: 0.5, w: 3.5, y: 2.0, z: 1.5,
+      ch: 1.5, gb: 0.8, gh: 0.8, gw: 0.4, kp: 1.0, kw: 1.5, nw: 1.2, ny: 1.0, sh: 0.5
+    },
+    blocklist: ['ofeke', 'onyeara', 'ashawo', 'nzuzu', 'ewu']
+  }
+};
+
+export const DEFAULT_LANGUAGE = 'Hausa';
+
+/**
+ * Looks up a language definition, falling back to the default language.
+ * @param {string} name - The language name (a key of LANGUAGES).
+ * @returns {Object} The language definition.
+ */
+export const getLanguage = (name) => LANGUAGES[name] || LANGUAGES[DEFAULT_LANGUAGE];
+
+// Letter/weight pairs with normalized letters, optionally without digraphs.
+const getLetterWeights = (language, includeDigraphs) =>
+  Object.entries(language.letterFrequencies)
+    .map(([letter, weight]) => [normalizeWord(letter), weight])
+    .filter(([letter]) => includeDigraphs || splitGraphemes(letter).length === 1);
+
+/**
+ * Lists the letters of a language's alphabet, normalized the same way as grid cells.
+ * @param {Object} language - A language definition.
+ * @param {boolean} [includeDigraphs=false] - Whether to include multi-letter entries.
+ * @returns {Array<string>} The alphabet letters.
+ */
+export const getAlphabet = (language, includeDigraphs = false) =>
+  getLetterWeights(language, includeDigraphs).map(([letter]) => letter);
+
+/**
+ * Creates a function that draws filler letters weighted by the language's letter frequencies.
+ * @param {Object} language - A language definition.
+ * @param {boolean} [digraphCells=false] - Whether digraphs may be drawn as single cells.
+ * @param {function(): number} [random=Math.random] - Source of uniform random numbers in [0, 1).
+ * @returns {function(): string} Draws one filler letter per call.
+ */
+export const createFillerPicker = (language, digraphCells = false, random = Math.random) => {
+  const letterWeights = getLetterWeights(language, digraphCells);
+  const cumulativeWeights = [];
+  let totalWeight = 0;
+  for (const [, weight] of letterWeights) {
+    totalWeight += weight;
+    cumulativeWeights.push(totalWeight);
+  }
+
+  return () => {
+    const target = random() * totalWeight;
+    const index = cumulativeWeights.findIndex(weight => target < weight);
+    return letterWeights[index === -1 ? letterWeights.length - 1 : index][0];
+  };
+};
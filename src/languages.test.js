@@ -0,0 +1,20 @@
+import { LANGUAGES, getAlphabet, createFillerPicker } from './languages';
+
+test('filler only draws digraphs when digraph cells are enabled', () => {
+  const hausa = LANGUAGES['Hausa'];
+  const singleLetters = new Set(getAlphabet(hausa));
+  const pickLetter = createFillerPicker(hausa);
+  for (let i = 0; i < 500; i++) {
+    expect(singleLetters).toContain(pickLetter());
+  }
+
+  const pickCell = createFillerPicker(hausa, true);
+  const drawn = new Set(Array.from({ length: 2000 }, pickCell));
+  expect([...drawn].some(cell => !singleLetters.has(cell))).toBe(true);
+});
+
+test('English filler never contains Hausa hooked letters', () => {
+  const pickLetter = createFillerPicker(LANGUAGES['English']);
+  const drawn = Array.from({ length: 1000 }, pickLetter).join('');
+  expect(drawn).not.toMatch(/[ɓɗƙƴ]/);
+});
@@ -0,0 +1,85 @@
+import { getStorage, readItem, writeItem } from './storage';
+
+// --- Local Leaderboard ---
+// The best scores on this device, kept in localStorage with one table per language and
+// difficulty (custom puzzles share a single 'custom' table per language):
+//
+//   { "version": 1, "tables": { "Hausa:medium": [{ "name", "score", "elapsedMs", "hintsUsed", "date" }] } }
+
+export const LEADERBOARD_VERSION = 1;
+export const LEADERBOARD_KEY = 'wordSearch.leaderboard';
+export const LEADERBOARD_SIZE = 10;
+export const MAX_NAME_LENGTH = 20;
+
+const tableKey = (language, difficultyId) => `${language}:${difficultyId}`;
+
+const isEntry = (entry) => entry && typeof entry.name === 'string' && Number.isFinite(entry.score)
+  && Number.isFinite(entry.elapsedMs) && typeof entry.date === 'string';
+
+// Best first; ties go to the faster time, then to whoever got there first
+const compareEntries = (a, b) => b.score - a.score || a.elapsedMs - b.elapsedMs || a.date.localeCompare(b.date);
+
+const readTables = (storage) => {
+  try {
+    const data = JSON.parse(readItem(LEADERBOARD_KEY, storage));
+    if (data && data.version === LEADERBOARD_VERSION && data.tables && typeof data.tables === 'object') {
+      return data.tables;
+    }
+  } catch (e) {
+    // Missing or corrupt; start over
+  }
+  return {};
+};
+
+/**
+ * Lists the top scores for a language and difficulty, best first.
+ * @param {string} language - Language name.
+ * @param {string} difficultyId - Difficulty id.
+ * @param {Storage} [storage=window.localStorage] - Where the leaderboard is kept.
+ * @returns {Array<{name: string, score: number, elapsedMs: number, hintsUsed: number, date: string}>} The entries.
+ */
+export const getLeaderboard = (language, difficultyId, storage = getStorage()) => {
+  if (!storage) return [];
+  const entries = readTables(storage)[tableKey(language, difficultyId)];
+  return Array.isArray(entries) ? entries.filter(isEntry).sort(compareEntries).slice(0, LEADERBOARD_SIZE) : [];
+};
+
+/**
+ * Whether a score would make it onto a table.
+ * @param {Array<Object>} entries - The table, from getLeaderboard.
+ * @param {number} score - The score.
+ * @returns {boolean} True if the table has room or the score beats its lowest entry.
+ */
+export const isHighScore = (entries, score) =>
+  entries.length < LEADERBOARD_SIZE || score > entries[entries.length - 1].score;
+
+/**
+ * Adds a score to the table for its language and difficulty, keeping the best LEADERBOARD_SIZE.
+ * @param {string} language - Language name.
+ * @param {string} difficultyId - Difficulty id.
+ * @param {{name: string, defaultName: string, score: number, elapsedMs: number, hintsUsed: number}} result -
+ *   The finished game; defaultName, in the player's language, is saved if no name was typed.
+ * @param {Storage} [storage=window.localStorage] - Where the leaderboard is kept.
+ * @returns {{entries: Array<Object>, rank: (number|null)}} The updated table, and the new entry's
+ *   position in it (0-based), or null if it didn't make the table.
+ */
+export const addScore = (language, difficultyId, { name, defaultName, score, elapsedMs, hintsUsed }, storage = getStorage()) => {
+  const entry = {
+    name: name.trim().slice(0, MAX_NAME_LENGTH) || defaultName,
+    score,
+    elapsedMs,
+    hintsUsed,
+    date: new Date().toISOString()
+  };
+  const entries = [...getLeaderboard(language, difficultyId, storage), entry]
+    .sort(compareEntries)
+    .slice(0, LEADERBOARD_SIZE);
+  const rank = entries.indexOf(entry);
+
+  if (storage && rank !== -1) {
+    const tables = { ...readTables(storage), [tableKey(language, difficultyId)]: entries };
+    // If storage is full or blocked, the score still shows for this session
+    writeItem(LEADERBOARD_KEY, JSON.stringify({ version: LEADERBOARD_VERSION, tables }), storage);
+  }
+  return { entries, rank: rank === -1 ? null : rank };
+};
@@ -0,0 +1,38 @@
+import { LEADERBOARD_KEY, LEADERBOARD_SIZE, addScore, getLeaderboard, isHighScore } from './leaderboard';
+
+beforeEach(() => window.localStorage.clear());
+
+const result = (score, elapsedMs = 60000) => ({ name: 'Amina', score, elapsedMs, hintsUsed: 0 });
+
+test('keeps a separate table for each language and difficulty', () => {
+  addScore('Hausa', 'easy', result(100));
+  addScore('Hausa', 'hard', result(300));
+  addScore('Yoruba', 'easy', result(200));
+
+  expect(getLeaderboard('Hausa', 'easy').map(entry => entry.score)).toEqual([100]);
+  expect(getLeaderboard('Hausa', 'hard').map(entry => entry.score)).toEqual([300]);
+  expect(getLeaderboard('Igbo', 'easy')).toEqual([]);
+});
+
+test('ranks by score, then by time, and keeps only the best', () => {
+  for (let i = 0; i < LEADERBOARD_SIZE; i++) addScore('Hausa', 'easy', result(100 + i * 10));
+  const { rank } = addScore('Hausa', 'easy', result(150, 1000));
+  expect(rank).toBe(4); // Ahead of the other 150, which took longer
+
+  const entries = getLeaderboard('Hausa', 'easy');
+  expect(entries).toHaveLength(LEADERBOARD_SIZE);
+  expect(entries[0].score).toBe(190);
+  expect(entries[entries.length - 1].score).toBe(110);
+
+  expect(isHighScore(entries, 110)).toBe(false);
+  expect(addScore('Hausa', 'easy', result(50)).rank).toBeNull();
+});
+
+test('tidies names and ignores a corrupt leaderboard', () => {
+  window.localStorage.setItem(LEADERBOARD_KEY, '{oops');
+  expect(getLeaderboard('Hausa', 'easy')).toEqual([]);
+
+  const { entries } = addScore('Hausa', 'easy', { ...result(10), name: '   ', defaultName: 'Ɗan wasa' });
+  expect(entries[0].name).toBe('Ɗan wasa');
+  expect(addScore('Hausa', 'easy', { ...result(20), name: 'x'.repeat(50) }).entries[0].name).toHaveLength(20);
+});
@@ -0,0 +1,246 @@
+import { getDirections, getMaxWordLength } from './difficulty';
+import { shuffle } from './random';
+import { MASKED_CELL, getLongestRun } from './shapes';
+
+// --- Word Placement Solver ---
+// Places every word it can by depth-first search with backtracking. For each word it
+// lists all positions that fit, prefers the ones that share letters with words already
+// placed (denser grids), and backs up to earlier words when a later word has nowhere
+// to go. Words that still can't be placed are reported with a reason.
+//
+// The search is a generator that yields regularly, so it can run to completion in one
+// go (placeWords) or in small slices between browser frames (placeWordsAsync).
+// It stops after `maxSteps` candidate positions and never because of the clock: the clock
+// only decides when to yield, so a seed gives the same grid on a slow phone as on a fast
+// desktop, which share codes, daily puzzles, race checks and worksheet sets rely on.
+//
+// A shaped grid (see shapes.js) starts with MASKED_CELL outside the shape. A masked cell
+// never matches a word's letter, so words can't run across it, just as they can't run off
+// the grid.
+
+export const EMPTY_CELL = ' ';
+
+export const PLACEMENT_FAILURES = {
+  'too-long': 'Longer than the grid (or its shape) allows in the chosen directions.',
+  'no-room': 'No position left that fits alongside the other words.',
+  'search-limit': 'The search gave up after trying as many layouts as it is allowed to.'
+};
+
+const DEFAULT_MAX_STEPS = 500000;
+const SLICE_MS = 12; // Work per slice before yielding back to the browser
+const CLOCK_CHECK_STEPS = 2000; // How often (in steps) to look at the clock
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Lists every position where a word fits the grid, best overlaps first.
+ * A word may cross other words on matching letters but never lie entirely on top of them.
+ * @param {Array<string>} cells - The word's cells.
+ * @param {Array<Array<string>>} grid - The grid being filled.
+ * @param {Array<Object>} directions - Allowed direction objects.
+ * @param {function(): number} random - Seeded generator used to break ties.
+ * @returns {Array<{row: number, col: number, dr: number, dc: number, overlap: number}>} The candidates.
+ */
+const findCandidates = (cells, grid, directions, random) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const n = cells.length;
+  const candidates = [];
+
+  for (const { dr, dc } of directions) {
+    // Only starting cells that keep the whole word inside the grid
+    const rowStart = dr < 0 ? n - 1 : 0;
+    const rowEnd = dr > 0 ? rows - n : rows - 1;
+    const colStart = dc < 0 ? n - 1 : 0;
+    const colEnd = dc > 0 ? cols - n : cols - 1;
+    for (let row = rowStart; row <= rowEnd; row++) {
+      for (let col = colStart; col <= colEnd; col++) {
+        let overlap = 0;
+        let fits = true;
+        for (let i = 0; i < n; i++) {
+          const existing = grid[row + i * dr][col + i * dc];
+          if (existing === EMPTY_CELL) continue;
+          if (existing !== cells[i]) {
+            fits = false;
+            break;
+          }
+          overlap++;
+        }
+        if (fits && overlap < n) {
+          candidates.push({ row, col, dr, dc, overlap });
+        }
+      }
+    }
+  }
+
+  // Shuffle first so equally good positions are tried in a (seeded) random order
+  return shuffle(random, candidates).sort((a, b) => b.overlap - a.overlap);
+};
+
+/**
+ * Writes a word into the grid.
+ * @returns {Array<{r: number, c: number}>} The cells that were empty before, for undoing.
+ */
+const applyPlacement = (cells, placement, grid) => {
+  const written = [];
+  cells.forEach((cell, i) => {
+    const r = placement.row + i * placement.dr;
+    const c = placement.col + i * placement.dc;
+    if (grid[r][c] === EMPTY_CELL) {
+      grid[r][c] = cell;
+      written.push({ r, c });
+    }
+  });
+  return written;
+};
+
+// An empty grid, masked outside the shape if there is one
+const createEmptyGrid = (rows, cols, mask) =>
+  Array.from({ length: rows }, (_, r) => Array.from({ length: cols }, (_, c) => (mask && !mask[r][c] ? MASKED_CELL : EMPTY_CELL)));
+
+const undoPlacement = (written, grid) => {
+  written.forEach(({ r, c }) => { grid[r][c] = EMPTY_CELL; });
+};
+
+const placementLocations = (cells, { row, col, dr, dc }) =>
+  cells.map((cell, i) => ({ r: row + i * dr, c: col + i * dc }));
+
+/**
+ * The placement search. Yields whenever a slice of work is done; returns the result.
+ * See placeWords for the options and result shape.
+ */
+function* searchPlacements(entries, {
+  rows,
+  cols,
+  directions: directionNames,
+  random,
+  mask = null,
+  maxSteps = DEFAULT_MAX_STEPS
+}) {
+  const directions = getDirections(directionNames);
+  const maxWordLength = mask ? getLongestRun(mask, directionNames) : getMaxWordLength(rows, cols, directionNames);
+  const grid = createEmptyGrid(rows, cols, mask);
+  const unplaced = [];
+  // Longest words first: they are the hardest to fit
+  const toPlace = entries
+    .filter(entry => {
+      if (entry.cells.length <= maxWordLength) return true;
+      unplaced.push({ word: entry.word, reason: 'too-long' });
+      return false;
+    })
+    .sort((a, b) => b.cells.length - a.cells.length);
+
+  let steps = 0;
+  let nextClockCheck = Math.min(CLOCK_CHECK_STEPS, maxSteps);
+  let sliceStart = now();
+  let stopped = false; // Set when the step budget runs out
+
+  const placements = [];
+  let bestPlacements = [];
+
+  // Returns true when the slice is used up; updates `stopped` when the step budget is.
+  const checkClock = () => {
+    nextClockCheck = Math.min(steps + CLOCK_CHECK_STEPS, maxSteps);
+    if (steps >= maxSteps) stopped = true;
+    return now() - sliceStart >= SLICE_MS;
+  };
+
+  function* placeFrom(index) {
+    if (index === toPlace.length) return true;
+    const { cells } = toPlace[index];
+    const candidates = findCandidates(cells, grid, directions, random);
+    steps += candidates.length + 1;
+
+    for (const candidate of candidates) {
+      if (steps >= nextClockCheck && checkClock()) {
+        yield;
+        sliceStart = now();
+      }
+      if (stopped) return false;
+
+      const written = applyPlacement(cells, candidate, grid);
+      placements[index] = candidate;
+      if (index + 1 > bestPlacements.length) {
+        bestPlacements = placements.slice(0, index + 1);
+      }
+      if (yield* placeFrom(index + 1)) return true;
+      undoPlacement(written, grid);
+      steps++;
+    }
+    return false;
+  }
+
+  const placedAll = yield* placeFrom(0);
+
+  if (!placedAll) {
+    // Rebuild the deepest partial layout found, then fit the rest greedily
+    grid.forEach(row => row.forEach((cell, c) => { if (cell !== MASKED_CELL) row[c] = EMPTY_CELL; }));
+    bestPlacements.forEach((placement, i) => applyPlacement(toPlace[i].cells, placement, grid));
+    for (let i = bestPlacements.length; i < toPlace.length; i++) {
+      const [placement] = findCandidates(toPlace[i].cells, grid, directions, random);
+      if (placement) {
+        applyPlacement(toPlace[i].cells, placement, grid);
+        bestPlacements[i] = placement;
+      } else {
+        unplaced.push({ word: toPlace[i].word, reason: stopped ? 'search-limit' : 'no-room' });
+      }
+    }
+  }
+
+  const locations = {};
+  const finalPlacements = placedAll ? placements : bestPlacements;
+  toPlace.forEach((entry, i) => {
+    if (finalPlacements[i]) locations[entry.word] = placementLocations(entry.cells, finalPlacements[i]);
+  });
+  return { grid, locations, unplaced };
+}
+
+/**
+ * Places words on an empty grid, backtracking so that as many as possible fit.
+ * @param {Array<{word: string, cells: Array<string>}>} entries - Words and their grid cells.
+ * @param {Object} options - Placement options.
+ * @param {number} options.rows - Number of grid rows.
+ * @param {number} options.cols - Number of grid columns.
+ * @param {Array<string>} options.directions - Names of the allowed directions.
+ * @param {function(): number} options.random - Seeded generator for every random choice.
+ * @param {Array<Array<boolean>>|null} [options.mask] - Cells in play for a shaped grid (see getShapeMask).
+ * @param {number} [options.maxSteps] - Candidate positions to try before giving up.
+ * @returns {{grid: Array<Array<string>>, locations: Object, unplaced: Array<{word: string, reason: string}>}}
+ *   The grid (EMPTY_CELL where no word passes, MASKED_CELL outside the shape), each placed word's cells in reading order,
+ *   and the words that couldn't be placed with a PLACEMENT_FAILURES reason.
+ */
+export const placeWords = (entries, options) => {
+  const search = searchPlacements(entries, options);
+  let step = search.next();
+  while (!step.done) step = search.next();
+  return step.value;
+};
+
+/**
+ * Same as placeWords, but yields to the browser between slices of work so that
+ * large grids never freeze the page.
+ * @param {Array<{word: string, cells: Array<string>}>} entries - Words and their grid cells.
+ * @param {Object} options - See placeWords.
+ * @param {AbortSignal} [signal] - Aborts the search (the promise then rejects with an AbortError).
+ * @returns {Promise<Object>} Resolves with the same result as placeWords.
+ */
+export const placeWordsAsync = (entries, options, signal) => new Promise((resolve, reject) => {
+  const search = searchPlacements(entries, options);
+  const runSlice = () => {
+    if (signal && signal.aborted) {
+      reject(new DOMException('Puzzle generation was cancelled.', 'AbortError'));
+      return;
+    }
+    try {
+      const step = search.next();
+      if (step.done) {
+        resolve(step.value);
+      } else {
+        setTimeout(runSlice, 0);
+      }
+    } catch (e) {
+      reject(e);
+    }
+  };
+  runSlice();
+});
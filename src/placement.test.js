@@ -0,0 +1,88 @@
+import { createRandom } from './random';
+import { ALL_DIRECTION_NAMES } from './difficulty';
+import { EMPTY_CELL, placeWords, placeWordsAsync } from './placement';
+import { MASKED_CELL, getShapeMask } from './shapes';
+
+const entry = (word) => ({ word, cells: word.split('') });
+
+const spellAt = (grid, locations) => locations.map(({ r, c }) => grid[r][c]).join('');
+
+test('places every word on a tight grid by backtracking', () => {
+  // 16 letters of words on a 4x4 grid, rows only: every row must hold exactly one word
+  const words = ['abcd', 'efgh', 'ijkl', 'mnop'];
+  const { grid, locations, unplaced } = placeWords(words.map(entry), {
+    rows: 4, cols: 4, directions: ['horizontal_right'], random: createRandom(1)
+  });
+  expect(unplaced).toEqual([]);
+  for (const word of words) {
+    expect(spellAt(grid, locations[word])).toBe(word);
+  }
+  expect(grid.flat()).not.toContain(EMPTY_CELL);
+});
+
+test('keeps words inside the grid\'s shape', () => {
+  const mask = getShapeMask('diamond', 5, 5);
+  const { grid, locations, unplaced } = placeWords(['abc', 'defgh', 'ijk'].map(entry), {
+    rows: 5, cols: 5, directions: ALL_DIRECTION_NAMES, random: createRandom(3), mask
+  });
+  expect(unplaced).toEqual([]);
+  Object.values(locations).flat().forEach(({ r, c }) => expect(mask[r][c]).toBe(true));
+  grid.forEach((row, r) => row.forEach((cell, c) => expect(cell === MASKED_CELL).toBe(!mask[r][c])));
+
+  // Only the middle row of a 5x5 diamond is five cells long
+  expect(placeWords([entry('abcdef'), entry('vwxyz')], {
+    rows: 5, cols: 5, directions: ['vertical_down'], random: createRandom(3), mask
+  }).unplaced).toEqual([{ word: 'abcdef', reason: 'too-long' }]);
+});
+
+test('prefers positions that share letters with placed words', () => {
+  const { locations } = placeWords([entry('banana'), entry('nab')], {
+    rows: 8, cols: 8, directions: ALL_DIRECTION_NAMES, random: createRandom(5)
+  });
+  const bananaCells = new Set(locations.banana.map(({ r, c }) => `${r},${c}`));
+  expect(locations.nab.some(({ r, c }) => bananaCells.has(`${r},${c}`))).toBe(true);
+});
+
+test('reports words that cannot be placed, with a reason', () => {
+  const { locations, unplaced } = placeWords([entry('toolongword'), entry('abcde'), entry('fghij')], {
+    rows: 5, cols: 5, directions: ['horizontal_right'], random: createRandom(2), maxSteps: 1000000
+  });
+  expect(Object.keys(locations).sort()).toEqual(['abcde', 'fghij']);
+  expect(unplaced).toEqual([{ word: 'toolongword', reason: 'too-long' }]);
+
+  const crowded = placeWords(['aaa', 'bbb', 'ccc'].map(entry), {
+    rows: 2, cols: 3, directions: ['horizontal_right'], random: createRandom(2)
+  });
+  expect(crowded.unplaced).toEqual([{ word: expect.any(String), reason: 'no-room' }]);
+});
+
+test('stops at the step budget and reports the words it gave up on', () => {
+  const { unplaced } = placeWords(['abcde', 'fghij', 'klmno', 'pqrst', 'uvwxy', 'zzzzz'].map(entry), {
+    rows: 5, cols: 5, directions: ['horizontal_right'], random: createRandom(3), maxSteps: 50
+  });
+  expect(unplaced.map(u => u.reason)).toEqual(['search-limit']);
+});
+
+test('gives the same layout for the same seed, sync or async', async () => {
+  const entries = ['kwakwa', 'asibiti', 'gida', 'ruwa', 'ido', 'uku'].map(entry);
+  const options = () => ({ rows: 8, cols: 8, directions: ALL_DIRECTION_NAMES, random: createRandom(99) });
+  const sync = placeWords(entries, options());
+  const async = await placeWordsAsync(entries, options());
+  expect(async).toEqual(sync);
+});
+
+test('gives the same layout for the same seed on a slow device', async () => {
+  // Seven words for six rows and six columns: the search runs until it has tried everything
+  const entries = ['abcdef', 'ghijkl', 'mnopqr', 'stuvwx', 'yzabcd', 'efghij', 'klmnop'].map(entry);
+  const options = () => ({ rows: 6, cols: 6, directions: ['horizontal_right', 'vertical_down'], random: createRandom(3), maxSteps: 30000 });
+  const fast = placeWords(entries, options());
+
+  // Every look at the clock finds another second gone
+  let time = 0;
+  const clock = jest.spyOn(performance, 'now').mockImplementation(() => (time += 1000));
+  try {
+    expect(await placeWordsAsync(entries, options())).toEqual(fast);
+  } finally {
+    clock.mockRestore();
+  }
+});
@@ -0,0 +1,150 @@
+import { addDays, getDateKey } from './dates';
+import { getPackWords } from './languagePacks';
+import { getStorage, readItem, writeItem } from './storage';
+
+// --- Learner Progress ---
+// What the learner on this device has made of each word, so puzzles can bring back the
+// words they struggle with. When a game ends, each of its words is recorded with one of
+// WORD_OUTCOMES, which moves the word between Leitner boxes: up a box when it was found
+// quickly, back to the first box when it was missed. A word is due again REVIEW_DAYS[box]
+// days after it was last played, and due words are drawn into new puzzles first (see
+// createPuzzleSpec). Kept in localStorage, one table of words per language:
+//
+//   { "version": 1, "languages": { "Hausa": { "ruwa": { "box": 2, "due": "2026-10-22",
+//     "plays": 3, "hinted": 1, "missed": 0, "lastPlayed": "2026-10-19" } } } }
+
+export const PROGRESS_VERSION = 1;
+export const PROGRESS_KEY = 'wordSearch.progress';
+
+export const WORD_OUTCOMES = {
+  quick: 'quick', // Found without a hint, within QUICK_FIND_MS of the word before
+  found: 'found', // Found without a hint, but slowly
+  hinted: 'hinted', // Found after a hint
+  missed: 'missed' // Not found
+};
+
+export const QUICK_FIND_MS = 30 * 1000;
+export const REVIEW_DAYS = [0, 1, 3, 7, 14, 30]; // Days until a word in each box is due again
+export const MASTERED_BOX = 4; // Words in this box or above count as mastered
+
+// The box a word moves to after each outcome
+const NEXT_BOX = {
+  [WORD_OUTCOMES.quick]: (box) => Math.min(box + 1, REVIEW_DAYS.length - 1),
+  [WORD_OUTCOMES.found]: (box) => Math.max(box, 1),
+  [WORD_OUTCOMES.hinted]: (box) => Math.min(box, 1),
+  [WORD_OUTCOMES.missed]: () => 0
+};
+
+const isRecord = (record) => record && Number.isInteger(record.box) && record.box >= 0
+  && record.box < REVIEW_DAYS.length && typeof record.due === 'string';
+
+/**
+ * Loads the learner's progress.
+ * @param {Storage} [storage=window.localStorage] - Where progress is kept.
+ * @returns {Object} Word records by language and word (see the format above); empty if
+ *   nothing is stored or the stored value is unreadable.
+ */
+export const loadProgress = (storage = getStorage()) => {
+  try {
+    const data = JSON.parse(readItem(PROGRESS_KEY, storage));
+    if (data && data.version === PROGRESS_VERSION && data.languages && typeof data.languages === 'object') {
+      return data.languages;
+    }
+  } catch (e) {
+    // Missing, corrupt or blocked; start over
+  }
+  return {};
+};
+
+/**
+ * Works out how the player did on each word of a game.
+ * @param {Object} game - The game state (see gameEngine.js).
+ * @returns {Object} A value of WORD_OUTCOMES by word, for every word hidden in the grid.
+ */
+export const getWordOutcomes = (game) => {
+  // Time taken per word: from the word found before it (or the start) to the word itself
+  const timeTaken = {};
+  let previous = 0;
+  [...game.foundWords]
+    .filter(word => Number.isFinite(game.foundTimes[word]))
+    .sort((a, b) => game.foundTimes[a] - game.foundTimes[b])
+    .forEach(word => {
+      timeTaken[word] = game.foundTimes[word] - previous;
+      previous = game.foundTimes[word];
+    });
+
+  return Object.fromEntries(game.wordsToFind.map(word => [word,
+    !game.foundWords.has(word) ? WORD_OUTCOMES.missed
+      : game.hintLevels[word] ? WORD_OUTCOMES.hinted
+        : timeTaken[word] <= QUICK_FIND_MS ? WORD_OUTCOMES.quick
+          : WORD_OUTCOMES.found
+  ]));
+};
+
+/**
+ * Records how a game's words went and schedules each one's next review.
+ * @param {string} language - Language name.
+ * @param {Object} outcomes - A value of WORD_OUTCOMES by word (see getWordOutcomes).
+ * @param {string} [today=getDateKey()] - The day the game was played.
+ * @param {Storage} [storage=window.localStorage] - Where progress is kept.
+ * @returns {Object} The updated progress (see loadProgress).
+ */
+export const recordWordOutcomes = (language, outcomes, today = getDateKey(), storage = getStorage()) => {
+  const words = { ...(storage ? loadProgress(storage)[language] : null) };
+  for (const [word, outcome] of Object.entries(outcomes)) {
+    const record = isRecord(words[word]) ? words[word] : { box: 0, plays: 0, hinted: 0, missed: 0 };
+    const box = NEXT_BOX[outcome](record.box);
+    words[word] = {
+      box,
+      due: addDays(today, REVIEW_DAYS[box]),
+      plays: record.plays + 1,
+      hinted: record.hinted + (outcome === WORD_OUTCOMES.hinted ? 1 : 0),
+      missed: record.missed + (outcome === WORD_OUTCOMES.missed ? 1 : 0),
+      lastPlayed: today
+    };
+  }
+
+  const languages = { ...(storage ? loadProgress(storage) : null), [language]: words };
+  // If storage is full or blocked, progress still counts for this session
+  if (storage) writeItem(PROGRESS_KEY, JSON.stringify({ version: PROGRESS_VERSION, languages }), storage);
+  return languages;
+};
+
+/**
+ * Lists the words of a language that are due for review, most troublesome first: those in
+ * the lowest box, then those that have waited longest.
+ * @param {Object} progress - The learner's progress (see loadProgress).
+ * @param {string} language - Language name.
+ * @param {string} [today=getDateKey()] - The day.
+ * @returns {Array<string>} The due words.
+ */
+export const getReviewWords = (progress, language, today = getDateKey()) =>
+  Object.entries(progress[language] || {})
+    .filter(([, record]) => isRecord(record) && record.due <= today)
+    .sort(([, a], [, b]) => a.box - b.box || a.due.localeCompare(b.due))
+    .map(([word]) => word);
+
+/**
+ * Sums up the learner's progress on a pack, category by category, for the progress dashboard.
+ * @param {Object} progress - The learner's progress (see loadProgress).
+ * @param {Object} pack - A validated language pack.
+ * @param {string} [today=getDateKey()] - The day, for which words are due.
+ * @returns {Array<{id: string, name: string, total: number, practised: number, mastered: number,
+ *   due: number}>} One summary per category: its number of words, and how many of them have
+ *   been played, are mastered (see MASTERED_BOX) and are due for review.
+ */
+export const getPackMastery = (progress, pack, today = getDateKey()) => {
+  const words = progress[pack.language] || {};
+  return pack.categories.map(({ id, name }) => {
+    const entries = getPackWords(pack, id);
+    const records = entries.map(entry => words[entry.word]).filter(isRecord);
+    return {
+      id,
+      name,
+      total: entries.length,
+      practised: records.length,
+      mastered: records.filter(record => record.box >= MASTERED_BOX).length,
+      due: records.filter(record => record.due <= today).length
+    };
+  });
+};
@@ -0,0 +1,82 @@
+import {
+  MASTERED_BOX,
+  PROGRESS_KEY,
+  QUICK_FIND_MS,
+  WORD_OUTCOMES,
+  getPackMastery,
+  getReviewWords,
+  getWordOutcomes,
+  loadProgress,
+  recordWordOutcomes
+} from './progress';
+
+const { quick, found, hinted, missed } = WORD_OUTCOMES;
+
+const pack = {
+  id: 'hausa-core',
+  language: 'Hausa',
+  categories: [
+    { id: 'body', name: 'Body', words: ['ido', 'kunne', 'hannu'].map(word => ({ word })) },
+    { id: 'food', name: 'Food', words: ['ruwa', 'nama'].map(word => ({ word })) }
+  ]
+};
+
+beforeEach(() => window.localStorage.clear());
+
+test('sorts a game\'s words into quick finds, slow finds, hinted and missed', () => {
+  const game = {
+    wordsToFind: ['hannu', 'ido', 'kunne', 'nama', 'ruwa'],
+    foundWords: new Set(['ido', 'kunne', 'hannu', 'ruwa']),
+    foundTimes: { ido: 10000, kunne: 10000 + QUICK_FIND_MS + 1, hannu: 50000, ruwa: 60000 },
+    hintLevels: { ruwa: 1, nama: 2 }
+  };
+  expect(getWordOutcomes(game)).toEqual({ ido: quick, kunne: found, hannu: quick, ruwa: hinted, nama: missed });
+});
+
+test('moves words between boxes and schedules their next review', () => {
+  let progress = recordWordOutcomes('Hausa', { ido: quick, kunne: found, ruwa: missed }, '2026-10-19');
+  expect(progress.Hausa).toEqual({
+    ido: { box: 1, due: '2026-10-20', plays: 1, hinted: 0, missed: 0, lastPlayed: '2026-10-19' },
+    kunne: { box: 1, due: '2026-10-20', plays: 1, hinted: 0, missed: 0, lastPlayed: '2026-10-19' },
+    ruwa: { box: 0, due: '2026-10-19', plays: 1, hinted: 0, missed: 1, lastPlayed: '2026-10-19' }
+  });
+
+  progress = recordWordOutcomes('Hausa', { ido: quick, kunne: hinted }, '2026-10-30');
+  expect(progress.Hausa.ido).toMatchObject({ box: 2, due: '2026-11-02', plays: 2 });
+  expect(progress.Hausa.kunne).toMatchObject({ box: 1, due: '2026-10-31', hinted: 1 });
+  expect(progress.Hausa.ruwa.plays).toBe(1);
+
+  // Kept between sessions, one table per language
+  recordWordOutcomes('Igbo', { mmiri: missed }, '2026-10-30');
+  expect(Object.keys(loadProgress())).toEqual(['Hausa', 'Igbo']);
+  expect(loadProgress().Hausa).toEqual(progress.Hausa);
+});
+
+test('starts over when the stored progress is unreadable', () => {
+  window.localStorage.setItem(PROGRESS_KEY, '{not json');
+  expect(loadProgress()).toEqual({});
+  window.localStorage.setItem(PROGRESS_KEY, JSON.stringify({ version: 99, languages: { Hausa: {} } }));
+  expect(loadProgress()).toEqual({});
+  expect(recordWordOutcomes('Hausa', { ido: quick }, '2026-10-19').Hausa.ido.box).toBe(1);
+});
+
+test('brings back due words, most troublesome first', () => {
+  recordWordOutcomes('Hausa', { ido: quick, kunne: missed, hannu: found }, '2026-10-18');
+  recordWordOutcomes('Hausa', { ruwa: missed }, '2026-10-19');
+  const progress = recordWordOutcomes('Hausa', { nama: quick }, '2026-10-19');
+  expect(getReviewWords(progress, 'Hausa', '2026-10-19')).toEqual(['kunne', 'ruwa', 'ido', 'hannu']);
+  expect(getReviewWords(progress, 'Hausa', '2026-10-18')).toEqual(['kunne']);
+  expect(getReviewWords(progress, 'Igbo', '2026-10-19')).toEqual([]);
+});
+
+test('sums up mastery per category', () => {
+  let progress = {};
+  for (let day = 1; day <= MASTERED_BOX; day++) {
+    progress = recordWordOutcomes('Hausa', { ido: quick }, `2026-11-0${day}`);
+  }
+  progress = recordWordOutcomes('Hausa', { kunne: missed, ruwa: found }, '2026-11-04');
+  expect(getPackMastery(progress, pack, '2026-11-04')).toEqual([
+    { id: 'body', name: 'Body', total: 3, practised: 2, mastered: 1, due: 1 },
+    { id: 'food', name: 'Food', total: 2, practised: 1, mastered: 0, due: 0 }
+  ]);
+});
@@ -0,0 +1,237 @@
+import { normalizeWord, toCells } from './graphemes';
+import { getLanguage, createFillerPicker } from './languages';
+import { ALL_CATEGORIES, getPackWords } from './languagePacks';
+import { CUSTOM_LIST_PACK_ID } from './wordList';
+import { createRandom, createSeed, randomInt, shuffle } from './random';
+import {
+  ALL_DIRECTION_NAMES,
+  CUSTOM_DIFFICULTY,
+  DEFAULT_DIFFICULTY,
+  DIFFICULTY_PRESETS,
+  getMaxWordLength,
+  normalizeCustomSettings
+} from './difficulty';
+import { EMPTY_CELL, placeWordsAsync } from './placement';
+import { removeUnintendedOccurrences } from './gridScan';
+import { getMessageCells } from './hiddenMessage';
+import { DEFAULT_SHAPE, countOpenCells, getLongestRun, getShapeMask } from './shapes';
+
+// --- Puzzle Generation ---
+// Turns a puzzle spec (seed, language, dimensions, shape, directions and words) into a grid.
+// Nothing here touches React or the DOM.
+
+/**
+ * Generates the word search puzzle grid.
+ * Placement runs in slices (see placement.js), so even large grids don't freeze the page.
+ * @param {Array<string>} words - List of words to hide.
+ * @param {Object} language - Language definition supplying digraphs and filler letter frequencies.
+ * @param {Object} [options] - Generation options.
+ * @param {number} [options.rows=15] - Number of grid rows.
+ * @param {number} [options.cols=15] - Number of grid columns.
+ * @param {Array<string>} [options.directions] - Names of the directions words may run in (default: all 8).
+ * @param {boolean} [options.digraphCells=false] - Whether to keep the language's digraphs in a single cell.
+ * @param {string} [options.shape] - The shape the grid is drawn in (see shapes.js); cells outside it hold MASKED_CELL.
+ * @param {number} [options.seed] - Seed for every random choice; the same seed and inputs give the same grid.
+ * @param {{text: string}} [options.message] - A saying to spell in the leftover cells (see hiddenMessage.js).
+ * @param {AbortSignal} [options.signal] - Cancels generation, e.g. when another puzzle is chosen.
+ * @returns {Promise<{grid: Array<Array<string>>, hiddenWords: Object, alternateLocations: Object,
+ *   unplacedWords: Array<{word: string, reason: string}>, messageCells: (Array|null)}>} Generated grid,
+ *   hidden word locations, other places a hidden word unavoidably appears, the words that couldn't
+ *   be placed (with a reason), and the cells spelling the message (null without one, or if it didn't fit).
+ */
+export const generatePuzzle = async (words, language, {
+  rows = 15,
+  cols = 15,
+  directions = ALL_DIRECTION_NAMES,
+  digraphCells = false,
+  shape = DEFAULT_SHAPE,
+  seed = createSeed(),
+  message,
+  signal
+} = {}) => {
+  const random = createRandom(seed);
+  const digraphs = digraphCells ? language.digraphs : [];
+  // Split each word into grid cells (graphemes, or digraphs when enabled)
+  const entries = [...new Set(words.map(normalizeWord))]
+    .map(word => ({ word, cells: toCells(word, digraphs) }));
+
+  const mask = getShapeMask(shape, rows, cols);
+  const { grid, locations, unplaced } = await placeWordsAsync(entries, { rows, cols, directions, random, mask }, signal);
+
+  // Spell the hidden message in the first empty cells, in reading order
+  let messageCells = null;
+  if (message) {
+    const letters = getMessageCells(message.text, digraphs);
+    const emptyCells = [];
+    grid.forEach((row, r) => row.forEach((cell, c) => cell === EMPTY_CELL && emptyCells.push({ r, c })));
+    if (letters.length > 0 && letters.length <= emptyCells.length) {
+      messageCells = emptyCells.slice(0, letters.length);
+      messageCells.forEach(({ r, c }, i) => { grid[r][c] = letters[i]; });
+    }
+  }
+
+  // Fill remaining empty spaces (not the cells outside the shape) with the language's letters, weighted by frequency
+  const pickFillerLetter = createFillerPicker(language, digraphCells, random);
+  const fillerCells = new Set();
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (grid[r][c] === EMPTY_CELL) {
+        grid[r][c] = pickFillerLetter();
+        fillerCells.add(`${r},${c}`);
+      }
+    }
+  }
+
+  // Filler must not repeat a hidden word by chance or spell a blocklisted word
+  const alternateLocations = removeUnintendedOccurrences(grid, {
+    hiddenWords: entries.filter(({ word }) => locations[word]),
+    locations,
+    blockedWords: language.blocklist.map(word => toCells(word, digraphs)),
+    fillerCells,
+    pickFillerLetter,
+    random
+  });
+
+  return { grid, hiddenWords: locations, alternateLocations, unplacedWords: unplaced, messageCells };
+};
+
+/**
+ * Resolves the settings (dimensions, directions, word count and lengths) for a difficulty.
+ * @param {string} difficultyId - A key of DIFFICULTY_PRESETS, or CUSTOM_DIFFICULTY.
+ * @param {Object} customSettings - The player's custom settings, used for CUSTOM_DIFFICULTY.
+ * @returns {Object} The difficulty settings.
+ */
+export const getDifficultySettings = (difficultyId, customSettings) =>
+  difficultyId === CUSTOM_DIFFICULTY
+    ? normalizeCustomSettings(customSettings)
+    : DIFFICULTY_PRESETS[difficultyId] || DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+
+/**
+ * Describes a new puzzle for a pack, category and difficulty, with a fresh seed unless one is given.
+ * Words are drawn (seeded) from those whose length suits the difficulty and grid, starting
+ * with any words due for review (see progress.js), which may fill up to half the puzzle.
+ * The spec is everything needed to rebuild the grid (plus the hint budget), and is what puzzle codes encode.
+ * @param {Object} pack - A validated language pack.
+ * @param {string} categoryId - Category id, or ALL_CATEGORIES.
+ * @param {boolean} digraphCells - Whether to keep digraphs in a single cell.
+ * @param {string} difficultyId - A key of DIFFICULTY_PRESETS, or CUSTOM_DIFFICULTY.
+ * @param {Object} settings - The difficulty settings (see getDifficultySettings), with the grid's
+ *   `shape` (see shapes.js) if it isn't a plain rectangle, and `reviewWords` (most pressing
+ *   first; see getReviewWords) if the learner has words to practise.
+ * @param {number} [seed] - Seed for choosing the words and building the grid (default: a fresh one).
+ * @returns {Object} The puzzle specification.
+ */
+export const createPuzzleSpec = (pack, categoryId, digraphCells, difficultyId, settings, seed = createSeed()) => {
+  const digraphs = digraphCells ? getLanguage(pack.language).digraphs : [];
+  const mask = getShapeMask(settings.shape, settings.rows, settings.cols);
+  const longestWord = Math.min(settings.maxWordLength, mask
+    ? getLongestRun(mask, settings.directions)
+    : getMaxWordLength(settings.rows, settings.cols, settings.directions));
+  const candidates = getPackWords(pack, categoryId)
+    .map(entry => entry.word)
+    .filter(word => {
+      const length = toCells(word, digraphs).length;
+      return length >= settings.minWordLength && length <= longestWord;
+    });
+  const reviewWords = (settings.reviewWords || [])
+    .filter(word => candidates.includes(word))
+    .slice(0, Math.ceil(settings.wordCount / 2));
+  const newWords = candidates.filter(word => !reviewWords.includes(word));
+
+  return withGridShape({
+    seed,
+    language: pack.language,
+    rows: settings.rows,
+    cols: settings.cols,
+    directions: settings.directions,
+    digraphCells,
+    difficultyId,
+    packId: pack.id,
+    categoryId,
+    words: [...reviewWords, ...shuffle(createRandom(seed), newWords)].slice(0, settings.wordCount),
+    hints: settings.hints
+  }, settings.shape);
+};
+
+/**
+ * Draws a puzzle in another shape, keeping its seed and words.
+ * @param {Object} spec - The puzzle spec.
+ * @param {string|Object} [shape=DEFAULT_SHAPE] - One of SHAPE_IDS, or a loaded shape (see shapes.js).
+ * @returns {Object} The spec with `shape`, or without one for the default rectangle.
+ */
+export const withGridShape = ({ shape: previous, ...spec }, shape = DEFAULT_SHAPE) =>
+  shape === DEFAULT_SHAPE ? spec : { ...spec, shape };
+
+/**
+ * Gives a puzzle a hidden message: a saying from the pack, chosen by the puzzle's seed among
+ * those sure to fit (the leftover cells can hold them even if no two words cross).
+ * @param {Object} spec - The puzzle spec.
+ * @param {Object|null} pack - The puzzle's language pack, with its `phrases`.
+ * @returns {Object} The spec with `message` ({ text, translation }), or without one when no
+ *   saying fits or the pack has none.
+ */
+export const addHiddenMessage = (spec, pack) => {
+  const digraphs = spec.digraphCells ? getLanguage(spec.language).digraphs : [];
+  const wordCells = spec.words.reduce((sum, word) => sum + toCells(word, digraphs).length, 0);
+  const room = countOpenCells(getShapeMask(spec.shape, spec.rows, spec.cols), spec.rows, spec.cols) - wordCells;
+  const phrases = (pack ? pack.phrases : []).filter(phrase => getMessageCells(phrase.text, digraphs).length <= room);
+  const { message, ...rest } = spec;
+  if (phrases.length === 0) return rest;
+  const { text, translation } = phrases[randomInt(createRandom(spec.seed), phrases.length)];
+  return { ...rest, message: translation ? { text, translation } : { text } };
+};
+
+/**
+ * Takes a puzzle's hidden message away.
+ * @param {Object} spec - The puzzle spec.
+ * @returns {Object} The spec without `message`.
+ */
+export const removeHiddenMessage = ({ message, ...spec }) => spec;
+
+/**
+ * Describes a puzzle hiding every word of a teacher's own list (see wordList.js).
+ * The words should already be checked with checkWordList for the same grid.
+ * @param {string} language - The list's language (a key of LANGUAGES).
+ * @param {Array<string>} words - The checked words.
+ * @param {boolean} digraphCells - Whether to keep digraphs in a single cell.
+ * @param {string} difficultyId - A key of DIFFICULTY_PRESETS, or CUSTOM_DIFFICULTY.
+ * @param {Object} settings - The difficulty settings; only the grid, its `shape`, directions and hints are used.
+ * @param {number} [seed] - Seed for building the grid (default: a fresh one).
+ * @returns {Object} The puzzle specification.
+ */
+export const createWordListSpec = (language, words, digraphCells, difficultyId, settings, seed = createSeed()) => withGridShape({
+  seed,
+  language,
+  rows: settings.rows,
+  cols: settings.cols,
+  directions: settings.directions,
+  digraphCells,
+  difficultyId,
+  packId: CUSTOM_LIST_PACK_ID,
+  categoryId: ALL_CATEGORIES,
+  words,
+  hints: settings.hints
+}, settings.shape);
+
+/**
+ * Describes a batch of puzzles like the given one, e.g. a set of worksheets for a class.
+ * The first is the given puzzle itself; the others get seeds derived from its seed, so the
+ * same puzzle always yields the same batch. With the pack, each puzzle draws its own words;
+ * without it (a shared puzzle from a pack this copy doesn't have) the same words are rearranged.
+ * @param {Object} spec - The puzzle to start from.
+ * @param {number} count - How many puzzles to describe.
+ * @param {Object|null} pack - The spec's language pack, if available.
+ * @param {Object} settings - The difficulty settings (see getDifficultySettings).
+ * @returns {Array<Object>} The puzzle specifications.
+ */
+export const createPuzzleBatch = (spec, count, pack, settings) => {
+  const random = createRandom(spec.seed);
+  return Array.from({ length: count }, (_, i) => {
+    if (i === 0) return spec;
+    const seed = randomInt(random, 4294967296);
+    return pack
+      ? createPuzzleSpec(pack, spec.categoryId, spec.digraphCells, spec.difficultyId, { ...settings, shape: spec.shape }, seed)
+      : { ...spec, seed };
+  });
+};
@@ -0,0 +1,176 @@
+import { toCells } from './graphemes';
+import { getLanguage } from './languages';
+import { findOccurrences } from './gridScan';
+import { DIFFICULTY_PRESETS } from './difficulty';
+import {
+  addHiddenMessage,
+  createPuzzleBatch,
+  createPuzzleSpec,
+  createWordListSpec,
+  generatePuzzle,
+  getDifficultySettings,
+  removeHiddenMessage,
+  withGridShape
+} from './puzzle';
+import { getMessageCells } from './hiddenMessage';
+import { MASKED_CELL, getShapeMask } from './shapes';
+
+const WORDS = ['ido', 'kunne', 'hannu', 'ƙafa', 'baki', 'hanci'];
+
+test('hides every word at its reported cells, and nowhere else', async () => {
+  const language = getLanguage('Hausa');
+  const { grid, hiddenWords, unplacedWords } = await generatePuzzle(WORDS, language, { rows: 10, cols: 10, seed: 7 });
+
+  expect(grid).toHaveLength(10);
+  grid.forEach(row => expect(row).toHaveLength(10));
+  expect(unplacedWords).toEqual([]);
+  for (const word of WORDS) {
+    const cells = toCells(word);
+    expect(hiddenWords[word].map(({ r, c }) => grid[r][c])).toEqual(cells);
+    expect(findOccurrences(grid, cells)).toHaveLength(1);
+  }
+});
+
+test('the same seed gives the same grid', async () => {
+  const language = getLanguage('Hausa');
+  const options = { rows: 8, cols: 12, directions: ['horizontal_right', 'vertical_down'], seed: 1234 };
+  const first = await generatePuzzle(WORDS, language, options);
+  const second = await generatePuzzle(WORDS, language, options);
+  expect(second).toEqual(first);
+});
+
+test('spells the hidden message in the leftover cells, in reading order', async () => {
+  const language = getLanguage('Hausa');
+  const message = { text: 'Sannu sannu ba ta hana zuwa' };
+  const options = { rows: 8, cols: 8, seed: 7, message };
+  const { grid, hiddenWords, messageCells } = await generatePuzzle(WORDS, language, options);
+
+  const letters = getMessageCells(message.text);
+  expect(messageCells.map(({ r, c }) => grid[r][c])).toEqual(letters);
+  const order = messageCells.map(({ r, c }) => r * 8 + c);
+  expect(order).toEqual([...order].sort((a, b) => a - b));
+  const wordCells = new Set(Object.values(hiddenWords).flat().map(({ r, c }) => `${r},${c}`));
+  expect(messageCells.some(({ r, c }) => wordCells.has(`${r},${c}`))).toBe(false);
+
+  // A saying that can't fit is left out
+  const crowded = await generatePuzzle(WORDS, language, { ...options, rows: 6, cols: 6, message: { text: 'x'.repeat(36) } });
+  expect(crowded.messageCells).toBeNull();
+  expect((await generatePuzzle(WORDS, language, { rows: 8, cols: 8, seed: 7 })).messageCells).toBeNull();
+});
+
+test('picks a hidden message that fits, by the puzzle\'s seed', () => {
+  const pack = {
+    phrases: [
+      { text: 'Komai nisan dare gari zai waye', translation: 'However long the night, the day will dawn.' },
+      { text: 'Ido' }
+    ]
+  };
+  const spec = { seed: 11, language: 'Hausa', rows: 4, cols: 4, digraphCells: false, words: ['kunne', 'hannu'] };
+  // Only 6 cells are left over, so only the short saying fits
+  expect(addHiddenMessage(spec, pack)).toEqual({ ...spec, message: { text: 'Ido' } });
+  const roomy = addHiddenMessage({ ...spec, rows: 10, cols: 10 }, pack);
+  expect(addHiddenMessage({ ...spec, rows: 10, cols: 10 }, pack)).toEqual(roomy);
+  expect(pack.phrases).toContainEqual(roomy.message);
+
+  expect(addHiddenMessage(spec, { phrases: [] })).toEqual(spec);
+  expect(addHiddenMessage({ ...roomy, rows: 3, cols: 3 }, pack)).not.toHaveProperty('message');
+  expect(removeHiddenMessage(roomy)).toEqual({ ...spec, rows: 10, cols: 10 });
+});
+
+test('draws the grid in a shape, with no letters outside it', async () => {
+  const language = getLanguage('Hausa');
+  const { grid, hiddenWords, unplacedWords } = await generatePuzzle(WORDS, language, { rows: 10, cols: 10, shape: 'heart', seed: 7 });
+  const mask = getShapeMask('heart', 10, 10);
+  expect(unplacedWords).toEqual([]);
+  grid.forEach((row, r) => row.forEach((cell, c) => expect(cell === MASKED_CELL).toBe(!mask[r][c])));
+  for (const word of WORDS) {
+    expect(findOccurrences(grid, toCells(word))).toEqual([hiddenWords[word]]);
+  }
+});
+
+test('shaped specs keep their shape and only pick words that fit it', () => {
+  const pack = {
+    id: 'test',
+    language: 'Hausa',
+    categories: [{ id: 'body', name: 'Body', words: ['ido', 'kunne', 'hannu', 'kafada'].map(word => ({ word })) }]
+  };
+  const settings = { ...DIFFICULTY_PRESETS.easy, rows: 5, cols: 5, directions: ['vertical_down'], shape: 'diamond' };
+  const spec = createPuzzleSpec(pack, 'body', false, 'custom', settings, 1);
+  expect(spec.shape).toBe('diamond');
+  expect([...spec.words].sort()).toEqual(['hannu', 'ido', 'kunne']);
+
+  expect(createPuzzleSpec(pack, 'body', false, 'easy', DIFFICULTY_PRESETS.easy, 1)).not.toHaveProperty('shape');
+  expect(withGridShape(spec, 'square')).not.toHaveProperty('shape');
+  expect(withGridShape({ ...spec, shape: undefined }, 'heart')).toEqual({ ...spec, shape: 'heart' });
+  expect(createPuzzleBatch(spec, 2, pack, settings)[1].shape).toBe('diamond');
+});
+
+test('specs only pick words that suit the difficulty', () => {
+  const pack = {
+    id: 'test',
+    language: 'Hausa',
+    categories: [{ id: 'body', name: 'Body', words: ['ido', 'ka', 'kunne', 'hannuwansu'].map(word => ({ word })) }]
+  };
+  const settings = getDifficultySettings('easy');
+  expect(settings).toBe(DIFFICULTY_PRESETS.easy);
+
+  const spec = createPuzzleSpec(pack, 'body', false, 'easy', settings);
+  expect(spec).toMatchObject({ language: 'Hausa', rows: 8, cols: 10, difficultyId: 'easy', packId: 'test', categoryId: 'body' });
+  expect([...spec.words].sort()).toEqual(['ido', 'kunne']);
+});
+
+test('specs bring back words due for review, up to half the puzzle', () => {
+  const pack = {
+    id: 'test',
+    language: 'Hausa',
+    categories: [{ id: 'body', name: 'Body', words: ['ido', 'kunne', 'hannu', 'baki', 'hanci', 'wuya', 'gashi', 'kai'].map(word => ({ word })) }]
+  };
+  const settings = { ...DIFFICULTY_PRESETS.easy, wordCount: 4, reviewWords: ['ruwa', 'hanci', 'baki', 'wuya'] };
+  const spec = createPuzzleSpec(pack, 'body', false, 'easy', settings, 7);
+  expect(spec.words.slice(0, 2)).toEqual(['hanci', 'baki']);
+  expect(new Set(spec.words).size).toBe(4);
+  expect(spec).not.toHaveProperty('reviewWords');
+
+  // Without words to review, the seed alone picks the words
+  const { reviewWords, ...plain } = settings;
+  expect(createPuzzleSpec(pack, 'body', false, 'easy', { ...plain, reviewWords: [] }, 7))
+    .toEqual(createPuzzleSpec(pack, 'body', false, 'easy', plain, 7));
+});
+
+test('batches start with the given puzzle and are reproducible', () => {
+  const pack = {
+    id: 'test',
+    language: 'Hausa',
+    categories: [{ id: 'body', name: 'Body', words: ['ido', 'kunne', 'hannu', 'baki', 'hanci', 'kai', 'wuya'].map(word => ({ word })) }]
+  };
+  const settings = { ...DIFFICULTY_PRESETS.easy, wordCount: 3 };
+  const spec = createPuzzleSpec(pack, 'body', false, 'easy', settings, 99);
+  expect(createPuzzleSpec(pack, 'body', false, 'easy', settings, 99)).toEqual(spec);
+
+  const batch = createPuzzleBatch(spec, 4, pack, settings);
+  expect(batch).toHaveLength(4);
+  expect(batch[0]).toBe(spec);
+  expect(new Set(batch.map(item => item.seed)).size).toBe(4);
+  expect(createPuzzleBatch(spec, 4, pack, settings)).toEqual(batch);
+
+  // Without the pack the words stay the same
+  const shared = createPuzzleBatch(spec, 3, null, settings);
+  shared.forEach(item => expect(item.words).toEqual(spec.words));
+});
+
+test('word list specs hide every word on the chosen grid', () => {
+  const spec = createWordListSpec('Hausa', ['ido', 'kunne'], false, 'easy', DIFFICULTY_PRESETS.easy, 5);
+  expect(spec).toEqual({
+    seed: 5,
+    language: 'Hausa',
+    rows: 8,
+    cols: 10,
+    directions: DIFFICULTY_PRESETS.easy.directions,
+    digraphCells: false,
+    difficultyId: 'easy',
+    packId: 'custom',
+    categoryId: 'all',
+    words: ['ido', 'kunne'],
+    hints: 5
+  });
+});
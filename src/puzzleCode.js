@@ -0,0 +1,155 @@
+import { LANGUAGES } from './languages';
+import { ALL_DIRECTION_NAMES, DIRECTIONS, MAX_HINTS, MIN_GRID_SIZE, MAX_GRID_SIZE } from './difficulty';
+import { DEFAULT_SHAPE, SHAPE_IDS, isCustomShape, parseShape } from './shapes';
+
+// --- Puzzle Codes ---
+// A puzzle code captures everything generatePuzzle needs to rebuild a grid exactly:
+// the seed, language, grid dimensions, allowed directions, cell mode and the word list
+// itself (so later pack edits don't change a puzzle someone already shared). The pack,
+// category and difficulty ids only restore the selectors. The hint budget goes along so
+// everyone sharing a puzzle gets the same hints, as do a hidden message (see hiddenMessage.js)
+// with its translation and the grid's shape (see shapes.js).
+// The code is URL-safe base64 of a compact JSON array.
+//
+// Version 3 added the hint budget, message and shape at the end of the version 2 array. A
+// message or shape changes the grid, so a copy of the game that only knows version 2 must
+// turn these codes away rather than quietly build a different puzzle. Version 2 codes are
+// read like version 3 ones, without those fields, and version 1 codes (square grids, all
+// directions, no difficulty) are still accepted.
+//
+// A shape the player loaded goes in the shape field as [format, source] rather than a
+// shape id. Copies of the game that only know built-in shapes turn it away like a shape
+// added in a later version.
+export const PUZZLE_CODE_VERSION = 3;
+export const PUZZLE_URL_PARAM = 'puzzle';
+
+/**
+ * Error thrown when a puzzle code cannot be decoded.
+ * `reason` says why, for the interface to word: 'invalid', 'version' or 'damaged'.
+ */
+export class PuzzleCodeError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'PuzzleCodeError';
+    this.reason = reason;
+  }
+}
+
+// UTF-8 safe base64url helpers (btoa/atob only handle Latin-1).
+const toBase64Url = (text) =>
+  btoa(encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const fromBase64Url = (code) => {
+  const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return decodeURIComponent(Array.from(binary, ch => `%${ch.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+};
+
+// Directions are stored as a bit mask over DIRECTIONS.
+const directionsToMask = (names) =>
+  DIRECTIONS.reduce((mask, direction, i) => (names.includes(direction.name) ? mask | (1 << i) : mask), 0);
+
+const maskToDirections = (mask) =>
+  DIRECTIONS.filter((direction, i) => mask & (1 << i)).map(direction => direction.name);
+
+const isGridDimension = (value) => Number.isInteger(value) && value >= MIN_GRID_SIZE && value <= MAX_GRID_SIZE;
+
+/**
+ * Encodes a puzzle specification as a shareable code.
+ * @param {{seed: number, language: string, rows: number, cols: number, directions: Array<string>,
+ *          digraphCells: boolean, difficultyId: string, packId: string, categoryId: string,
+ *          words: Array<string>, hints: (number|undefined),
+ *          message: ({text: string, translation: (string|undefined)}|undefined),
+ *          shape: (string|{format: string, source: string}|undefined)}} spec - The puzzle to encode.
+ * @returns {string} The puzzle code.
+ */
+export const encodePuzzleCode = (spec) => toBase64Url(JSON.stringify([
+  PUZZLE_CODE_VERSION,
+  spec.seed,
+  spec.language,
+  spec.rows,
+  spec.cols,
+  directionsToMask(spec.directions),
+  spec.digraphCells ? 1 : 0,
+  spec.difficultyId,
+  spec.packId,
+  spec.categoryId,
+  spec.words,
+  Number.isInteger(spec.hints) ? spec.hints : null,
+  spec.message ? [spec.message.text, spec.message.translation || null] : null,
+  isCustomShape(spec.shape) ? [spec.shape.format, spec.shape.source] : spec.shape || null
+]));
+
+/**
+ * Decodes a puzzle code back into a puzzle specification.
+ * Accepts either the bare code or a full link containing the `puzzle` URL parameter.
+ * @param {string} input - The code or link.
+ * @returns {Object} The puzzle specification (same shape as encodePuzzleCode's input).
+ * @throws {PuzzleCodeError} If the code is malformed or from an unsupported version.
+ */
+export const decodePuzzleCode = (input) => {
+  const paramMatch = input.trim().match(new RegExp(`[?&]${PUZZLE_URL_PARAM}=([^&#]+)`));
+
+  let fields;
+  try {
+    // A link's parameter may be escaped, and a pasted link can be cut off mid-escape
+    const code = paramMatch ? decodeURIComponent(paramMatch[1]) : input.trim();
+    fields = JSON.parse(fromBase64Url(code));
+  } catch (e) {
+    throw new PuzzleCodeError('invalid', 'That puzzle code is not valid. Please check it and try again.');
+  }
+
+  let spec;
+  if (Array.isArray(fields) && (fields[0] === PUZZLE_CODE_VERSION || fields[0] === 2)) {
+    const [, seed, language, rows, cols, directionMask, digraphCells, difficultyId, packId, categoryId, words, hints, message, shape] = fields;
+    spec = {
+      seed, language, rows, cols, directions: maskToDirections(directionMask),
+      digraphCells: digraphCells === 1, difficultyId, packId, categoryId, words
+    };
+    if (hints !== undefined && hints !== null) spec.hints = hints;
+    if (message !== undefined && message !== null) {
+      if (!Array.isArray(message) || typeof message[0] !== 'string' || message[0] === ''
+          || (message[1] !== null && typeof message[1] !== 'string')) {
+        throw new PuzzleCodeError('damaged', 'That puzzle code is incomplete or damaged.');
+      }
+      spec.message = message[1] ? { text: message[0], translation: message[1] } : { text: message[0] };
+    }
+    if (Array.isArray(shape)) {
+      spec.shape = { format: shape[0], source: shape[1] };
+      try {
+        parseShape(spec.shape);
+      } catch (e) {
+        throw new PuzzleCodeError('damaged', 'That puzzle code is incomplete or damaged.');
+      }
+    } else if (shape !== undefined && shape !== null && shape !== DEFAULT_SHAPE) {
+      if (!SHAPE_IDS.includes(shape)) {
+        // Most likely a shape added in a later version of the game
+        throw new PuzzleCodeError('version', 'That puzzle code was made by a different version of the game.');
+      }
+      spec.shape = shape;
+    }
+  } else if (Array.isArray(fields) && fields[0] === 1) {
+    const [, seed, language, size, digraphCells, packId, categoryId, words] = fields;
+    spec = {
+      seed, language, rows: size, cols: size, directions: ALL_DIRECTION_NAMES,
+      digraphCells: digraphCells === 1, difficultyId: 'hard', packId, categoryId, words
+    };
+  } else {
+    throw new PuzzleCodeError('version', 'That puzzle code was made by a different version of the game.');
+  }
+
+  const { seed, language, rows, cols, directions, difficultyId, packId, categoryId, words } = spec;
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff
+      || !LANGUAGES[language]
+      || !isGridDimension(rows) || !isGridDimension(cols) || directions.length === 0
+      || typeof difficultyId !== 'string' || typeof packId !== 'string' || typeof categoryId !== 'string'
+      || !Array.isArray(words) || words.length === 0 || !words.every(word => typeof word === 'string' && word !== '')
+      || (spec.hints !== undefined && (!Number.isInteger(spec.hints) || spec.hints < 0 || spec.hints > MAX_HINTS))) {
+    throw new PuzzleCodeError('damaged', 'That puzzle code is incomplete or damaged.');
+  }
+
+  return spec;
+};
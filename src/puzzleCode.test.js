@@ -0,0 +1,84 @@
+import { createRandom } from './random';
+import { PuzzleCodeError, decodePuzzleCode, encodePuzzleCode } from './puzzleCode';
+
+const spec = {
+  seed: 3141592653,
+  language: 'Yoruba',
+  rows: 10,
+  cols: 14,
+  directions: ['horizontal_right', 'vertical_down', 'diagonal_up_right'],
+  digraphCells: true,
+  difficultyId: 'custom',
+  packId: 'yoruba-core',
+  categoryId: 'all',
+  words: ['olùkọ́', 'ẹranko', 'oògùn', 'igi'],
+  hints: 4
+};
+
+test('round-trips a puzzle spec with tone-marked words', () => {
+  const code = encodePuzzleCode(spec);
+  expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+  expect(decodePuzzleCode(code)).toEqual(spec);
+});
+
+test('accepts a full shared link', () => {
+  const link = `https://example.org/?puzzle=${encodePuzzleCode(spec)}&utm=x`;
+  expect(decodePuzzleCode(link)).toEqual(spec);
+  // Cut off in the middle of an escape
+  expect(() => decodePuzzleCode('https://example.org/?puzzle=%E0%A4')).toThrow(expect.objectContaining({ reason: 'invalid' }));
+});
+
+test('accepts version 2 codes, made before hint budgets, messages and shapes were shared', () => {
+  const { hints, ...withoutHints } = spec;
+  const fields = JSON.parse(atob(encodePuzzleCode(withoutHints).replace(/-/g, '+').replace(/_/g, '/')));
+  expect(fields[0]).toBe(3);
+  const oldCode = btoa(JSON.stringify([2, ...fields.slice(1, 11)]));
+  expect(decodePuzzleCode(oldCode)).toEqual(withoutHints);
+  expect(decodePuzzleCode(encodePuzzleCode(withoutHints))).not.toHaveProperty('hints');
+});
+
+test('carries a hidden message and its translation', () => {
+  const withMessage = { ...spec, message: { text: 'Ìwà lẹwà', translation: 'Character is beauty.' } };
+  expect(decodePuzzleCode(encodePuzzleCode(withMessage))).toEqual(withMessage);
+  const untranslated = { ...spec, message: { text: 'Ìwà lẹwà' } };
+  expect(decodePuzzleCode(encodePuzzleCode(untranslated))).toEqual(untranslated);
+  expect(decodePuzzleCode(encodePuzzleCode(spec))).not.toHaveProperty('message');
+
+  const fields = JSON.parse(atob(encodePuzzleCode(spec).replace(/-/g, '+').replace(/_/g, '/')));
+  expect(() => decodePuzzleCode(btoa(JSON.stringify([...fields.slice(0, 12), ['', null]])))).toThrow(/incomplete or damaged/);
+});
+
+test('carries the grid\'s shape', () => {
+  const heart = { ...spec, shape: 'heart' };
+  expect(decodePuzzleCode(encodePuzzleCode(heart))).toEqual(heart);
+  expect(() => decodePuzzleCode(encodePuzzleCode({ ...spec, shape: 'dodecahedron' })))
+    .toThrow(expect.objectContaining({ reason: 'version' }));
+
+  const triangle = { ...spec, shape: { format: 'path', source: 'M 5 0 L 10 8 L 0 8 Z' } };
+  expect(decodePuzzleCode(encodePuzzleCode(triangle))).toEqual(triangle);
+  const drawn = { ...spec, shape: { format: 'text', source: '.#.\n###' } };
+  expect(decodePuzzleCode(encodePuzzleCode(drawn))).toEqual(drawn);
+  expect(() => decodePuzzleCode(encodePuzzleCode({ ...spec, shape: { format: 'path', source: 'M 0 0 C 1 1 2 2 3 3' } })))
+    .toThrow(expect.objectContaining({ reason: 'damaged' }));
+});
+
+test('still accepts version 1 codes', () => {
+  const v1Code = btoa(JSON.stringify([1, 7, 'Hausa', 15, 0, 'hausa-core', 'all', ['gida', 'ruwa']]));
+  expect(decodePuzzleCode(v1Code)).toMatchObject({ seed: 7, rows: 15, cols: 15, difficultyId: 'hard' });
+  expect(decodePuzzleCode(v1Code).directions).toHaveLength(8);
+});
+
+test('rejects damaged codes', () => {
+  expect(() => decodePuzzleCode('not a code')).toThrow(PuzzleCodeError);
+  expect(() => decodePuzzleCode(encodePuzzleCode({ ...spec, language: 'Klingon' }))).toThrow(/incomplete or damaged/);
+  expect(() => decodePuzzleCode(btoa(JSON.stringify([9])))).toThrow(expect.objectContaining({ reason: 'version' }));
+});
+
+test('seeded generators repeat their sequence', () => {
+  const a = createRandom(42);
+  const b = createRandom(42);
+  const sequence = Array.from({ length: 5 }, a);
+  expect(Array.from({ length: 5 }, b)).toEqual(sequence);
+  expect(sequence.every(n => n >= 0 && n < 1)).toBe(true);
+  expect(Array.from({ length: 5 }, createRandom(43))).not.toEqual(sequence);
+});
@@ -0,0 +1,238 @@
+import { applySelection, createGame, isComplete } from './gameEngine';
+import { POINTS_PER_CELL } from './scoring';
+import { randomInt } from './random';
+
+// --- Race Mode ---
+// Several players race to find the words in the same grid. The race server (see
+// server/raceServer.js) holds each race in the state below and checks every claimed word
+// with the game engine, so a word only counts for the first player to select it by the
+// usual rules. Nothing here touches the network; the server and the app share it.
+//
+// Players see a view of the race without the hidden word locations (see getRaceView):
+// cells are only revealed once a word has been claimed.
+//
+// Messages are JSON objects with a `type`. From the app to the server:
+//   { type: 'create', name, puzzleCode }   Host a race on the puzzle a puzzle code describes
+//   { type: 'join', name, room }           Join a race by its room code
+//   { type: 'start' }                      Start the race (host only)
+//   { type: 'claim', cells }               Claim the word on these cells, in selection order
+// From the server to the app:
+//   { type: 'joined', playerId, race }     You are in the race; `race` is its view
+//   { type: 'race', race }                 The race changed (players, claims, status)
+//   { type: 'claim-result', feedback }     Engine feedback for your last claim (see gameEngine.js)
+//   { type: 'error', reason }              A value of RACE_ERRORS
+
+export const RACE_STATUS = { lobby: 'lobby', playing: 'playing', finished: 'finished' };
+export const RACE_ERRORS = {
+  noRoom: 'no-room', // No race with that room code
+  full: 'full', // MAX_RACE_PLAYERS are already in it
+  started: 'started', // It has already started
+  badPuzzle: 'bad-puzzle', // The puzzle code couldn't be read, or has no words to find
+  notHost: 'not-host', // Only the host can start the race
+  notPlaying: 'not-playing', // Words can only be claimed while the race is on
+  badMessage: 'bad-message' // Not a message the server understands
+};
+
+export const DEFAULT_RACE_PORT = 8787; // Where `npm run race-server` listens
+export const MAX_RACE_PLAYERS = 8;
+export const MAX_RACE_NAME_LENGTH = 20;
+export const ROOM_CODE_LENGTH = 4;
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O, which look like 1 and 0
+
+// One colour per player, in joining order, distinct from the selection blue and hint yellow
+export const RACE_COLOURS = ['#22c55e', '#f97316', '#ec4899', '#06b6d4', '#a855f7', '#ef4444', '#84cc16', '#eab308'];
+
+/**
+ * Creates a room code, e.g. 'KQXD'.
+ * @param {function(): number} random - Random number generator (see random.js).
+ * @returns {string} The code.
+ */
+export const createRoomCode = (random) =>
+  Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_CODE_LETTERS[randomInt(random, ROOM_CODE_LETTERS.length)]).join('');
+
+/**
+ * Tidies a room code as typed by a player.
+ * @param {string} input - The typed code.
+ * @returns {string} The code in capitals, without spaces.
+ */
+export const normalizeRoomCode = (input) => String(input || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Tidies a player's name for the scoreboard.
+ * @param {string} name - The name as typed.
+ * @returns {string} The name, trimmed and shortened; empty if none was typed, in which case
+ *   players see the player's number in their own language.
+ */
+export const normalizePlayerName = (name) => String(name || '').trim().slice(0, MAX_RACE_NAME_LENGTH);
+
+/**
+ * A race player's name, or their number if they didn't give one.
+ * @param {{name: string, number: number}} player - A player of a race view.
+ * @param {function} t - Translate function, or i18n's message for a descriptor to translate later.
+ * @returns {string|Object} The name to show.
+ */
+export const getRacePlayerName = (player, t) => player.name || t('race.playerName', { number: player.number });
+
+/**
+ * Creates a race in its lobby, waiting for players.
+ * @param {string} code - The room code.
+ * @param {Object} spec - The puzzle spec.
+ * @param {Object} puzzle - The generated puzzle (see generatePuzzle in puzzle.js).
+ * @returns {Object} The race state.
+ */
+export const createRace = (code, spec, puzzle) => ({
+  code,
+  status: RACE_STATUS.lobby,
+  game: createGame(spec, puzzle, 0), // No hints in a race
+  players: [], // { id, name, number, colour, score, words, lastClaimAt }, in joining order
+  claims: [], // { word, cells, playerId }, in the order they were made
+  hostId: null, // The first player to join
+  startedAt: null,
+  finishedAt: null
+});
+
+/**
+ * Adds a player to a race that hasn't started.
+ * @param {Object} race - The race state.
+ * @param {string} id - The player's connection ID.
+ * @param {string} name - The player's name.
+ * @returns {{race: Object}|{error: string}} The new race state, or a value of RACE_ERRORS.
+ */
+export const addRacePlayer = (race, id, name) => {
+  if (race.status !== RACE_STATUS.lobby) return { error: RACE_ERRORS.started };
+  if (race.players.length >= MAX_RACE_PLAYERS) return { error: RACE_ERRORS.full };
+  // Colours and numbers free up when players leave, so pick the first ones not in use
+  const colour = RACE_COLOURS.find(c => !race.players.some(player => player.colour === c));
+  const numbers = new Set(race.players.map(player => player.number));
+  let number = 1;
+  while (numbers.has(number)) number++;
+  const player = {
+    id, name: normalizePlayerName(name), number, colour, score: 0, words: 0, lastClaimAt: null
+  };
+  return { race: { ...race, players: [...race.players, player], hostId: race.hostId || id } };
+};
+
+/**
+ * Removes a player who left. Their claimed words stay claimed; a race in its lobby passes
+ * to the next player if the host leaves.
+ * @param {Object} race - The race state.
+ * @param {string} id - The player's connection ID.
+ * @returns {Object} The new race state.
+ */
+export const removeRacePlayer = (race, id) => {
+  if (race.status !== RACE_STATUS.lobby) return race; // Keep them on the scoreboard
+  const players = race.players.filter(player => player.id !== id);
+  return { ...race, players, hostId: race.hostId === id ? (players[0] ? players[0].id : null) : race.hostId };
+};
+
+/**
+ * Starts a race.
+ * @param {Object} race - The race state.
+ * @param {string} id - ID of the player starting it; only the host may.
+ * @param {number} now - The time, in milliseconds.
+ * @returns {{race: Object}|{error: string}} The new race state, or a value of RACE_ERRORS.
+ */
+export const startRace = (race, id, now) => {
+  if (race.hostId !== id) return { error: RACE_ERRORS.notHost };
+  if (race.status !== RACE_STATUS.lobby) return { error: RACE_ERRORS.started };
+  return { race: { ...race, status: RACE_STATUS.playing, startedAt: now } };
+};
+
+/**
+ * Whether claimed cells are a list of cells on the race's grid. Claims come from the
+ * network, so they are checked before the engine reads the grid with them.
+ * @param {Object} race - The race state.
+ * @param {*} cells - The claimed cells.
+ * @returns {boolean} True if every cell is on the grid.
+ */
+const isGridSelection = (race, cells) => {
+  const { grid } = race.game;
+  return Array.isArray(cells) && cells.length <= grid.length * grid[0].length && cells.every(cell => cell
+    && Number.isInteger(cell.r) && Number.isInteger(cell.c)
+    && cell.r >= 0 && cell.r < grid.length && cell.c >= 0 && cell.c < grid[0].length);
+};
+
+/**
+ * Checks a player's claim with the game engine and, if it finds a word no one has claimed
+ * yet, gives it to them. Scoring matches single-player games: POINTS_PER_CELL per letter.
+ * @param {Object} race - The race state.
+ * @param {string} id - The claiming player's ID.
+ * @param {Array<{r: number, c: number}>} cells - The selected cells, in selection order.
+ * @param {number} now - The time, in milliseconds.
+ * @returns {{race: Object, feedback: Object}|{error: string}} The new race state and the engine's
+ *   feedback ('found' or 'completed' when the claim counted), or a value of RACE_ERRORS.
+ */
+export const claimRaceWord = (race, id, cells, now) => {
+  if (race.status !== RACE_STATUS.playing) return { error: RACE_ERRORS.notPlaying };
+  if (!isGridSelection(race, cells)) return { error: RACE_ERRORS.badMessage };
+  const game = applySelection(race.game, cells.map(({ r, c }) => ({ r, c })));
+  const { feedback } = game;
+  if (feedback.type !== 'found' && feedback.type !== 'completed') {
+    return { race, feedback };
+  }
+  const wordCells = game.hiddenWords[feedback.word];
+  const players = race.players.map(player => (player.id === id
+    ? { ...player, score: player.score + wordCells.length * POINTS_PER_CELL, words: player.words + 1, lastClaimAt: now }
+    : player));
+  const finished = isComplete(game);
+  return {
+    race: {
+      ...race,
+      game,
+      players,
+      claims: [...race.claims, { word: feedback.word, cells: wordCells, playerId: id }],
+      status: finished ? RACE_STATUS.finished : race.status,
+      finishedAt: finished ? now : race.finishedAt
+    },
+    feedback
+  };
+};
+
+/**
+ * Ranks the players: most points first, then whoever got there first. Players level on
+ * both share a place.
+ * @param {Array<Object>} players - The race's players.
+ * @returns {Array<Object>} The players in order, each with its `rank` (1 for the leader).
+ */
+export const rankRacePlayers = (players) => {
+  // Players with points have claimed a word, so have a time to compare
+  const compare = (a, b) => b.score - a.score || (a.score > 0 ? a.lastClaimAt - b.lastClaimAt : 0);
+  const sorted = [...players].sort(compare);
+  let rank = 0;
+  return sorted.map((player, i) => {
+    if (i === 0 || compare(sorted[i - 1], player) !== 0) rank = i + 1;
+    return { ...player, rank };
+  });
+};
+
+/**
+ * The race as players see it: everything but where unclaimed words are hidden. The grid
+ * and words stay hidden until the race starts, so no one gets a head start.
+ * @param {Object} race - The race state.
+ * @returns {Object} { code, status, hostId, language, directions, grid, words, claims,
+ *   players (ranked), startedAt, finishedAt }, safe to send to every player.
+ */
+export const getRaceView = (race) => ({
+  code: race.code,
+  status: race.status,
+  hostId: race.hostId,
+  language: race.game.spec.language,
+  directions: race.game.spec.directions, // For snapping drags to the lines words can run along
+  grid: race.status === RACE_STATUS.lobby ? [] : race.game.grid,
+  words: race.status === RACE_STATUS.lobby ? [] : race.game.wordsToFind,
+  claims: race.claims,
+  players: rankRacePlayers(race.players),
+  startedAt: race.startedAt,
+  finishedAt: race.finishedAt
+});
+
+/**
+ * Colours the claims of a race view by the player who made them.
+ * @param {Object} view - A race view (see getRaceView).
+ * @returns {Array<{word: string, cells: Array<{r: number, c: number}>, colour: string}>} The
+ *   claims in the order they were made, each in its finder's colour.
+ */
+export const getColouredClaims = (view) => view.claims.map(({ word, cells, playerId }) => {
+  const player = view.players.find(p => p.id === playerId);
+  return { word, cells, colour: player ? player.colour : RACE_COLOURS[0] };
+});
@@ -0,0 +1,175 @@
+import {
+  MAX_RACE_PLAYERS,
+  RACE_COLOURS,
+  RACE_ERRORS,
+  RACE_STATUS,
+  ROOM_CODE_LENGTH,
+  addRacePlayer,
+  claimRaceWord,
+  createRace,
+  createRoomCode,
+  getColouredClaims,
+  getRacePlayerName,
+  getRaceView,
+  normalizePlayerName,
+  normalizeRoomCode,
+  rankRacePlayers,
+  removeRacePlayer,
+  startRace
+} from './race';
+import { createRandom } from './random';
+
+const toGrid = (rows) => rows.map(row => row.split(''));
+const line = (r, c, dr, dc, length) => Array.from({ length }, (_, i) => ({ r: r + i * dr, c: c + i * dc }));
+
+// 'ido' across the top, 'kai' down the last column
+const makeRace = () => createRace('ABCD', { language: 'Hausa', words: ['ido', 'kai'], directions: ['horizontal_right', 'vertical_down'] }, {
+  grid: toGrid([
+    'uidok',
+    'kxyza',
+    'uxwvi'
+  ]),
+  hiddenWords: {
+    ido: line(0, 1, 0, 1, 3),
+    kai: line(0, 4, 1, 0, 3)
+  }
+});
+
+// A race with two players, started by the host
+const makeStartedRace = () => {
+  let race = makeRace();
+  race = addRacePlayer(race, 'p1', 'Ada').race;
+  race = addRacePlayer(race, 'p2', 'Musa').race;
+  return startRace(race, 'p1', 1000).race;
+};
+
+test('creates readable room codes and tidies typed ones', () => {
+  const code = createRoomCode(createRandom(7));
+  expect(code).toMatch(new RegExp(`^[A-Z]{${ROOM_CODE_LENGTH}}$`));
+  expect(code).not.toMatch(/[IO]/);
+  expect(createRoomCode(createRandom(7))).toBe(code);
+  expect(normalizeRoomCode(' ab cd ')).toBe('ABCD');
+  expect(normalizeRoomCode(undefined)).toBe('');
+});
+
+test('tidies player names, leaving a blank one for the player\'s number', () => {
+  expect(normalizePlayerName('  Ada  ')).toBe('Ada');
+  expect(normalizePlayerName(undefined)).toBe('');
+  expect(normalizePlayerName('x'.repeat(50))).toHaveLength(20);
+
+  const t = (id, values) => `${id} ${values.number}`;
+  expect(getRacePlayerName({ name: 'Ada', number: 1 }, t)).toBe('Ada');
+  expect(getRacePlayerName({ name: '', number: 2 }, t)).toBe('race.playerName 2');
+});
+
+test('players join the lobby in their own colours, and the first one hosts', () => {
+  let race = makeRace();
+  race = addRacePlayer(race, 'p1', 'Ada').race;
+  race = addRacePlayer(race, 'p2', '').race;
+  expect(race.status).toBe(RACE_STATUS.lobby);
+  expect(race.hostId).toBe('p1');
+  expect(race.players.map(p => [p.name, p.number, p.colour])).toEqual([['Ada', 1, RACE_COLOURS[0]], ['', 2, RACE_COLOURS[1]]]);
+
+  // The host's colour is free again once they leave, and the next player hosts
+  race = removeRacePlayer(race, 'p1');
+  expect(race.hostId).toBe('p2');
+  race = addRacePlayer(race, 'p3', 'Bola').race;
+  expect(race.players.map(p => p.colour)).toEqual([RACE_COLOURS[1], RACE_COLOURS[0]]);
+});
+
+test('unnamed players keep numbers of their own when others leave', () => {
+  let race = makeRace();
+  race = addRacePlayer(race, 'p1', '').race;
+  race = addRacePlayer(race, 'p2', '').race;
+  race = removeRacePlayer(race, 'p1');
+  race = addRacePlayer(race, 'p3', '').race;
+  race = addRacePlayer(race, 'p4', '').race;
+  expect(race.players.map(p => [p.id, p.number])).toEqual([['p2', 2], ['p3', 1], ['p4', 3]]);
+});
+
+test('turns players away from a full or started race', () => {
+  let race = makeRace();
+  for (let i = 1; i <= MAX_RACE_PLAYERS; i++) race = addRacePlayer(race, `p${i}`, '').race;
+  expect(addRacePlayer(race, 'late', '')).toEqual({ error: RACE_ERRORS.full });
+  expect(addRacePlayer(makeStartedRace(), 'late', '')).toEqual({ error: RACE_ERRORS.started });
+});
+
+test('only the host starts the race, once', () => {
+  let race = addRacePlayer(addRacePlayer(makeRace(), 'p1', 'Ada').race, 'p2', 'Musa').race;
+  expect(startRace(race, 'p2', 1000)).toEqual({ error: RACE_ERRORS.notHost });
+  race = startRace(race, 'p1', 1000).race;
+  expect(race).toMatchObject({ status: RACE_STATUS.playing, startedAt: 1000 });
+  expect(startRace(race, 'p1', 2000)).toEqual({ error: RACE_ERRORS.started });
+});
+
+test('claims only count while the race is on', () => {
+  const race = addRacePlayer(makeRace(), 'p1', 'Ada').race;
+  expect(claimRaceWord(race, 'p1', line(0, 1, 0, 1, 3), 1000)).toEqual({ error: RACE_ERRORS.notPlaying });
+});
+
+test('a word goes to the first player to claim it, scored by its letters', () => {
+  let race = makeStartedRace();
+  const first = claimRaceWord(race, 'p2', line(0, 1, 0, 1, 3), 2000);
+  expect(first.feedback).toEqual({ type: 'found', word: 'ido' });
+  race = first.race;
+  expect(race.claims).toEqual([{ word: 'ido', cells: line(0, 1, 0, 1, 3), playerId: 'p2' }]);
+  expect(race.players[1]).toMatchObject({ score: 30, words: 1, lastClaimAt: 2000 });
+
+  // Too late: the engine no longer counts it
+  const second = claimRaceWord(race, 'p1', line(0, 1, 0, 1, 3), 2500);
+  expect(second.feedback).toEqual({ type: 'not-a-word' });
+  expect(second.race).toBe(race);
+});
+
+test('bad claims get the engine\'s feedback, and malformed ones are refused', () => {
+  const race = makeStartedRace();
+  expect(claimRaceWord(race, 'p1', [{ r: 0, c: 0 }, { r: 1, c: 2 }], 2000).feedback).toEqual({ type: 'not-straight' });
+  expect(claimRaceWord(race, 'p1', [{ r: 0, c: 0 }], 2000).feedback).toEqual({ type: 'too-short' });
+  expect(claimRaceWord(race, 'p1', [{ r: 0, c: 0 }, { r: 9, c: 0 }], 2000)).toEqual({ error: RACE_ERRORS.badMessage });
+  expect(claimRaceWord(race, 'p1', 'ido', 2000)).toEqual({ error: RACE_ERRORS.badMessage });
+  expect(claimRaceWord(race, 'p1', [null], 2000)).toEqual({ error: RACE_ERRORS.badMessage });
+});
+
+test('the race finishes with its last word', () => {
+  let race = makeStartedRace();
+  race = claimRaceWord(race, 'p1', line(0, 1, 0, 1, 3), 2000).race;
+  const last = claimRaceWord(race, 'p2', line(0, 4, 1, 0, 3), 3000);
+  expect(last.feedback).toEqual({ type: 'completed', word: 'kai' });
+  expect(last.race).toMatchObject({ status: RACE_STATUS.finished, finishedAt: 3000 });
+
+  // Players who leave a finished race stay on the scoreboard
+  expect(removeRacePlayer(last.race, 'p1').players).toHaveLength(2);
+});
+
+test('ranks by points, then by who got there first', () => {
+  const players = [
+    { id: 'a', score: 30, lastClaimAt: 5000 },
+    { id: 'b', score: 60, lastClaimAt: 9000 },
+    { id: 'c', score: 30, lastClaimAt: 4000 },
+    { id: 'd', score: 0, lastClaimAt: null },
+    { id: 'e', score: 0, lastClaimAt: null }
+  ];
+  expect(rankRacePlayers(players).map(p => [p.id, p.rank])).toEqual([['b', 1], ['c', 2], ['a', 3], ['d', 4], ['e', 4]]);
+});
+
+test('players see no grid before the start and never where unclaimed words are', () => {
+  const lobby = getRaceView(addRacePlayer(makeRace(), 'p1', 'Ada').race);
+  expect(lobby).toMatchObject({ code: 'ABCD', status: RACE_STATUS.lobby, hostId: 'p1', language: 'Hausa', grid: [], words: [] });
+  expect(lobby.players[0]).toMatchObject({ name: 'Ada', rank: 1 });
+
+  const view = getRaceView(makeStartedRace());
+  expect(view.grid).toHaveLength(3);
+  expect(view.words).toEqual(['ido', 'kai']);
+  expect(view.directions).toEqual(['horizontal_right', 'vertical_down']);
+  expect(JSON.stringify(view)).not.toContain('hiddenWords');
+});
+
+test('colours claims by their finder', () => {
+  let race = makeStartedRace();
+  race = claimRaceWord(race, 'p1', line(0, 1, 0, 1, 3), 2000).race;
+  race = claimRaceWord(race, 'p2', line(0, 4, 1, 0, 3), 3000).race;
+  expect(getColouredClaims(getRaceView(race))).toEqual([
+    { word: 'ido', cells: line(0, 1, 0, 1, 3), colour: RACE_COLOURS[0] },
+    { word: 'kai', cells: line(0, 4, 1, 0, 3), colour: RACE_COLOURS[1] }
+  ]);
+});
@@ -0,0 +1,78 @@
+import { DEFAULT_RACE_PORT } from './race';
+
+// --- Race Connection ---
+// The app's side of race mode: a WebSocket to the race server (see server/raceServer.js
+// and the messages in race.js). Builds point at the server with REACT_APP_RACE_SERVER_URL;
+// without it the app looks on the machine it was loaded from, where `npm run race-server`
+// listens, which suits a classroom running everything on the teacher's laptop.
+
+/**
+ * Works out where the race server is.
+ * @param {Object} [env=process.env] - Build-time environment variables.
+ * @param {Location} [location=window.location] - Where the app was loaded from.
+ * @returns {string} The server's WebSocket URL.
+ */
+export const getRaceServerUrl = (env = process.env, location = window.location) => {
+  if (env.REACT_APP_RACE_SERVER_URL) return env.REACT_APP_RACE_SERVER_URL;
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${location.hostname || 'localhost'}:${DEFAULT_RACE_PORT}`;
+};
+
+/**
+ * Connects to the race server. Messages sent before the connection opens are queued.
+ * @param {string} url - The server's WebSocket URL.
+ * @param {Object} handlers - Connection callbacks.
+ * @param {function(Object): void} handlers.onMessage - Receives each message from the server.
+ * @param {function(boolean): void} handlers.onClose - Called once if the server ends the
+ *   connection or can't be reached (not after close()); true if it was never reached.
+ * @param {function} [WebSocketClass=window.WebSocket] - The WebSocket implementation.
+ * @returns {{send: function(Object): void, close: function(): void}} The connection.
+ */
+export const connectToRace = (url, { onMessage, onClose }, WebSocketClass = window.WebSocket) => {
+  const queued = [];
+  let isOpen = false;
+  let isClosed = false;
+
+  const finish = () => {
+    if (isClosed) return;
+    isClosed = true;
+    onClose(!isOpen);
+  };
+
+  let socket;
+  try {
+    socket = new WebSocketClass(url);
+  } catch (e) {
+    setTimeout(finish, 0); // A malformed URL; report it like an unreachable server
+    return { send: () => {}, close: () => { isClosed = true; } };
+  }
+
+  socket.onopen = () => {
+    isOpen = true;
+    queued.splice(0).forEach(message => socket.send(JSON.stringify(message)));
+  };
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (e) {
+      return; // Not from our server
+    }
+    if (!isClosed) onMessage(message);
+  };
+  socket.onclose = finish; // Also follows a failed connection attempt
+
+  return {
+    send: (message) => {
+      if (isOpen) {
+        socket.send(JSON.stringify(message));
+      } else {
+        queued.push(message);
+      }
+    },
+    close: () => {
+      isClosed = true;
+      socket.close();
+    }
+  };
+};
@@ -0,0 +1,71 @@
+import { DEFAULT_RACE_PORT } from './race';
+import { connectToRace, getRaceServerUrl } from './raceClient';
+
+// A WebSocket the test opens, answers and closes by hand
+class FakeSocket {
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeSocket.last = this;
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+test('finds the race server from the build setting, or next to the app', () => {
+  expect(getRaceServerUrl({ REACT_APP_RACE_SERVER_URL: 'wss://race.example.org' }, { protocol: 'https:', hostname: 'a' }))
+    .toBe('wss://race.example.org');
+  expect(getRaceServerUrl({}, { protocol: 'http:', hostname: '192.168.1.5' })).toBe(`ws://192.168.1.5:${DEFAULT_RACE_PORT}`);
+  expect(getRaceServerUrl({}, { protocol: 'https:', hostname: 'words.example.org' })).toBe(`wss://words.example.org:${DEFAULT_RACE_PORT}`);
+});
+
+test('queues messages until the connection opens, then passes on replies', () => {
+  const onMessage = jest.fn();
+  const connection = connectToRace('ws://race', { onMessage, onClose: jest.fn() }, FakeSocket);
+  const socket = FakeSocket.last;
+  connection.send({ type: 'join', room: 'ABCD' });
+  expect(socket.sent).toEqual([]);
+
+  socket.onopen();
+  expect(socket.sent).toEqual([{ type: 'join', room: 'ABCD' }]);
+  connection.send({ type: 'start' });
+  expect(socket.sent).toHaveLength(2);
+
+  socket.onmessage({ data: '{"type":"race","race":{}}' });
+  socket.onmessage({ data: 'not json' });
+  expect(onMessage.mock.calls).toEqual([[{ type: 'race', race: {} }]]);
+});
+
+test('reports whether the server was ever reached when the connection ends', () => {
+  const onClose = jest.fn();
+  connectToRace('ws://race', { onMessage: jest.fn(), onClose }, FakeSocket);
+  FakeSocket.last.onclose();
+  FakeSocket.last.onclose();
+  expect(onClose.mock.calls).toEqual([[true]]);
+
+  const afterOpen = jest.fn();
+  connectToRace('ws://race', { onMessage: jest.fn(), onClose: afterOpen }, FakeSocket);
+  FakeSocket.last.onopen();
+  FakeSocket.last.onclose();
+  expect(afterOpen.mock.calls).toEqual([[false]]);
+});
+
+test('stays quiet once the app hangs up', () => {
+  const onMessage = jest.fn();
+  const onClose = jest.fn();
+  const connection = connectToRace('ws://race', { onMessage, onClose }, FakeSocket);
+  const socket = FakeSocket.last;
+  socket.onopen();
+  connection.close();
+  expect(socket.closed).toBe(true);
+  socket.onmessage({ data: '{"type":"race"}' });
+  socket.onclose();
+  expect(onMessage).not.toHaveBeenCalled();
+  expect(onClose).not.toHaveBeenCalled();
+});
@@ -0,0 +1,129 @@
+/**
+ * @jest-environment node
+ */
+import WebSocket from 'ws';
+import { startRaceServer } from '../server/raceServer';
+import { encodePuzzleCode } from './puzzleCode';
+import { createWordListSpec } from './puzzle';
+import { CUSTOM_DIFFICULTY, DIFFICULTY_PRESETS } from './difficulty';
+import { RACE_ERRORS, RACE_STATUS } from './race';
+
+// The race server lives in server/; CRA only runs tests under src, so its test is here.
+
+// Words only run left to right, so the test can read them off the grid like a player
+const spec = createWordListSpec('Hausa', ['hannu', 'ido', 'kunne'], false, CUSTOM_DIFFICULTY,
+  { ...DIFFICULTY_PRESETS.easy, directions: ['horizontal_right'] }, 42);
+
+let server;
+
+beforeEach(async () => {
+  let time = 1000;
+  server = await startRaceServer({ port: 0, now: () => (time += 1000) });
+});
+
+afterEach(() => server.close());
+
+/**
+ * Connects a player, collecting what the server sends them.
+ * @returns {Promise<{send: function, next: function, close: function}>} next(type) resolves
+ *   with the next message of that type.
+ */
+const connect = () => new Promise((resolve, reject) => {
+  const socket = new WebSocket(`ws://localhost:${server.port}`);
+  const received = [];
+  const waiting = [];
+  socket.on('message', (data) => {
+    received.push(JSON.parse(data));
+    waiting.splice(0).forEach(check => check());
+  });
+  const next = (type) => new Promise(done => {
+    const check = () => {
+      const index = received.findIndex(message => message.type === type);
+      if (index === -1) return waiting.push(check);
+      done(received.splice(index, 1)[0]);
+    };
+    check();
+  });
+  socket.on('open', () => resolve({
+    send: (message) => socket.send(JSON.stringify(message)),
+    next,
+    close: () => socket.close()
+  }));
+  socket.on('error', reject);
+});
+
+// Waits for the race to reach a state, skipping the updates before it
+const waitForRace = async (player, isReached) => {
+  let race;
+  do {
+    ({ race } = await player.next('race'));
+  } while (!isReached(race));
+  return race;
+};
+
+// The cells of a word on the grid
+const findWord = (race, word) => {
+  const grid = race.grid.map(row => row.join(''));
+  for (let r = 0; r < grid.length; r++) {
+    const c = grid[r].indexOf(word);
+    if (c !== -1) return Array.from(word, (_, i) => ({ r, c: c + i }));
+  }
+  return null;
+};
+
+test('hosts a race that others join, start and finish', async () => {
+  const host = await connect();
+  host.send({ type: 'create', name: 'Ada', puzzleCode: encodePuzzleCode(spec) });
+  const joined = await host.next('joined');
+  expect(joined.race).toMatchObject({ status: RACE_STATUS.lobby, hostId: joined.playerId, grid: [], language: 'Hausa' });
+
+  const guest = await connect();
+  guest.send({ type: 'join', name: 'Musa', room: joined.race.code.toLowerCase() });
+  await guest.next('joined');
+  const lobby = await waitForRace(host, r => r.players.length === 2);
+  expect(lobby.players.map(p => p.name)).toEqual(['Ada', 'Musa']);
+
+  // Only the host starts the race
+  guest.send({ type: 'start' });
+  expect(await guest.next('error')).toEqual({ type: 'error', reason: RACE_ERRORS.notHost });
+  host.send({ type: 'start' });
+  const race = await waitForRace(guest, r => r.status === RACE_STATUS.playing);
+  expect(race.words).toEqual(['hannu', 'ido', 'kunne']);
+  expect(race).not.toHaveProperty('game');
+
+  // Late arrivals are turned away
+  const late = await connect();
+  late.send({ type: 'join', name: 'Bola', room: joined.race.code });
+  expect(await late.next('error')).toEqual({ type: 'error', reason: RACE_ERRORS.started });
+
+  // A straight-line check on the server: a bent line doesn't count
+  guest.send({ type: 'claim', cells: [{ r: 0, c: 0 }, { r: 1, c: 2 }] });
+  expect((await guest.next('claim-result')).feedback).toEqual({ type: 'not-straight' });
+
+  const claims = ['hannu', 'ido', 'kunne'].map(word => findWord(race, word));
+  expect(claims.every(Boolean)).toBe(true);
+  guest.send({ type: 'claim', cells: claims[0] });
+  expect((await guest.next('claim-result')).feedback).toEqual({ type: 'found', word: 'hannu' });
+  host.send({ type: 'claim', cells: claims[1] });
+  host.send({ type: 'claim', cells: claims[2] });
+  await host.next('claim-result');
+  expect((await host.next('claim-result')).feedback).toEqual({ type: 'completed', word: 'kunne' });
+
+  // Everyone sees the claims in their finder's colour and the final ranking
+  const final = await waitForRace(guest, r => r.status === RACE_STATUS.finished);
+  expect(final.claims.map(claim => claim.word)).toEqual(['hannu', 'ido', 'kunne']);
+  expect(final.players.map(p => [p.name, p.rank, p.words])).toEqual([['Ada', 1, 2], ['Musa', 2, 1]]);
+
+  [host, guest, late].forEach(player => player.close());
+});
+
+test('refuses unknown rooms, unreadable puzzles and messages it doesn\'t understand', async () => {
+  const player = await connect();
+  player.send({ type: 'join', name: 'Ada', room: 'ZZZZ' });
+  expect(await player.next('error')).toEqual({ type: 'error', reason: RACE_ERRORS.noRoom });
+  player.send({ type: 'create', name: 'Ada', puzzleCode: 'not a code' });
+  expect(await player.next('error')).toEqual({ type: 'error', reason: RACE_ERRORS.badPuzzle });
+  player.send({ type: 'claim', cells: [] });
+  expect(await player.next('error')).toEqual({ type: 'error', reason: RACE_ERRORS.badMessage });
+  player.close();
+});
@@ -0,0 +1,48 @@
+// --- Seeded Random Numbers ---
+// Puzzle generation draws every random choice from a seeded generator, so the same
+// seed and inputs always rebuild the same grid (shared puzzle codes, bug reports).
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * @param {number} seed - 32-bit unsigned integer seed.
+ * @returns {function(): number} Returns a float in [0, 1) on each call, like Math.random.
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Picks a fresh random seed for a new puzzle.
+ * @returns {number} A 32-bit unsigned integer.
+ */
+export const createSeed = () => Math.floor(Math.random() * 4294967296);
+
+/**
+ * Draws an integer in [0, max) from the given generator.
+ * @param {function(): number} random - A generator from createRandom (or Math.random).
+ * @param {number} max - Exclusive upper bound.
+ * @returns {number} The random integer.
+ */
+export const randomInt = (random, max) => Math.floor(random() * max);
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates), drawing from the given generator.
+ * @param {function(): number} random - A generator from createRandom (or Math.random).
+ * @param {Array} items - The items to shuffle.
+ * @returns {Array} A new, shuffled array.
+ */
+export const shuffle = (random, items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = randomInt(random, i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
@@ -0,0 +1,104 @@
+import { LANGUAGES } from './languages';
+import { MESSAGE_STATUS, deserializeGame, serializeGame } from './gameEngine';
+import { getStorage, readItem, removeItem, writeItem } from './storage';
+
+// --- Saved Games ---
+// The game in progress is kept in localStorage so a refresh (or a tablet that unloads
+// the tab) doesn't lose it. The stored value is versioned:
+//
+//   { "version": 5, "savedAt": 1700000000000, "game": <serializeGame output> }
+//
+// Bump SAVED_GAME_VERSION whenever the serialized game changes shape, and add a step to
+// MIGRATIONS that upgrades the previous version; saves that can't be upgraded are dropped.
+
+export const SAVED_GAME_VERSION = 5;
+export const SAVED_GAME_KEY = 'wordSearch.savedGame';
+
+// Fills in the fields a save was made without
+const withGameDefaults = (save, defaults) => ({ ...save, version: save.version + 1, game: { ...defaults, ...save.game } });
+
+// MIGRATIONS[n] turns a version n save into a version n + 1 save.
+const MIGRATIONS = {
+  1: (save) => withGameDefaults(save, { hintsUsed: 0 }), // Scoring counts the hints used
+  2: (save) => withGameDefaults(save, { hintLevels: {} }), // Hints build up word by word
+  3: (save) => withGameDefaults(save, { messageCells: null, messageStatus: null }), // Hidden messages
+  4: (save) => withGameDefaults(save, { foundTimes: {} }) // When each word was found, for learner progress
+};
+
+const isCell = (cell, rows, cols) =>
+  cell && Number.isInteger(cell.r) && Number.isInteger(cell.c) && cell.r >= 0 && cell.r < rows && cell.c >= 0 && cell.c < cols;
+
+/**
+ * Checks that serialized game data is complete and consistent with its own grid.
+ * @param {*} game - The `game` field of a save.
+ * @returns {boolean} True if the data can be played.
+ */
+const isValidGameData = (game) => {
+  if (!game || typeof game !== 'object') return false;
+  const {
+    spec, grid, hiddenWords, alternateLocations, foundWords, foundTimes, hintsAvailable, hintsUsed, hintLevels, elapsedMs,
+    messageCells, messageStatus
+  } = game;
+  if (!spec || typeof spec !== 'object' || !LANGUAGES[spec.language] || !Array.isArray(spec.words)) return false;
+  if (!Array.isArray(grid) || grid.length === 0 || !grid.every(row => Array.isArray(row) && row.length === grid[0].length
+    && row.every(cell => typeof cell === 'string'))) return false;
+
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const isPath = (cells) => Array.isArray(cells) && cells.length > 0 && cells.every(cell => isCell(cell, rows, cols));
+  if (!hiddenWords || typeof hiddenWords !== 'object' || !Object.values(hiddenWords).every(isPath)) return false;
+  if (alternateLocations && !Object.values(alternateLocations).every(paths => Array.isArray(paths) && paths.every(isPath))) return false;
+  if (!Array.isArray(foundWords) || !foundWords.every(word => word in hiddenWords)) return false;
+  if (!foundTimes || typeof foundTimes !== 'object'
+    || !Object.entries(foundTimes).every(([word, ms]) => word in hiddenWords && typeof ms === 'number' && ms >= 0)) return false;
+  if (!Number.isInteger(hintsAvailable) || hintsAvailable < 0) return false;
+  if (!Number.isInteger(hintsUsed) || hintsUsed < 0) return false;
+  if (!hintLevels || typeof hintLevels !== 'object'
+    || !Object.entries(hintLevels).every(([word, level]) => word in hiddenWords && Number.isInteger(level) && level > 0)) return false;
+  if (messageCells !== null && !isPath(messageCells)) return false;
+  if (messageStatus !== null && !Object.values(MESSAGE_STATUS).includes(messageStatus)) return false;
+  return elapsedMs === undefined || (typeof elapsedMs === 'number' && elapsedMs >= 0);
+};
+
+/**
+ * Saves a game in progress.
+ * @param {Object} game - The game state.
+ * @param {Storage} [storage=window.localStorage] - Where to save it.
+ * @returns {boolean} True if the game was saved (storage may be full or unavailable).
+ */
+export const saveGame = (game, storage = getStorage()) => writeItem(SAVED_GAME_KEY, JSON.stringify({
+  version: SAVED_GAME_VERSION,
+  savedAt: Date.now(),
+  game: serializeGame(game)
+}), storage);
+
+/**
+ * Loads the saved game, upgrading older versions. A save that is corrupt, from a newer
+ * version of the app, or can't be upgraded is removed.
+ * @param {Storage} [storage=window.localStorage] - Where the game was saved.
+ * @returns {Object|null} The restored game state, or null if there is no usable save.
+ */
+export const loadSavedGame = (storage = getStorage()) => {
+  const raw = readItem(SAVED_GAME_KEY, storage);
+  if (!raw) return null;
+
+  try {
+    let save = JSON.parse(raw);
+    while (save && save.version < SAVED_GAME_VERSION && MIGRATIONS[save.version]) {
+      save = MIGRATIONS[save.version](save);
+    }
+    if (save && save.version === SAVED_GAME_VERSION && isValidGameData(save.game)) {
+      return deserializeGame(save.game);
+    }
+  } catch (e) {
+    // Not JSON; fall through and drop it
+  }
+  clearSavedGame(storage);
+  return null;
+};
+
+/**
+ * Removes the saved game, e.g. once it is finished or the player starts over.
+ * @param {Storage} [storage=window.localStorage] - Where the game was saved.
+ */
+export const clearSavedGame = (storage = getStorage()) => removeItem(SAVED_GAME_KEY, storage);
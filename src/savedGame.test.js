@@ -0,0 +1,81 @@
+import { createGame, applySelection, serializeGame } from './gameEngine';
+import { SAVED_GAME_KEY, SAVED_GAME_VERSION, clearSavedGame, loadSavedGame, saveGame } from './savedGame';
+
+const makeGame = () => applySelection(createGame(
+  { seed: 1, language: 'Hausa', words: ['ido', 'kai'] },
+  {
+    grid: [['i', 'd', 'o'], ['k', 'a', 'i'], ['x', 'y', 'z']],
+    hiddenWords: {
+      ido: [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }],
+      kai: [{ r: 1, c: 0 }, { r: 1, c: 1 }, { r: 1, c: 2 }]
+    }
+  }
+), [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }]);
+
+beforeEach(() => window.localStorage.clear());
+
+test('restores a saved game with its progress', () => {
+  const game = { ...makeGame(), elapsedMs: 65000 };
+  expect(saveGame(game)).toBe(true);
+
+  const restored = loadSavedGame();
+  expect(restored.grid).toEqual(game.grid);
+  expect(restored.hiddenWords).toEqual(game.hiddenWords);
+  expect(restored.foundWords).toEqual(new Set(['ido']));
+  expect(restored.hintsAvailable).toBe(3);
+  expect(restored.elapsedMs).toBe(65000);
+  expect(restored.spec.language).toBe('Hausa');
+});
+
+test('returns null when nothing is saved or the save is cleared', () => {
+  expect(loadSavedGame()).toBeNull();
+  saveGame(makeGame());
+  clearSavedGame();
+  expect(loadSavedGame()).toBeNull();
+});
+
+test('drops saves that are corrupt, inconsistent or from another version', () => {
+  const save = (value) => window.localStorage.setItem(SAVED_GAME_KEY, typeof value === 'string' ? value : JSON.stringify(value));
+  const valid = JSON.parse(JSON.stringify({ version: SAVED_GAME_VERSION, game: { ...makeGame(), foundWords: ['ido'] } }));
+
+  for (const broken of [
+    'not json',
+    { ...valid, version: 99 },
+    { ...valid, game: { ...valid.game, foundWords: ['unknown'] } },
+    { ...valid, game: { ...valid.game, hiddenWords: { ido: [{ r: 7, c: 0 }] } } },
+    { ...valid, game: { ...valid.game, hintLevels: { unknown: 1 } } },
+    { ...valid, game: { ...valid.game, messageCells: [{ r: 0, c: 9 }] } },
+    { ...valid, game: { ...valid.game, messageStatus: 'guessed' } },
+    { ...valid, game: { ...valid.game, foundTimes: { ido: 'soon' } } },
+    { ...valid, game: { ...valid.game, hintsUsed: undefined } },
+    { ...valid, game: { ...valid.game, spec: { ...valid.game.spec, language: 'Klingon' } } }
+  ]) {
+    save(broken);
+    expect(loadSavedGame()).toBeNull();
+    expect(window.localStorage.getItem(SAVED_GAME_KEY)).toBeNull();
+  }
+});
+
+test('upgrades saves from earlier versions', () => {
+  // A version 1 save: no hints used, hint levels, hidden message or find times yet
+  const { hintsUsed, hintLevels, messageCells, messageStatus, foundTimes, ...game } = JSON.parse(JSON.stringify(
+    serializeGame({ ...makeGame(), elapsedMs: 4000 })
+  ));
+  window.localStorage.setItem(SAVED_GAME_KEY, JSON.stringify({ version: 1, savedAt: 1, game }));
+
+  const restored = loadSavedGame();
+  expect(restored.foundWords).toEqual(new Set(['ido']));
+  expect(restored).toMatchObject({ hintsUsed: 0, hintLevels: {}, messageCells: null, messageStatus: null, foundTimes: {}, elapsedMs: 4000 });
+
+  // A version 4 save only lacks the find times
+  window.localStorage.setItem(SAVED_GAME_KEY, JSON.stringify({
+    version: 4, savedAt: 1, game: { ...game, hintsUsed: 1, hintLevels: { kai: 1 }, messageCells: null, messageStatus: null }
+  }));
+  expect(loadSavedGame()).toMatchObject({ hintsUsed: 1, hintLevels: { kai: 1 }, foundTimes: {} });
+});
+
+test('reports failure when storage is unavailable or full', () => {
+  const fullStorage = { setItem: () => { throw new Error('QuotaExceededError'); } };
+  expect(saveGame(makeGame(), fullStorage)).toBe(false);
+  expect(saveGame(makeGame(), null)).toBe(false);
+});
@@ -0,0 +1,49 @@
+import { MESSAGE_STATUS, isComplete } from './gameEngine';
+
+// --- Scoring ---
+// Every found word scores points for each of its cells, so longer words are worth
+// more. Finishing under par (a set time per word) earns a bonus for each second
+// saved, reading the hidden message (see hiddenMessage.js) earns a flat bonus, and
+// each hint used costs points.
+
+export const POINTS_PER_CELL = 10;
+export const PAR_SECONDS_PER_WORD = 30;
+export const POINTS_PER_SECOND_SAVED = 2;
+export const POINTS_PER_HINT = 25;
+export const MESSAGE_BONUS_POINTS = 50;
+
+/**
+ * Scores a game. The time bonus is only awarded once the puzzle is complete.
+ * @param {Object} game - The game state (see gameEngine.js).
+ * @returns {{wordPoints: number, timeBonus: number, messageBonus: number, hintPenalty: number, total: number}}
+ *   The score and its parts.
+ */
+export const calculateScore = (game) => {
+  const wordPoints = [...game.foundWords]
+    .reduce((sum, word) => sum + POINTS_PER_CELL * game.hiddenWords[word].length, 0);
+  const parSeconds = PAR_SECONDS_PER_WORD * game.wordsToFind.length;
+  const secondsSaved = Math.max(0, parSeconds - Math.floor(game.elapsedMs / 1000));
+  const timeBonus = isComplete(game) ? POINTS_PER_SECOND_SAVED * secondsSaved : 0;
+  const messageBonus = game.messageStatus === MESSAGE_STATUS.solved ? MESSAGE_BONUS_POINTS : 0;
+  const hintPenalty = POINTS_PER_HINT * game.hintsUsed;
+  return {
+    wordPoints,
+    timeBonus,
+    messageBonus,
+    hintPenalty,
+    total: Math.max(0, wordPoints + timeBonus + messageBonus - hintPenalty)
+  };
+};
+
+/**
+ * Formats a duration as a clock, e.g. 75000 -> '1:15', 3725000 -> '1:02:05'.
+ * @param {number} ms - Duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.floor(Math.max(0, ms) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
@@ -0,0 +1,52 @@
+import { applySelection, createGame, guessMessage, requestHint } from './gameEngine';
+import { MESSAGE_BONUS_POINTS, calculateScore, formatDuration } from './scoring';
+
+// 'ido' (3 cells) across the top, 'kunne' (5 cells) across the middle
+const makeGame = () => createGame({ language: 'Hausa', words: ['ido', 'kunne'] }, {
+  grid: [['i', 'd', 'o', 'x', 'x'], ['k', 'u', 'n', 'n', 'e']],
+  hiddenWords: {
+    ido: [0, 1, 2].map(c => ({ r: 0, c })),
+    kunne: [0, 1, 2, 3, 4].map(c => ({ r: 1, c }))
+  }
+});
+
+test('longer words are worth more, and there is no time bonus until the end', () => {
+  const short = applySelection(makeGame(), makeGame().hiddenWords.ido);
+  const long = applySelection(makeGame(), makeGame().hiddenWords.kunne);
+  expect(calculateScore(short)).toEqual({ wordPoints: 30, timeBonus: 0, messageBonus: 0, hintPenalty: 0, total: 30 });
+  expect(calculateScore(long).total).toBe(50);
+});
+
+test('finishing faster earns a bigger bonus', () => {
+  const finish = (elapsedMs) => {
+    const game = { ...makeGame(), elapsedMs };
+    return calculateScore([game.hiddenWords.ido, game.hiddenWords.kunne].reduce(applySelection, game));
+  };
+  // Par is 30 seconds a word: 60 seconds for this puzzle
+  expect(finish(20000)).toEqual({ wordPoints: 80, timeBonus: 80, messageBonus: 0, hintPenalty: 0, total: 160 });
+  expect(finish(50000).timeBonus).toBe(20);
+  expect(finish(90000).timeBonus).toBe(0);
+});
+
+test('hints cost points, but the score never goes below zero', () => {
+  let game = requestHint(makeGame(), 0);
+  expect(calculateScore(game)).toEqual({ wordPoints: 0, timeBonus: 0, messageBonus: 0, hintPenalty: 25, total: 0 });
+  game = applySelection(game, game.hiddenWords.kunne);
+  expect(calculateScore(game).total).toBe(25);
+});
+
+test('reading the hidden message earns a bonus', () => {
+  const game = createGame({ language: 'Hausa', words: ['ido', 'kunne'], message: { text: 'xx' } }, {
+    ...makeGame(),
+    messageCells: [{ r: 0, c: 3 }, { r: 0, c: 4 }]
+  });
+  const finished = { ...[game.hiddenWords.ido, game.hiddenWords.kunne].reduce(applySelection, game), elapsedMs: 90000 };
+  expect(calculateScore(finished).total).toBe(80);
+  expect(calculateScore(guessMessage(finished, 'xx'))).toMatchObject({ messageBonus: MESSAGE_BONUS_POINTS, total: 80 + MESSAGE_BONUS_POINTS });
+});
+
+test('formats durations as a clock', () => {
+  expect(formatDuration(0)).toBe('0:00');
+  expect(formatDuration(75999)).toBe('1:15');
+  expect(formatDuration(3725000)).toBe('1:02:05');
+});
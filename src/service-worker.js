@@ -0,0 +1,100 @@
+/* eslint-disable no-restricted-globals */
+
+// --- Service Worker ---
+// Built by react-scripts (Workbox InjectManifest) into build/service-worker.js and
+// registered from serviceWorkerRegistration.js in production builds only.
+//
+// - The app shell (the JS, CSS and index.html from the build) is precached, so the
+//   installed game opens without a connection.
+// - Every language pack listed in packs/index.json is cached when the worker installs,
+//   so each language is playable offline, not just the ones already opened. Packs are
+//   served from the cache and refreshed in the background when online. The pictures and
+//   pronunciation clips the packs refer to are cached too, as far as they can be fetched.
+// - A new version waits until the player accepts the "new version available" prompt,
+//   which sends SKIP_WAITING.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+const PUBLIC_URL = process.env.PUBLIC_URL || '';
+const PACKS_PATH = `${PUBLIC_URL}/packs/`;
+const PACKS_CACHE = 'language-packs';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for page navigations, so the app opens offline at any URL
+// (including shared puzzle links). URLs that look like files are left alone.
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !url.pathname.startsWith('/_')
+    && !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(`${PUBLIC_URL}/index.html`)
+);
+
+// Language packs: cache first for offline play, updated in the background
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.startsWith(PACKS_PATH),
+  new StaleWhileRevalidate({ cacheName: PACKS_CACHE })
+);
+
+// Icons and other images from public/
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.png'),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  })
+);
+
+/**
+ * Lists the media files a pack refers to that are kept alongside it (not full URLs).
+ * @param {Object} pack - Parsed pack JSON.
+ * @returns {Array<string>} URLs of the pack's pictures and audio clips.
+ */
+const getPackMediaUrls = (pack) => (pack.categories || [])
+  .flatMap(category => category.words || [])
+  .flatMap(entry => [entry.image, entry.audio])
+  .filter(mediaPath => typeof mediaPath === 'string' && !/^([a-z][a-z0-9+.-]*:|\/)/i.test(mediaPath))
+  .map(mediaPath => `${PACKS_PATH}${mediaPath}`);
+
+/**
+ * Downloads the pack index and every pack it lists into the packs cache, then their media.
+ * Installation fails (and is retried on the next visit) if any pack can't be fetched,
+ * so an installed worker always has the full set. A missing picture or clip only costs
+ * that picture or clip offline.
+ * @returns {Promise<void>}
+ */
+const precacheLanguagePacks = async () => {
+  const cache = await caches.open(PACKS_CACHE);
+  const indexUrl = `${PACKS_PATH}index.json`;
+  // Bypass the HTTP cache so a new worker gets the current pack list
+  const response = await fetch(indexUrl, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`Could not fetch ${indexUrl}: HTTP ${response.status}`);
+  const { packs } = await response.clone().json();
+  await cache.put(indexUrl, response);
+  await cache.addAll(packs.map(file => new Request(`${PACKS_PATH}${file}`, { cache: 'no-cache' })));
+
+  const mediaUrls = new Set();
+  for (const file of packs) {
+    const response = await cache.match(`${PACKS_PATH}${file}`);
+    getPackMediaUrls(await response.json()).forEach(url => mediaUrls.add(url));
+  }
+  await Promise.allSettled([...mediaUrls].map(url => cache.add(url)));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheLanguagePacks());
+});
+
+// Sent by the app when the player chooses to load the new version
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
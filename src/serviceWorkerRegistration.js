@@ -0,0 +1,79 @@
+// --- Service Worker Registration ---
+// Registers src/service-worker.js in production builds so the game works offline and
+// can be installed. When a new version has been downloaded it waits; the app shows a
+// prompt (see onServiceWorkerUpdate) and calls applyServiceWorkerUpdate when the player
+// accepts.
+
+let waitingRegistration = null; // A registration with a new version waiting, once one is found
+const updateListeners = new Set();
+
+const notifyUpdate = (registration) => {
+  waitingRegistration = registration;
+  updateListeners.forEach(listener => listener(registration));
+};
+
+/**
+ * Watches a registration for a new worker finishing installation while an older one
+ * still controls the page.
+ * @param {ServiceWorkerRegistration} registration - The registration.
+ */
+const watchForUpdates = (registration) => {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    notifyUpdate(registration); // Downloaded on an earlier visit and never applied
+  }
+  registration.onupdatefound = () => {
+    const installingWorker = registration.installing;
+    if (!installingWorker) return;
+    installingWorker.onstatechange = () => {
+      // Without a controller this is the first install, not an update
+      if (installingWorker.state === 'installed' && navigator.serviceWorker.controller) {
+        notifyUpdate(registration);
+      }
+    };
+  };
+};
+
+/**
+ * Registers the service worker (production builds only, and only on HTTPS or localhost).
+ */
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // The worker can't control pages on another origin, e.g. when PUBLIC_URL is a CDN
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    navigator.serviceWorker.register(swUrl)
+      .then(watchForUpdates)
+      .catch(error => {
+        // Offline support is a bonus; the game still works online without it
+        console.error('Service worker registration failed:', error);
+      });
+  });
+};
+
+/**
+ * Calls back when a new version of the app is ready, including one found before the call.
+ * @param {function(ServiceWorkerRegistration): void} listener - Receives the registration to update.
+ * @returns {function(): void} Stops listening.
+ */
+export const onServiceWorkerUpdate = (listener) => {
+  updateListeners.add(listener);
+  if (waitingRegistration) listener(waitingRegistration);
+  return () => updateListeners.delete(listener);
+};
+
+/**
+ * Switches to the waiting version and reloads the page once it has taken over.
+ * @param {ServiceWorkerRegistration} registration - The registration passed to the update listener.
+ */
+export const applyServiceWorkerUpdate = (registration) => {
+  if (!registration.waiting) {
+    window.location.reload();
+    return;
+  }
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
+
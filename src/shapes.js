@@ -0,0 +1,315 @@
+import { getDirections } from './difficulty';
+
+// --- Grid Shapes ---
+// A puzzle can be drawn inside a shape for a themed lesson: a circle, a heart, a map of
+// Nigeria, a letter. A shape becomes a mask for the puzzle's rows and columns (true for the
+// cells in play), so any grid size can take any shape; the shape is stretched to fill the
+// grid. Cells outside it hold MASKED_CELL: placement treats them like the edge of the grid,
+// they get no filler, and the grid doesn't draw them.
+//
+// Shapes are written in one of two simple formats:
+// - text: rows of '#' (in the shape) and '.' (outside it), e.g. drawn in a text editor;
+// - path: an SVG path of straight lines (M, L, H, V and Z, absolute or relative), e.g. an
+//   outline traced from a map. A cell is in play if its centre is inside the path.
+//
+// A spec's shape is either the id of a built-in shape (SHAPE_IDS) or a shape the player
+// loaded, kept with its source so it travels in saved games and puzzle codes:
+//
+//   { "format": "text" | "path", "source": "M 0 0 L 10 0 L 5 8 Z" }
+
+export const MASKED_CELL = '';
+export const DEFAULT_SHAPE = 'square'; // Every cell in play; specs leave their shape out
+export const CUSTOM_SHAPE = 'custom'; // Stands for a loaded shape in the shape selector
+export const SHAPE_FORMATS = { text: 'text', path: 'path' };
+export const MAX_SHAPE_SOURCE_LENGTH = 2000; // Keeps puzzle codes short enough to share
+
+/**
+ * Error thrown when a shape can't be read.
+ * `reason` says why, for the interface to word: 'format', 'too-long', 'no-cells',
+ * 'characters', 'commands', 'start', 'number', 'area' or 'no-outline'.
+ */
+export class ShapeError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'ShapeError';
+    this.reason = reason;
+  }
+}
+
+const HEART = `
+..###...###..
+.#####.#####.
+#############
+#############
+#############
+.###########.
+..#########..
+...#######...
+....#####....
+.....###.....
+......#......
+`;
+
+const LETTER_H = `
+###...###
+###...###
+###...###
+#########
+#########
+###...###
+###...###
+###...###
+`;
+
+// Traced from a map at a tenth of a degree per unit; rough, but recognisable
+const NIGERIA = 'M 14 3 L 23 0 L 37 2 L 51 5 L 63 10 L 73 6 L 88 5 L 96 7 L 104 2 L 109 1 L 115 12 L 119 16 '
+  + 'L 119 23 L 110 32 L 105 39 L 102 50 L 95 58 L 91 68 L 84 73 L 79 68 L 71 70 L 65 74 L 61 82 L 58 90 '
+  + 'L 48 94 L 39 95 L 32 95 L 27 87 L 18 75 L 7 74 L 0 74 L 0 59 L 2 47 L 8 35 L 9 21 L 10 13 Z';
+
+// Kano State, traced the same way
+const KANO = 'M 9 0 L 13 3 L 17 6 L 18 11 L 16 15 L 14 19 L 11 23 L 8 22 L 5 19 L 2 16 L 0 12 L 1 8 L 4 5 L 6 2 Z';
+
+/**
+ * Reads a shape drawn as text: one line per row, '#' for a cell in the shape and '.' (or a
+ * space) for one outside it. Blank lines around the drawing are ignored.
+ * @param {string} text - The drawing.
+ * @returns {function(number, number): boolean} Whether a point (x and y from 0 to 1, left to
+ *   right and top to bottom) is in the shape.
+ */
+export const parseTextShape = (text) => {
+  const lines = text.split('\n').map(line => line.trimEnd()).filter(line => line !== '');
+  if (lines.length === 0 || !lines.some(line => line.includes('#'))) {
+    throw new ShapeError('no-cells', 'A text shape needs at least one # for a cell in the shape.');
+  }
+  if (!lines.every(line => /^[#. ]*$/.test(line))) {
+    throw new ShapeError('characters', 'A text shape may only use # (in the shape), . and spaces (outside it).');
+  }
+  const width = Math.max(...lines.map(line => line.length));
+  return (x, y) => lines[Math.floor(y * lines.length)][Math.floor(x * width)] === '#';
+};
+
+/**
+ * Reads a shape drawn as an SVG path of straight lines. Several outlines (M ... Z) may be
+ * given; where they overlap, they cut holes (the even-odd rule). The outline's bounding box
+ * is stretched to fill the grid, so any viewBox will do.
+ * @param {string} d - The path data, e.g. 'M 1 0 L 2 1 L 1 2 L 0 1 Z'.
+ * @returns {function(number, number): boolean} Whether a point (x and y from 0 to 1) is in the shape.
+ */
+export const parsePathShape = (d) => {
+  const tokenPattern = /[MLHVZ]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+  if (d.replace(tokenPattern, '').replace(/[\s,]/g, '') !== '') {
+    throw new ShapeError('commands', 'A path shape may only use straight lines: M, L, H, V and Z.');
+  }
+  const tokens = d.match(tokenPattern) || [];
+  const outlines = [];
+  let outline = null;
+  let command = null;
+  let x = 0;
+  let y = 0;
+  let i = 0;
+  const readNumber = () => {
+    const value = Number(tokens[i++]);
+    if (!Number.isFinite(value)) throw new ShapeError('number', `The path command ${command} is missing a number.`);
+    return value;
+  };
+  const lineTo = () => {
+    if (!outline) {
+      outline = [{ x, y }];
+      outlines.push(outline);
+    } else {
+      outline.push({ x, y });
+    }
+  };
+
+  while (i < tokens.length) {
+    if (/^[a-z]$/i.test(tokens[i])) {
+      command = tokens[i++];
+    } else if (command === null || /z/i.test(command)) {
+      throw new ShapeError('start', 'A path shape must start with M, and numbers must follow a command.');
+    }
+    const relative = command === command.toLowerCase();
+    switch (command.toUpperCase()) {
+      case 'M':
+        x = readNumber() + (relative ? x : 0);
+        y = readNumber() + (relative ? y : 0);
+        outline = null;
+        lineTo();
+        command = relative ? 'l' : 'L'; // Further pairs are lines
+        break;
+      case 'L':
+        x = readNumber() + (relative ? x : 0);
+        y = readNumber() + (relative ? y : 0);
+        lineTo();
+        break;
+      case 'H':
+        x = readNumber() + (relative ? x : 0);
+        lineTo();
+        break;
+      case 'V':
+        y = readNumber() + (relative ? y : 0);
+        lineTo();
+        break;
+      default: // Z: back to the start of the outline
+        if (outline) ({ x, y } = outline[0]);
+        outline = null;
+    }
+  }
+
+  const corners = outlines.flat();
+  const left = Math.min(...corners.map(corner => corner.x));
+  const top = Math.min(...corners.map(corner => corner.y));
+  const width = Math.max(...corners.map(corner => corner.x)) - left;
+  const height = Math.max(...corners.map(corner => corner.y)) - top;
+  if (!outlines.some(points => points.length >= 3) || !(width > 0) || !(height > 0)) {
+    throw new ShapeError('area', 'A path shape needs an outline with an area.');
+  }
+
+  return (unitX, unitY) => {
+    const px = left + unitX * width;
+    const py = top + unitY * height;
+    // Count the outline edges a ray to the right of the point crosses
+    let inside = false;
+    for (const points of outlines) {
+      for (let j = 0, k = points.length - 1; j < points.length; k = j++) {
+        const a = points[j];
+        const b = points[k];
+        if ((a.y > py) !== (b.y > py) && px < a.x + ((py - a.y) * (b.x - a.x)) / (b.y - a.y)) {
+          inside = !inside;
+        }
+      }
+    }
+    return inside;
+  };
+};
+
+const SHAPE_REGIONS = {
+  circle: (x, y) => (x - 0.5) ** 2 + (y - 0.5) ** 2 <= 0.25,
+  diamond: parsePathShape('M 1 0 L 2 1 L 1 2 L 0 1 Z'),
+  heart: parseTextShape(HEART),
+  nigeria: parsePathShape(NIGERIA),
+  kano: parsePathShape(KANO),
+  letterH: parseTextShape(LETTER_H)
+};
+
+export const SHAPE_IDS = [DEFAULT_SHAPE, ...Object.keys(SHAPE_REGIONS)];
+
+/**
+ * Whether a spec's shape is one the player loaded rather than a built-in one.
+ * @param {string|Object|undefined} shape - A spec's shape.
+ * @returns {boolean} True for a {format, source} shape.
+ */
+export const isCustomShape = (shape) => typeof shape === 'object' && shape !== null;
+
+/**
+ * Reads a shape the player loaded, checking it with parseTextShape or parsePathShape.
+ * @param {{format: string, source: string}} shape - A value of SHAPE_FORMATS and the drawing or path.
+ * @returns {function(number, number): boolean} Whether a point (x and y from 0 to 1) is in the shape.
+ * @throws {ShapeError} If the shape can't be read.
+ */
+export const parseShape = (shape) => {
+  if (!isCustomShape(shape) || !Object.values(SHAPE_FORMATS).includes(shape.format) || typeof shape.source !== 'string') {
+    throw new ShapeError('format', 'A shape must be drawn as text or an SVG path.');
+  }
+  if (shape.source.length > MAX_SHAPE_SOURCE_LENGTH) {
+    throw new ShapeError('too-long', `A shape may be at most ${MAX_SHAPE_SOURCE_LENGTH} characters long.`);
+  }
+  return shape.format === SHAPE_FORMATS.text ? parseTextShape(shape.source) : parsePathShape(shape.source);
+};
+
+/**
+ * Reads a shape from a file the player chose: an SVG image (its first path, or polygon,
+ * is the outline), a bare path, or a text drawing.
+ * @param {string} name - The file name.
+ * @param {string} content - The file's text.
+ * @returns {{format: string, source: string}} The shape, checked with parseShape.
+ * @throws {ShapeError} If the file has no outline or the shape can't be read.
+ */
+export const readShapeFile = (name, content) => {
+  let shape;
+  if (/\.svg$/i.test(name) || /^\s*</.test(content)) {
+    const path = /<path\b[^>]*\sd\s*=\s*["']([^"']*)["']/i.exec(content);
+    const polygon = /<polygon\b[^>]*\spoints\s*=\s*["']([^"']*)["']/i.exec(content);
+    if (!path && !polygon) {
+      throw new ShapeError('no-outline', 'An SVG shape needs a <path> or <polygon> outline.');
+    }
+    const source = path ? path[1] : `M ${polygon[1].trim()} Z`;
+    shape = { format: SHAPE_FORMATS.path, source: source.trim().replace(/\s+/g, ' ') };
+  } else {
+    const source = content.replace(/\r/g, '').trim();
+    shape = { format: /^[Mm]/.test(source) ? SHAPE_FORMATS.path : SHAPE_FORMATS.text, source };
+  }
+  parseShape(shape);
+  return shape;
+};
+
+/**
+ * Works out which cells of a grid are in a shape.
+ * @param {string|Object} [shape=DEFAULT_SHAPE] - One of SHAPE_IDS, or a loaded shape (see parseShape).
+ * @param {number} rows - Number of grid rows.
+ * @param {number} cols - Number of grid columns.
+ * @returns {Array<Array<boolean>>|null} True for each cell in play, or null for a plain
+ *   rectangle (the default shape, or one this copy doesn't know).
+ * @throws {ShapeError} If a loaded shape can't be read.
+ */
+export const getShapeMask = (shape = DEFAULT_SHAPE, rows, cols) => {
+  const contains = isCustomShape(shape) ? parseShape(shape) : SHAPE_REGIONS[shape];
+  if (!contains) return null;
+  return Array.from({ length: rows }, (_, r) =>
+    Array.from({ length: cols }, (_, c) => contains((c + 0.5) / cols, (r + 0.5) / rows)));
+};
+
+/**
+ * Counts the cells in play.
+ * @param {Array<Array<boolean>>|null} mask - A mask from getShapeMask.
+ * @param {number} rows - Number of grid rows.
+ * @param {number} cols - Number of grid columns.
+ * @returns {number} The number of cells words and filler can use.
+ */
+export const countOpenCells = (mask, rows, cols) => (mask ? mask.flat().filter(Boolean).length : rows * cols);
+
+/**
+ * Finds the longest straight line of cells in play, in any of the given directions: no
+ * longer word can be placed.
+ * @param {Array<Array<boolean>>} mask - A mask from getShapeMask.
+ * @param {Array<string>} directionNames - Allowed direction names.
+ * @returns {number} The length of the longest line, in cells.
+ */
+export const getLongestRun = (mask, directionNames) => {
+  const isOpen = (r, c) => r >= 0 && r < mask.length && c >= 0 && c < mask[r].length && mask[r][c];
+  let longest = 0;
+  for (const { dr, dc } of getDirections(directionNames)) {
+    for (let r = 0; r < mask.length; r++) {
+      for (let c = 0; c < mask[r].length; c++) {
+        if (!mask[r][c] || isOpen(r - dr, c - dc)) continue; // Measure each line from its first cell only
+        let length = 1;
+        while (isOpen(r + length * dr, c + length * dc)) length++;
+        longest = Math.max(longest, length);
+      }
+    }
+  }
+  return longest;
+};
+
+/**
+ * Lists the cells of a grid that are in play, in reading order.
+ * @param {Array<Array<string>>} grid - The letter grid.
+ * @returns {Array<{r: number, c: number}>} The cells not masked out.
+ */
+export const getOpenCells = (grid) =>
+  grid.flatMap((row, r) => row.flatMap((letter, c) => (letter === MASKED_CELL ? [] : [{ r, c }])));
+
+/**
+ * Steps across a grid from a cell until it reaches one in play, e.g. to move a cursor over
+ * the gaps in a shape.
+ * @param {Array<Array<string>>} grid - The letter grid.
+ * @param {{r: number, c: number}} start - The first cell to try.
+ * @param {number} dr - Row step.
+ * @param {number} dc - Column step.
+ * @returns {{r: number, c: number}|null} The first cell in play, or null if the steps leave the grid first.
+ */
+export const findOpenCell = (grid, { r, c }, dr, dc) => {
+  for (; r >= 0 && r < grid.length && c >= 0 && c < grid[r].length; r += dr, c += dc) {
+    if (grid[r][c] !== MASKED_CELL) return { r, c };
+  }
+  return null;
+};
@@ -0,0 +1,104 @@
+import {
+  DEFAULT_SHAPE,
+  MASKED_CELL,
+  SHAPE_IDS,
+  countOpenCells,
+  findOpenCell,
+  getLongestRun,
+  getOpenCells,
+  getShapeMask,
+  parsePathShape,
+  parseShape,
+  parseTextShape,
+  readShapeFile
+} from './shapes';
+
+// Draws a mask as text, for readable expectations
+const draw = (mask) => mask.map(row => row.map(open => (open ? '#' : '.')).join(''));
+
+test('reads shapes drawn as text, stretched to the grid', () => {
+  const corner = parseTextShape('\n#.\n##\n');
+  expect(corner(0.2, 0.2)).toBe(true);
+  expect(corner(0.8, 0.2)).toBe(false);
+  expect(corner(0.8, 0.8)).toBe(true);
+  expect(() => parseTextShape('...')).toThrow('at least one #');
+  expect(() => parseTextShape('#x#')).toThrow('may only use #');
+});
+
+test('reads shapes drawn as SVG paths, with holes where outlines overlap', () => {
+  const diamond = parsePathShape('M 10 0 L 20 10 L 10 20 L 0 10 Z');
+  expect(diamond(0.5, 0.5)).toBe(true);
+  expect(diamond(0.1, 0.1)).toBe(false);
+
+  // A square frame, written with relative commands
+  const frame = parsePathShape('M0,0 h9 v9 h-9 z m3 3 h3 v3 h-3 z');
+  expect(frame(0.1, 0.5)).toBe(true);
+  expect(frame(0.5, 0.5)).toBe(false);
+
+  expect(() => parsePathShape('M 0 0 C 1 1 2 2 3 3 Z')).toThrow('only use straight lines');
+  expect(() => parsePathShape('0 0 L 1 1')).toThrow('must start with M');
+  expect(() => parsePathShape('M 0 0 L 1')).toThrow('missing a number');
+  expect(() => parsePathShape('M 0 0 L 5 0 Z')).toThrow('an outline with an area');
+});
+
+test('masks a grid of any size, or leaves a square grid alone', () => {
+  expect(getShapeMask(DEFAULT_SHAPE, 5, 5)).toBeNull();
+  expect(getShapeMask(undefined, 5, 5)).toBeNull();
+  expect(draw(getShapeMask('diamond', 5, 5))).toEqual([
+    '..#..',
+    '.###.',
+    '#####',
+    '.###.',
+    '..#..'
+  ]);
+  expect(draw(getShapeMask('circle', 5, 7))).toEqual([
+    '.#####.',
+    '#######',
+    '#######',
+    '#######',
+    '.#####.'
+  ]);
+  for (const id of SHAPE_IDS.filter(id => id !== DEFAULT_SHAPE)) {
+    const mask = getShapeMask(id, 15, 15);
+    expect([id, countOpenCells(mask, 15, 15) > 100]).toEqual([id, true]);
+  }
+  expect(countOpenCells(null, 4, 6)).toBe(24);
+});
+
+test('masks a grid with a shape the player loaded, once it is checked', () => {
+  expect(draw(getShapeMask({ format: 'text', source: '.#.\n###' }, 2, 3))).toEqual(['.#.', '###']);
+  expect(draw(getShapeMask({ format: 'path', source: 'M 1 0 L 2 1 L 1 2 L 0 1 Z' }, 3, 3))).toEqual(['.#.', '###', '.#.']);
+  expect(() => parseShape({ format: 'png', source: '#' })).toThrow(expect.objectContaining({ reason: 'format' }));
+  expect(() => parseShape({ format: 'text', source: '#'.repeat(5000) })).toThrow(expect.objectContaining({ reason: 'too-long' }));
+  expect(() => parseShape({ format: 'text', source: '#x#' })).toThrow(expect.objectContaining({ reason: 'characters' }));
+});
+
+test('reads a shape from an SVG image, a bare path or a text drawing', () => {
+  const svg = '<svg viewBox="0 0 10 8"><path fill="green" d="M 0 0\n L 10 0 L 5 8 Z"/></svg>';
+  expect(readShapeFile('state.svg', svg)).toEqual({ format: 'path', source: 'M 0 0 L 10 0 L 5 8 Z' });
+  expect(readShapeFile('state.svg', '<svg><polygon points="0,0 10,0 5,8"/></svg>'))
+    .toEqual({ format: 'path', source: 'M 0,0 10,0 5,8 Z' });
+  expect(readShapeFile('outline.txt', 'M 0 0 L 10 0 L 5 8 Z\n')).toEqual({ format: 'path', source: 'M 0 0 L 10 0 L 5 8 Z' });
+  expect(readShapeFile('drawing.txt', '.#.\r\n###\r\n')).toEqual({ format: 'text', source: '.#.\n###' });
+  expect(() => readShapeFile('empty.svg', '<svg><circle r="4"/></svg>')).toThrow(expect.objectContaining({ reason: 'no-outline' }));
+  expect(() => readShapeFile('curvy.svg', '<svg><path d="M 0 0 C 1 1 2 2 3 0 Z"/></svg>'))
+    .toThrow(expect.objectContaining({ reason: 'commands' }));
+});
+
+test('finds the longest line a word could run along', () => {
+  const mask = getShapeMask('diamond', 5, 5);
+  expect(getLongestRun(mask, ['horizontal_right'])).toBe(5);
+  expect(getLongestRun(mask, ['diagonal_down_right'])).toBe(3);
+  expect(getLongestRun(getShapeMask('letterH', 8, 9), ['vertical_down'])).toBe(8);
+});
+
+test('finds the cells in play, stepping over the gaps', () => {
+  const grid = [
+    [MASKED_CELL, 'a', MASKED_CELL],
+    ['b', MASKED_CELL, 'c']
+  ];
+  expect(getOpenCells(grid)).toEqual([{ r: 0, c: 1 }, { r: 1, c: 0 }, { r: 1, c: 2 }]);
+  expect(findOpenCell(grid, { r: 1, c: 1 }, 0, 1)).toEqual({ r: 1, c: 2 });
+  expect(findOpenCell(grid, { r: 0, c: 2 }, 0, 1)).toBeNull();
+  expect(findOpenCell(grid, { r: 0, c: 0 }, 0, -1)).toBeNull();
+});
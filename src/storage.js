@@ -0,0 +1,63 @@
+// --- Device Storage ---
+// Saved games, scores, progress, streaks, word lists and preferences are kept in
+// localStorage. It can be missing or throw (private browsing, storage disabled by policy),
+// so modules reach it through here and carry on without it: whatever isn't remembered
+// still counts for this visit. Each module takes an optional Storage in its place, for tests.
+
+/**
+ * Finds the device's localStorage.
+ * @returns {Storage|null} window.localStorage, or null if it can't be used.
+ */
+export const getStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Reads a stored value.
+ * @param {string} key - The storage key.
+ * @param {Storage} [storage=window.localStorage] - Where the value is kept.
+ * @returns {string|null} The value, or null if there is none or it can't be read.
+ */
+export const readItem = (key, storage = getStorage()) => {
+  if (!storage) return null;
+  try {
+    return storage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Stores a value.
+ * @param {string} key - The storage key.
+ * @param {string} value - The value.
+ * @param {Storage} [storage=window.localStorage] - Where to keep it.
+ * @returns {boolean} Whether it was stored (storage may be full or unavailable).
+ */
+export const writeItem = (key, value, storage = getStorage()) => {
+  if (!storage) return false;
+  try {
+    storage.setItem(key, value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Removes a stored value.
+ * @param {string} key - The storage key.
+ * @param {Storage} [storage=window.localStorage] - Where the value is kept.
+ */
+export const removeItem = (key, storage = getStorage()) => {
+  if (!storage) return;
+  try {
+    storage.removeItem(key);
+  } catch (e) {
+    // Nothing more to do if storage refuses
+  }
+};
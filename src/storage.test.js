@@ -0,0 +1,26 @@
+import { readItem, removeItem, writeItem } from './storage';
+
+// Storage that refuses everything, as in some private browsing modes
+const blocked = {
+  getItem: () => { throw new Error('SecurityError'); },
+  setItem: () => { throw new Error('QuotaExceededError'); },
+  removeItem: () => { throw new Error('SecurityError'); }
+};
+
+beforeEach(() => window.localStorage.clear());
+
+test('reads, writes and removes values in localStorage', () => {
+  expect(readItem('wordSearch.test')).toBeNull();
+  expect(writeItem('wordSearch.test', 'yes')).toBe(true);
+  expect(readItem('wordSearch.test')).toBe('yes');
+  removeItem('wordSearch.test');
+  expect(readItem('wordSearch.test')).toBeNull();
+});
+
+test('carries on when storage is missing or refuses', () => {
+  expect(readItem('wordSearch.test', blocked)).toBeNull();
+  expect(writeItem('wordSearch.test', 'yes', blocked)).toBe(false);
+  expect(() => removeItem('wordSearch.test', blocked)).not.toThrow();
+  expect(readItem('wordSearch.test', null)).toBeNull();
+  expect(writeItem('wordSearch.test', 'yes', null)).toBe(false);
+});
@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react';
+import { createDailyResultText, createDailySpec, findDailyPack, getDailyStreak, recordDailyResult } from './daily';
+import { getDateKey } from './dates';
+import { languageName, message } from './i18n';
+
+// --- Daily Puzzle ---
+// Starts today's puzzle for a language, keeps its streak up to date while it is played
+// (counting it once it's finished), and shares the result (see daily.js).
+
+/**
+ * Holds the daily puzzle's streak and the result of sharing it.
+ * @param {Object} options
+ * @param {Object|null} options.game - The game being played (see gameEngine.js).
+ * @param {Array<Object>} options.languagePacks - The loaded language packs.
+ * @param {function} options.t - Translate function (see i18n.js), for the shared result.
+ * @param {function} options.onStart - Called with today's puzzle spec to play it.
+ * @param {function} options.onNotice - Called with a message descriptor (see i18n.js) for
+ *   the message line, when a language has no daily puzzle.
+ * @param {Storage} [options.storage] - Where streaks are kept (default: window.localStorage).
+ * @returns {{dailyStreak: (Object|null), shareNotice: (Object|null), playDaily: function,
+ *   shareDailyResult: function}} The streak of the daily puzzle's language while one is played
+ *   (see getDailyStreak), a message descriptor saying how the result was shared, and the actions.
+ */
+export const useDailyPuzzle = ({ game, languagePacks, t, onStart, onNotice, storage }) => {
+  const [dailyStreak, setDailyStreak] = useState(null);
+  const [shareNotice, setShareNotice] = useState(null);
+
+  const feedback = game ? game.feedback : null;
+  const gameSpec = game ? game.spec : null;
+  useEffect(() => {
+    if (!gameSpec || !gameSpec.daily) {
+      setDailyStreak(null);
+    } else if (feedback && feedback.type === 'completed') {
+      setDailyStreak(recordDailyResult(gameSpec.language, gameSpec.daily, storage));
+      setShareNotice(null);
+    } else {
+      setDailyStreak(getDailyStreak(gameSpec.language, undefined, storage));
+    }
+  }, [feedback, gameSpec, storage]);
+
+  /**
+   * Starts today's puzzle.
+   * @param {string} language - The puzzle language.
+   */
+  const playDaily = (language) => {
+    const pack = findDailyPack(languagePacks, language);
+    if (pack) {
+      onStart(createDailySpec(pack, getDateKey()));
+    } else {
+      onNotice(message('status.noDailyPack', { language: languageName(language) }));
+    }
+  };
+
+  const shareDailyResult = async () => {
+    const text = createDailyResultText(game, dailyStreak, t);
+    try {
+      if (navigator.share) {
+        await navigator.share({ text });
+        return;
+      }
+      await navigator.clipboard.writeText(text);
+      setShareNotice(message('daily.copied'));
+    } catch (e) {
+      if (e.name === 'AbortError') return; // The share sheet was closed
+      // Clipboard access can be blocked; show the result so it can be copied by hand
+      setShareNotice(message('daily.shareByHand', { text }));
+    }
+  };
+
+  return { dailyStreak, shareNotice, playDaily, shareDailyResult };
+};
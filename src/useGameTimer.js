@@ -0,0 +1,40 @@
+import { useEffect } from 'react';
+
+// --- Game Timer ---
+// Playing time is counted into the game state a second at a time. The clock pauses while the
+// tab is hidden, so switching away (or locking a tablet) doesn't cost the player time.
+
+export const TICK_MS = 1000;
+
+/**
+ * Counts playing time while a game is being played.
+ * @param {function} dispatch - The game reducer's dispatch, sent { type: 'tick', ms } actions.
+ * @param {boolean} isPlaying - Whether the clock runs: a game with words left to find.
+ * @param {Object|null} gameSpec - The game's spec; the clock starts afresh with a new game.
+ */
+export const useGameTimer = (dispatch, isPlaying, gameSpec) => {
+  useEffect(() => {
+    if (!isPlaying) return;
+    let lastTick = Date.now();
+    const tick = () => {
+      const now = Date.now();
+      dispatch({ type: 'tick', ms: now - lastTick });
+      lastTick = now;
+    };
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        tick(); // Count the time up to the moment the tab was hidden
+      } else {
+        lastTick = Date.now(); // Don't count the time away
+      }
+    };
+    const timer = setInterval(() => {
+      if (!document.hidden) tick();
+    }, TICK_MS);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [dispatch, isPlaying, gameSpec]);
+};
@@ -0,0 +1,44 @@
+import { renderHook } from '@testing-library/react';
+import { TICK_MS, useGameTimer } from './useGameTimer';
+
+const setHidden = (hidden) => {
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+  document.dispatchEvent(new Event('visibilitychange'));
+};
+
+beforeEach(() => jest.useFakeTimers('modern'));
+
+afterEach(() => {
+  delete document.hidden;
+  jest.useRealTimers();
+});
+
+test('ticks while the game is played, and not while the tab is hidden', () => {
+  const dispatch = jest.fn();
+  const spec = { seed: 1 };
+  const { rerender, unmount } = renderHook(({ isPlaying }) => useGameTimer(dispatch, isPlaying, spec), {
+    initialProps: { isPlaying: true }
+  });
+
+  jest.advanceTimersByTime(3 * TICK_MS);
+  expect(dispatch.mock.calls).toEqual([[{ type: 'tick', ms: TICK_MS }], [{ type: 'tick', ms: TICK_MS }], [{ type: 'tick', ms: TICK_MS }]]);
+
+  // Hidden halfway through a second: that half counts, the time away doesn't
+  dispatch.mockClear();
+  jest.advanceTimersByTime(TICK_MS / 2);
+  setHidden(true);
+  jest.advanceTimersByTime(60 * TICK_MS);
+  expect(dispatch.mock.calls).toEqual([[{ type: 'tick', ms: TICK_MS / 2 }]]);
+
+  dispatch.mockClear();
+  setHidden(false);
+  jest.advanceTimersByTime(TICK_MS);
+  expect(dispatch.mock.calls).toEqual([[{ type: 'tick', ms: TICK_MS / 2 }]]); // The interval's next tick, half a second on
+
+  // Finished: the clock stops
+  dispatch.mockClear();
+  rerender({ isPlaying: false });
+  jest.advanceTimersByTime(5 * TICK_MS);
+  expect(dispatch).not.toHaveBeenCalled();
+  unmount();
+});
@@ -0,0 +1,33 @@
+import { useEffect, useRef, useState } from 'react';
+import { loadLanguagePacks } from './languagePacks';
+
+// --- Language Pack Loading ---
+// The packs listed in public/packs/index.json are loaded once, when the app starts (see
+// languagePacks.js). A pack that fails to load or validate is kept as an error to list for
+// its author, and the others stay playable.
+
+/**
+ * Loads the language packs.
+ * @param {function} onLoaded - Called once with the packs that loaded, e.g. to choose the
+ *   first puzzle. Only the first render's callback is used, so it should only set state.
+ * @returns {{languagePacks: Array<Object>, packErrors: Array<Error>}} The validated packs
+ *   (empty until they have loaded), and the errors of those that failed.
+ */
+export const useLanguagePacks = (onLoaded) => {
+  const [languagePacks, setLanguagePacks] = useState([]);
+  const [packErrors, setPackErrors] = useState([]);
+  const onLoadedRef = useRef(onLoaded);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadLanguagePacks().then(({ packs, errors }) => {
+      if (cancelled) return;
+      setLanguagePacks(packs);
+      setPackErrors(errors);
+      onLoadedRef.current(packs);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  return { languagePacks, packErrors };
+};
@@ -0,0 +1,38 @@
+import { useEffect, useRef, useState } from 'react';
+import { isComplete } from './gameEngine';
+import { getWordOutcomes, loadProgress, recordWordOutcomes } from './progress';
+
+// --- Learner Progress ---
+// How each word went is recorded once a game is over (see progress.js): when its last word
+// is found, or when the player moves on to another puzzle after finding some words. A game
+// in which nothing was found isn't counted, so skipping past puzzles doesn't mark words missed.
+
+/**
+ * Records the games played in the learner's progress.
+ * @param {Object|null} game - The game state.
+ * @returns {Object} The learner's progress (see loadProgress), updated as games are recorded.
+ */
+export const useLearnerProgress = (game) => {
+  const [learnerProgress, setLearnerProgress] = useState(loadProgress);
+  const unrecordedGameRef = useRef(null); // The game being played, once a word is found
+  const recordedSpecRef = useRef(null); // The spec of the game last recorded
+
+  useEffect(() => {
+    const record = (finished) => {
+      setLearnerProgress(recordWordOutcomes(finished.spec.language, getWordOutcomes(finished)));
+      recordedSpecRef.current = finished.spec;
+      unrecordedGameRef.current = null;
+    };
+    const previous = unrecordedGameRef.current;
+    if (previous && (!game || game.spec !== previous.spec)) record(previous);
+    if (!game) return;
+    if (isComplete(game)) {
+      // Even when its first find finishes it, so it was never seen part-way
+      if (recordedSpecRef.current !== game.spec) record(game);
+    } else if (game.foundWords.size > 0) {
+      unrecordedGameRef.current = game;
+    }
+  }, [game]);
+
+  return learnerProgress;
+};
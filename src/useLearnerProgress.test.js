@@ -0,0 +1,55 @@
+import { renderHook } from '@testing-library/react';
+import { applySelection, createGame } from './gameEngine';
+import { PROGRESS_KEY } from './progress';
+import { useLearnerProgress } from './useLearnerProgress';
+
+const ido = [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }];
+const kai = [{ r: 1, c: 0 }, { r: 1, c: 1 }, { r: 1, c: 2 }];
+
+const makeGame = (seed) => createGame(
+  { seed, language: 'Hausa', words: ['ido', 'kai'] },
+  { grid: [['i', 'd', 'o'], ['k', 'a', 'i'], ['x', 'y', 'z']], hiddenWords: { ido, kai } }
+);
+
+beforeEach(() => window.localStorage.clear());
+
+test('records a game once, when it is finished', () => {
+  let game = makeGame(1);
+  const { result, rerender } = renderHook(({ current }) => useLearnerProgress(current), { initialProps: { current: game } });
+  expect(result.current).toEqual({});
+
+  game = applySelection(game, ido);
+  rerender({ current: game });
+  expect(window.localStorage.getItem(PROGRESS_KEY)).toBeNull();
+
+  game = applySelection(game, kai);
+  rerender({ current: game });
+  expect(result.current.Hausa).toMatchObject({ ido: { plays: 1 }, kai: { plays: 1 } });
+
+  rerender({ current: makeGame(2) });
+  expect(result.current.Hausa.ido.plays).toBe(1);
+});
+
+test('records a game left part-way, but not one left untouched', () => {
+  const { result, rerender } = renderHook(({ current }) => useLearnerProgress(current), { initialProps: { current: makeGame(1) } });
+  rerender({ current: makeGame(2) });
+  expect(result.current).toEqual({});
+
+  rerender({ current: applySelection(makeGame(2), ido) });
+  rerender({ current: makeGame(3) });
+  expect(result.current.Hausa).toMatchObject({ ido: { plays: 1, missed: 0 }, kai: { plays: 1, missed: 1 } });
+});
+
+test('records a game finished by its first find', () => {
+  const game = createGame(
+    { seed: 1, language: 'Hausa', words: ['ido'] },
+    { grid: [['i', 'd', 'o']], hiddenWords: { ido } }
+  );
+  const { result, rerender } = renderHook(({ current }) => useLearnerProgress(current), { initialProps: { current: game } });
+  const finished = applySelection(game, ido);
+  rerender({ current: finished });
+  expect(result.current.Hausa).toEqual({ ido: expect.objectContaining({ plays: 1 }) });
+
+  rerender({ current: { ...finished, elapsedMs: 5000 } });
+  expect(result.current.Hausa.ido.plays).toBe(1);
+});
@@ -0,0 +1,70 @@
+import { useEffect, useReducer, useRef, useState } from 'react';
+import { getLanguage } from './languages';
+import { generatePuzzle } from './puzzle';
+import { createGame, gameReducer } from './gameEngine';
+
+// --- Puzzle Generation ---
+// The puzzle in play is chosen by its spec (see puzzle.js). Setting a spec builds its grid
+// and starts a game on it once it is ready; setting another one first abandons the build.
+// A saved game is resumed by setting its own spec, so its grid is restored, not regenerated.
+
+/**
+ * Holds the puzzle spec and the game played on it.
+ * @param {Object} handlers - Called as the puzzle changes; the latest ones are always used.
+ * @param {function} handlers.onNewPuzzle - Called when a spec is set, with true if a saved
+ *   game is being resumed and false if a new grid is being built.
+ * @param {function} handlers.onBuildFailed - Called if the grid can't be built.
+ * @returns {{puzzleSpec: (Object|null), setPuzzleSpec: function, game: (Object|null),
+ *   dispatch: function, resumeGame: function}} The spec and its setter, the game state (see
+ *   gameEngine.js) and its reducer's dispatch, and resumeGame(savedGame), which carries on
+ *   with a game from loadSavedGame.
+ */
+export const usePuzzleGeneration = ({ onNewPuzzle, onBuildFailed }) => {
+  const [puzzleSpec, setPuzzleSpec] = useState(null);
+  const [game, dispatch] = useReducer(gameReducer, null);
+  // A saved game being resumed, until its spec is set
+  const resumingGameRef = useRef(null);
+  const handlersRef = useRef({ onNewPuzzle, onBuildFailed });
+  useEffect(() => {
+    handlersRef.current = { onNewPuzzle, onBuildFailed };
+  });
+
+  useEffect(() => {
+    if (!puzzleSpec) return;
+
+    if (resumingGameRef.current && resumingGameRef.current.spec === puzzleSpec) {
+      handlersRef.current.onNewPuzzle(true);
+      dispatch({ type: 'start', game: resumingGameRef.current });
+      resumingGameRef.current = null;
+      return;
+    }
+
+    dispatch({ type: 'start', game: null });
+    handlersRef.current.onNewPuzzle(false);
+
+    const abortController = new AbortController();
+    generatePuzzle(puzzleSpec.words, getLanguage(puzzleSpec.language), {
+      rows: puzzleSpec.rows,
+      cols: puzzleSpec.cols,
+      directions: puzzleSpec.directions,
+      digraphCells: puzzleSpec.digraphCells,
+      shape: puzzleSpec.shape,
+      message: puzzleSpec.message,
+      seed: puzzleSpec.seed,
+      signal: abortController.signal
+    }).then(puzzle => {
+      dispatch({ type: 'start', game: createGame(puzzleSpec, puzzle, puzzleSpec.hints) });
+    }).catch(e => {
+      if (e.name !== 'AbortError') handlersRef.current.onBuildFailed(e);
+    });
+
+    return () => abortController.abort(); // Stop building a puzzle that is no longer wanted
+  }, [puzzleSpec]);
+
+  const resumeGame = (savedGame) => {
+    resumingGameRef.current = savedGame;
+    setPuzzleSpec(savedGame.spec);
+  };
+
+  return { puzzleSpec, setPuzzleSpec, game, dispatch, resumeGame };
+};
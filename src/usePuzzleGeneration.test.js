@@ -0,0 +1,28 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { createGame } from './gameEngine';
+import { usePuzzleGeneration } from './usePuzzleGeneration';
+
+const spec = { seed: 7, language: 'Hausa', words: ['ido', 'kunne', 'hannu'], rows: 8, cols: 8 };
+
+test('builds a grid for each spec, and resumes a saved game without rebuilding it', async () => {
+  const onNewPuzzle = jest.fn();
+  const onBuildFailed = jest.fn();
+  const { result } = renderHook(() => usePuzzleGeneration({ onNewPuzzle, onBuildFailed }));
+  expect(result.current.game).toBeNull();
+
+  act(() => result.current.setPuzzleSpec(spec));
+  expect(onNewPuzzle).toHaveBeenLastCalledWith(false);
+  await waitFor(() => expect(result.current.game).not.toBeNull());
+  expect(result.current.game.spec).toBe(spec);
+  expect(Object.keys(result.current.game.hiddenWords).sort()).toEqual(['hannu', 'ido', 'kunne']);
+
+  const saved = createGame(
+    { seed: 1, language: 'Hausa', words: ['ido'] },
+    { grid: [['i', 'd', 'o']], hiddenWords: { ido: [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }] } }
+  );
+  act(() => result.current.resumeGame(saved));
+  expect(onNewPuzzle).toHaveBeenLastCalledWith(true);
+  expect(result.current.game).toBe(saved);
+  expect(result.current.puzzleSpec).toBe(saved.spec);
+  expect(onBuildFailed).not.toHaveBeenCalled();
+});
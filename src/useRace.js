@@ -0,0 +1,166 @@
+import { useEffect, useRef, useState } from 'react';
+import { languageName, message } from './i18n';
+import { RACE_STATUS, getRacePlayerName, normalizeRoomCode } from './race';
+import { connectToRace, getRaceServerUrl } from './raceClient';
+
+// --- Race Mode ---
+// Players race on a grid the race server generates from the host's puzzle code (see
+// race.js). The player's own game is left as it was and comes back when they leave.
+// The connection's handlers reach the caller's latest handlers through a ref, so they never
+// see stale values.
+
+/**
+ * Holds the race the player is in, its dialog, and the connection to the race server.
+ * @param {Object} handlers - Called as the race goes on; the latest ones are always used.
+ * @param {function} handlers.onNotice - Called with a message descriptor (see i18n.js) to
+ *   show on the message line: a word claimed, the race starting, a lost connection.
+ * @param {function} handlers.onClaimRejected - Called with the engine's feedback (see
+ *   gameEngine.js) when one of the player's claims doesn't find a word.
+ * @param {function} handlers.onJoined - Called when the player is in a race, to clear their
+ *   selection on the grid they leave.
+ * @returns {Object} The race view (see getRaceView in race.js) or null, the player's ID in
+ *   it, the race dialog's fields (raceDraft, or null while it is closed) and their setter,
+ *   and the actions below.
+ */
+export const useRace = ({ onNotice, onClaimRejected, onJoined }) => {
+  const [race, setRace] = useState(null); // The race as the race server last described it
+  const [racePlayerId, setRacePlayerId] = useState(null);
+  const [raceDraft, setRaceDraft] = useState(null); // { name, room, notice, isConnecting }
+  const connectionRef = useRef(null); // Connection to the race server (see raceClient.js)
+  // What the message line last said about the race, so each claim is announced once
+  const announcedRaceRef = useRef({ claims: 0, status: null });
+  const handlersRef = useRef({ onNotice, onClaimRejected, onJoined });
+  useEffect(() => {
+    handlersRef.current = { onNotice, onClaimRejected, onJoined };
+  });
+
+  const handleRaceMessage = (msg) => {
+    if (msg.type === 'joined') {
+      setRacePlayerId(msg.playerId);
+      setRace(msg.race);
+      setRaceDraft(null);
+      handlersRef.current.onJoined();
+    } else if (msg.type === 'race') {
+      setRace(msg.race);
+    } else if (msg.type === 'claim-result') {
+      // Found words are announced from the race, for every player alike
+      const { type } = msg.feedback;
+      if (type !== 'found' && type !== 'completed') handlersRef.current.onClaimRejected(msg.feedback);
+    } else if (msg.type === 'error') {
+      const notice = message(`raceError.${msg.reason}`);
+      setRaceDraft(draft => draft && { ...draft, notice, isConnecting: false });
+      handlersRef.current.onNotice(notice);
+    }
+  };
+
+  const handleRaceClose = (neverOpened) => {
+    connectionRef.current = null;
+    const notice = message(neverOpened ? 'race.cannotConnect' : 'race.disconnected');
+    setRaceDraft(draft => draft && { ...draft, notice, isConnecting: false });
+    // A finished race stays on screen with its results
+    setRace(current => (current && current.status === RACE_STATUS.finished ? current : null));
+    handlersRef.current.onNotice(notice);
+  };
+
+  const openConnection = () => {
+    if (!connectionRef.current) {
+      connectionRef.current = connectToRace(getRaceServerUrl(), { onMessage: handleRaceMessage, onClose: handleRaceClose });
+    }
+    return connectionRef.current;
+  };
+
+  const closeConnection = () => {
+    if (connectionRef.current) connectionRef.current.close();
+    connectionRef.current = null;
+  };
+
+  // Hang up when the app goes away
+  useEffect(() => closeConnection, []);
+
+  // Announce the race as it changes: each word found, then the start
+  useEffect(() => {
+    if (!race) {
+      announcedRaceRef.current = { claims: 0, status: null };
+      return;
+    }
+    const { onNotice: announce } = handlersRef.current;
+    const announced = announcedRaceRef.current;
+    if (race.claims.length > announced.claims) {
+      const { word, playerId } = race.claims[race.claims.length - 1];
+      const finder = race.players.find(player => player.id === playerId);
+      announce(playerId === racePlayerId
+        ? message('race.youFound', { word: word.toUpperCase() })
+        : message('race.playerFound', { name: finder ? getRacePlayerName(finder, message) : '?', word: word.toUpperCase() }));
+    } else if (race.status !== announced.status && race.status === RACE_STATUS.lobby) {
+      announce(race.hostId === racePlayerId
+        ? message('race.waitingHost', { code: race.code })
+        : message('race.waitingPlayer'));
+    } else if (race.status !== announced.status && race.status === RACE_STATUS.playing) {
+      announce(message('race.started', { language: languageName(race.language) }));
+    }
+    announcedRaceRef.current = { claims: race.claims.length, status: race.status };
+  }, [race, racePlayerId]);
+
+  /**
+   * Opens the race dialog.
+   * @param {string} name - The player's name, as last typed.
+   */
+  const openRaceDialog = (name) => {
+    setRaceDraft({ name, room: '', notice: null, isConnecting: false });
+  };
+
+  const closeRaceDialog = () => {
+    if (!race) closeConnection(); // Stop joining
+    setRaceDraft(null);
+  };
+
+  /**
+   * Sends the race dialog's request to host or join a race, connecting first if needed.
+   * @param {Object} request - The 'create' or 'join' message, without the player's name.
+   */
+  const requestRace = (request) => {
+    setRaceDraft({ ...raceDraft, notice: message('race.connecting'), isConnecting: true });
+    openConnection().send({ ...request, name: raceDraft.name });
+  };
+
+  /**
+   * Hosts a race on a puzzle.
+   * @param {string} puzzleCode - The puzzle's code (see puzzleCode.js).
+   */
+  const hostRace = (puzzleCode) => requestRace({ type: 'create', puzzleCode });
+
+  const joinRace = () => requestRace({ type: 'join', room: normalizeRoomCode(raceDraft.room) });
+
+  const startRace = () => {
+    if (connectionRef.current) connectionRef.current.send({ type: 'start' });
+  };
+
+  /**
+   * Claims the word on a selection; the race server answers with the claim's feedback and
+   * the updated race.
+   * @param {Array<{r: number, c: number}>} cells - The selected cells, in selection order.
+   */
+  const claimCells = (cells) => {
+    if (connectionRef.current) connectionRef.current.send({ type: 'claim', cells });
+  };
+
+  const leaveRace = () => {
+    closeConnection();
+    setRace(null);
+    setRacePlayerId(null);
+  };
+
+  return {
+    race,
+    racePlayerId,
+    raceDraft,
+    setRaceDraft,
+    openRaceDialog,
+    closeRaceDialog,
+    hostRace,
+    joinRace,
+    startRace,
+    claimCells,
+    leaveRace
+  };
+};
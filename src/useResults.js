@@ -0,0 +1,53 @@
+import { useEffect, useState } from 'react';
+import { addScore, getLeaderboard } from './leaderboard';
+
+// --- Results Screen ---
+// The results screen opens when the last word is found, with the top scores for the
+// puzzle's language and difficulty (see leaderboard.js), and again once the hidden message
+// is read, with the bonus in the score.
+
+/**
+ * Holds whether the results screen is open, and the leaderboard it shows.
+ * @param {Object|null} game - The game being played (see gameEngine.js).
+ * @param {Storage} [storage] - Where scores are kept (default: window.localStorage).
+ * @returns {{showResults: boolean, setShowResults: function, leaderboard: Array<Object>,
+ *   leaderboardRank: (number|null), saveScore: function}} The screen's state, the top scores,
+ *   where the player's saved score landed (null until it is saved), and saveScore, to add
+ *   the player's score.
+ */
+export const useResults = (game, storage) => {
+  const [showResults, setShowResults] = useState(false);
+  const [leaderboard, setLeaderboard] = useState([]);
+  const [leaderboardRank, setLeaderboardRank] = useState(null);
+
+  const feedback = game ? game.feedback : null;
+  const gameSpec = game ? game.spec : null;
+  useEffect(() => {
+    if (feedback && feedback.type === 'completed') {
+      setLeaderboard(getLeaderboard(gameSpec.language, gameSpec.difficultyId, storage));
+      setLeaderboardRank(null);
+      setShowResults(true);
+    } else if (feedback && feedback.type === 'message-solved') {
+      setShowResults(true); // Again, with the bonus in the score
+    }
+  }, [feedback, gameSpec, storage]);
+
+  /**
+   * Adds the player's score to the leaderboard.
+   * @param {{name: string, defaultName: string, score: number}} entry - The player's name (the
+   *   default name if it is blank) and their total score.
+   */
+  const saveScore = ({ name, defaultName, score }) => {
+    const { entries, rank } = addScore(gameSpec.language, gameSpec.difficultyId, {
+      name,
+      defaultName,
+      score,
+      elapsedMs: game.elapsedMs,
+      hintsUsed: game.hintsUsed
+    }, storage);
+    setLeaderboard(entries);
+    setLeaderboardRank(rank);
+  };
+
+  return { showResults, setShowResults, leaderboard, leaderboardRank, saveScore };
+};
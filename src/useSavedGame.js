@@ -0,0 +1,46 @@
+import { useEffect, useRef } from 'react';
+import { isComplete } from './gameEngine';
+import { clearSavedGame, saveGame } from './savedGame';
+
+// --- Saving the Game in Progress ---
+// The game is saved after each move (every move leaves new feedback) and when the page is
+// hidden or closed, not on every tick of the clock. Once it is finished the save is removed.
+
+/**
+ * Keeps the game in progress saved (see savedGame.js).
+ * @param {Object|null} game - The game state.
+ * @param {Storage} [storage] - Where to save it (default: window.localStorage).
+ */
+export const useSavedGame = (game, storage) => {
+  const latestGameRef = useRef(game);
+  useEffect(() => {
+    latestGameRef.current = game;
+  }, [game]);
+
+  const feedback = game ? game.feedback : null;
+  useEffect(() => {
+    const current = latestGameRef.current;
+    if (!current) return;
+    if (isComplete(current)) {
+      clearSavedGame(storage);
+    } else {
+      saveGame(current, storage);
+    }
+  }, [feedback, storage]);
+
+  useEffect(() => {
+    const saveUnfinished = () => {
+      const current = latestGameRef.current;
+      if (current && !isComplete(current)) saveGame(current, storage);
+    };
+    const handleVisibilityChange = () => {
+      if (document.hidden) saveUnfinished();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', saveUnfinished);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', saveUnfinished);
+    };
+  }, [storage]);
+};
@@ -0,0 +1,71 @@
+import { act, renderHook } from '@testing-library/react';
+import { applySelection, createGame, gameReducer } from './gameEngine';
+import { SAVED_GAME_KEY } from './savedGame';
+import { useSavedGame } from './useSavedGame';
+
+// 'ido' across the top and 'kai' across the middle
+const makeGame = () => createGame(
+  { seed: 1, language: 'Hausa', words: ['ido', 'kai'] },
+  {
+    grid: [['i', 'd', 'o'], ['k', 'a', 'i'], ['x', 'y', 'z']],
+    hiddenWords: {
+      ido: [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }],
+      kai: [{ r: 1, c: 0 }, { r: 1, c: 1 }, { r: 1, c: 2 }]
+    }
+  }
+);
+
+// Storage that keeps count of the saves made to it
+const makeStorage = () => {
+  const items = {};
+  return {
+    writes: 0,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem(key, value) {
+      this.writes++;
+      items[key] = value;
+    },
+    removeItem: (key) => { delete items[key]; }
+  };
+};
+
+test('saves after each move and when the page is hidden, not on each tick', () => {
+  const storage = makeStorage();
+  let game = makeGame();
+  const { rerender } = renderHook(({ current }) => useSavedGame(current, storage), { initialProps: { current: game } });
+  expect(storage.writes).toBe(1);
+
+  game = gameReducer(game, { type: 'tick', ms: 1000 });
+  rerender({ current: game });
+  game = gameReducer(game, { type: 'tick', ms: 1000 });
+  rerender({ current: game });
+  expect(storage.writes).toBe(1);
+
+  game = applySelection(game, game.hiddenWords.ido);
+  rerender({ current: game });
+  expect(storage.writes).toBe(2);
+  expect(JSON.parse(storage.getItem(SAVED_GAME_KEY)).game).toMatchObject({ foundWords: ['ido'], elapsedMs: 2000 });
+
+  game = gameReducer(game, { type: 'tick', ms: 500 });
+  rerender({ current: game });
+  act(() => {
+    window.dispatchEvent(new Event('pagehide'));
+  });
+  expect(storage.writes).toBe(3);
+  expect(JSON.parse(storage.getItem(SAVED_GAME_KEY)).game.elapsedMs).toBe(2500);
+});
+
+test('forgets the save once the game is finished', () => {
+  const storage = makeStorage();
+  let game = applySelection(makeGame(), makeGame().hiddenWords.ido);
+  const { rerender } = renderHook(({ current }) => useSavedGame(current, storage), { initialProps: { current: game } });
+  expect(storage.getItem(SAVED_GAME_KEY)).not.toBeNull();
+
+  game = applySelection(game, game.hiddenWords.kai);
+  rerender({ current: game });
+  expect(storage.getItem(SAVED_GAME_KEY)).toBeNull();
+
+  // Nothing left to save when the page goes away
+  window.dispatchEvent(new Event('pagehide'));
+  expect(storage.getItem(SAVED_GAME_KEY)).toBeNull();
+});
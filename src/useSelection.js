@@ -0,0 +1,264 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { getLineCells, isSameSelection, snapSelection } from './gameEngine';
+import { message } from './i18n';
+import { MASKED_CELL, findOpenCell, getOpenCells } from './shapes';
+import { readItem, writeItem } from './storage';
+
+// --- Selecting Words on the Grid ---
+// Mouse, touch and pen all go through Pointer Events. In drag mode the selection snaps to
+// the nearest straight line as the pointer moves, so a wobbly finger still selects a clean
+// word. In tap mode (and from the keyboard) the player marks the first letter, then the last.
+//
+// The grid is an ARIA grid with a roving tabindex: only the cursor cell is tabbable, the
+// arrow keys move the cursor, and Enter/Space marks the first and then the last letter.
+
+export const SELECTION_MODES = { drag: 'drag', tap: 'tap' };
+export const SELECTION_MODE_KEY = 'wordSearch.selectionMode';
+
+/**
+ * Reads the player's preferred selection mode, remembered on this device.
+ * @param {Storage} [storage=window.localStorage] - Where the preference is kept.
+ * @returns {string} One of SELECTION_MODES; drag unless tap was chosen.
+ */
+export const loadSelectionMode = (storage) =>
+  (readItem(SELECTION_MODE_KEY, storage) === SELECTION_MODES.tap ? SELECTION_MODES.tap : SELECTION_MODES.drag);
+
+// Arrow keys move the grid cursor by (row change, column change)
+const ARROW_KEY_MOVES = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1]
+};
+
+/**
+ * Describes a cell's position for screen readers, counting from 1.
+ * @param {{r: number, c: number}} cell - The cell.
+ * @returns {{id: string, values: Object}} A message (see i18n.js), e.g. 'row 2, column 5'.
+ */
+export const describeCellPosition = ({ r, c }) => message('cell.position', { row: r + 1, col: c + 1 });
+
+/**
+ * Finds the cell under a pointer or focus event's target.
+ * @param {PointerEvent|FocusEvent} e - The event.
+ * @returns {{r: number, c: number}|null} The cell, or null if the target isn't a cell.
+ */
+const getEventCell = (e) => {
+  const cellElement = e.target.closest && e.target.closest('[data-row]');
+  return cellElement ? { r: Number(cellElement.dataset.row), c: Number(cellElement.dataset.col) } : null;
+};
+
+/**
+ * Holds the selection being made on the grid, the keyboard cursor and the selection mode.
+ * @param {Object} options
+ * @param {Array<Array<string>>} options.grid - The grid being played (MASKED_CELL outside its shape).
+ * @param {Array<string>} options.directions - Names of the directions words run in, for
+ *   snapping drags to them.
+ * @param {boolean} options.isPaused - No new selection can start (while a hint flashes).
+ * @param {function} options.onSubmit - Called with a finished selection's cells, in selection order.
+ * @param {function} options.onNotice - Called with a message descriptor (see i18n.js) to
+ *   show on the message line: the first letter marked, or the selection cancelled.
+ * @param {Storage} [options.storage] - Where the selection mode is kept (default: window.localStorage).
+ * @returns {Object} gridRef for the grid's rows; selectedCells, cursor and selectionAnchor
+ *   to draw; the selectionMode and changeSelectionMode; resetSelection, to start over on a
+ *   new grid; and gridHandlers to spread onto the grid element.
+ */
+export const useSelection = ({ grid, directions, isPaused, onSubmit, onNotice, storage }) => {
+  const [selectedCells, setSelectedCells] = useState([]);
+  const [dragStart, setDragStart] = useState(null); // Cell where the current drag began
+  const [cursor, setCursor] = useState({ r: 0, c: 0 }); // Keyboard focus within the grid
+  const [selectionAnchor, setSelectionAnchor] = useState(null); // First letter marked by tap or Enter/Space
+  const [selectionMode, setSelectionMode] = useState(() => loadSelectionMode(storage)); // Drag, or tap first and last letter
+  // The grid's rows, to find cell positions for pointer events
+  const gridRef = useRef(null);
+
+  const rows = grid.length;
+  const cols = grid.length > 0 ? grid[0].length : 0;
+  const mask = useMemo(() => grid.map(row => row.map(cell => cell !== MASKED_CELL)), [grid]); // Cells in play, for drags
+
+  const resetSelection = () => {
+    setSelectedCells([]);
+    setDragStart(null);
+    setSelectionAnchor(null);
+    setCursor({ r: 0, c: 0 });
+  };
+
+  const changeSelectionMode = (mode) => {
+    setSelectionMode(mode);
+    setSelectionAnchor(null);
+    setSelectedCells([]);
+    writeItem(SELECTION_MODE_KEY, mode, storage); // If refused, it is still used for this visit
+  };
+
+  /**
+   * Sets the selection while it is being made, keeping the current one if it covers the same
+   * line, so moving within a cell doesn't redraw the grid.
+   * @param {Array<{r: number, c: number}>} cells - The new selection.
+   */
+  const updateSelection = (cells) => setSelectedCells(prev => (isSameSelection(prev, cells) ? prev : cells));
+
+  const cancelMarkedSelection = () => {
+    setSelectionAnchor(null);
+    setSelectedCells([]);
+    onNotice(message('status.selectionCancelled'));
+  };
+
+  /**
+   * Marks a cell as the first or last letter of a word. Marking the first letter again cancels.
+   * @param {{r: number, c: number}} cell - The cell.
+   * @param {{id: string, values: Object}} instruction - How to mark the last letter, added to the announcement.
+   */
+  const markCell = (cell, instruction) => {
+    if (isPaused) return;
+    if (!selectionAnchor) {
+      setSelectionAnchor(cell);
+      setSelectedCells([cell]);
+      onNotice(message('status.firstMarked', { position: describeCellPosition(cell), instruction }));
+    } else if (selectionAnchor.r === cell.r && selectionAnchor.c === cell.c) {
+      cancelMarkedSelection();
+    } else {
+      // A bent line still goes to the engine so the player hears why it was rejected
+      onSubmit(getLineCells(selectionAnchor, cell) || [selectionAnchor, cell]);
+      setSelectionAnchor(null);
+      setSelectedCells([]);
+    }
+  };
+
+  /**
+   * Shows the line from the marked first letter to a cell; off a straight line only the first letter stays marked.
+   * @param {{r: number, c: number}} cell - The cell the cursor or pointer is on.
+   */
+  const previewMarkedSelection = (cell) => {
+    if (selectionAnchor) updateSelection(getLineCells(selectionAnchor, cell) || [selectionAnchor]);
+  };
+
+  // --- Keyboard ---
+
+  // Keep DOM focus on the cursor cell while the grid has focus
+  useEffect(() => {
+    const gridElement = gridRef.current;
+    if (!gridElement || !gridElement.contains(document.activeElement)) return;
+    const cell = gridElement.querySelector(`[data-row="${cursor.r}"][data-col="${cursor.c}"]`);
+    if (cell && cell !== document.activeElement) cell.focus();
+  }, [cursor]);
+
+  // A shaped grid may have no cell where the cursor is; start it on the first cell in play
+  useEffect(() => {
+    if (grid.length > 0 && grid[cursor.r] && grid[cursor.r][cursor.c] === MASKED_CELL) {
+      setCursor(getOpenCells(grid)[0]);
+    }
+  }, [grid, cursor]);
+
+  /**
+   * Moves the grid cursor, extending a marked selection in progress.
+   * @param {{r: number, c: number}|null} cell - The cell to move to; null (off the grid) stays put.
+   */
+  const moveCursor = (cell) => {
+    if (!cell) return;
+    setCursor(cell);
+    previewMarkedSelection(cell);
+  };
+
+  const handleKeyDown = (e) => {
+    if (rows === 0) return;
+    // Moves skip the gaps in a shaped grid
+    if (ARROW_KEY_MOVES[e.key]) {
+      const [dr, dc] = ARROW_KEY_MOVES[e.key];
+      moveCursor(findOpenCell(grid, { r: cursor.r + dr, c: cursor.c + dc }, dr, dc));
+    } else if (e.key === 'Home') {
+      moveCursor(e.ctrlKey ? getOpenCells(grid)[0] : findOpenCell(grid, { r: cursor.r, c: 0 }, 0, 1));
+    } else if (e.key === 'End') {
+      moveCursor(e.ctrlKey ? getOpenCells(grid).pop() : findOpenCell(grid, { r: cursor.r, c: cols - 1 }, 0, -1));
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      markCell(cursor, message('status.lastLetterKeyboard'));
+    } else if (e.key === 'Escape' && selectionAnchor) {
+      cancelMarkedSelection();
+    } else {
+      return;
+    }
+    e.preventDefault(); // Keep arrows and Space from scrolling the page
+  };
+
+  // A cell that takes focus (by click, tap or screen reader) becomes the cursor. Handled on
+  // the grid, like the pointer, so the cells need no handlers of their own.
+  const handleFocus = (e) => {
+    const cell = getEventCell(e);
+    if (cell && (cell.r !== cursor.r || cell.c !== cursor.c)) setCursor(cell);
+  };
+
+  // --- Pointer (mouse, touch and pen) ---
+
+  /**
+   * Converts a pointer position to grid coordinates in cell units (not rounded to a cell).
+   * @param {PointerEvent} e - The event.
+   * @returns {{r: number, c: number}} The position.
+   */
+  const getPointerPosition = (e) => {
+    const gridRect = gridRef.current.getBoundingClientRect();
+    // Grids can be non-square, so rows and columns are measured separately
+    return {
+      r: (e.clientY - gridRect.top) / (gridRect.height / rows),
+      c: (e.clientX - gridRect.left) / (gridRect.width / cols)
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.button > 0) return; // Ignore secondary mouse buttons; touch and pen tips report 0
+    const cell = getEventCell(e);
+    if (!cell || isPaused) return;
+    setCursor(cell);
+
+    if (selectionMode === SELECTION_MODES.tap) {
+      markCell(cell, message('status.lastLetterTap'));
+      return;
+    }
+    // Keep receiving moves even when the pointer leaves the grid
+    if (e.currentTarget.setPointerCapture) e.currentTarget.setPointerCapture(e.pointerId);
+    setSelectionAnchor(null); // A drag replaces any marked selection
+    setDragStart(cell);
+    setSelectedCells([cell]);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragStart) {
+      updateSelection(snapSelection(dragStart, getPointerPosition(e), { rows, cols, directions, mask }));
+    } else if (selectionAnchor && e.pointerType === 'mouse') {
+      // In tap mode a mouse shows where the word would end before the second click
+      const cell = getEventCell(e);
+      if (cell) previewMarkedSelection(cell);
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (!dragStart) return;
+    setDragStart(null);
+    if (selectedCells.length > 1) {
+      onSubmit(selectedCells);
+    }
+    setSelectedCells([]);
+  };
+
+  const handlePointerCancel = () => {
+    // The browser took the pointer over (e.g. for a system gesture); drop the drag
+    setDragStart(null);
+    if (!selectionAnchor) setSelectedCells([]);
+  };
+
+  return {
+    gridRef,
+    selectedCells,
+    cursor,
+    selectionAnchor,
+    selectionMode,
+    changeSelectionMode,
+    resetSelection,
+    gridHandlers: {
+      onKeyDown: handleKeyDown,
+      onFocus: handleFocus,
+      onPointerDown: handlePointerDown,
+      onPointerMove: handlePointerMove,
+      onPointerUp: handlePointerUp,
+      onPointerCancel: handlePointerCancel
+    }
+  };
+};
@@ -0,0 +1,71 @@
+import { act, renderHook } from '@testing-library/react';
+import { SELECTION_MODES, SELECTION_MODE_KEY, useSelection } from './useSelection';
+
+const GRID = [['i', 'd', 'o'], ['k', 'a', 'i'], ['x', 'y', 'z']];
+
+// Storage backed by a plain object
+const makeStorage = (items = {}) => ({
+  getItem: (key) => (key in items ? items[key] : null),
+  setItem: (key, value) => { items[key] = value; },
+  removeItem: (key) => { delete items[key]; }
+});
+
+const renderSelection = (options = {}) => {
+  const onSubmit = jest.fn();
+  const onNotice = jest.fn();
+  const props = { grid: GRID, directions: ['right', 'down'], isPaused: false, onSubmit, onNotice, storage: makeStorage(), ...options };
+  const view = renderHook(() => useSelection(props));
+  const pressKey = (key) => act(() => {
+    view.result.current.gridHandlers.onKeyDown({ key, preventDefault: () => {} });
+  });
+  return { ...view, onSubmit, onNotice, pressKey };
+};
+
+test('marks the first and last letter from the keyboard and submits the line between them', () => {
+  const { result, onSubmit, onNotice, pressKey } = renderSelection();
+
+  pressKey('ArrowDown');
+  expect(result.current.cursor).toEqual({ r: 1, c: 0 });
+  pressKey('Enter');
+  expect(result.current.selectionAnchor).toEqual({ r: 1, c: 0 });
+  expect(onNotice).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'status.firstMarked' }));
+
+  // Moving the cursor shows the word so far
+  pressKey('End');
+  expect(result.current.selectedCells).toEqual([{ r: 1, c: 0 }, { r: 1, c: 1 }, { r: 1, c: 2 }]);
+
+  pressKey(' ');
+  expect(onSubmit).toHaveBeenCalledWith([{ r: 1, c: 0 }, { r: 1, c: 1 }, { r: 1, c: 2 }]);
+  expect(result.current.selectionAnchor).toBeNull();
+  expect(result.current.selectedCells).toEqual([]);
+});
+
+test('cancels a marked letter with Escape, and marks nothing while paused', () => {
+  const { result, onSubmit, onNotice, pressKey } = renderSelection();
+  pressKey('Enter');
+  pressKey('Escape');
+  expect(result.current.selectionAnchor).toBeNull();
+  expect(onNotice).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'status.selectionCancelled' }));
+
+  const { result: pausedResult, pressKey: pressPausedKey } = renderSelection({ isPaused: true });
+  pressPausedKey('Enter');
+  expect(pausedResult.current.selectionAnchor).toBeNull();
+  expect(onSubmit).not.toHaveBeenCalled();
+});
+
+test('remembers the selection mode and starts over on a new grid', () => {
+  const storage = makeStorage({ [SELECTION_MODE_KEY]: SELECTION_MODES.tap });
+  const { result, pressKey } = renderSelection({ storage });
+  expect(result.current.selectionMode).toBe(SELECTION_MODES.tap);
+
+  act(() => result.current.changeSelectionMode(SELECTION_MODES.drag));
+  expect(result.current.selectionMode).toBe(SELECTION_MODES.drag);
+  expect(storage.getItem(SELECTION_MODE_KEY)).toBe(SELECTION_MODES.drag);
+
+  pressKey('ArrowRight');
+  pressKey('Enter');
+  act(() => result.current.resetSelection());
+  expect(result.current.cursor).toEqual({ r: 0, c: 0 });
+  expect(result.current.selectionAnchor).toBeNull();
+  expect(result.current.selectedCells).toEqual([]);
+});
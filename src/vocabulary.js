@@ -0,0 +1,75 @@
+import { getLanguage } from './languages';
+import { getPackWords } from './languagePacks';
+
+// --- Vocabulary Learning ---
+// Word cards put a found word together with what the pack knows about it: its English
+// gloss, a picture and a pronunciation clip. How the word list uses them depends on the
+// study mode:
+//
+// - play:  the classic list of words to find.
+// - learn: the list of words, and finding one shows its card and plays its pronunciation.
+// - clues: the list shows each word's gloss or picture instead, so the player has to work
+//          out the word before finding it. Found words are revealed with their card.
+
+export const STUDY_MODES = { play: 'play', learn: 'learn', clues: 'clues' };
+
+/**
+ * Collects the word cards of a pack, one per word.
+ * @param {Object|null} pack - A validated language pack, or null (e.g. a custom word list).
+ * @returns {Object} Card per word: {word, gloss, audio, image}, the last three possibly undefined.
+ */
+export const getWordCards = (pack) =>
+  pack ? Object.fromEntries(getPackWords(pack).map(entry => [entry.word, entry])) : {};
+
+/**
+ * Whether a card has a clue to show in place of its word.
+ * @param {Object|undefined} card - The word's card, if the pack has one.
+ * @returns {boolean} True if the card has a gloss or a picture.
+ */
+export const hasClue = (card) => Boolean(card && (card.gloss || card.image));
+
+/**
+ * Finds a text-to-speech voice for a language, used when a word has no recorded audio.
+ * @param {string} languageName - A key of LANGUAGES.
+ * @returns {SpeechSynthesisVoice|null} A voice for the language, or null if the device has none.
+ */
+const findVoice = (languageName) => {
+  if (typeof window === 'undefined' || !window.speechSynthesis) return null;
+  const { code } = getLanguage(languageName);
+  return window.speechSynthesis.getVoices()
+    .find(voice => voice.lang.toLowerCase().split(/[-_]/)[0] === code) || null;
+};
+
+/**
+ * Plays a word's pronunciation: its recorded clip when the pack has one, otherwise the
+ * device's text-to-speech voice for the language, if it has one.
+ * @param {string} word - The word.
+ * @param {Object|undefined} card - The word's card, if the pack has one.
+ * @param {string} languageName - The word's language (a key of LANGUAGES).
+ * @returns {boolean} True if something is being played.
+ */
+export const playPronunciation = (word, card, languageName) => {
+  if (card && card.audio) {
+    // Autoplay can be refused until the page has been interacted with; the card's
+    // play button still works then
+    new window.Audio(card.audio).play().catch(() => {});
+    return true;
+  }
+  const voice = findVoice(languageName);
+  if (!voice) return false;
+  const utterance = new window.SpeechSynthesisUtterance(word);
+  utterance.voice = voice;
+  utterance.lang = voice.lang;
+  window.speechSynthesis.cancel(); // Don't queue up behind an earlier word
+  window.speechSynthesis.speak(utterance);
+  return true;
+};
+
+/**
+ * Whether a word's pronunciation can be played on this device.
+ * @param {Object|undefined} card - The word's card, if the pack has one.
+ * @param {string} languageName - The word's language.
+ * @returns {boolean} True if it has a clip or the device has a voice for the language.
+ */
+export const canPlayPronunciation = (card, languageName) =>
+  Boolean(card && card.audio) || findVoice(languageName) !== null;
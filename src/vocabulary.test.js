@@ -0,0 +1,54 @@
+import { validateLanguagePack } from './languagePacks';
+import { canPlayPronunciation, getWordCards, hasClue, playPronunciation } from './vocabulary';
+
+const pack = validateLanguagePack({
+  schemaVersion: 1,
+  id: 'test',
+  name: 'Test pack',
+  language: 'Hausa',
+  categories: [{
+    id: 'body',
+    name: 'Body parts',
+    words: [
+      { word: 'ido', gloss: 'eye', audio: 'media/audio/ido.mp3', image: 'media/images/eye.svg' },
+      { word: 'kunne' }
+    ]
+  }]
+});
+
+afterEach(() => {
+  delete window.Audio;
+  delete window.speechSynthesis;
+  delete window.SpeechSynthesisUtterance;
+});
+
+test('collects a card for every word', () => {
+  const cards = getWordCards(pack);
+  expect(Object.keys(cards)).toEqual(['ido', 'kunne']);
+  expect(cards.ido).toMatchObject({ gloss: 'eye', image: '/packs/media/images/eye.svg' });
+  expect(hasClue(cards.ido)).toBe(true);
+  expect(hasClue(cards.kunne)).toBe(false);
+  expect(getWordCards(null)).toEqual({});
+});
+
+test('plays the recorded clip, or falls back to a voice for the language', () => {
+  const cards = getWordCards(pack);
+  const play = jest.fn(() => Promise.resolve());
+  window.Audio = jest.fn(() => ({ play }));
+  expect(playPronunciation('ido', cards.ido, 'Hausa')).toBe(true);
+  expect(window.Audio).toHaveBeenCalledWith('/packs/media/audio/ido.mp3');
+  expect(play).toHaveBeenCalled();
+
+  // No clip and no voice: nothing to play
+  window.speechSynthesis = { getVoices: () => [{ lang: 'en-GB' }], cancel: jest.fn(), speak: jest.fn() };
+  expect(canPlayPronunciation(cards.kunne, 'Hausa')).toBe(false);
+  expect(playPronunciation('kunne', cards.kunne, 'Hausa')).toBe(false);
+
+  // No clip, but the device speaks Hausa
+  const hausaVoice = { lang: 'ha-NG' };
+  window.speechSynthesis.getVoices = () => [{ lang: 'en-GB' }, hausaVoice];
+  window.SpeechSynthesisUtterance = function SpeechSynthesisUtterance(text) { this.text = text; };
+  expect(canPlayPronunciation(cards.kunne, 'Hausa')).toBe(true);
+  expect(playPronunciation('kunne', cards.kunne, 'Hausa')).toBe(true);
+  expect(window.speechSynthesis.speak).toHaveBeenCalledWith(expect.objectContaining({ text: 'kunne', voice: hausaVoice }));
+});
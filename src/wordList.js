@@ -0,0 +1,173 @@
+import { normalizeWord, splitGraphemes, toCells } from './graphemes';
+import { getAlphabet, getLanguage } from './languages';
+import { ALL_DIRECTION_NAMES, MAX_WORD_COUNT, getMaxWordLength } from './difficulty';
+import { getLongestRun, getShapeMask } from './shapes';
+import { DEFAULT_UI_LANGUAGE, createTranslator, languageName } from './i18n';
+import { getStorage, readItem, writeItem } from './storage';
+
+// --- Custom Word Lists ---
+// Teachers can paste or upload their own vocabulary instead of using a language pack.
+// A list is plain text: one word per line, or several separated by commas or semicolons.
+// Lines copied from a spreadsheet (tab-separated) or written as "word = meaning" keep only
+// the word, so a vocabulary sheet with a column of meanings can be pasted as it is.
+//
+// Saved lists are kept in localStorage:
+//
+//   { "version": 1, "lists": [{ "id", "name", "language", "text", "savedAt" }] }
+
+export const CUSTOM_LIST_PACK_ID = 'custom'; // packId of puzzles built from a custom list
+export const WORD_LISTS_VERSION = 1;
+export const WORD_LISTS_KEY = 'wordSearch.wordLists';
+export const MAX_LIST_NAME_LENGTH = 40;
+
+/**
+ * Splits pasted or uploaded text into the entries a teacher typed, in order.
+ * @param {string} text - The list: words on separate lines, or separated by commas or semicolons.
+ * @param {Object} [options] - Parsing options.
+ * @param {boolean} [options.csv=false] - Treat each line as a CSV row and take the first column,
+ *   e.g. for an uploaded .csv file of words and meanings.
+ * @returns {Array<string>} The entries, trimmed, without blank ones.
+ */
+export const splitWordList = (text, { csv = false } = {}) =>
+  text
+    .replace(/^\uFEFF/, '') // Byte order mark from files saved by some editors
+    .split(/\r\n|\r|\n/)
+    .flatMap(line => {
+      if (csv) return [line.split(',')[0].replace(/^"|"$/g, '')];
+      if (line.includes('\t')) return [line.split('\t')[0]];
+      if (line.includes('=')) return [line.split('=')[0]];
+      return line.split(/[,;]/);
+    })
+    .map(entry => entry.trim())
+    .filter(entry => entry !== '');
+
+/**
+ * Checks a word list against a language and grid.
+ * Words are normalized (NFC, lower case) the same way as grid cells. Words that can't be
+ * hidden are rejected with a reason; duplicates are reported but hidden once.
+ * @param {string} text - The list, as typed or uploaded (see splitWordList).
+ * @param {string} languageName - A key of LANGUAGES.
+ * @param {Object} [options] - The grid the words must fit.
+ * @param {number} [options.rows=15] - Number of grid rows.
+ * @param {number} [options.cols=15] - Number of grid columns.
+ * @param {Array<string>} [options.directions] - Directions words may run in (default: all 8).
+ * @param {boolean} [options.digraphCells=false] - Whether digraphs share one cell, which shortens words.
+ * @param {string} [options.shape] - The grid's shape (see shapes.js); words must fit a line of cells in play.
+ * @returns {{words: Array<string>, problems: Array<{entry: string, word: string, type: string,
+ *   letters: (Array<string>|undefined)}>}} The words to hide, and every entry left out or merged,
+ *   with its type and, for alphabet problems, the unknown letters. Types: 'too-short', 'too-long',
+ *   'not-one-word', 'alphabet', 'duplicate' (hidden once anyway) and 'too-many'.
+ */
+export const checkWordList = (text, languageName, {
+  rows = 15,
+  cols = 15,
+  directions = ALL_DIRECTION_NAMES,
+  digraphCells = false,
+  shape
+} = {}) => {
+  const language = getLanguage(languageName);
+  const alphabet = new Set(getAlphabet(language, true));
+  const digraphs = digraphCells ? language.digraphs : [];
+  const mask = getShapeMask(shape, rows, cols);
+  const longestWord = mask ? getLongestRun(mask, directions) : getMaxWordLength(rows, cols, directions);
+
+  const words = [];
+  const problems = [];
+  for (const entry of splitWordList(text)) {
+    const word = normalizeWord(entry);
+    const unknownLetters = [...new Set(splitGraphemes(word).filter(letter => !alphabet.has(letter)))];
+    const length = toCells(word, digraphs).length;
+    let type = null;
+    if (/\s/.test(word)) {
+      type = 'not-one-word';
+    } else if (unknownLetters.length > 0) {
+      type = 'alphabet';
+    } else if (words.includes(word)) {
+      type = 'duplicate';
+    } else if (length < 2) {
+      type = 'too-short';
+    } else if (length > longestWord) {
+      type = 'too-long';
+    } else if (words.length >= MAX_WORD_COUNT) {
+      type = 'too-many';
+    }
+    if (type === 'alphabet') {
+      problems.push({ entry, word, type, letters: unknownLetters });
+    } else if (type) {
+      problems.push({ entry, word, type });
+    } else {
+      words.push(word);
+    }
+  }
+  return { words, problems };
+};
+
+/**
+ * Words a word-list problem for the builder's report.
+ * @param {{type: string, letters: (Array<string>|undefined)}} problem - From checkWordList.
+ * @param {string} language - The list's language (a key of LANGUAGES).
+ * @param {function} [t] - Translate function from createTranslator (default: English).
+ * @returns {string} E.g. "Uses letters outside the Hausa alphabet: q, x."
+ */
+export const describeWordListProblem = ({ type, letters }, language, t = createTranslator(DEFAULT_UI_LANGUAGE)) =>
+  t(`wordListProblem.${type}`, {
+    language: languageName(language),
+    letters: letters ? letters.join(', ') : '',
+    count: MAX_WORD_COUNT
+  });
+
+// --- Saved Lists ---
+
+const isSavedList = (list) => list && typeof list.id === 'string' && typeof list.name === 'string'
+  && typeof list.language === 'string' && typeof list.text === 'string' && typeof list.savedAt === 'string';
+
+const readLists = (storage) => {
+  try {
+    const data = JSON.parse(readItem(WORD_LISTS_KEY, storage));
+    if (data && data.version === WORD_LISTS_VERSION && Array.isArray(data.lists)) {
+      return data.lists.filter(isSavedList);
+    }
+  } catch (e) {
+    // Missing or corrupt; start over
+  }
+  return [];
+};
+
+const writeLists = (lists, storage) =>
+  writeItem(WORD_LISTS_KEY, JSON.stringify({ version: WORD_LISTS_VERSION, lists }), storage);
+
+/**
+ * Lists the word lists saved on this device, most recently saved first.
+ * @param {Storage} [storage=window.localStorage] - Where the lists are kept.
+ * @returns {Array<{id: string, name: string, language: string, text: string, savedAt: string}>} The lists.
+ */
+export const getSavedWordLists = (storage = getStorage()) =>
+  storage ? readLists(storage).sort((a, b) => b.savedAt.localeCompare(a.savedAt)) : [];
+
+/**
+ * Saves a word list, replacing a saved list with the same name and language.
+ * @param {{name: string, language: string, text: string, defaultName: string}} list - The list as the
+ *   teacher typed it; defaultName, in the teacher's language, is used if no name was typed.
+ * @param {Storage} [storage=window.localStorage] - Where the lists are kept.
+ * @returns {Array<Object>|null} The saved lists (see getSavedWordLists), or null if storage refused.
+ */
+export const saveWordList = ({ name, language, text, defaultName }, storage = getStorage()) => {
+  if (!storage) return null;
+  const savedAt = new Date().toISOString();
+  const listName = name.trim().slice(0, MAX_LIST_NAME_LENGTH) || defaultName;
+  const lists = readLists(storage).filter(list => list.name !== listName || list.language !== language);
+  lists.push({ id: `${Date.now().toString(36)}-${lists.length}`, name: listName, language, text, savedAt });
+  return writeLists(lists, storage) ? getSavedWordLists(storage) : null;
+};
+
+/**
+ * Removes a saved word list.
+ * @param {string} id - The list's id.
+ * @param {Storage} [storage=window.localStorage] - Where the lists are kept.
+ * @returns {Array<Object>} The remaining lists.
+ */
+export const deleteWordList = (id, storage = getStorage()) => {
+  if (!storage) return [];
+  writeLists(readLists(storage).filter(list => list.id !== id), storage);
+  return getSavedWordLists(storage);
+};
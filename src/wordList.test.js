@@ -0,0 +1,89 @@
+import { MAX_WORD_COUNT } from './difficulty';
+import { getLongestRun, getShapeMask } from './shapes';
+import {
+  WORD_LISTS_KEY,
+  checkWordList,
+  deleteWordList,
+  describeWordListProblem,
+  getSavedWordLists,
+  saveWordList,
+  splitWordList
+} from './wordList';
+
+beforeEach(() => window.localStorage.clear());
+
+test('splits lines, commas and semicolons, and keeps only the word of "word = meaning" rows', () => {
+  expect(splitWordList('\uFEFFido, kunne;hannu\r\n\n  baki  \nkai = head\nwuya\tneck, throat')).toEqual(
+    ['ido', 'kunne', 'hannu', 'baki', 'kai', 'wuya']
+  );
+  expect(splitWordList('"ido",eye\nkunne,ear', { csv: true })).toEqual(['ido', 'kunne']);
+});
+
+test('normalizes case and Unicode, and merges duplicates', () => {
+  // 'ọ́' typed as o + dot below + acute, and in upper case
+  const { words, problems } = checkWordList('O\u0323\u0301n\u00e0\n\u1ecd\u0301n\u00e0\nILÉ', 'Yoruba');
+  expect(words).toEqual(['ọ́nà', 'ilé']);
+  expect(problems).toEqual([{ entry: 'ọ́nà', word: 'ọ́nà', type: 'duplicate' }]);
+});
+
+test('rejects words that are too long, too short, spaced, or outside the alphabet', () => {
+  const { words, problems } = checkWordList('ido\nk\nhannuwansu\nbarka da\nquiz', 'Hausa', {
+    rows: 8, cols: 8, directions: ['horizontal_right']
+  });
+  expect(words).toEqual(['ido']);
+  expect(problems.map(problem => [problem.word, problem.type])).toEqual([
+    ['k', 'too-short'],
+    ['hannuwansu', 'too-long'],
+    ['barka da', 'not-one-word'],
+    ['quiz', 'alphabet']
+  ]);
+  expect(problems[3].letters).toEqual(['q']);
+  expect(describeWordListProblem(problems[3], 'Hausa')).toBe('Uses letters outside the Hausa alphabet: q.');
+});
+
+test('digraph cells let longer words fit', () => {
+  const text = 'shashasha'; // 9 letters, 6 cells as sh-a-sh-a-sh-a
+  const options = { rows: 6, cols: 6, directions: ['horizontal_right'] };
+  expect(checkWordList(text, 'Hausa', options).words).toEqual([]);
+  expect(checkWordList(text, 'Hausa', { ...options, digraphCells: true }).words).toEqual(['shashasha']);
+});
+
+test('only takes words that fit a line of the grid\'s shape', () => {
+  const options = { rows: 9, cols: 9, directions: ['diagonal_down_right'], shape: 'diamond' };
+  const longest = getLongestRun(getShapeMask('diamond', 9, 9), options.directions);
+  expect(longest).toBeLessThan(9);
+  const fits = 'b'.padEnd(longest, 'a');
+  const tooLong = 'k'.padEnd(longest + 1, 'a');
+  const { words, problems } = checkWordList(`${fits}\n${tooLong}`, 'Hausa', options);
+  expect(words).toEqual([fits]);
+  expect(problems).toEqual([{ entry: tooLong, word: tooLong, type: 'too-long' }]);
+  // The same word fits the plain grid
+  expect(checkWordList(tooLong, 'Hausa', { ...options, shape: undefined }).words).toEqual([tooLong]);
+});
+
+test('stops at the word limit', () => {
+  const text = Array.from({ length: MAX_WORD_COUNT + 2 }, (_, i) => `ba${'a'.repeat(i % 10)}${'k'.repeat(Math.floor(i / 10) + 1)}`).join('\n');
+  const { words, problems } = checkWordList(text, 'Hausa', { rows: 30, cols: 30 });
+  expect(words).toHaveLength(MAX_WORD_COUNT);
+  expect(problems.map(problem => problem.type)).toEqual(['too-many', 'too-many']);
+});
+
+test('saves, replaces and deletes word lists', () => {
+  expect(getSavedWordLists()).toEqual([]);
+  saveWordList({ name: 'Week 1', language: 'Hausa', text: 'ido' });
+  const lists = saveWordList({ name: 'Week 1', language: 'Hausa', text: 'ido\nkunne' });
+  expect(lists).toHaveLength(1);
+  expect(lists[0]).toMatchObject({ name: 'Week 1', language: 'Hausa', text: 'ido\nkunne' });
+
+  saveWordList({ name: '  ', language: 'Igbo', text: 'anya', defaultName: 'Ndepụta okwu Igbo' });
+  expect(getSavedWordLists().map(list => list.name).sort()).toEqual(['Ndepụta okwu Igbo', 'Week 1']);
+
+  expect(deleteWordList(lists[0].id).map(list => list.name)).toEqual(['Ndepụta okwu Igbo']);
+});
+
+test('ignores corrupt saved lists', () => {
+  window.localStorage.setItem(WORD_LISTS_KEY, '{not json');
+  expect(getSavedWordLists()).toEqual([]);
+  window.localStorage.setItem(WORD_LISTS_KEY, JSON.stringify({ version: 1, lists: [{ name: 'x' }] }));
+  expect(getSavedWordLists()).toEqual([]);
+});
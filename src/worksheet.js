@@ -0,0 +1,171 @@
+import { MASKED_CELL } from './shapes';
+
+// --- Printable Worksheets ---
+// Renders puzzles as A4 SVG pages for printing: the grid, the word list (optionally with
+// glosses) and a name/date line, or an answer key with every word outlined. Several pages
+// can be put in one printable document, which the browser's print dialog can also save
+// as a PDF, so no PDF library is needed.
+
+const PAGE_WIDTH = 210; // A4, in millimetres (the SVG's user units)
+const PAGE_HEIGHT = 297;
+const MARGIN = 15;
+const GRID_TOP = 42;
+const MAX_CELL_SIZE = 12;
+const WORD_LINE_HEIGHT = 6;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const DEFAULT_LABELS = { answerKey: 'Answer Key', name: 'Name:', date: 'Date:', wordsToFind: 'Words to find' };
+
+// Keeps numbers in the markup short (0.1 mm is plenty for print)
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Renders one puzzle as an A4 page.
+ * @param {Object} puzzle - What to print.
+ * @param {Array<Array<string>>} puzzle.grid - The letter grid; in a shaped grid, each cell in the
+ *   shape gets its own box and the cells outside it (MASKED_CELL) are left blank.
+ * @param {Object} puzzle.hiddenWords - Where each word is hidden (word -> cells in reading order).
+ * @param {string} puzzle.title - Page heading, e.g. 'Hausa Word Search'.
+ * @param {string} [puzzle.subtitle] - Second line, e.g. the pack, category and difficulty.
+ * @param {Object} [options] - Page options.
+ * @param {Object} [options.glosses] - Gloss per word, printed next to it in the word list.
+ * @param {boolean} [options.answerKey=false] - Outline every word instead of leaving a name/date line.
+ * @param {Object} [options.labels] - The page's own text, in the interface language (see DEFAULT_LABELS).
+ * @returns {string} The SVG markup.
+ */
+export const createWorksheetSvg = ({ grid, hiddenWords, title, subtitle = '' }, { glosses = {}, answerKey = false, labels = DEFAULT_LABELS } = {}) => {
+  const rows = grid.length;
+  const cols = rows > 0 ? grid[0].length : 0;
+  const words = Object.keys(hiddenWords).sort();
+
+  // The word list goes under the grid, in up to four columns
+  const listColumns = words.length > 30 ? 4 : 3;
+  const listRows = Math.ceil(words.length / listColumns);
+  const listHeight = 12 + listRows * WORD_LINE_HEIGHT;
+
+  const gridWidthLimit = PAGE_WIDTH - 2 * MARGIN;
+  const gridHeightLimit = PAGE_HEIGHT - MARGIN - GRID_TOP - listHeight - 6;
+  const cellSize = Math.min(MAX_CELL_SIZE, gridWidthLimit / Math.max(cols, 1), gridHeightLimit / Math.max(rows, 1));
+  const gridLeft = (PAGE_WIDTH - cols * cellSize) / 2;
+  const gridBottom = GRID_TOP + rows * cellSize;
+  const cellCentre = ({ r, c }) => ({ x: gridLeft + (c + 0.5) * cellSize, y: GRID_TOP + (r + 0.5) * cellSize });
+
+  const parts = [];
+  parts.push(`<text x="${PAGE_WIDTH / 2}" y="24" font-size="9" font-weight="bold" text-anchor="middle">${escapeXml(answerKey ? `${title}: ${labels.answerKey}` : title)}</text>`);
+  if (subtitle) {
+    parts.push(`<text x="${PAGE_WIDTH / 2}" y="31" font-size="4.5" text-anchor="middle" fill="#444">${escapeXml(subtitle)}</text>`);
+  }
+  if (!answerKey) {
+    parts.push(`<text x="${MARGIN}" y="38" font-size="4">${escapeXml(labels.name)} ____________________________</text>`);
+    parts.push(`<text x="${PAGE_WIDTH - MARGIN}" y="38" font-size="4" text-anchor="end">${escapeXml(labels.date)} ______________</text>`);
+  }
+
+  // Answer key capsules go under the letters so every letter stays readable
+  if (answerKey) {
+    words.forEach(word => {
+      const cells = hiddenWords[word];
+      const start = cellCentre(cells[0]);
+      const end = cellCentre(cells[cells.length - 1]);
+      parts.push(`<line x1="${round(start.x)}" y1="${round(start.y)}" x2="${round(end.x)}" y2="${round(end.y)}" stroke="#000" stroke-opacity="0.2" stroke-width="${round(cellSize * 0.8)}" stroke-linecap="round" />`);
+    });
+  }
+
+  if (grid.some(row => row.includes(MASKED_CELL))) {
+    grid.forEach((row, r) => row.forEach((letter, c) => {
+      if (letter === MASKED_CELL) return;
+      parts.push(`<rect x="${round(gridLeft + c * cellSize)}" y="${round(GRID_TOP + r * cellSize)}" width="${round(cellSize)}" height="${round(cellSize)}" fill="none" stroke="#000" stroke-width="0.2" />`);
+    }));
+  } else {
+    parts.push(`<rect x="${round(gridLeft - 2)}" y="${GRID_TOP - 2}" width="${round(cols * cellSize + 4)}" height="${round(rows * cellSize + 4)}" fill="none" stroke="#000" stroke-width="0.5" rx="2" />`);
+  }
+  grid.forEach((row, r) => row.forEach((letter, c) => {
+    if (letter === MASKED_CELL) return;
+    const { x, y } = cellCentre({ r, c });
+    parts.push(`<text x="${round(x)}" y="${round(y)}" font-size="${round(cellSize * 0.55)}" text-anchor="middle" dominant-baseline="central">${escapeXml(letter.toUpperCase())}</text>`);
+  }));
+
+  const listTop = gridBottom + 12;
+  parts.push(`<text x="${MARGIN}" y="${round(listTop)}" font-size="5" font-weight="bold">${escapeXml(labels.wordsToFind)}</text>`);
+  const columnWidth = (PAGE_WIDTH - 2 * MARGIN) / listColumns;
+  words.forEach((word, i) => {
+    const x = MARGIN + Math.floor(i / listRows) * columnWidth;
+    const y = listTop + 7 + (i % listRows) * WORD_LINE_HEIGHT;
+    const gloss = glosses[word] ? `<tspan fill="#555"> (${escapeXml(glosses[word])})</tspan>` : '';
+    parts.push(`<text x="${round(x)}" y="${round(y)}" font-size="4">□ ${escapeXml(word.toUpperCase())}${gloss}</text>`);
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE_WIDTH}mm" height="${PAGE_HEIGHT}mm" viewBox="0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}" font-family="Arial, Helvetica, sans-serif">`,
+    `<rect width="${PAGE_WIDTH}" height="${PAGE_HEIGHT}" fill="#fff" />`,
+    ...parts,
+    '</svg>'
+  ].join('\n');
+};
+
+/**
+ * Puts SVG pages into one HTML document that prints one page per sheet of A4.
+ * @param {string} title - Document title (also the default PDF file name in most browsers).
+ * @param {Array<string>} pages - SVG markup from createWorksheetSvg.
+ * @returns {string} The HTML document.
+ */
+export const createPrintDocument = (title, pages) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(title)}</title>
+<style>
+  @page { size: A4 portrait; margin: 0; }
+  html, body { margin: 0; padding: 0; }
+  .page { width: 210mm; height: 297mm; overflow: hidden; page-break-after: always; break-after: page; }
+  .page:last-child { page-break-after: auto; break-after: auto; }
+  .page svg { display: block; width: 210mm; height: 297mm; }
+</style>
+</head>
+<body>
+${pages.map(page => `<div class="page">${page}</div>`).join('\n')}
+</body>
+</html>`;
+
+/**
+ * Opens the browser's print dialog for a document, from which it can be printed or saved
+ * as a PDF. A hidden frame is used rather than a new window, which popup blockers allow.
+ * @param {string} html - The document, from createPrintDocument.
+ */
+export const printDocument = (html) => {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  document.body.appendChild(frame);
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    // Printing blocks in most browsers; give the rest time before removing the frame
+    setTimeout(() => frame.remove(), 60000);
+  };
+  frame.srcdoc = html;
+};
+
+/**
+ * Saves text as a file through the browser's download mechanism.
+ * @param {string} fileName - Suggested file name.
+ * @param {string} content - The file's contents.
+ * @param {string} type - MIME type, e.g. 'image/svg+xml'.
+ */
+export const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
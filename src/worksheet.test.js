@@ -0,0 +1,70 @@
+import { createPrintDocument, createWorksheetSvg } from './worksheet';
+import { MASKED_CELL } from './shapes';
+
+const puzzle = {
+  grid: [['i', 'd', 'o'], ['k', 'a', 'i'], ['ƙ', '<', 'z']],
+  hiddenWords: {
+    ido: [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 0, c: 2 }],
+    kai: [{ r: 1, c: 0 }, { r: 1, c: 1 }, { r: 1, c: 2 }]
+  },
+  title: 'Hausa Word Search',
+  subtitle: 'Body parts & more'
+};
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+test('prints every letter, the word list and a name line', () => {
+  const svg = createWorksheetSvg(puzzle);
+  expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="210mm" height="297mm"/);
+  expect(svg).toContain('>Hausa Word Search</text>');
+  expect(svg).toContain('>Body parts &amp; more</text>');
+  expect(svg).toContain('>Ƙ</text>');
+  expect(svg).toContain('>&lt;</text>');
+  expect(svg).toContain('□ IDO</text>');
+  expect(svg).toContain('□ KAI</text>');
+  expect(svg).toContain('Name:');
+  expect(countMatches(svg, /dominant-baseline="central"/g)).toBe(9);
+  expect(svg).not.toContain('<line');
+});
+
+test('boxes the cells of a shaped grid and leaves the rest blank', () => {
+  const shaped = { ...puzzle, grid: [['i', 'd', 'o'], ['k', 'a', 'i'], [MASKED_CELL, 'z', MASKED_CELL]] };
+  const svg = createWorksheetSvg(shaped);
+  expect(countMatches(svg, /dominant-baseline="central"/g)).toBe(7);
+  expect(countMatches(svg, /stroke-width="0.2"/g)).toBe(7);
+  expect(svg).not.toContain('rx="2"');
+});
+
+test('adds glosses when given', () => {
+  const svg = createWorksheetSvg(puzzle, { glosses: { ido: 'eye' } });
+  expect(svg).toContain('□ IDO<tspan fill="#555"> (eye)</tspan></text>');
+  expect(svg).toContain('□ KAI</text>');
+});
+
+test('the answer key outlines each word from its first to its last cell', () => {
+  const svg = createWorksheetSvg(puzzle, { answerKey: true });
+  expect(svg).toContain('>Hausa Word Search: Answer Key</text>');
+  expect(svg).not.toContain('Name:');
+  const lines = svg.match(/<line [^>]+>/g);
+  expect(lines).toHaveLength(2);
+  // Both words run along a row, so each outline is horizontal
+  lines.forEach(line => {
+    const [, y1, y2] = line.match(/y1="([\d.]+)".*y2="([\d.]+)"/);
+    expect(y1).toBe(y2);
+  });
+});
+
+test('keeps a large grid and long word list on the page', () => {
+  const grid = Array.from({ length: 30 }, () => Array(30).fill('a'));
+  const hiddenWords = Object.fromEntries(Array.from({ length: 60 }, (_, i) => [`word${i}`, [{ r: 0, c: 0 }]]));
+  const svg = createWorksheetSvg({ grid, hiddenWords, title: 'Big' });
+  const ys = [...svg.matchAll(/ y="([\d.]+)"/g)].map(match => Number(match[1]));
+  expect(Math.max(...ys)).toBeLessThanOrEqual(297 - 10);
+});
+
+test('puts each page on its own sheet', () => {
+  const html = createPrintDocument('Worksheets <1>', ['<svg>a</svg>', '<svg>b</svg>']);
+  expect(html).toContain('<title>Worksheets &lt;1&gt;</title>');
+  expect(html).toContain('@page { size: A4 portrait; margin: 0; }');
+  expect(countMatches(html, /<div class="page">/g)).toBe(2);
+});